@@ -245,11 +245,27 @@ create_secrets() {
         --from-literal=password=$DB_PASSWORD \
         --dry-run=client -o yaml | kubectl apply -f -
     
-    # Create JWT secret
+    # Create JWT secret, and the key the RS256 signing keys are encrypted with
     JWT_SECRET=$(openssl rand -base64 32)
+    JWT_KEY_ENCRYPTION_KEY=$(openssl rand -base64 32)
+    TWO_FACTOR_ENCRYPTION_KEY=$(openssl rand -base64 32)
+    ACTION_TOKEN_SECRET=$(openssl rand -base64 32)
     kubectl create secret generic auth-secret \
         --namespace=photo-albums \
         --from-literal=jwt-secret=$JWT_SECRET \
+        --from-literal=jwt-key-encryption-key=$JWT_KEY_ENCRYPTION_KEY \
+        --from-literal=two-factor-encryption-key=$TWO_FACTOR_ENCRYPTION_KEY \
+        --from-literal=action-token-secret=$ACTION_TOKEN_SECRET \
+        --dry-run=client -o yaml | kubectl apply -f -
+    
+    # Create the secrets services share: the gateway signs the identity it has
+    # verified with one, task-service and media-service sign media URLs with the other
+    INTERNAL_AUTH_SECRET=$(openssl rand -base64 32)
+    MEDIA_URL_SECRET=$(openssl rand -base64 32)
+    kubectl create secret generic service-secret \
+        --namespace=photo-albums \
+        --from-literal=internal-auth-secret=$INTERNAL_AUTH_SECRET \
+        --from-literal=media-url-secret=$MEDIA_URL_SECRET \
         --dry-run=client -o yaml | kubectl apply -f -
     
     # Create SMTP secret (you'll need to update these values)
@@ -0,0 +1,23 @@
+-- Migration: Create user_sessions table for per-device refresh tokens
+-- Version: 20261019000000
+-- Created: 2026-10-19T00:00:00.000Z
+
+-- One row per signed-in device. The refresh token itself is never stored,
+-- only a SHA-256 hash of its secret part, which is replaced on every refresh.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  previous_refresh_token_hash VARCHAR(64),
+  rotated_at TIMESTAMP,
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
@@ -0,0 +1,6 @@
+-- Rollback for: Create user_sessions table for per-device refresh tokens
+-- Version: 20261019000000
+-- Created: 2026-10-19T00:00:00.000Z
+
+-- Drop table
+DROP TABLE IF EXISTS user_sessions;
@@ -0,0 +1,23 @@
+-- Migration: Add email verification and single-use action tokens
+-- Version: 20261019000100
+-- Created: 2026-10-19T00:01:00.000Z
+
+-- Track whether the user has confirmed their email address
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Tokens sent by email for password resets and email verification.
+-- Only a hash of each token is stored; used_at makes them single-use.
+CREATE TABLE IF NOT EXISTS user_action_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(50) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_action_tokens_user_purpose ON user_action_tokens(user_id, purpose);
@@ -0,0 +1,11 @@
+-- Rollback for: Add email verification and single-use action tokens
+-- Version: 20261019000100
+-- Created: 2026-10-19T00:01:00.000Z
+
+-- Drop table
+DROP TABLE IF EXISTS user_action_tokens;
+
+-- Remove columns
+ALTER TABLE users
+  DROP COLUMN IF EXISTS email_verified_at,
+  DROP COLUMN IF EXISTS email_verified;
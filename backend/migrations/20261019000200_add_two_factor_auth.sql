@@ -0,0 +1,28 @@
+-- Migration: Add TOTP two-factor authentication
+-- Version: 20261019000200
+-- Created: 2026-10-19T00:02:00.000Z
+
+-- One TOTP enrollment per user. enabled_at stays NULL until the first code is confirmed.
+CREATE TABLE IF NOT EXISTS user_two_factor (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret_encrypted TEXT NOT NULL,
+  last_used_step BIGINT,
+  enabled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use recovery codes, stored hashed
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Count wrong codes entered against a login challenge
+ALTER TABLE user_action_tokens
+  ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
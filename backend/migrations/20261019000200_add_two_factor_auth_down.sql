@@ -0,0 +1,11 @@
+-- Rollback for: Add TOTP two-factor authentication
+-- Version: 20261019000200
+-- Created: 2026-10-19T00:02:00.000Z
+
+-- Remove columns
+ALTER TABLE user_action_tokens
+  DROP COLUMN IF EXISTS attempts;
+
+-- Drop tables
+DROP TABLE IF EXISTS user_recovery_codes;
+DROP TABLE IF EXISTS user_two_factor;
@@ -0,0 +1,35 @@
+-- Migration: Add external identity provider (OIDC) sign-in
+-- Version: 20261019000300
+-- Created: 2026-10-19T00:03:00.000Z
+
+-- Accounts created through a provider get a random password they do not know
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS has_password BOOLEAN DEFAULT true;
+
+-- External identities linked to local users, one per provider
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP,
+  UNIQUE (provider, subject),
+  UNIQUE (user_id, provider)
+);
+
+-- Pending authorization requests: PKCE verifier and nonce, looked up by hashed state
+CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+  state_hash VARCHAR(64) PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  code_verifier VARCHAR(128) NOT NULL,
+  nonce VARCHAR(64) NOT NULL,
+  link_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_oidc_auth_requests_expires_at ON oidc_auth_requests(expires_at);
@@ -0,0 +1,11 @@
+-- Rollback for: Add external identity provider (OIDC) sign-in
+-- Version: 20261019000300
+-- Created: 2026-10-19T00:03:00.000Z
+
+-- Drop tables
+DROP TABLE IF EXISTS oidc_auth_requests;
+DROP TABLE IF EXISTS user_identities;
+
+-- Remove columns
+ALTER TABLE users
+  DROP COLUMN IF EXISTS has_password;
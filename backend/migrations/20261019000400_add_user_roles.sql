@@ -0,0 +1,18 @@
+-- Migration: Add user roles, suspension and storage quota overrides
+-- Version: 20261019000400
+-- Created: 2026-10-19T00:04:00.000Z
+
+-- Grant the first admin by hand:
+--   UPDATE users SET role = 'admin' WHERE email = 'you@example.com';
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'admin')),
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS suspended_reason TEXT,
+  -- NULL means the default quota applies
+  ADD COLUMN IF NOT EXISTS storage_quota_bytes BIGINT
+    CHECK (storage_quota_bytes IS NULL OR storage_quota_bytes >= 0);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
+CREATE INDEX IF NOT EXISTS idx_users_suspended_at ON users(suspended_at) WHERE suspended_at IS NOT NULL;
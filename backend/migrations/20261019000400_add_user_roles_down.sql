@@ -0,0 +1,14 @@
+-- Rollback for: Add user roles, suspension and storage quota overrides
+-- Version: 20261019000400
+-- Created: 2026-10-19T00:04:00.000Z
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_users_suspended_at;
+DROP INDEX IF EXISTS idx_users_role;
+
+-- Remove columns
+ALTER TABLE users
+  DROP COLUMN IF EXISTS storage_quota_bytes,
+  DROP COLUMN IF EXISTS suspended_reason,
+  DROP COLUMN IF EXISTS suspended_at,
+  DROP COLUMN IF EXISTS role;
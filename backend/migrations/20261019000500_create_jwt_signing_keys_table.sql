@@ -0,0 +1,17 @@
+-- Migration: Create JWT signing keys table
+-- Version: 20261019000500
+-- Created: 2026-10-19T00:05:00.000Z
+
+-- RSA key pairs for access tokens. The newest key without retired_at signs;
+-- retired keys keep verifying until the tokens they signed have expired.
+CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+  kid VARCHAR(64) PRIMARY KEY,
+  algorithm VARCHAR(10) NOT NULL DEFAULT 'RS256',
+  public_key TEXT NOT NULL,
+  private_key_encrypted TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  retired_at TIMESTAMP
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_jwt_signing_keys_retired_at ON jwt_signing_keys(retired_at);
@@ -0,0 +1,6 @@
+-- Rollback for: Create JWT signing keys table
+-- Version: 20261019000500
+-- Created: 2026-10-19T00:05:00.000Z
+
+-- Drop table
+DROP TABLE IF EXISTS jwt_signing_keys;
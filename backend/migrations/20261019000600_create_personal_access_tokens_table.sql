@@ -0,0 +1,22 @@
+-- Migration: Create personal_access_tokens table for scripts and integrations
+-- Version: 20261019000600
+-- Created: 2026-10-19T00:06:00.000Z
+
+-- Long-lived API tokens a user creates by hand. Only a SHA-256 hash of the
+-- token is stored; token_prefix is kept so users can tell their tokens apart.
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
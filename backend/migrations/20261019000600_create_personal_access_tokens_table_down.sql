@@ -0,0 +1,6 @@
+-- Rollback for: Create personal_access_tokens table for scripts and integrations
+-- Version: 20261019000600
+-- Created: 2026-10-19T00:06:00.000Z
+
+-- Drop table
+DROP TABLE IF EXISTS personal_access_tokens;
@@ -0,0 +1,32 @@
+-- Migration: Create upload_sessions table for resumable uploads
+-- Version: 20261019000700
+-- Created: 2026-10-19T00:07:00.000Z
+
+-- One row per resumable upload. Chunks are appended to a staging file and
+-- received_bytes only advances once a chunk is fully written and verified,
+-- so an upload can continue from received_bytes after a restart.
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  total_bytes BIGINT NOT NULL CHECK (total_bytes > 0),
+  received_bytes BIGINT NOT NULL DEFAULT 0,
+  checksum_sha256 VARCHAR(64),
+  staging_path VARCHAR(500) NOT NULL,
+  metadata JSONB DEFAULT '{}',
+  is_public BOOLEAN DEFAULT false,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'completing', 'completed', 'aborted')),
+  media_id INTEGER REFERENCES media(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Resumable uploads allow files larger than 2GB
+ALTER TABLE media ALTER COLUMN size_bytes TYPE BIGINT;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at) WHERE status = 'pending';
@@ -0,0 +1,8 @@
+-- Rollback for: Create upload_sessions table for resumable uploads
+-- Version: 20261019000700
+-- Created: 2026-10-19T00:07:00.000Z
+
+-- media.size_bytes stays BIGINT; narrowing it could fail for large files
+
+-- Drop table
+DROP TABLE IF EXISTS upload_sessions;
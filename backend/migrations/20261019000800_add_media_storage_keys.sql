@@ -0,0 +1,19 @@
+-- Migration: Record each media file's storage backend and object key
+-- Version: 20261019000800
+-- Created: 2026-10-19T00:08:00.000Z
+
+-- storage_key is relative to the backend: an object name in GCS or S3, a path
+-- under LOCAL_STORAGE_PATH for local storage. gcs_path and local_path are kept
+-- for rollback but no longer written.
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(16)
+    CHECK (storage_backend IN ('local', 'gcs', 's3')),
+  ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500);
+
+UPDATE media SET storage_backend = 'gcs', storage_key = gcs_path
+WHERE storage_key IS NULL AND gcs_path IS NOT NULL;
+
+-- Local paths were <LOCAL_STORAGE_PATH>/<userId>/<filename>
+UPDATE media SET storage_backend = 'local',
+  storage_key = regexp_replace(local_path, '^.*/([0-9]+/[^/]+)$', '\1')
+WHERE storage_key IS NULL AND local_path IS NOT NULL;
@@ -0,0 +1,13 @@
+-- Rollback for: Record each media file's storage backend and object key
+-- Version: 20261019000800
+-- Created: 2026-10-19T00:08:00.000Z
+
+-- Files added since the migration only have a storage_key. GCS keys are
+-- usable as gcs_path as they are; local keys need the storage root in front.
+UPDATE media SET gcs_path = storage_key
+WHERE gcs_path IS NULL AND storage_backend = 'gcs';
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS storage_key,
+  DROP COLUMN IF EXISTS storage_backend;
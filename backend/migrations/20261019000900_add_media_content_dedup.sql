@@ -0,0 +1,26 @@
+-- Migration: Deduplicate stored media by content hash
+-- Version: 20261019000900
+-- Created: 2026-10-19T00:09:00.000Z
+
+-- One row per stored object. Media rows with identical bytes point at the
+-- same blob; ref_count is the number of media rows using it.
+CREATE TABLE IF NOT EXISTS media_blobs (
+  id SERIAL PRIMARY KEY,
+  sha256 VARCHAR(64) NOT NULL,
+  storage_backend VARCHAR(16) NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  ref_count INTEGER NOT NULL DEFAULT 1 CHECK (ref_count >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (storage_backend, sha256)
+);
+
+-- Files uploaded before this migration have no hash or blob and are not shared
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS content_sha256 VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS blob_id INTEGER REFERENCES media_blobs(id);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_media_user_content_sha256 ON media(user_id, content_sha256)
+  WHERE content_sha256 IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_media_blob_id ON media(blob_id);
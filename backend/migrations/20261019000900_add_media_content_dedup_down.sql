@@ -0,0 +1,17 @@
+-- Rollback for: Deduplicate stored media by content hash
+-- Version: 20261019000900
+-- Created: 2026-10-19T00:09:00.000Z
+
+-- Shared blobs stay where they are; every media row keeps its own storage_key
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_media_blob_id;
+DROP INDEX IF EXISTS idx_media_user_content_sha256;
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS blob_id,
+  DROP COLUMN IF EXISTS content_sha256;
+
+-- Drop table
+DROP TABLE IF EXISTS media_blobs;
@@ -0,0 +1,11 @@
+-- Migration: Perceptual hashes for near-duplicate image detection
+-- Version: 20261019001000
+-- Created: 2026-10-19T00:10:00.000Z
+
+-- 64-bit dHash as 16 hex characters; NULL for non-images and for images
+-- uploaded before this migration until they are backfilled
+ALTER TABLE media ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_media_user_perceptual_hash ON media(user_id, created_at DESC)
+  WHERE perceptual_hash IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Rollback for: Perceptual hashes for near-duplicate image detection
+-- Version: 20261019001000
+-- Created: 2026-10-19T00:10:00.000Z
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_media_user_perceptual_hash;
+
+-- Remove columns
+ALTER TABLE media DROP COLUMN IF EXISTS perceptual_hash;
@@ -0,0 +1,15 @@
+-- Migration: EXIF metadata and capture dates for media
+-- Version: 20261019001100
+-- Created: 2026-10-19T00:11:00.000Z
+
+-- exif holds the summary read on upload (takenAt, camera, lens, exposure,
+-- orientation, gps); {} when an image has none and NULL until it is read.
+-- taken_at is the camera's wall-clock capture time, for sorting.
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS exif JSONB,
+  ADD COLUMN IF NOT EXISTS taken_at TIMESTAMP;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_media_user_taken_at ON media(user_id, (COALESCE(taken_at, created_at)) DESC);
+CREATE INDEX IF NOT EXISTS idx_media_exif_pending ON media(id)
+  WHERE exif IS NULL AND mime_type LIKE 'image/%';
@@ -0,0 +1,12 @@
+-- Rollback for: EXIF metadata and capture dates for media
+-- Version: 20261019001100
+-- Created: 2026-10-19T00:11:00.000Z
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_media_exif_pending;
+DROP INDEX IF EXISTS idx_media_user_taken_at;
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS taken_at,
+  DROP COLUMN IF EXISTS exif;
@@ -0,0 +1,8 @@
+-- Migration: Per-user metadata privacy for downloaded media
+-- Version: 20261019001200
+-- Created: 2026-10-19T00:12:00.000Z
+
+-- What to strip from a user's images when they download them: nothing, the GPS location or all metadata
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS media_metadata_privacy VARCHAR(16) NOT NULL DEFAULT 'none'
+    CHECK (media_metadata_privacy IN ('none', 'location', 'all'));
@@ -0,0 +1,7 @@
+-- Rollback for: Per-user metadata privacy for downloaded media
+-- Version: 20261019001200
+-- Created: 2026-10-19T00:12:00.000Z
+
+-- Remove column
+ALTER TABLE users
+  DROP COLUMN IF EXISTS media_metadata_privacy;
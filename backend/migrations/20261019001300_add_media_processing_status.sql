@@ -0,0 +1,12 @@
+-- Migration: Background processing status for media
+-- Version: 20261019001300
+-- Created: 2026-10-19T00:13:00.000Z
+
+-- Uploads are processing until the media worker has indexed them and
+-- generated their renditions, then ready, or failed once it gives up.
+-- Existing media were processed on upload.
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS processing_status VARCHAR(16) NOT NULL DEFAULT 'ready'
+    CHECK (processing_status IN ('processing', 'ready', 'failed')),
+  ADD COLUMN IF NOT EXISTS processing_error TEXT,
+  ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP;
@@ -0,0 +1,9 @@
+-- Rollback for: Background processing status for media
+-- Version: 20261019001300
+-- Created: 2026-10-19T00:13:00.000Z
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS processed_at,
+  DROP COLUMN IF EXISTS processing_error,
+  DROP COLUMN IF EXISTS processing_status;
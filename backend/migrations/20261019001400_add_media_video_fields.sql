@@ -0,0 +1,14 @@
+-- Migration: Video metadata, poster frames and HLS streams for media
+-- Version: 20261019001400
+-- Created: 2026-10-19T00:14:00.000Z
+
+-- Filled in by the media worker when it transcodes a video. poster_key is
+-- the frame used for its thumbnail and hls_playlist_key its master playlist,
+-- both in the storage backend. Videos uploaded earlier have neither and are
+-- only downloadable.
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS duration_seconds NUMERIC(10,3),
+  ADD COLUMN IF NOT EXISTS width INTEGER,
+  ADD COLUMN IF NOT EXISTS height INTEGER,
+  ADD COLUMN IF NOT EXISTS poster_key TEXT,
+  ADD COLUMN IF NOT EXISTS hls_playlist_key TEXT;
@@ -0,0 +1,11 @@
+-- Rollback for: Video metadata, poster frames and HLS streams for media
+-- Version: 20261019001400
+-- Created: 2026-10-19T00:14:00.000Z
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS hls_playlist_key,
+  DROP COLUMN IF EXISTS poster_key,
+  DROP COLUMN IF EXISTS height,
+  DROP COLUMN IF EXISTS width,
+  DROP COLUMN IF EXISTS duration_seconds;
@@ -0,0 +1,44 @@
+-- Migration: Storage plans, per-user quotas and usage accounting
+-- Version: 20261019001500
+-- Created: 2026-10-19T00:15:00.000Z
+
+-- Plan tiers a user's storage quota comes from. A NULL max_files means any
+-- number of files. Change the limits here; users.storage_quota_bytes still
+-- overrides a plan's byte quota for one user.
+CREATE TABLE IF NOT EXISTS storage_plans (
+  name VARCHAR(32) PRIMARY KEY,
+  quota_bytes BIGINT NOT NULL CHECK (quota_bytes >= 0),
+  max_files INTEGER CHECK (max_files IS NULL OR max_files >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO storage_plans (name, quota_bytes, max_files) VALUES
+  ('free', 5368709120, 10000),
+  ('plus', 107374182400, 100000),
+  ('pro', 1099511627776, NULL)
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS storage_plan VARCHAR(32) NOT NULL DEFAULT 'free'
+    REFERENCES storage_plans(name);
+
+-- What each user's media take up, kept in step with the media table by
+-- media-service in the same transaction as each insert and delete. Media
+-- sharing a deduplicated blob each count in full.
+CREATE TABLE IF NOT EXISTS media_storage_usage (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  bytes_used BIGINT NOT NULL DEFAULT 0 CHECK (bytes_used >= 0),
+  file_count INTEGER NOT NULL DEFAULT 0 CHECK (file_count >= 0),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Count what is already stored
+INSERT INTO media_storage_usage (user_id, bytes_used, file_count)
+SELECT user_id, COALESCE(SUM(size_bytes), 0), COUNT(*)
+FROM media
+WHERE user_id IS NOT NULL
+GROUP BY user_id
+ON CONFLICT (user_id) DO UPDATE SET
+  bytes_used = EXCLUDED.bytes_used,
+  file_count = EXCLUDED.file_count,
+  updated_at = CURRENT_TIMESTAMP;
@@ -0,0 +1,12 @@
+-- Rollback for: Storage plans, per-user quotas and usage accounting
+-- Version: 20261019001500
+-- Created: 2026-10-19T00:15:00.000Z
+
+-- Drop tables
+DROP TABLE IF EXISTS media_storage_usage;
+
+-- Remove columns
+ALTER TABLE users
+  DROP COLUMN IF EXISTS storage_plan;
+
+DROP TABLE IF EXISTS storage_plans;
@@ -0,0 +1,12 @@
+-- Migration: Trash bin for media
+-- Version: 20261019001600
+-- Created: 2026-10-19T00:16:00.000Z
+
+-- Deleted media stay in the trash, with their blob and album links, until
+-- restored or purged once MEDIA_TRASH_RETENTION_DAYS have passed. Trashed
+-- media still count against the owner's storage quota.
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_media_deleted_at ON media(deleted_at) WHERE deleted_at IS NOT NULL;
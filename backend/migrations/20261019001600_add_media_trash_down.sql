@@ -0,0 +1,10 @@
+-- Rollback for: Trash bin for media
+-- Version: 20261019001600
+-- Created: 2026-10-19T00:16:00.000Z
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_media_deleted_at;
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS deleted_at;
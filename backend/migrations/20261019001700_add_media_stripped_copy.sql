@@ -0,0 +1,10 @@
+-- Migration: Metadata-free copies of videos
+-- Version: 20261019001700
+-- Created: 2026-10-19T00:17:00.000Z
+
+-- Filled in by the media worker: a copy of a video remuxed without its
+-- metadata (capture location, device, dates), delivered instead of the
+-- original wherever metadata has to be stripped. Videos without one are not
+-- delivered there at all.
+ALTER TABLE media
+  ADD COLUMN IF NOT EXISTS stripped_key TEXT;
@@ -0,0 +1,7 @@
+-- Rollback for: Metadata-free copies of videos
+-- Version: 20261019001700
+-- Created: 2026-10-19T00:17:00.000Z
+
+-- Remove columns
+ALTER TABLE media
+  DROP COLUMN IF EXISTS stripped_key;
@@ -0,0 +1,15 @@
+-- Migration: Pre-published JWT signing keys
+-- Version: 20261019001800
+-- Created: 2026-10-19T00:18:00.000Z
+
+-- A rotated key is published in the JWKS before it signs anything, so
+-- verifiers have fetched it by the time tokens carrying its kid arrive. The
+-- newest key past activates_at and not yet retired signs; the key it replaces
+-- is retired at the same moment.
+ALTER TABLE jwt_signing_keys
+  ADD COLUMN IF NOT EXISTS activates_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing keys have been signing since they were created
+UPDATE jwt_signing_keys SET activates_at = created_at;
+
+CREATE INDEX IF NOT EXISTS idx_jwt_signing_keys_activates_at ON jwt_signing_keys(activates_at);
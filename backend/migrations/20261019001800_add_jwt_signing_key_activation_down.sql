@@ -0,0 +1,10 @@
+-- Rollback for: Pre-published JWT signing keys
+-- Version: 20261019001800
+-- Created: 2026-10-19T00:18:00.000Z
+
+-- Drop indexes
+DROP INDEX IF EXISTS idx_jwt_signing_keys_activates_at;
+
+-- Remove columns
+ALTER TABLE jwt_signing_keys
+  DROP COLUMN IF EXISTS activates_at;
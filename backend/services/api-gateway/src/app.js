@@ -7,7 +7,17 @@ const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 const CircuitBreaker = require('opossum');
 const axios = require('axios');
+const Redis = require('redis');
 const { SimpleTracingManager } = require('../lib/simple-tracing');
+const {
+  JWTManager,
+  createAuthMiddleware,
+  createJwksResolver,
+  isPersonalAccessToken,
+  createVerificationCache,
+  INTERNAL_IDENTITY_HEADER,
+  signInternalIdentity
+} = require('../lib/security');
 require('dotenv').config();
 
 const app = express();
@@ -42,6 +52,50 @@ const services = {
   frontend: process.env.FRONTEND_SERVICE_URL || 'http://frontend-service:80'
 };
 
+// Redis holds the token blacklist written by auth-service
+let redisClient = null;
+(async () => {
+  if (!process.env.REDIS_URL) {
+    logger.info('Redis URL not configured, token blacklist checks disabled');
+    return;
+  }
+
+  try {
+    const client = Redis.createClient({
+      url: process.env.REDIS_URL,
+      socket: { connectTimeout: 5000 }
+    });
+
+    client.on('error', (err) => {
+      logger.warn('Redis connection error, token blacklist checks disabled:', err.message);
+      redisClient = null;
+    });
+    client.on('ready', () => {
+      redisClient = client;
+    });
+
+    await client.connect();
+    logger.info('Redis connection established');
+  } catch (error) {
+    logger.warn('Failed to connect to Redis, token blacklist checks disabled:', error.message);
+  }
+})();
+
+// JWTs are verified here and forwarded as a signed identity header. Without a
+// shared INTERNAL_AUTH_SECRET requests pass through and services verify tokens themselves.
+const INTERNAL_AUTH_SECRET = process.env.INTERNAL_AUTH_SECRET || null;
+const INTERNAL_IDENTITY_TTL_SECONDS = parseInt(process.env.INTERNAL_IDENTITY_TTL_SECONDS || '60');
+// RS256 tokens are checked against auth-service's JWKS by kid; JWT_SECRET
+// still covers tokens signed before the first signing key existed.
+const jwtManager = new JWTManager({
+  publicKeyResolver: createJwksResolver(`${services.auth}/.well-known/jwks.json`, { logger })
+});
+const verifyJwt = createAuthMiddleware(jwtManager, () => redisClient);
+
+if (INTERNAL_AUTH_SECRET && !process.env.JWT_SECRET) {
+  logger.warn('INTERNAL_AUTH_SECRET is set but JWT_SECRET is not; only RS256 tokens will be accepted');
+}
+
 // Circuit breaker options
 const circuitBreakerOptions = {
   timeout: 8000, // 8 seconds
@@ -149,7 +203,7 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
@@ -491,6 +545,76 @@ app.use((req, res, next) => {
   next();
 });
 
+// Verify the bearer token and replace it with a signed identity for the service.
+// Requests without a token pass through for the service to reject or serve publicly.
+// Personal access tokens are opaque, so auth-service has to look them up
+const personalTokenCache = createVerificationCache(
+  () => redisClient,
+  parseInt(process.env.AUTH_VERIFY_CACHE_SECONDS || '30')
+);
+
+const verifyPersonalToken = async (req, res, next) => {
+  const token = req.headers.authorization.split(' ')[1];
+
+  try {
+    let user = await personalTokenCache.get(token);
+    if (!user) {
+      const response = await authCircuitBreaker.fire(`${services.auth}/auth/verify`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        data: {},
+        timeout: 5000,
+        validateStatus: status => status < 500
+      });
+
+      if (response.status !== 200) {
+        return res.status(response.status).json({ error: response.data?.error || 'Invalid token' });
+      }
+
+      user = response.data.user;
+      await personalTokenCache.set(token, user);
+    }
+
+    req.headers[INTERNAL_IDENTITY_HEADER] = signInternalIdentity({
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role || 'user',
+      scopes: user.scopes
+    }, INTERNAL_AUTH_SECRET, INTERNAL_IDENTITY_TTL_SECONDS);
+    next();
+  } catch (error) {
+    logger.error('Personal access token verification failed:', error.message);
+    res.status(503).json({ error: 'Authentication service unavailable' });
+  }
+};
+
+const forwardIdentity = (req, res, next) => {
+  // Only the gateway may set this header
+  delete req.headers[INTERNAL_IDENTITY_HEADER];
+
+  if (!INTERNAL_AUTH_SECRET || !req.headers.authorization) {
+    return next();
+  }
+
+  if (isPersonalAccessToken(req.headers.authorization.split(' ')[1])) {
+    return verifyPersonalToken(req, res, next);
+  }
+
+  verifyJwt(req, res, () => {
+    // Same shape as the user returned by auth-service /auth/verify
+    req.headers[INTERNAL_IDENTITY_HEADER] = signInternalIdentity({
+      id: req.user.userId,
+      email: req.user.email,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName,
+      role: req.user.role || 'user'
+    }, INTERNAL_AUTH_SECRET, INTERNAL_IDENTITY_TTL_SECONDS);
+    next();
+  });
+};
+
 // Circuit breaker middleware for route protection
 const withCircuitBreaker = (circuitBreaker, serviceName) => {
   return async (req, res, next) => {
@@ -513,7 +637,8 @@ const withCircuitBreaker = (circuitBreaker, serviceName) => {
 app.use('/api/auth', 
   withCircuitBreaker(authCircuitBreaker, 'auth-service'),
   (req, res, next) => {
-    if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    // DELETE /api/auth/account carries the password in its body
+    if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
       // Use express-http-proxy for requests with body
       logger.debug('Using express-http-proxy for auth request:', {
         method: req.method,
@@ -541,6 +666,7 @@ app.use('/api/auth',
 // Task service routes with different proxy strategies
 app.use('/api/albums',
   withCircuitBreaker(taskCircuitBreaker, 'task-service'),
+  forwardIdentity,
   (req, res, next) => {
     if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
       // Use express-http-proxy for requests with body
@@ -570,9 +696,11 @@ app.use('/api/albums',
 // Media service routes with special handling for file uploads
 app.use('/api/media',
   withCircuitBreaker(mediaCircuitBreaker, 'media-service'),
+  forwardIdentity,
   (req, res, next) => {
-    // Special handling for file uploads (multipart/form-data)
-    if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
+    // Special handling for file uploads (multipart/form-data, or raw resumable upload chunks)
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.includes('multipart/form-data') || contentType.includes('octet-stream')) {
       logger.debug('Using http-proxy-middleware for media upload:', {
         method: req.method,
         originalUrl: req.originalUrl,
@@ -634,6 +762,7 @@ app.use('/api/notifications',
 // Direct media access (bypassing /api prefix for frontend convenience)
 app.use('/media',
   withCircuitBreaker(mediaCircuitBreaker, 'media-service'),
+  forwardIdentity,
   createEnhancedProxy(services.media, {}, mediaCircuitBreaker)
 );
 
@@ -793,7 +922,38 @@ app.get('/api', (req, res) => {
           'POST /api/auth/logout',
           'POST /api/auth/verify',
           'POST /api/auth/refresh',
-          'GET /api/auth/profile'
+          'GET /api/auth/profile',
+          'PATCH /api/auth/profile',
+          'POST /api/auth/password/change',
+          'DELETE /api/auth/account',
+          'GET /api/auth/sessions',
+          'DELETE /api/auth/sessions/:id',
+          'POST /api/auth/password/forgot',
+          'POST /api/auth/password/reset',
+          'POST /api/auth/email/verify',
+          'POST /api/auth/email/verify/resend',
+          'POST /api/auth/login/2fa',
+          'POST /api/auth/unlock',
+          'GET /api/auth/2fa',
+          'POST /api/auth/2fa/setup',
+          'POST /api/auth/2fa/confirm',
+          'POST /api/auth/2fa/recovery-codes',
+          'POST /api/auth/2fa/disable',
+          'GET /api/auth/oidc/providers',
+          'GET /api/auth/oidc/:provider/authorize',
+          'GET /api/auth/oidc/:provider/callback',
+          'POST /api/auth/oidc/:provider/link',
+          'POST /api/auth/oidc/exchange',
+          'GET /api/auth/identities',
+          'DELETE /api/auth/identities/:provider',
+          'GET /api/auth/tokens',
+          'POST /api/auth/tokens',
+          'DELETE /api/auth/tokens/:id',
+          'GET /api/auth/admin/users',
+          'POST /api/auth/admin/users/:id/suspend',
+          'POST /api/auth/admin/users/:id/reinstate',
+          'PUT /api/auth/admin/users/:id/quota',
+          'POST /api/auth/admin/keys/rotate'
         ]
       },
       tasks: {
@@ -804,8 +964,10 @@ app.get('/api', (req, res) => {
           'POST /api/albums',
           'GET /api/albums/:id',
           'PUT /api/albums/:id',
+          'DELETE /api/albums',
           'DELETE /api/albums/:id',
           'POST /api/albums/:id/media',
+          'POST /api/albums/:id/media/batch',
           'DELETE /api/albums/:id/media/:mediaId',
           'GET /api/albums/:id/media',
           'GET /api/albums/stats/summary'
@@ -816,10 +978,28 @@ app.get('/api', (req, res) => {
         service: services.media,
         routes: [
           'POST /api/media/upload',
+          'POST /api/media/upload/batch',
+          'POST /api/media/uploads',
+          'GET /api/media/uploads/:id',
+          'PUT /api/media/uploads/:id',
+          'POST /api/media/uploads/:id/complete',
+          'DELETE /api/media/uploads/:id',
           'GET /api/media',
+          'GET /api/media/usage',
+          'GET /api/media/duplicates',
+          'POST /api/media/duplicates/resolve',
+          'GET /api/media/trash',
+          'POST /api/media/trash',
+          'POST /api/media/trash/restore',
+          'POST /api/media/trash/purge',
           'GET /api/media/:id',
+          'POST /api/media/:id/restore',
           'GET /api/media/:id/download',
           'GET /api/media/:id/thumbnail',
+          'GET /api/media/:id/renditions/:name',
+          'GET /api/media/:id/hls/*',
+          'GET /api/media/:id/status',
+          'DELETE /api/media',
           'DELETE /api/media/:id'
         ],
         direct: {
@@ -827,7 +1007,9 @@ app.get('/api', (req, res) => {
           service: services.media,
           routes: [
             'GET /media/:id/download',
-            'GET /media/:id/thumbnail'
+            'GET /media/:id/thumbnail',
+            'GET /media/:id/renditions/:name',
+            'GET /media/:id/hls/*'
           ]
         }
       }
@@ -10,6 +10,8 @@ const winston = require('winston');
 const Joi = require('joi');
 const promClient = require('prom-client');
 const path = require('path');
+const crypto = require('crypto');
+const { PubSub } = require('@google-cloud/pubsub');
 
 // Import security and monitoring utilities
 const { 
@@ -17,10 +19,15 @@ const {
   rateLimiters, 
   securityHeaders, 
   createAuthMiddleware,
+  ROLES,
+  requireRole,
+  TOKEN_SCOPES,
+  isPersonalAccessToken,
   sanitizers,
   validatePasswordStrength,
   hashPassword: secureHashPassword,
   blacklistToken,
+  blacklistSessions,
   auditLogger
 } = require('../lib/security');
 
@@ -31,13 +38,24 @@ const {
 } = require('../lib/monitoring');
 
 const { SimpleTracingManager } = require('../lib/simple-tracing');
+const { SessionManager } = require('../utils/session-manager');
+const { ActionTokenManager } = require('../utils/action-token-manager');
+const { TwoFactorManager } = require('../utils/two-factor-manager');
+const { LoginGuard } = require('../utils/login-guard');
+const { OidcManager } = require('../utils/oidc-manager');
+const { SigningKeyManager } = require('../utils/signing-key-manager');
+const { PersonalTokenManager } = require('../utils/personal-token-manager');
 
 require('dotenv').config();
 
 const app = express();
 
-// Initialize security and monitoring
-const jwtManager = new JWTManager();
+// Initialize security and monitoring. Access tokens are signed with the
+// rotating RS256 key once it has loaded, and with JWT_SECRET until then.
+const jwtManager = new JWTManager({
+  signingKeyProvider: () => signingKeyManager.getSigningKey(),
+  publicKeyResolver: (kid) => signingKeyManager.getPublicKey(kid)
+});
 const metricsCollector = new MetricsCollector('auth_service');
 const healthChecker = new HealthChecker();
 
@@ -117,7 +135,7 @@ app.use(cors({
     return callback(null, true); // Allow all for now
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
@@ -150,6 +168,80 @@ const pool = new Pool({
   connectionTimeoutMillis: 5000, // Reduced from 2000 to 5000
 });
 
+// Per-device sessions backed by the user_sessions table. Revoked sessions are
+// blacklisted in Redis until their access tokens expire, since the gateway
+// verifies tokens without asking this service.
+const sessionManager = new SessionManager(pool, logger, {
+  onRevoke: (sessionIds) => blacklistSessions(redisClient, sessionIds, accessTokenExpiresIn)
+});
+
+// Access tokens are short-lived; clients renew them with their refresh token
+const accessTokenExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Secrets that protect data at rest or emailed links must be configured, and
+// must not be JWT_SECRET, which the gateway and other services hold too
+const requiredSecret = (name) => {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`${name} is required`);
+  }
+  if (value === process.env.JWT_SECRET) {
+    throw new Error(`${name} must differ from JWT_SECRET`);
+  }
+  return value;
+};
+
+// Signed single-use tokens for password reset and email verification links
+const actionTokenManager = new ActionTokenManager(
+  pool,
+  requiredSecret('ACTION_TOKEN_SECRET'),
+  logger
+);
+
+// TOTP secrets are encrypted at rest with this key
+const twoFactorManager = new TwoFactorManager(
+  pool,
+  requiredSecret('TWO_FACTOR_ENCRYPTION_KEY'),
+  logger
+);
+
+// RS256 signing keys, private halves encrypted at rest with this key
+const signingKeyManager = new SigningKeyManager(
+  pool,
+  requiredSecret('JWT_KEY_ENCRYPTION_KEY'),
+  logger
+);
+
+// Login challenges issued after the password check when 2FA is on
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || '5');
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440');
+const ACCOUNT_UNLOCK_TTL_MINUTES = parseInt(process.env.ACCOUNT_UNLOCK_TTL_MINUTES || '60');
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3100';
+
+// External identity providers (OIDC_PROVIDERS); callbacks arrive through the gateway
+const oidcManager = new OidcManager(pool, logger);
+const OIDC_CALLBACK_BASE_URL = process.env.OIDC_CALLBACK_BASE_URL || APP_BASE_URL;
+const OIDC_LOGIN_CODE_TTL_MINUTES = 2;
+
+const ACCOUNT_SUSPENDED_MESSAGE = 'This account has been suspended';
+
+// Scoped API tokens for scripts and CI; they cannot manage the account itself
+const personalTokenManager = new PersonalTokenManager(pool, logger);
+const PERSONAL_TOKEN_MAX_DAYS = parseInt(process.env.PERSONAL_TOKEN_MAX_DAYS || '365');
+
+// Services that hold user data removed on account deletion
+const TASK_SERVICE_URL = process.env.TASK_SERVICE_URL || 'http://localhost:3002';
+const MEDIA_SERVICE_URL = process.env.MEDIA_SERVICE_URL || 'http://localhost:3003';
+
+// Pub/Sub client for events consumed by notification-service
+const pubsub = new PubSub({
+  projectId: process.env.GOOGLE_CLOUD_PROJECT,
+  keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
+});
+
 // Test database connection on startup
 (async () => {
   try {
@@ -164,6 +256,17 @@ const pool = new Pool({
   }
 })();
 
+// Load signing keys and keep them rotating; tokens fall back to HS256 meanwhile
+(async () => {
+  try {
+    await signingKeyManager.init();
+    logger.info('JWT signing keys loaded', { kid: signingKeyManager.getSigningKey()?.kid });
+  } catch (error) {
+    logger.warn('Failed to load JWT signing keys, signing with JWT_SECRET:', error.message);
+  }
+  signingKeyManager.startSchedule();
+})();
+
 // Redis connection with error handling
 let redisClient;
 (async () => {
@@ -221,6 +324,9 @@ let redisClient;
   }
 })();
 
+// Per-account failed sign-in tracking; disabled while Redis is unavailable
+const loginGuard = new LoginGuard(() => redisClient, logger);
+
 // Setup health checks with error handling
 try {
   if (healthChecks && healthChecks.database) {
@@ -271,30 +377,129 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(512).required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().max(255).required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().max(1024).required(),
+  password: Joi.string().min(8).max(128).required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().max(1024).required()
+});
+
+const updateProfileSchema = Joi.object({
+  firstName: Joi.string().min(2).max(50).pattern(/^[a-zA-Z\s]+$/),
+  lastName: Joi.string().min(2).max(50).pattern(/^[a-zA-Z\s]+$/),
+  email: Joi.string().email().max(255),
+  // Changing the sign-in email needs the password
+  currentPassword: Joi.string().when('email', { is: Joi.exist(), then: Joi.required() }),
+  // Metadata stripped from the user's images when they download them
+  mediaMetadataPrivacy: Joi.string().valid('none', 'location', 'all')
+}).or('firstName', 'lastName', 'email', 'mediaMetadataPrivacy');
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(8).max(128).required()
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(32)
+}).oxor('code', 'recoveryCode');
+
+const oidcExchangeSchema = Joi.object({
+  code: Joi.string().max(1024).required()
+});
+
+const unlockAccountSchema = Joi.object({
+  token: Joi.string().max(1024).required()
+});
+
+const twoFactorSetupSchema = Joi.object({
+  password: Joi.string().required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().max(1024).required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(32)
+}).xor('code', 'recoveryCode');
+
+const adminListUsersSchema = Joi.object({
+  search: Joi.string().trim().max(255),
+  role: Joi.string().valid(...ROLES),
+  suspended: Joi.boolean(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25)
+});
+
+const adminSuspendSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('')
+});
+
+const adminQuotaSchema = Joi.object({
+  // A storage plan tier (free, plus, pro or any other in storage_plans)
+  plan: Joi.string().trim().min(1).max(32),
+  // null clears the override so the plan's quota applies again
+  quotaBytes: Joi.number().integer().min(0).allow(null)
+}).or('plan', 'quotaBytes');
+
+const createPersonalTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...TOKEN_SCOPES)).min(1).unique().required(),
+  expiresInDays: Joi.number().integer().min(1).max(PERSONAL_TOKEN_MAX_DAYS).default(90)
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(32)
+}).xor('code', 'recoveryCode');
+
 // Helper functions with fallbacks
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role || 'user',
+    sid: sessionId
+  };
+
   if (jwtManager && jwtManager.generateToken) {
-    return jwtManager.generateToken({ 
-      userId: user.id, 
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name
-    });
+    return jwtManager.generateToken(payload, { expiresIn: accessTokenExpiresIn });
   } else {
     // Fallback JWT generation
     return jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name
-      },
+      payload,
       process.env.JWT_SECRET || 'fallback-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+      { expiresIn: accessTokenExpiresIn }
     );
   }
 };
 
+const verifyToken = async (token) => {
+  if (jwtManager && jwtManager.verifyToken) {
+    return await jwtManager.verifyToken(token);
+  } else {
+    // Fallback JWT verification
+    return jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+  }
+};
+
 const verifyPassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
@@ -360,40 +565,269 @@ const logAudit = (req, success, reason) => {
   }
 };
 
-// Cache user token in Redis
-const cacheUserToken = async (userId, token) => {
-  if (redisClient) {
-    try {
-      await redisClient.setEx(`user_token:${userId}`, 86400, token); // 24 hours
-    } catch (error) {
-      logger.warn('Failed to cache user token:', error);
+const logTwoFactor = (req, event, userId, details = {}) => {
+  if (auditLog && auditLog.logTwoFactorEvent) {
+    auditLog.logTwoFactorEvent(req, event, userId, details);
+  } else {
+    // Fallback audit logging
+    logger.warn('Security event', {
+      event: `two_factor_${event}`,
+      userId,
+      ip: req.ip,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Check either a TOTP code or a recovery code for an enrolled user
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    return twoFactorManager.verifyCode(userId, code);
+  }
+  return twoFactorManager.useRecoveryCode(userId, recoveryCode);
+};
+
+// Short-lived token that stands in for the password check when 2FA is on
+const issueTwoFactorChallenge = async (userId) => {
+  const challenge = await actionTokenManager.issue(
+    userId,
+    'two_factor_challenge',
+    TWO_FACTOR_CHALLENGE_TTL_MINUTES
+  );
+
+  return {
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: challenge.token,
+    challengeExpiresAt: challenge.expiresAt.toISOString()
+  };
+};
+
+const oidcCallbackUrl = (providerId) => `${OIDC_CALLBACK_BASE_URL}/api/auth/oidc/${providerId}/callback`;
+
+// Send the browser back to the frontend after a provider round-trip
+const redirectToApp = (res, pathname, params = {}) => {
+  const url = new URL(pathname, APP_BASE_URL);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  res.redirect(url.toString());
+};
+
+// Shape of a user row in admin responses
+const formatAdminUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  role: user.role,
+  emailVerified: user.email_verified,
+  suspendedAt: user.suspended_at,
+  suspendedReason: user.suspended_reason,
+  storagePlan: user.storage_plan,
+  storageQuotaBytes: user.storage_quota_bytes === null ? null : Number(user.storage_quota_bytes),
+  createdAt: user.created_at
+});
+
+const ADMIN_USER_COLUMNS = `id, email, first_name, last_name, role, email_verified,
+  suspended_at, suspended_reason, storage_plan, storage_quota_bytes, created_at`;
+
+// Positive integer route ids (users, personal access tokens)
+const parseIdParam = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Call another service on behalf of the signed-in user, forwarding their bearer token
+const callServiceAsUser = async (url, method, authorization) => {
+  const response = await fetch(url, {
+    method,
+    headers: { authorization },
+    signal: AbortSignal.timeout(60000)
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`${method} ${url} failed with ${response.status}: ${body.slice(0, 200)}`);
+  }
+
+  return response.json();
+};
+
+// Event publishing helper
+const publishEvent = async (eventType, data, correlationId = null) => {
+  try {
+    const event = {
+      eventType,
+      timestamp: new Date().toISOString(),
+      serviceId: 'auth-service',
+      correlationId: correlationId || crypto.randomUUID(),
+      data
+    };
+
+    const topic = pubsub.topic('task-manager-events');
+    await topic.publishMessage({ json: event });
+
+    logger.info('Event published:', { eventType, correlationId: event.correlationId });
+  } catch (error) {
+    logger.warn('Failed to publish event (non-critical):', {
+      eventType,
+      error: error.message
+    });
+  }
+};
+
+// Emailed link types: token lifetime, frontend page and the event notification-service handles
+const ACTION_EMAILS = {
+  password_reset: {
+    ttlMinutes: PASSWORD_RESET_TTL_MINUTES,
+    path: '/auth/reset-password',
+    eventType: 'auth.password_reset_requested'
+  },
+  email_verification: {
+    ttlMinutes: EMAIL_VERIFICATION_TTL_MINUTES,
+    path: '/auth/verify-email',
+    eventType: 'auth.email_verification_requested'
+  },
+  account_unlock: {
+    ttlMinutes: ACCOUNT_UNLOCK_TTL_MINUTES,
+    path: '/auth/unlock',
+    eventType: 'auth.account_locked'
+  }
+};
+
+// Issue an emailed link token and hand delivery to notification-service
+const sendActionEmail = async (user, purpose, extraData = {}) => {
+  const config = ACTION_EMAILS[purpose];
+  const { token, expiresAt } = await actionTokenManager.issue(user.id, purpose, config.ttlMinutes);
+  const actionUrl = `${APP_BASE_URL}${config.path}?token=${encodeURIComponent(token)}`;
+
+  if (process.env.NODE_ENV === 'development') {
+    logger.info('Action link issued (development only)', { userId: user.id, purpose, actionUrl });
+  }
+
+  await publishEvent(config.eventType, {
+    userId: user.id,
+    firstName: user.first_name,
+    actionUrl,
+    expiresAt: expiresAt.toISOString(),
+    ...extraData
+  });
+};
+
+// Count a failed password for an account and email an unlock link when it gets locked.
+// Unknown emails are tracked too so responses do not reveal which accounts exist.
+const recordLoginFailure = async (req, email, user = null) => {
+  const outcome = await loginGuard.recordFailure(email);
+
+  if (outcome.lockedOut) {
+    authAttempts.labels('login', 'locked').inc();
+
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('account_locked', {
+        userId: user ? user.id : null,
+        failures: outcome.failures,
+        ip: req.ip
+      });
+    }
+
+    if (user) {
+      try {
+        await sendActionEmail(user, 'account_unlock', { lockedMinutes: loginGuard.lockoutMinutes });
+      } catch (error) {
+        logger.warn('Failed to send unlock email (non-critical):', error.message);
+      }
     }
   }
+
+  return outcome;
 };
 
-// Invalidate user token from Redis
-const invalidateUserToken = async (userId) => {
-  if (redisClient) {
-    try {
-      await redisClient.del(`user_token:${userId}`);
-    } catch (error) {
-      logger.warn('Failed to invalidate user token:', error);
+// Start a new device session and issue its token pair
+const issueSession = async (user, req) => {
+  const { sessionId, refreshToken } = await sessionManager.createSession(user.id, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    expiresIn: accessTokenExpiresIn
+  };
+};
+
+// Resolve the bearer token and its session, or send a 401
+const authenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    if (isPersonalAccessToken(token)) {
+      return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+    }
+
+    const decoded = await verifyToken(token);
+
+    // Tokens without a session predate per-device sessions and cannot be revoked
+    if (!decoded.sid || !(await sessionManager.isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({ error: 'Token has been invalidated' });
+    }
+
+    req.auth = decoded;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
     }
+
+    logger.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Check if token is cached
-const isTokenCached = async (userId, token) => {
-  if (redisClient) {
-    try {
-      const cachedToken = await redisClient.get(`user_token:${userId}`);
-      return cachedToken === token;
-    } catch (error) {
-      logger.warn('Failed to check token cache:', error);
-      return true; // Allow if cache check fails
+// Like authenticate, but also accepts personal access tokens; req.auth.scopes
+// is set only for those
+const authenticateWithPersonalToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!isPersonalAccessToken(token)) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const owner = await personalTokenManager.authenticate(token, req.ip);
+
+    if (!owner) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (owner.suspended_at) {
+      return res.status(403).json({ error: ACCOUNT_SUSPENDED_MESSAGE });
     }
+
+    req.auth = {
+      userId: owner.id,
+      email: owner.email,
+      firstName: owner.first_name,
+      lastName: owner.last_name,
+      role: owner.role,
+      scopes: owner.scopes,
+      tokenId: owner.token_id
+    };
+    next();
+  } catch (error) {
+    logger.error('Personal access token authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  return true;
 };
 
 // Middleware for request logging and metrics
@@ -550,23 +984,27 @@ app.post('/auth/register', rateLimiters?.auth || authLimiter, async (req, res) =
     const result = await (metricsCollector?.trackDbQuery ?
       metricsCollector.trackDbQuery('insert_user',
         pool.query(
-          'INSERT INTO users (email, password_hash, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, created_at',
+          'INSERT INTO users (email, password_hash, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, email_verified, role, created_at',
           [sanitizedEmail, hashedPassword, sanitizedFirstName, sanitizedLastName]
         )
       ) :
       pool.query(
-        'INSERT INTO users (email, password_hash, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, created_at',
+        'INSERT INTO users (email, password_hash, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, email_verified, role, created_at',
         [sanitizedEmail, hashedPassword, sanitizedFirstName, sanitizedLastName]
       )
     );
     
     const user = result.rows[0];
     
-    // Generate token
-    const token = generateToken(user);
-    
-    // Cache token
-    await cacheUserToken(user.id, token);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    // Ask the user to confirm their address; registration succeeds regardless
+    try {
+      await sendActionEmail(user, 'email_verification');
+    } catch (emailError) {
+      logger.warn('Failed to send verification email:', emailError.message);
+    }
     
     // Log successful registration
     logAudit(req, true, 'registration_success');
@@ -575,11 +1013,15 @@ app.post('/auth/register', rateLimiters?.auth || authLimiter, async (req, res) =
     res.status(201).json({ 
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: user.role,
         createdAt: user.created_at
       }
     });
@@ -591,7 +1033,7 @@ app.post('/auth/register', rateLimiters?.auth || authLimiter, async (req, res) =
 });
 
 // Login endpoint
-app.post('/auth/login', authLimiter, async (req, res) => {
+app.post('/auth/login', authLimiter, rateLimiters.loginPerEmail, async (req, res) => {
   try {
     // Validate input
     const { error, value } = loginSchema.validate(req.body);
@@ -603,16 +1045,31 @@ app.post('/auth/login', authLimiter, async (req, res) => {
       });
     }
 
-    const { email, password } = value;
+    const { password } = value;
+    const email = sanitizeEmail(value.email);
+
+    // Refuse before checking the password while the account is backing off or locked
+    const lock = await loginGuard.check(email);
+    if (lock.locked) {
+      authAttempts.labels('login', 'locked').inc();
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        error: lock.reason === 'lockout'
+          ? 'Account temporarily locked after too many failed sign-in attempts. Check your email to unlock it.'
+          : 'Too many failed sign-in attempts, please wait before trying again.',
+        retryAfter: lock.retryAfter
+      });
+    }
     
     // Find user
     const result = await pool.query(
-      'SELECT id, email, password_hash, first_name, last_name, created_at FROM users WHERE email = $1',
-      [sanitizeEmail(email)]
+      'SELECT id, email, password_hash, first_name, last_name, email_verified, role, suspended_at, created_at FROM users WHERE email = $1',
+      [email]
     );
     
     if (result.rows.length === 0) {
       authAttempts.labels('login', 'invalid_credentials').inc();
+      await recordLoginFailure(req, email);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
@@ -622,14 +1079,26 @@ app.post('/auth/login', authLimiter, async (req, res) => {
     const validPassword = await verifyPassword(password, user.password_hash);
     if (!validPassword) {
       authAttempts.labels('login', 'invalid_credentials').inc();
+      await recordLoginFailure(req, email, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+
+    await loginGuard.reset(email);
+
+    // Only reveal the suspension once the password has been proven
+    if (user.suspended_at) {
+      authAttempts.labels('login', 'suspended').inc();
+      return res.status(403).json({ error: ACCOUNT_SUSPENDED_MESSAGE });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge
+    if (await twoFactorManager.isEnabled(user.id)) {
+      authAttempts.labels('login', 'two_factor_required').inc();
+      return res.json(await issueTwoFactorChallenge(user.id));
+    }
     
-    // Generate token
-    const token = generateToken(user);
-    
-    // Cache token
-    await cacheUserToken(user.id, token);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
     
     // Update metrics
     authAttempts.labels('login', 'success').inc();
@@ -640,11 +1109,15 @@ app.post('/auth/login', authLimiter, async (req, res) => {
     res.json({ 
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: user.role,
         createdAt: user.created_at
       }
     });
@@ -655,130 +1128,1394 @@ app.post('/auth/login', authLimiter, async (req, res) => {
   }
 });
 
-// Token verification endpoint
-app.post('/auth/verify', async (req, res) => {
+// Second login step: exchange a challenge token and a 2FA code for a session
+app.post('/auth/login/2fa', rateLimiters?.twoFactor || authLimiter, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      authAttempts.labels('two_factor', 'validation_failed').inc();
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
     }
-    
-    // Verify JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    
-    // Check if token is still cached (optional, for additional security)
-    const isCached = await isTokenCached(decoded.userId, token);
-    if (!isCached) {
-      return res.status(401).json({ error: 'Token has been invalidated' });
+
+    const userId = await actionTokenManager.peek(value.challengeToken, 'two_factor_challenge');
+    if (!userId) {
+      authAttempts.labels('two_factor', 'invalid_challenge').inc();
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
     }
-    
-    // Verify user still exists
+
+    const method = value.code ? 'totp' : 'recovery_code';
+    const verified = await verifySecondFactor(userId, value);
+
+    if (!verified) {
+      const remainingAttempts = await actionTokenManager.recordFailure(
+        value.challengeToken,
+        'two_factor_challenge',
+        TWO_FACTOR_MAX_ATTEMPTS
+      );
+      authAttempts.labels('two_factor', 'invalid_code').inc();
+      logTwoFactor(req, 'verification_failed', userId, { method, remainingAttempts });
+      return res.status(401).json({ error: 'Invalid two-factor code', remainingAttempts });
+    }
+
+    // Redeem the challenge so it cannot be used for a second session
+    if (!(await actionTokenManager.consume(value.challengeToken, 'two_factor_challenge'))) {
+      authAttempts.labels('two_factor', 'invalid_challenge').inc();
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    }
+
+    if (method === 'recovery_code') {
+      logTwoFactor(req, 'recovery_code_used', userId, {
+        recoveryCodesRemaining: await twoFactorManager.countRecoveryCodes(userId)
+      });
+    }
+
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, created_at FROM users WHERE id = $1',
-      [decoded.userId]
+      'SELECT id, email, first_name, last_name, email_verified, role, suspended_at, created_at FROM users WHERE id = $1',
+      [userId]
     );
-    
+
     if (result.rows.length === 0) {
       return res.status(401).json({ error: 'User not found' });
     }
-    
+
     const user = result.rows[0];
-    
+
+    if (user.suspended_at) {
+      authAttempts.labels('two_factor', 'suspended').inc();
+      return res.status(403).json({ error: ACCOUNT_SUSPENDED_MESSAGE });
+    }
+
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    authAttempts.labels('two_factor', 'success').inc();
+    activeUsers.inc();
+
+    logger.info('User logged in successfully', { userId: user.id, email: user.email, twoFactor: method });
+
     res.json({ 
-      valid: true, 
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: user.role,
         createdAt: user.created_at
       }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
-    
-    logger.error('Token verification error:', error);
+    authAttempts.labels('two_factor', 'error').inc();
+    logger.error('Two-factor login error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Logout endpoint
-app.post('/auth/logout', async (req, res) => {
+// Public keys for verifying access tokens, including recently retired ones
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(signingKeyManager.getJwks());
+});
+
+// Identity providers available for sign-in
+app.get('/auth/oidc/providers', (req, res) => {
+  res.json({ providers: oidcManager.listProviders() });
+});
+
+// Start signing in with an identity provider; the browser is sent to the provider
+app.get('/auth/oidc/:provider/authorize', authLimiter, async (req, res) => {
+  const provider = oidcManager.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown identity provider' });
+  }
+
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-    
-    // Verify token to get user ID
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    
-    // Invalidate token from cache
-    await invalidateUserToken(decoded.userId);
-    
-    logger.info('User logged out successfully', { userId: decoded.userId });
-    
-    res.json({ message: 'Logout successful' });
+    const authorizationUrl = await oidcManager.createAuthorizationRequest(provider, oidcCallbackUrl(provider.id));
+    res.redirect(authorizationUrl);
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    
-    logger.error('Logout error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('OIDC authorize error:', { provider: provider.id, error: error.message });
+    redirectToApp(res, '/auth/login', { oidcError: 'provider_unavailable' });
   }
 });
 
-// Get user profile endpoint
-app.get('/auth/profile', async (req, res) => {
+// Start linking an identity provider to the signed-in account. Returns the URL to
+// open, since a browser navigation cannot carry the bearer token.
+app.post('/auth/oidc/:provider/link', authenticate, async (req, res) => {
+  const provider = oidcManager.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown identity provider' });
+  }
+
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    const identities = await oidcManager.listIdentities(req.auth.userId);
+    if (identities.some(identity => identity.provider === provider.id)) {
+      return res.status(409).json({ error: 'This provider is already linked to your account' });
     }
-    
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    
-    // Get user profile
+
+    const authorizationUrl = await oidcManager.createAuthorizationRequest(
+      provider,
+      oidcCallbackUrl(provider.id),
+      req.auth.userId
+    );
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    logger.error('OIDC link error:', { provider: provider.id, error: error.message });
+    res.status(502).json({ error: 'Identity provider is unavailable' });
+  }
+});
+
+// Provider redirect target: finish the code exchange, then sign in or link
+app.get('/auth/oidc/:provider/callback', async (req, res) => {
+  const provider = oidcManager.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown identity provider' });
+  }
+
+  try {
+    const authRequest = await oidcManager.consumeAuthorizationRequest(provider.id, req.query.state);
+    const failurePath = authRequest && authRequest.link_user_id ? '/settings' : '/auth/login';
+
+    if (req.query.error || !req.query.code) {
+      authAttempts.labels('oidc', 'provider_error').inc();
+      return redirectToApp(res, failurePath, { oidcError: 'access_denied' });
+    }
+
+    if (!authRequest) {
+      authAttempts.labels('oidc', 'invalid_state').inc();
+      return redirectToApp(res, '/auth/login', { oidcError: 'invalid_state' });
+    }
+
+    const claims = await oidcManager.completeAuthorization(
+      provider,
+      String(req.query.code),
+      authRequest,
+      oidcCallbackUrl(provider.id)
+    );
+    const linkedUserId = await oidcManager.findUserIdByIdentity(provider.id, claims.sub);
+
+    // Linking from the profile page
+    if (authRequest.link_user_id) {
+      if (linkedUserId && linkedUserId !== authRequest.link_user_id) {
+        return redirectToApp(res, '/settings', { oidcError: 'identity_in_use' });
+      }
+      if (!linkedUserId) {
+        await oidcManager.linkIdentity(authRequest.link_user_id, provider.id, claims.sub, claims.email);
+        if (auditLog && auditLog.logSecurityEvent) {
+          auditLog.logSecurityEvent('identity_linked', {
+            userId: authRequest.link_user_id,
+            provider: provider.id,
+            ip: req.ip
+          });
+        }
+      }
+      return redirectToApp(res, '/settings', { linked: provider.id });
+    }
+
+    let userId = linkedUserId;
+
+    if (userId) {
+      await oidcManager.touchIdentity(provider.id, claims.sub);
+    } else {
+      if (!claims.email) {
+        authAttempts.labels('oidc', 'email_missing').inc();
+        return redirectToApp(res, '/auth/login', { oidcError: 'email_required' });
+      }
+
+      const email = sanitizeEmail(claims.email);
+
+      // Never attach a provider to an existing account just because the email matches;
+      // the owner has to sign in and link it from their profile
+      const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+      if (existing.rows.length > 0) {
+        authAttempts.labels('oidc', 'account_exists').inc();
+        return redirectToApp(res, '/auth/login', { oidcError: 'account_exists' });
+      }
+
+      const [fallbackFirst, ...fallbackRest] = (claims.name || '').split(' ');
+      const created = await pool.query(`
+        INSERT INTO users (email, password_hash, has_password, first_name, last_name, email_verified, email_verified_at)
+        VALUES ($1, $2, false, $3, $4, $5, CASE WHEN $5 THEN CURRENT_TIMESTAMP END)
+        RETURNING id
+      `, [
+        email,
+        // Unusable password; the user can set one through the reset flow
+        await hashPassword(crypto.randomBytes(32).toString('hex')),
+        sanitizeInput(claims.given_name || fallbackFirst || 'New', 100),
+        sanitizeInput(claims.family_name || fallbackRest.join(' ') || 'User', 100),
+        claims.email_verified === true
+      ]);
+
+      userId = created.rows[0].id;
+      await oidcManager.linkIdentity(userId, provider.id, claims.sub, email);
+      logger.info('User registered through identity provider', { userId, provider: provider.id });
+    }
+
+    // Hand the frontend a one-time code instead of putting tokens in the URL
+    const { token } = await actionTokenManager.issue(userId, 'oidc_login', OIDC_LOGIN_CODE_TTL_MINUTES);
+    authAttempts.labels('oidc', 'authorized').inc();
+    redirectToApp(res, '/auth/oidc/complete', { code: token });
+  } catch (error) {
+    authAttempts.labels('oidc', 'error').inc();
+    logger.error('OIDC callback error:', { provider: provider.id, error: error.message });
+    redirectToApp(res, '/auth/login', { oidcError: 'sign_in_failed' });
+  }
+});
+
+// Trade the one-time code from the provider callback for a session
+app.post('/auth/oidc/exchange', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = oidcExchangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const userId = await actionTokenManager.consume(value.code, 'oidc_login');
+    if (!userId) {
+      authAttempts.labels('oidc', 'invalid_code').inc();
+      return res.status(401).json({ error: 'Sign-in link is invalid or has expired' });
+    }
+
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, created_at, updated_at FROM users WHERE id = $1',
-      [decoded.userId]
+      'SELECT id, email, first_name, last_name, email_verified, role, suspended_at, created_at FROM users WHERE id = $1',
+      [userId]
     );
-    
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    if (user.suspended_at) {
+      authAttempts.labels('oidc', 'suspended').inc();
+      return res.status(403).json({ error: ACCOUNT_SUSPENDED_MESSAGE });
+    }
+
+    if (await twoFactorManager.isEnabled(user.id)) {
+      authAttempts.labels('oidc', 'two_factor_required').inc();
+      return res.json(await issueTwoFactorChallenge(user.id));
+    }
+
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    authAttempts.labels('oidc', 'success').inc();
+    activeUsers.inc();
+
+    logger.info('User logged in through identity provider', { userId: user.id });
+
+    res.json({ 
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: user.role,
+        createdAt: user.created_at
+      }
+    });
+  } catch (error) {
+    authAttempts.labels('oidc', 'error').inc();
+    logger.error('OIDC exchange error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Identity providers linked to the signed-in account
+app.get('/auth/identities', authenticate, async (req, res) => {
+  try {
+    const [identities, userResult] = await Promise.all([
+      oidcManager.listIdentities(req.auth.userId),
+      pool.query('SELECT has_password FROM users WHERE id = $1', [req.auth.userId])
+    ]);
+
+    res.json({
+      identities: identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        createdAt: identity.created_at,
+        lastLoginAt: identity.last_login_at
+      })),
+      providers: oidcManager.listProviders(),
+      hasPassword: userResult.rows.length > 0 ? userResult.rows[0].has_password !== false : true
+    });
+  } catch (error) {
+    logger.error('List identities error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlink an identity provider, unless it is the only way left to sign in
+app.delete('/auth/identities/:provider', authenticate, async (req, res) => {
+  try {
+    const [identities, userResult] = await Promise.all([
+      oidcManager.listIdentities(req.auth.userId),
+      pool.query('SELECT has_password FROM users WHERE id = $1', [req.auth.userId])
+    ]);
+
+    if (!identities.some(identity => identity.provider === req.params.provider)) {
+      return res.status(404).json({ error: 'Identity not linked' });
+    }
+
+    const hasPassword = userResult.rows.length > 0 && userResult.rows[0].has_password !== false;
+    if (!hasPassword && identities.length === 1) {
+      return res.status(409).json({
+        error: 'Set a password before unlinking your only sign-in method'
+      });
+    }
+
+    await oidcManager.unlinkIdentity(req.auth.userId, req.params.provider);
+
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('identity_unlinked', {
+        userId: req.auth.userId,
+        provider: req.params.provider,
+        ip: req.ip
+      });
+    }
+
+    res.json({ message: 'Identity provider unlinked' });
+  } catch (error) {
+    logger.error('Unlink identity error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a lockout with the link emailed when the account was locked
+app.post('/auth/unlock', rateLimiters?.passwordReset || authLimiter, async (req, res) => {
+  try {
+    const { error, value } = unlockAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const userId = await actionTokenManager.consume(value.token, 'account_unlock');
+    if (!userId) {
+      return res.status(400).json({ error: 'Unlock link is invalid or has expired' });
+    }
+
+    const result = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
+
+    await loginGuard.reset(result.rows[0].email);
+
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('account_unlocked', { userId, ip: req.ip });
+    }
+
+    res.json({ message: 'Account unlocked, you can sign in again' });
+  } catch (error) {
+    logger.error('Account unlock error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Token refresh endpoint
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      authAttempts.labels('refresh', 'validation_failed').inc();
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const rotation = await sessionManager.rotateRefreshToken(value.refreshToken);
+
+    if (rotation.error) {
+      authAttempts.labels('refresh', rotation.error).inc();
+      if (rotation.error === 'reused' && auditLog && auditLog.logSecurityEvent) {
+        auditLog.logSecurityEvent('refresh_token_reuse', {
+          userId: rotation.userId,
+          sessionId: rotation.sessionId,
+          ip: req.ip
+        });
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, first_name, last_name, role, suspended_at FROM users WHERE id = $1',
+      [rotation.userId]
+    );
+
+    if (result.rows.length === 0) {
+      await sessionManager.revokeSession(rotation.sessionId);
+      authAttempts.labels('refresh', 'user_not_found').inc();
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (result.rows[0].suspended_at) {
+      await sessionManager.revokeSession(rotation.sessionId);
+      authAttempts.labels('refresh', 'suspended').inc();
+      return res.status(401).json({ error: ACCOUNT_SUSPENDED_MESSAGE });
+    }
+
+    const token = generateToken(result.rows[0], rotation.sessionId);
+
+    authAttempts.labels('refresh', 'success').inc();
+
+    res.json({
+      token,
+      refreshToken: rotation.refreshToken,
+      expiresIn: accessTokenExpiresIn
+    });
+  } catch (error) {
+    authAttempts.labels('refresh', 'error').inc();
+    logger.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Token verification endpoint
+app.post('/auth/verify', authenticateWithPersonalToken, async (req, res) => {
+  try {
+    // Verify user still exists
+    const result = await pool.query(
+      'SELECT id, email, first_name, last_name, role, created_at FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'User not found' });
+    }
     
     const user = result.rows[0];
     
-    res.json({
+    res.json({ 
+      valid: true, 
       user: {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        role: user.role,
         createdAt: user.created_at,
-        updatedAt: user.updated_at
+        // Only present for personal access tokens
+        ...(req.auth.scopes && { scopes: req.auth.scopes })
       }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Invalid token' });
+    logger.error('Token verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout endpoint - ends the current device session only
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+    let sessionId = null;
+    let userId = null;
+
+    if (token) {
+      try {
+        const decoded = await verifyToken(token);
+        sessionId = decoded.sid || null;
+        userId = decoded.userId;
+      } catch (error) {
+        // An expired access token should not prevent signing out
+        if (error.name !== 'TokenExpiredError' && error.name !== 'JsonWebTokenError') {
+          throw error;
+        }
+      }
+    }
+
+    if (sessionId) {
+      await sessionManager.revokeSession(sessionId, userId);
+    } else if (req.body && req.body.refreshToken) {
+      // Clients whose access token already expired sign out with the refresh token
+      await sessionManager.revokeByRefreshToken(req.body.refreshToken);
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
     }
     
-    logger.error('Profile fetch error:', error);
+    logger.info('User logged out successfully', { userId, sessionId });
+    
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active device sessions
+app.get('/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionManager.listSessions(req.auth.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.auth.sid
+      }))
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a device session
+app.delete('/auth/sessions/:id', authenticate, async (req, res) => {
+  try {
+    if (!SessionManager.isSessionId(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revoked = await sessionManager.revokeSession(req.params.id, req.auth.userId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    logger.info('Session revoked', { userId: req.auth.userId, sessionId: req.params.id });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List personal access tokens
+app.get('/auth/tokens', authenticate, async (req, res) => {
+  try {
+    const tokens = await personalTokenManager.list(req.auth.userId);
+    res.json({ tokens, availableScopes: TOKEN_SCOPES });
+  } catch (error) {
+    logger.error('List personal access tokens error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a personal access token; the token itself is only returned here
+app.post('/auth/tokens', rateLimiters?.auth || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = createPersonalTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const created = await personalTokenManager.create(req.auth.userId, {
+      name: value.name,
+      scopes: value.scopes,
+      expiresAt: new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    if (!created) {
+      return res.status(409).json({ error: 'Too many active tokens; revoke one first' });
+    }
+
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('personal_token_created', {
+        userId: req.auth.userId,
+        tokenId: created.record.id,
+        scopes: value.scopes,
+        ip: req.ip
+      });
+    }
+
+    res.status(201).json({ token: created.token, ...created.record });
+  } catch (error) {
+    logger.error('Create personal access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a personal access token
+app.delete('/auth/tokens/:id', authenticate, async (req, res) => {
+  try {
+    const tokenId = parseIdParam(req.params.id);
+    const revoked = tokenId && await personalTokenManager.revoke(tokenId, req.auth.userId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('personal_token_revoked', { userId: req.auth.userId, tokenId, ip: req.ip });
+    }
+
+    res.json({ message: 'Token revoked successfully' });
+  } catch (error) {
+    logger.error('Revoke personal access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get user profile endpoint
+app.get('/auth/profile', authenticateWithPersonalToken, async (req, res) => {
+  try {
+    // Get user profile
+    const result = await pool.query(
+      'SELECT id, email, first_name, last_name, email_verified, role, media_metadata_privacy, created_at, updated_at FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const user = result.rows[0];
+    const twoFactorEnabled = await twoFactorManager.isEnabled(user.id);
+    
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: user.role,
+        twoFactorEnabled,
+        mediaMetadataPrivacy: user.media_metadata_privacy,
+        createdAt: user.created_at,
+        updatedAt: user.updated_at
+      }
+    });
+  } catch (error) {
+    logger.error('Profile fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the signed-in user's name, email or media privacy setting
+app.patch('/auth/profile', authenticate, async (req, res) => {
+  try {
+    const { error, value } = updateProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const current = await pool.query(
+      'SELECT id, email, password_hash, first_name FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const existing = current.rows[0];
+    const newEmail = value.email ? sanitizeEmail(value.email) : existing.email;
+    const emailChanged = newEmail !== existing.email;
+
+    if (emailChanged) {
+      // 403 rather than 401 so clients do not treat a wrong password as an expired session
+      if (!(await verifyPassword(value.currentPassword, existing.password_hash))) {
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      }
+
+      const taken = await pool.query('SELECT id FROM users WHERE email = $1 AND id <> $2', [newEmail, existing.id]);
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ error: 'Email is already in use' });
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET
+        first_name = COALESCE($1, first_name),
+        last_name = COALESCE($2, last_name),
+        email = $3,
+        email_verified = CASE WHEN $4 THEN false ELSE email_verified END,
+        email_verified_at = CASE WHEN $4 THEN NULL ELSE email_verified_at END,
+        media_metadata_privacy = COALESCE($6, media_metadata_privacy),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING id, email, first_name, last_name, email_verified, role, media_metadata_privacy, created_at, updated_at
+    `, [
+      value.firstName ? sanitizeInput(value.firstName, 50) : null,
+      value.lastName ? sanitizeInput(value.lastName, 50) : null,
+      newEmail,
+      emailChanged,
+      existing.id,
+      value.mediaMetadataPrivacy || null
+    ]);
+
+    const user = result.rows[0];
+
+    if (emailChanged) {
+      if (auditLog && auditLog.logSecurityEvent) {
+        auditLog.logSecurityEvent('email_changed', { userId: user.id, ip: req.ip });
+      }
+
+      try {
+        await sendActionEmail(user, 'email_verification');
+      } catch (emailError) {
+        logger.warn('Failed to send verification email (non-critical):', emailError.message);
+      }
+    }
+
+    logger.info('Profile updated', { userId: user.id, emailChanged });
+
+    res.json({
+      message: emailChanged
+        ? 'Profile updated, please confirm your new email address'
+        : 'Profile updated',
+      // The access token carries the name and email, so hand out a fresh one
+      token: generateToken(user, req.auth.sid),
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: user.email_verified,
+        role: user.role,
+        mediaMetadataPrivacy: user.media_metadata_privacy,
+        createdAt: user.created_at,
+        updatedAt: user.updated_at
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Email is already in use' });
+    }
+    logger.error('Profile update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the password of the signed-in user; other devices are signed out
+app.post('/auth/password/change', rateLimiters?.auth || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, password_hash FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    if (!(await verifyPassword(value.currentPassword, user.password_hash))) {
+      authAttempts.labels('password_change', 'invalid_credentials').inc();
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordValidation = validatePassword(value.newPassword);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ 
+        error: 'Password does not meet security requirements', 
+        details: passwordValidation.errors
+      });
+    }
+
+    if (await verifyPassword(value.newPassword, user.password_hash)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    const hashedPassword = await hashPassword(value.newPassword);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hashedPassword, user.id]
+    );
+
+    const revokedSessions = await sessionManager.revokeAllSessions(user.id, req.auth.sid);
+
+    authAttempts.labels('password_change', 'success').inc();
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('password_changed', { userId: user.id, revokedSessions, ip: req.ip });
+    }
+
+    res.json({ message: 'Password changed, other devices have been signed out', revokedSessions });
+  } catch (error) {
+    authAttempts.labels('password_change', 'error').inc();
+    logger.error('Password change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete the signed-in user's account together with their albums and stored media
+app.delete('/auth/account', rateLimiters?.auth || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = deleteAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, password_hash FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    if (!(await verifyPassword(value.password, user.password_hash))) {
+      return res.status(403).json({ error: 'Password is incorrect' });
+    }
+
+    if (await twoFactorManager.isEnabled(user.id)) {
+      if (!value.code && !value.recoveryCode) {
+        return res.status(403).json({ error: 'Two-factor code required', twoFactorRequired: true });
+      }
+      if (!(await verifySecondFactor(user.id, value))) {
+        logTwoFactor(req, 'verification_failed', user.id, { action: 'delete_account' });
+        return res.status(403).json({ error: 'Invalid two-factor code' });
+      }
+    }
+
+    // Remove data held by other services first. Deleting the user row would cascade
+    // the database records but leave the files in storage behind.
+    try {
+      await callServiceAsUser(`${TASK_SERVICE_URL}/albums?confirm=true`, 'DELETE', req.headers.authorization);
+      await callServiceAsUser(`${MEDIA_SERVICE_URL}/media?confirm=true&permanent=true`, 'DELETE', req.headers.authorization);
+    } catch (cascadeError) {
+      logger.error('Account deletion cascade failed:', { userId: user.id, error: cascadeError.message });
+      return res.status(502).json({ error: 'Could not delete all of your albums and media, please try again' });
+    }
+
+    await sessionManager.revokeAllSessions(user.id);
+    await pool.query('DELETE FROM users WHERE id = $1', [user.id]);
+    await loginGuard.reset(user.email);
+
+    activeUsers.dec();
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('account_deleted', { userId: user.id, ip: req.ip });
+    }
+
+    await publishEvent('user.deleted', { userId: user.id });
+
+    logger.info('Account deleted', { userId: user.id });
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    logger.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a password reset link
+app.post('/auth/password/forgot', rateLimiters?.passwordReset || authLimiter, async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1',
+      [sanitizeEmail(value.email)]
+    );
+
+    // Same response whether or not the account exists, so emails cannot be enumerated
+    if (result.rows.length > 0) {
+      await sendActionEmail(result.rows[0], 'password_reset');
+      logger.info('Password reset requested', { userId: result.rows[0].id });
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with a reset token
+app.post('/auth/password/reset', rateLimiters?.passwordReset || authLimiter, async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const passwordValidation = validatePassword(value.password);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ 
+        error: 'Password does not meet security requirements', 
+        details: passwordValidation.errors
+      });
+    }
+
+    const userId = await actionTokenManager.consume(value.token, 'password_reset');
+    if (!userId) {
+      authAttempts.labels('password_reset', 'invalid_token').inc();
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const hashedPassword = await hashPassword(value.password);
+
+    // Receiving the email proves ownership of the address as well
+    const updated = await pool.query(`
+      UPDATE users SET password_hash = $1,
+        has_password = true,
+        email_verified = true,
+        email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+      WHERE id = $2
+      RETURNING email
+    `, [hashedPassword, userId]);
+
+    // Whoever knew the old password must not stay signed in
+    await sessionManager.revokeAllSessions(userId);
+
+    // A lockout from attacks on the old password should not block the new one
+    if (updated.rows.length > 0) {
+      await loginGuard.reset(updated.rows[0].email);
+    }
+
+    authAttempts.labels('password_reset', 'success').inc();
+    if (auditLog && auditLog.logSecurityEvent) {
+      auditLog.logSecurityEvent('password_reset', { userId, ip: req.ip });
+    }
+
+    res.json({ message: 'Password has been reset, please sign in with your new password' });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email address with a verification token
+app.post('/auth/email/verify', async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const userId = await actionTokenManager.consume(value.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+
+    logger.info('Email verified', { userId });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a fresh verification email to the signed-in user
+app.post('/auth/email/verify/resend', rateLimiters?.emailVerification || authLimiter, authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, first_name, email_verified FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    if (user.email_verified) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+
+    await sendActionEmail(user, 'email_verification');
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Two-factor status of the signed-in user
+app.get('/auth/2fa', authenticate, async (req, res) => {
+  try {
+    const status = await twoFactorManager.getStatus(req.auth.userId);
+    const recoveryCodesRemaining = status.enabled
+      ? await twoFactorManager.countRecoveryCodes(req.auth.userId)
+      : 0;
+
+    res.json({
+      enabled: status.enabled,
+      pending: status.pending,
+      enabledAt: status.enabledAt || null,
+      recoveryCodesRemaining
+    });
+  } catch (error) {
+    logger.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start 2FA enrollment; the password is asked again before a secret is handed out.
+// Wrong passwords and codes on the signed-in 2FA routes answer 403 so clients do not
+// mistake them for an expired session.
+app.post('/auth/2fa/setup', rateLimiters?.twoFactor || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = twoFactorSetupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, password_hash FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    if (!(await verifyPassword(value.password, user.password_hash))) {
+      logTwoFactor(req, 'setup_failed', user.id, { reason: 'invalid_password' });
+      return res.status(403).json({ error: 'Invalid password' });
+    }
+
+    const enrollment = await twoFactorManager.beginEnrollment(user.id, user.email);
+    if (!enrollment) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauthUrl,
+      // Clients render this string as the QR code
+      qrPayload: enrollment.otpauthUrl
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm enrollment with the first code and hand out recovery codes
+app.post('/auth/2fa/confirm', rateLimiters?.twoFactor || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const recoveryCodes = await twoFactorManager.confirmEnrollment(req.auth.userId, value.code);
+    if (!recoveryCodes) {
+      logTwoFactor(req, 'enrollment_failed', req.auth.userId);
+      return res.status(400).json({ error: 'Invalid code or no enrollment in progress' });
+    }
+
+    logTwoFactor(req, 'enrolled', req.auth.userId);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Two-factor confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the recovery codes; needs a current TOTP code
+app.post('/auth/2fa/recovery-codes', rateLimiters?.twoFactor || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    if (!(await twoFactorManager.verifyCode(req.auth.userId, value.code))) {
+      logTwoFactor(req, 'verification_failed', req.auth.userId, { method: 'totp', action: 'recovery_codes' });
+      return res.status(403).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await twoFactorManager.regenerateRecoveryCodes(req.auth.userId);
+    logTwoFactor(req, 'recovery_codes_regenerated', req.auth.userId);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    logger.error('Recovery code regeneration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn 2FA off; needs the password and a code
+app.post('/auth/2fa/disable', rateLimiters?.twoFactor || authLimiter, authenticate, async (req, res) => {
+  try {
+    const { error, value } = twoFactorDisableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, password_hash FROM users WHERE id = $1',
+      [req.auth.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await twoFactorManager.isEnabled(req.auth.userId))) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = value.code ? 'totp' : 'recovery_code';
+    const validPassword = await verifyPassword(value.password, result.rows[0].password_hash);
+
+    if (!validPassword || !(await verifySecondFactor(req.auth.userId, value))) {
+      logTwoFactor(req, 'verification_failed', req.auth.userId, { method, action: 'disable' });
+      return res.status(403).json({ error: 'Invalid password or two-factor code' });
+    }
+
+    await twoFactorManager.disable(req.auth.userId);
+    logTwoFactor(req, 'disabled', req.auth.userId, { method });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: list users, newest first
+app.get('/auth/admin/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = adminListUsersSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const search = value.search ? `%${value.search.replace(/[\\%_]/g, '\\$&')}%` : null;
+    const offset = (value.page - 1) * value.limit;
+
+    const result = await pool.query(`
+      SELECT ${ADMIN_USER_COLUMNS}, COUNT(*) OVER() AS total_count
+      FROM users
+      WHERE ($1::text IS NULL OR email ILIKE $1 OR first_name ILIKE $1 OR last_name ILIKE $1)
+        AND ($2::text IS NULL OR role = $2)
+        AND ($3::boolean IS NULL OR (suspended_at IS NOT NULL) = $3)
+      ORDER BY created_at DESC
+      LIMIT $4 OFFSET $5
+    `, [search, value.role || null, value.suspended ?? null, value.limit, offset]);
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    res.json({
+      users: result.rows.map(formatAdminUser),
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        pages: Math.ceil(total / value.limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: suspend a user and sign them out everywhere
+app.post('/auth/admin/users/:id/suspend', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseIdParam(req.params.id);
+    if (!userId) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { error, value } = adminSuspendSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    if (userId === req.auth.userId) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET suspended_at = COALESCE(suspended_at, CURRENT_TIMESTAMP),
+        suspended_reason = $2,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${ADMIN_USER_COLUMNS}
+    `, [userId, value.reason || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revokedSessions = await sessionManager.revokeAllSessions(userId);
+
+    if (auditLog && auditLog.logPrivilegedAction) {
+      auditLog.logPrivilegedAction(req, 'user_suspended', { userId, revokedSessions });
+    }
+
+    res.json({ message: 'User suspended', user: formatAdminUser(result.rows[0]) });
+  } catch (error) {
+    logger.error('Admin suspend user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: lift a suspension
+app.post('/auth/admin/users/:id/reinstate', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseIdParam(req.params.id);
+    if (!userId) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET suspended_at = NULL,
+        suspended_reason = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${ADMIN_USER_COLUMNS}
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (auditLog && auditLog.logPrivilegedAction) {
+      auditLog.logPrivilegedAction(req, 'user_reinstated', { userId });
+    }
+
+    res.json({ message: 'User reinstated', user: formatAdminUser(result.rows[0]) });
+  } catch (error) {
+    logger.error('Admin reinstate user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: move a user to another storage plan and/or override its quota
+app.put('/auth/admin/users/:id/quota', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseIdParam(req.params.id);
+    if (!userId) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { error, value } = adminQuotaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET storage_plan = COALESCE($2, storage_plan),
+        storage_quota_bytes = CASE WHEN $3::boolean THEN $4::bigint ELSE storage_quota_bytes END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${ADMIN_USER_COLUMNS}
+    `, [userId, value.plan || null, value.quotaBytes !== undefined, value.quotaBytes ?? null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (auditLog && auditLog.logPrivilegedAction) {
+      auditLog.logPrivilegedAction(req, 'storage_quota_changed', { userId, plan: value.plan, quotaBytes: value.quotaBytes });
+    }
+
+    res.json({ message: 'Storage quota updated', user: formatAdminUser(result.rows[0]) });
+  } catch (error) {
+    // The plan must be one of storage_plans
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown storage plan' });
+    }
+    logger.error('Admin quota update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: replace the current signing key, e.g. after a suspected leak. The new
+// key signs once it has been published for JWT_KEY_PUBLISH_SECONDS; tokens
+// signed with the old key stay valid until they expire.
+app.post('/auth/admin/keys/rotate', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const kid = await signingKeyManager.rotate();
+
+    if (auditLog && auditLog.logPrivilegedAction) {
+      auditLog.logPrivilegedAction(req, 'signing_key_rotated', { kid });
+    }
+
+    res.json({ message: 'Signing key rotated', kid });
+  } catch (error) {
+    logger.error('Signing key rotation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -797,6 +2534,7 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  signingKeyManager.stopSchedule();
   
   if (redisClient) {
     await redisClient.disconnect();
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { OidcManager } = require('../utils/oidc-manager');
+
+/**
+ * Runs the PKCE login against the mock provider of the oidc compose profile:
+ *   docker compose --profile oidc up mock-oidc
+ * Point OIDC_MOCK_ISSUER at it when it is not on localhost:8080. Skipped when
+ * the provider does not answer.
+ */
+const ISSUER = process.env.OIDC_MOCK_ISSUER || 'http://localhost:8080/default';
+const REDIRECT_URI = 'http://localhost:3000/api/auth/oidc/mock/callback';
+
+// Whether the provider serves its discovery document, checked before any test is declared
+const providerAvailable = () => spawnSync(process.execPath, ['-e', `
+  fetch(${JSON.stringify(`${ISSUER}/.well-known/openid-configuration`)}, { signal: AbortSignal.timeout(2000) })
+    .then(response => process.exit(response.ok ? 0 : 1), () => process.exit(1));
+`], { timeout: 5000 }).status === 0;
+
+// A pool keeping oidc_auth_requests in memory
+const authRequestPool = () => {
+  const requests = new Map();
+  return {
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('INSERT INTO oidc_auth_requests')) {
+        const [stateHash, provider, codeVerifier, nonce, linkUserId] = params;
+        requests.set(stateHash, { provider, code_verifier: codeVerifier, nonce, link_user_id: linkUserId });
+        return { rows: [] };
+      }
+      if (sql.includes('RETURNING code_verifier')) {
+        const [stateHash, provider] = params;
+        const request = requests.get(stateHash);
+        requests.delete(stateHash);
+        return { rows: request && request.provider === provider ? [request] : [] };
+      }
+      return { rows: [] };
+    })
+  };
+};
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Sign in on the provider's login form, as a user would, and follow it back to the callback
+const signIn = async (authorizationUrl, username, claims) => {
+  const response = await fetch(authorizationUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ username, claims: JSON.stringify(claims) }),
+    redirect: 'manual'
+  });
+  expect(response.status).toBe(302);
+
+  const callback = new URL(response.headers.get('location'));
+  expect(`${callback.origin}${callback.pathname}`).toBe(REDIRECT_URI);
+  return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+};
+
+(providerAvailable() ? describe : describe.skip)('OIDC login against the mock provider', () => {
+  let manager;
+  let provider;
+
+  beforeEach(() => {
+    manager = new OidcManager(authRequestPool(), logger, {
+      env: {
+        OIDC_PROVIDERS: 'mock',
+        OIDC_MOCK_ISSUER: ISSUER,
+        OIDC_MOCK_CLIENT_ID: 'task-manager',
+        OIDC_MOCK_CLIENT_SECRET: 'mock-secret'
+      }
+    });
+    provider = manager.getProvider('mock');
+  });
+
+  it('signs in with the authorization code flow and PKCE', async () => {
+    const authorizationUrl = new URL(await manager.createAuthorizationRequest(provider, REDIRECT_URI));
+    expect(authorizationUrl.searchParams.get('code_challenge_method')).toBe('S256');
+
+    const subject = `user-${crypto.randomBytes(4).toString('hex')}`;
+    const { code, state } = await signIn(authorizationUrl, subject, { email: `${subject}@example.com` });
+
+    const authRequest = await manager.consumeAuthorizationRequest('mock', state);
+    expect(authRequest).not.toBeNull();
+    await expect(manager.consumeAuthorizationRequest('mock', state)).resolves.toBeNull();
+
+    const claims = await manager.completeAuthorization(provider, code, authRequest, REDIRECT_URI);
+    expect(claims.sub).toBe(subject);
+    expect(claims.email).toBe(`${subject}@example.com`);
+    expect(claims.nonce).toBe(authRequest.nonce);
+  });
+
+  it('rejects a code redeemed without its PKCE verifier', async () => {
+    const authorizationUrl = await manager.createAuthorizationRequest(provider, REDIRECT_URI);
+    const { code, state } = await signIn(authorizationUrl, 'mallory', { email: 'mallory@example.com' });
+    const authRequest = await manager.consumeAuthorizationRequest('mock', state);
+
+    const forged = { ...authRequest, code_verifier: crypto.randomBytes(48).toString('base64url') };
+    await expect(manager.completeAuthorization(provider, code, forged, REDIRECT_URI)).rejects.toThrow(/responded 4\d\d/);
+  });
+});
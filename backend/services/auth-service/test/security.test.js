@@ -0,0 +1,118 @@
+const {
+  signInternalIdentity,
+  verifyInternalIdentity,
+  signMediaUrl,
+  mediaStreamPath,
+  signMediaStreamUrl,
+  verifyMediaUrl,
+  requireScope
+} = require('../lib/security');
+
+const SECRET = 'test-secret';
+
+describe('verifyInternalIdentity', () => {
+  const identity = { userId: 42, role: 'user', scopes: ['media:read'] };
+
+  it('returns the identity the gateway signed', () => {
+    expect(verifyInternalIdentity(signInternalIdentity(identity, SECRET), SECRET)).toMatchObject(identity);
+  });
+
+  it('rejects an identity signed with another secret', () => {
+    expect(verifyInternalIdentity(signInternalIdentity(identity, 'other-secret'), SECRET)).toBeNull();
+  });
+
+  it('rejects a payload changed after signing', () => {
+    const [, signature] = signInternalIdentity(identity, SECRET).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...identity, role: 'admin', exp: 9999999999 })).toString('base64url');
+
+    expect(verifyInternalIdentity(`${forged}.${signature}`, SECRET)).toBeNull();
+  });
+
+  it('rejects an expired identity', () => {
+    expect(verifyInternalIdentity(signInternalIdentity(identity, SECRET, -1), SECRET)).toBeNull();
+  });
+
+  it('rejects malformed headers, and everything without a secret', () => {
+    const [payload] = signInternalIdentity(identity, SECRET).split('.');
+
+    expect(verifyInternalIdentity(undefined, SECRET)).toBeNull();
+    expect(verifyInternalIdentity(payload, SECRET)).toBeNull();
+    expect(verifyInternalIdentity(`${payload}.not-hex`, SECRET)).toBeNull();
+    expect(verifyInternalIdentity(signInternalIdentity(identity, SECRET), '')).toBeNull();
+  });
+});
+
+describe('verifyMediaUrl', () => {
+  const PATH = '/media/12/download';
+
+  // The query parameters of a signed URL, as Express parses them
+  const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+  it('returns the user a URL was signed for', () => {
+    const { url, expiresAt } = signMediaUrl(PATH, 7, SECRET);
+
+    expect(verifyMediaUrl(PATH, queryOf(url), SECRET)).toEqual({ userId: 7, expires: expiresAt.getTime() / 1000 });
+  });
+
+  it('rejects the signature on another path or for another user', () => {
+    const query = queryOf(signMediaUrl(PATH, 7, SECRET).url);
+
+    expect(verifyMediaUrl('/media/13/download', query, SECRET)).toBeNull();
+    expect(verifyMediaUrl(PATH, { ...query, uid: '8' }, SECRET)).toBeNull();
+    expect(verifyMediaUrl(PATH, { ...query, exp: String(Number(query.exp) + 900) }, SECRET)).toBeNull();
+  });
+
+  it('rejects an expired URL', () => {
+    const { url } = signMediaUrl(PATH, 7, SECRET, { ttlSeconds: -60, windowSeconds: 1 });
+
+    expect(verifyMediaUrl(PATH, queryOf(url), SECRET)).toBeNull();
+  });
+
+  it('signs a stream URL for every file under the stream path', () => {
+    const { url } = signMediaStreamUrl(12, 7, SECRET);
+
+    expect(url.split('?')[0]).toBe('/media/12/hls/master.m3u8');
+    expect(verifyMediaUrl(mediaStreamPath(12), queryOf(url), SECRET)).toHaveProperty('userId', 7);
+    expect(verifyMediaUrl(mediaStreamPath(13), queryOf(url), SECRET)).toBeNull();
+  });
+
+  it('rejects URLs without a signature, and everything without a secret', () => {
+    const query = queryOf(signMediaUrl(PATH, 7, SECRET).url);
+
+    expect(verifyMediaUrl(PATH, { uid: query.uid, exp: query.exp }, SECRET)).toBeNull();
+    expect(verifyMediaUrl(PATH, { ...query, sig: ['a', 'b'] }, SECRET)).toBeNull();
+    expect(verifyMediaUrl(PATH, query, null)).toBeNull();
+  });
+});
+
+describe('requireScope', () => {
+  const run = (principal, key = 'user') => {
+    const req = principal ? { [key]: principal } : {};
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    requireScope('media:write')(req, res, next);
+    return { res, next };
+  };
+
+  it('requires an authenticated principal', () => {
+    const { res, next } = run(null);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('turns away a personal access token without the scope', () => {
+    const { res, next } = run({ userId: 1, scopes: ['media:read'] });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Insufficient scope', requiredScope: 'media:write' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('lets through a token with the scope, and sessions, which carry no scopes', () => {
+    expect(run({ userId: 1, scopes: ['media:read', 'media:write'] }).next).toHaveBeenCalled();
+    expect(run({ userId: 1 }).next).toHaveBeenCalled();
+    expect(run({ userId: 1, scopes: ['media:write'] }, 'auth').next).toHaveBeenCalled();
+  });
+});
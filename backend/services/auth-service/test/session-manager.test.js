@@ -0,0 +1,102 @@
+const { SessionManager } = require('../utils/session-manager');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const SESSION_ID = '0b7c4a52-5f0e-4c1a-9d3e-2f6a8b9c1d2e';
+
+// A pool holding one session row, answering the statements SessionManager runs on it
+const sessionPool = (session) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('SELECT id, user_id, refresh_token_hash')) {
+      return { rows: params[0] === session.id ? [{ ...session }] : [] };
+    }
+    if (sql.includes('SET refresh_token_hash')) {
+      const [nextHash, id, presentedHash] = params;
+      if (id !== session.id || session.refresh_token_hash !== presentedHash || session.revoked_at) {
+        return { rowCount: 0, rows: [] };
+      }
+      Object.assign(session, {
+        refresh_token_hash: nextHash,
+        previous_refresh_token_hash: presentedHash,
+        rotated_at: new Date()
+      });
+      return { rowCount: 1, rows: [] };
+    }
+    if (sql.includes('SET revoked_at') && !session.revoked_at) {
+      session.revoked_at = new Date();
+      return { rowCount: 1, rows: [{ id: session.id }] };
+    }
+    return { rowCount: 0, rows: [] };
+  })
+});
+
+describe('SessionManager.rotateRefreshToken', () => {
+  let session;
+  let manager;
+  let onRevoke;
+  let firstToken;
+
+  beforeEach(() => {
+    onRevoke = jest.fn();
+    session = {
+      id: SESSION_ID,
+      user_id: 42,
+      refresh_token_hash: null,
+      previous_refresh_token_hash: null,
+      rotated_at: null,
+      expires_at: new Date(Date.now() + 86400 * 1000),
+      revoked_at: null
+    };
+    manager = new SessionManager(sessionPool(session), logger, { reuseGraceSeconds: 30, onRevoke });
+
+    const { refreshToken, secretHash } = manager.buildRefreshToken(SESSION_ID);
+    session.refresh_token_hash = secretHash;
+    firstToken = refreshToken;
+  });
+
+  it('exchanges the current token for a new one', async () => {
+    const rotated = await manager.rotateRefreshToken(firstToken);
+
+    expect(rotated).toEqual({ sessionId: SESSION_ID, userId: 42, refreshToken: expect.any(String) });
+    expect(rotated.refreshToken).not.toBe(firstToken);
+    await expect(manager.rotateRefreshToken(rotated.refreshToken)).resolves.toHaveProperty('refreshToken');
+  });
+
+  it('only rejects the replaced token within the grace window, as a racing tab sends it', async () => {
+    const rotated = await manager.rotateRefreshToken(firstToken);
+
+    await expect(manager.rotateRefreshToken(firstToken)).resolves.toEqual({ error: 'superseded' });
+    expect(session.revoked_at).toBeNull();
+    expect(onRevoke).not.toHaveBeenCalled();
+    await expect(manager.rotateRefreshToken(rotated.refreshToken)).resolves.toHaveProperty('refreshToken');
+  });
+
+  it('revokes the session when the replaced token comes back after the grace window', async () => {
+    const rotated = await manager.rotateRefreshToken(firstToken);
+    session.rotated_at = new Date(Date.now() - 31 * 1000);
+
+    await expect(manager.rotateRefreshToken(firstToken)).resolves.toEqual({
+      error: 'reused', userId: 42, sessionId: SESSION_ID
+    });
+    expect(onRevoke).toHaveBeenCalledWith([SESSION_ID]);
+    await expect(manager.rotateRefreshToken(rotated.refreshToken)).resolves.toEqual({ error: 'revoked' });
+  });
+
+  it('revokes the session when a token older than the replaced one is presented', async () => {
+    const second = await manager.rotateRefreshToken(firstToken);
+    await manager.rotateRefreshToken(second.refreshToken);
+
+    await expect(manager.rotateRefreshToken(firstToken)).resolves.toHaveProperty('error', 'reused');
+    expect(session.revoked_at).not.toBeNull();
+  });
+
+  it('rejects malformed, unknown and expired tokens without revoking anything', async () => {
+    await expect(manager.rotateRefreshToken('not-a-token')).resolves.toEqual({ error: 'invalid' });
+    await expect(manager.rotateRefreshToken(firstToken.replace(SESSION_ID, '11111111-2222-4333-8444-555555555555')))
+      .resolves.toEqual({ error: 'invalid' });
+
+    session.expires_at = new Date(Date.now() - 1000);
+    await expect(manager.rotateRefreshToken(firstToken)).resolves.toEqual({ error: 'expired' });
+    expect(session.revoked_at).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { SigningKeyManager } = require('../utils/signing-key-manager');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const keyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// A pool that answers the key query with the given rows
+const poolWith = (rows) => ({ query: jest.fn(async () => ({ rows })) });
+
+describe('SigningKeyManager', () => {
+  const now = Date.now();
+  const current = keyPair();
+  const next = keyPair();
+  let manager;
+
+  beforeEach(async () => {
+    manager = new SigningKeyManager(null, 'test-encryption-key', logger);
+    const activation = new Date(now + 600 * 1000);
+
+    // Mid-rotation: the next key is published, the current one hands over to it at activation
+    manager.pool = poolWith([
+      {
+        kid: 'next',
+        public_key: next.publicKey,
+        private_key_encrypted: manager.encryptPrivateKey(next.privateKey),
+        created_at: new Date(now),
+        activates_at: activation,
+        retired_at: null,
+        signing: true
+      },
+      {
+        kid: 'current',
+        public_key: current.publicKey,
+        private_key_encrypted: manager.encryptPrivateKey(current.privateKey),
+        created_at: new Date(now - 86400 * 1000),
+        activates_at: new Date(now - 86400 * 1000),
+        retired_at: activation,
+        signing: true
+      }
+    ]);
+    await manager.refresh();
+  });
+
+  it('publishes a rotated key before signing with it', () => {
+    expect(manager.getJwks().keys.map(key => key.kid)).toEqual(['next', 'current']);
+    expect(manager.getSigningKey().kid).toBe('current');
+  });
+
+  it('signs with the new key once it has been published long enough', () => {
+    expect(manager.activeKey(new Date(now + 601 * 1000)).kid).toBe('next');
+  });
+
+  it('does not rotate again while the next key is waiting to sign', async () => {
+    const db = poolWith([{ kid: 'next' }]);
+    await expect(manager.isRotationDue(db)).resolves.toBe(false);
+  });
+
+  it('rotates when the newest key cannot be decrypted here', async () => {
+    const other = new SigningKeyManager(manager.pool, 'another-encryption-key', logger);
+    await other.refresh();
+
+    expect(other.getSigningKey()).toBeNull();
+    await expect(other.isRotationDue(poolWith([{ kid: 'next' }]))).resolves.toBe(true);
+  });
+});
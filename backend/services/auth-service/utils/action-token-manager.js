@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * ActionTokenManager issues signed, single-use, expiring tokens for emailed
+ * links such as password resets and email verification
+ */
+class ActionTokenManager {
+  constructor(pool, secret, logger) {
+    this.pool = pool;
+    this.secret = secret;
+    this.logger = logger;
+  }
+
+  /**
+   * Sign a payload with the service secret
+   */
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a token for a user, invalidating earlier unused tokens with the same purpose
+   */
+  async issue(userId, purpose, ttlMinutes) {
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    const encodedPayload = Buffer.from(JSON.stringify({
+      uid: userId,
+      purpose,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+      nonce: crypto.randomBytes(16).toString('hex')
+    })).toString('base64url');
+    const token = `${encodedPayload}.${this.sign(encodedPayload)}`;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE user_action_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+      `, [userId, purpose]);
+      await client.query(`
+        INSERT INTO user_action_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4)
+      `, [userId, purpose, this.hashToken(token), expiresAt]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Check the signature and expiry of a token without touching the database
+   */
+  decode(token, purpose) {
+    if (typeof token !== 'string') return null;
+
+    const [encodedPayload, signature, extra] = token.split('.');
+    if (!encodedPayload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const presented = Buffer.from(signature);
+    if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.purpose !== purpose || !payload.exp || payload.exp * 1000 <= Date.now()) {
+      return null;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Redeem a token. Returns the user id, or null if the token is invalid,
+   * expired or already used.
+   */
+  async consume(token, purpose) {
+    const payload = this.decode(token, purpose);
+    if (!payload) return null;
+
+    const result = await this.pool.query(`
+      UPDATE user_action_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND purpose = $2 AND user_id = $3
+        AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `, [this.hashToken(token), purpose, payload.uid]);
+
+    if (result.rows.length === 0) {
+      this.logger.warn('Rejected action token', { purpose, userId: payload.uid });
+      return null;
+    }
+
+    return result.rows[0].user_id;
+  }
+
+  /**
+   * Look up a token without redeeming it. Returns the user id if it is still usable.
+   */
+  async peek(token, purpose) {
+    const payload = this.decode(token, purpose);
+    if (!payload) return null;
+
+    const result = await this.pool.query(`
+      SELECT user_id FROM user_action_tokens
+      WHERE token_hash = $1 AND purpose = $2 AND user_id = $3
+        AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `, [this.hashToken(token), purpose, payload.uid]);
+
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  }
+
+  /**
+   * Count a failed attempt against a token, burning it once maxAttempts is reached.
+   * Returns the number of attempts left.
+   */
+  async recordFailure(token, purpose, maxAttempts) {
+    const result = await this.pool.query(`
+      UPDATE user_action_tokens
+      SET attempts = attempts + 1,
+          used_at = CASE WHEN attempts + 1 >= $3 THEN CURRENT_TIMESTAMP ELSE used_at END
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL
+      RETURNING attempts
+    `, [this.hashToken(token), purpose, maxAttempts]);
+
+    if (result.rows.length === 0) return 0;
+    return Math.max(maxAttempts - result.rows[0].attempts, 0);
+  }
+}
+
+module.exports = { ActionTokenManager };
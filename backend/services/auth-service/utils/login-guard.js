@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * LoginGuard tracks failed sign-ins per account in Redis and applies a
+ * progressive delay, then a temporary lockout, regardless of the caller's IP
+ */
+class LoginGuard {
+  constructor(getRedisClient, logger, options = {}) {
+    // Redis can drop out at runtime, so resolve the client on every call
+    this.getRedisClient = getRedisClient;
+    this.logger = logger;
+    this.freeAttempts = parseInt(options.freeAttempts || process.env.LOGIN_FREE_ATTEMPTS || '3');
+    this.backoffBaseSeconds = parseInt(options.backoffBaseSeconds || process.env.LOGIN_BACKOFF_BASE_SECONDS || '5');
+    this.lockoutThreshold = parseInt(options.lockoutThreshold || process.env.LOGIN_LOCKOUT_THRESHOLD || '10');
+    this.lockoutMinutes = parseInt(options.lockoutMinutes || process.env.LOGIN_LOCKOUT_MINUTES || '30');
+  }
+
+  /**
+   * Key by a hash of the email so addresses are not stored in Redis
+   */
+  keys(email) {
+    const id = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
+    return {
+      failures: `login:failures:${id}`,
+      lock: `login:lock:${id}`
+    };
+  }
+
+  /**
+   * Report whether sign-in is currently blocked for an account
+   */
+  async check(email) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return { locked: false };
+    }
+
+    try {
+      const { lock } = this.keys(email);
+      const [reason, ttl] = await Promise.all([redisClient.get(lock), redisClient.ttl(lock)]);
+
+      if (!reason || ttl <= 0) {
+        return { locked: false };
+      }
+
+      return { locked: true, reason, retryAfter: ttl };
+    } catch (error) {
+      this.logger.warn('Login guard check failed, allowing attempt:', error.message);
+      return { locked: false };
+    }
+  }
+
+  /**
+   * Count a failed attempt. Returns the resulting block, if any; `lockedOut`
+   * is only true for the attempt that triggered a full lockout.
+   */
+  async recordFailure(email) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return { failures: 0, lockedOut: false };
+    }
+
+    try {
+      const { failures: failuresKey, lock } = this.keys(email);
+      const lockoutSeconds = this.lockoutMinutes * 60;
+
+      const failures = await redisClient.incr(failuresKey);
+      await redisClient.expire(failuresKey, lockoutSeconds);
+
+      if (failures >= this.lockoutThreshold) {
+        await redisClient.setEx(lock, lockoutSeconds, 'lockout');
+        return {
+          failures,
+          lockedOut: failures === this.lockoutThreshold,
+          retryAfter: lockoutSeconds
+        };
+      }
+
+      if (failures > this.freeAttempts) {
+        // 5s, 10s, 20s, ... until the lockout threshold is reached
+        const delay = this.backoffBaseSeconds * 2 ** (failures - this.freeAttempts - 1);
+        await redisClient.setEx(lock, delay, 'backoff');
+        return { failures, lockedOut: false, retryAfter: delay };
+      }
+
+      return { failures, lockedOut: false };
+    } catch (error) {
+      this.logger.warn('Failed to record login failure:', error.message);
+      return { failures: 0, lockedOut: false };
+    }
+  }
+
+  /**
+   * Clear failures and any lock, after a successful sign-in or an emailed unlock
+   */
+  async reset(email) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) return;
+
+    try {
+      const { failures, lock } = this.keys(email);
+      await redisClient.del([failures, lock]);
+    } catch (error) {
+      this.logger.warn('Failed to reset login guard:', error.message);
+    }
+  }
+}
+
+module.exports = { LoginGuard };
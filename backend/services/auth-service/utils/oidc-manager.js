@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * OidcClient talks to a single OpenID Connect provider using the
+ * authorization code flow with PKCE
+ */
+class OidcClient {
+  constructor(config, logger) {
+    this.id = config.id;
+    this.name = config.name;
+    this.issuer = config.issuer.replace(/\/$/, '');
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.scopes = config.scopes;
+    this.logger = logger;
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.jwks = new Map();
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`${this.id}: ${url} responded ${response.status}`);
+      error.details = body;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Load and cache the provider's discovery document
+   */
+  async discover() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < DISCOVERY_TTL_MS) {
+      return this.metadata;
+    }
+
+    const metadata = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/$/, '') !== this.issuer) {
+      throw new Error(`${this.id}: discovery issuer ${metadata.issuer} does not match ${this.issuer}`);
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    return metadata;
+  }
+
+  async buildAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }) {
+    const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${authorizationEndpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   */
+  async exchangeCode(code, codeVerifier, redirectUri) {
+    const { token_endpoint: tokenEndpoint } = await this.discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier
+    });
+
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    return this.fetchJson(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body
+    });
+  }
+
+  /**
+   * Find the signing key for a kid, refreshing the key set once if it is unknown
+   */
+  async getSigningKey(kid) {
+    if (!this.jwks.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      const { keys = [] } = await this.fetchJson(jwksUri);
+
+      this.jwks.clear();
+      for (const jwk of keys) {
+        if (jwk.use && jwk.use !== 'sig') continue;
+        this.jwks.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+
+    const key = this.jwks.get(kid);
+    if (!key) {
+      throw new Error(`${this.id}: no signing key found for kid ${kid}`);
+    }
+    return key;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error(`${this.id}: ID token is malformed`);
+    }
+
+    const { issuer } = await this.discover();
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      audience: this.clientId,
+      issuer
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error(`${this.id}: ID token nonce mismatch`);
+    }
+
+    return claims;
+  }
+
+  async fetchUserInfo(accessToken) {
+    const { userinfo_endpoint: userinfoEndpoint } = await this.discover();
+    if (!userinfoEndpoint) return {};
+
+    return this.fetchJson(userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+    });
+  }
+}
+
+/**
+ * OidcManager holds the configured providers, pending authorization requests
+ * and the external identities linked to users
+ */
+class OidcManager {
+  constructor(pool, logger, options = {}) {
+    this.pool = pool;
+    this.logger = logger;
+    this.requestTtlMinutes = parseInt(options.requestTtlMinutes || process.env.OIDC_REQUEST_TTL_MINUTES || '10');
+    this.providers = new Map();
+
+    for (const config of OidcManager.loadProviderConfigs(options.env || process.env)) {
+      this.providers.set(config.id, new OidcClient(config, logger));
+    }
+
+    if (this.providers.size > 0) {
+      logger.info('OIDC providers configured', { providers: [...this.providers.keys()] });
+    }
+  }
+
+  /**
+   * Read providers from OIDC_PROVIDERS=google,mock and OIDC_<ID>_* variables
+   */
+  static loadProviderConfigs(env) {
+    const ids = (env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(id => /^[a-z0-9_-]+$/.test(id));
+
+    return ids
+      .map(id => {
+        const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+        return {
+          id,
+          name: env[`${prefix}NAME`] || id,
+          issuer: env[`${prefix}ISSUER`],
+          clientId: env[`${prefix}CLIENT_ID`],
+          clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+          scopes: env[`${prefix}SCOPES`] || 'openid email profile'
+        };
+      })
+      .filter(config => config.issuer && config.clientId);
+  }
+
+  getProvider(id) {
+    return this.providers.get(id) || null;
+  }
+
+  listProviders() {
+    return [...this.providers.values()].map(provider => ({ id: provider.id, name: provider.name }));
+  }
+
+  hashState(state) {
+    return crypto.createHash('sha256').update(state).digest('hex');
+  }
+
+  /**
+   * Start an authorization request. Pass linkUserId to attach the identity to
+   * an existing account instead of signing in.
+   */
+  async createAuthorizationRequest(provider, redirectUri, linkUserId = null) {
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    // Clean up abandoned requests while we are here
+    await this.pool.query('DELETE FROM oidc_auth_requests WHERE expires_at < CURRENT_TIMESTAMP');
+
+    await this.pool.query(`
+      INSERT INTO oidc_auth_requests (state_hash, provider, code_verifier, nonce, link_user_id, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' minutes')::interval)
+    `, [this.hashState(state), provider.id, codeVerifier, nonce, linkUserId, this.requestTtlMinutes]);
+
+    return provider.buildAuthorizationUrl({ state, nonce, codeChallenge, redirectUri });
+  }
+
+  /**
+   * Redeem the state returned by the provider. Each state can only be used once.
+   */
+  async consumeAuthorizationRequest(providerId, state) {
+    if (typeof state !== 'string' || state.length === 0) return null;
+
+    const result = await this.pool.query(`
+      DELETE FROM oidc_auth_requests
+      WHERE state_hash = $1 AND provider = $2 AND expires_at > CURRENT_TIMESTAMP
+      RETURNING code_verifier, nonce, link_user_id
+    `, [this.hashState(state), providerId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Finish the code exchange and return the verified identity claims
+   */
+  async completeAuthorization(provider, code, authRequest, redirectUri) {
+    const tokens = await provider.exchangeCode(code, authRequest.code_verifier, redirectUri);
+    if (!tokens.id_token) {
+      throw new Error(`${provider.id}: token response did not include an ID token`);
+    }
+
+    let claims = await provider.verifyIdToken(tokens.id_token, authRequest.nonce);
+
+    // Some providers only put the email and name in the userinfo response
+    if (!claims.email && tokens.access_token) {
+      const userInfo = await provider.fetchUserInfo(tokens.access_token);
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    return claims;
+  }
+
+  async findUserIdByIdentity(providerId, subject) {
+    const result = await this.pool.query(
+      'SELECT user_id FROM user_identities WHERE provider = $1 AND subject = $2',
+      [providerId, subject]
+    );
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  }
+
+  async linkIdentity(userId, providerId, subject, email = null) {
+    await this.pool.query(`
+      INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    `, [userId, providerId, subject, email]);
+
+    this.logger.info('External identity linked', { userId, provider: providerId });
+  }
+
+  async touchIdentity(providerId, subject) {
+    await this.pool.query(
+      'UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP WHERE provider = $1 AND subject = $2',
+      [providerId, subject]
+    );
+  }
+
+  async listIdentities(userId) {
+    const result = await this.pool.query(`
+      SELECT provider, email, created_at, last_login_at
+      FROM user_identities WHERE user_id = $1
+      ORDER BY created_at
+    `, [userId]);
+    return result.rows;
+  }
+
+  async unlinkIdentity(userId, providerId) {
+    const result = await this.pool.query(
+      'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2',
+      [userId, providerId]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = { OidcClient, OidcManager };
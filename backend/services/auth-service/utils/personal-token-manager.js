@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { PERSONAL_TOKEN_PREFIX } = require('../lib/security');
+
+const TOKEN_COLUMNS = 'id, name, token_prefix, scopes, created_at, expires_at, last_used_at';
+
+/**
+ * PersonalTokenManager issues long-lived, scoped API tokens for scripts and
+ * integrations. Tokens are shown once; only their SHA-256 hash is stored.
+ */
+class PersonalTokenManager {
+  constructor(pool, logger, options = {}) {
+    this.pool = pool;
+    this.logger = logger;
+    this.maxTokensPerUser = options.maxTokensPerUser || 50;
+    // Skip the last-used write when the token was used this recently
+    this.lastUsedResolutionSeconds = options.lastUsedResolutionSeconds || 60;
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a token. Returns the plain token (only available now) and its record,
+   * or null when the user already has maxTokensPerUser active tokens.
+   */
+  async create(userId, { name, scopes, expiresAt }) {
+    const active = await this.pool.query(`
+      SELECT COUNT(*)::int AS count FROM personal_access_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `, [userId]);
+
+    if (active.rows[0].count >= this.maxTokensPerUser) {
+      return null;
+    }
+
+    const token = PERSONAL_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const result = await this.pool.query(`
+      INSERT INTO personal_access_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${TOKEN_COLUMNS}
+    `, [userId, name, token.slice(0, PERSONAL_TOKEN_PREFIX.length + 8), this.hashToken(token), scopes, expiresAt]);
+
+    return { token, record: this.format(result.rows[0]) };
+  }
+
+  /**
+   * A user's tokens that have not been revoked, newest first
+   */
+  async list(userId) {
+    const result = await this.pool.query(`
+      SELECT ${TOKEN_COLUMNS} FROM personal_access_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => this.format(row));
+  }
+
+  /**
+   * Revoke one of a user's tokens. Returns false if it does not exist.
+   */
+  async revoke(tokenId, userId) {
+    const result = await this.pool.query(`
+      UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [tokenId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Resolve a presented token to its owner and scopes, recording the use.
+   * Returns null for unknown, revoked or expired tokens.
+   */
+  async authenticate(token, ipAddress = null) {
+    const result = await this.pool.query(`
+      SELECT t.id AS token_id, t.scopes, t.last_used_at,
+             u.id, u.email, u.first_name, u.last_name, u.role, u.suspended_at, u.created_at
+      FROM personal_access_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = $1 AND t.revoked_at IS NULL
+        AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+    `, [this.hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > this.lastUsedResolutionSeconds * 1000) {
+      // Usage tracking must never fail the request
+      this.pool.query(`
+        UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+        WHERE id = $1
+      `, [row.token_id, ipAddress]).catch(error => {
+        this.logger.warn('Failed to record personal access token use:', error.message);
+      });
+    }
+
+    return row;
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      tokenPrefix: row.token_prefix,
+      scopes: row.scopes,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+}
+
+module.exports = { PersonalTokenManager };
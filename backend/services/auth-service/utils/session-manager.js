@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+
+/**
+ * SessionManager tracks per-device sessions and their rotating refresh tokens
+ */
+class SessionManager {
+  constructor(pool, logger, options = {}) {
+    this.pool = pool;
+    this.logger = logger;
+    this.refreshTokenTtlDays = parseInt(options.refreshTokenTtlDays || process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+    // Another tab of the same browser may refresh a moment earlier with the same token
+    this.reuseGraceSeconds = parseInt(options.reuseGraceSeconds || process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '30');
+    // Called with the ids of revoked sessions, e.g. to blacklist their access tokens
+    this.onRevoke = options.onRevoke || null;
+  }
+
+  async notifyRevoked(result) {
+    if (!this.onRevoke || result.rowCount === 0) return;
+
+    try {
+      await this.onRevoke(result.rows.map(row => row.id));
+    } catch (error) {
+      this.logger.warn('Session revocation hook failed:', error.message);
+    }
+  }
+
+  /**
+   * Hash the secret part of a refresh token for storage
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Build a refresh token in the form <sessionId>.<secret>
+   */
+  buildRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(48).toString('base64url');
+    return { refreshToken: `${sessionId}.${secret}`, secretHash: this.hashSecret(secret) };
+  }
+
+  /**
+   * Split a refresh token into its session id and secret
+   */
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const separator = refreshToken.indexOf('.');
+    if (separator <= 0) return null;
+
+    const sessionId = refreshToken.slice(0, separator);
+    if (!SessionManager.isSessionId(sessionId)) return null;
+
+    return {
+      sessionId,
+      secret: refreshToken.slice(separator + 1)
+    };
+  }
+
+  /**
+   * Session ids are UUIDs; anything else would fail the Postgres cast
+   */
+  static isSessionId(value) {
+    return typeof value === 'string' &&
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+  }
+
+  /**
+   * Create a new session for a user and return its first refresh token
+   */
+  async createSession(userId, { userAgent = null, ipAddress = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const { refreshToken, secretHash } = this.buildRefreshToken(sessionId);
+
+    await this.pool.query(`
+      INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' days')::interval)
+    `, [sessionId, userId, secretHash, userAgent ? userAgent.slice(0, 500) : null, ipAddress, this.refreshTokenTtlDays]);
+
+    this.logger.info('Session created', { userId, sessionId });
+
+    return { sessionId, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one.
+   *
+   * Presenting an already-rotated token means it was copied, so the whole
+   * session is revoked and the caller has to sign in again. The token that was
+   * replaced within the last few seconds is only rejected, since that is what
+   * a second browser tab racing the first one looks like.
+   */
+  async rotateRefreshToken(refreshToken) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return { error: 'invalid' };
+    }
+
+    const result = await this.pool.query(`
+      SELECT id, user_id, refresh_token_hash, previous_refresh_token_hash, rotated_at, expires_at, revoked_at
+      FROM user_sessions WHERE id = $1
+    `, [parsed.sessionId]);
+
+    if (result.rows.length === 0) {
+      return { error: 'invalid' };
+    }
+
+    const session = result.rows[0];
+
+    if (session.revoked_at) {
+      return { error: 'revoked' };
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      return { error: 'expired' };
+    }
+
+    const presentedHash = this.hashSecret(parsed.secret);
+    const matches = crypto.timingSafeEqual(
+      Buffer.from(presentedHash, 'hex'),
+      Buffer.from(session.refresh_token_hash, 'hex')
+    );
+
+    if (!matches) {
+      const rotatedRecently = session.rotated_at &&
+        Date.now() - new Date(session.rotated_at).getTime() < this.reuseGraceSeconds * 1000;
+
+      if (rotatedRecently && session.previous_refresh_token_hash === presentedHash) {
+        return { error: 'superseded' };
+      }
+
+      await this.revokeSession(session.id);
+      this.logger.warn('Refresh token reuse detected, session revoked', {
+        userId: session.user_id,
+        sessionId: session.id
+      });
+      return { error: 'reused', userId: session.user_id, sessionId: session.id };
+    }
+
+    const next = this.buildRefreshToken(session.id);
+
+    // Guard against two concurrent refreshes both succeeding with the same token
+    const update = await this.pool.query(`
+      UPDATE user_sessions
+      SET refresh_token_hash = $1, previous_refresh_token_hash = $3,
+          rotated_at = CURRENT_TIMESTAMP, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+    `, [next.secretHash, session.id, presentedHash]);
+
+    if (update.rowCount === 0) {
+      return { error: 'invalid' };
+    }
+
+    return {
+      sessionId: session.id,
+      userId: session.user_id,
+      refreshToken: next.refreshToken
+    };
+  }
+
+  /**
+   * Check whether a session is still usable
+   */
+  async isSessionActive(sessionId, userId) {
+    const result = await this.pool.query(`
+      SELECT 1 FROM user_sessions
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `, [sessionId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * List the active sessions of a user, most recently used first
+   */
+  async listSessions(userId) {
+    const result = await this.pool.query(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Revoke a single session. Pass userId to restrict the revoke to that user's sessions.
+   */
+  async revokeSession(sessionId, userId = null) {
+    const params = [sessionId];
+    let query = `
+      UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+    `;
+
+    if (userId !== null) {
+      query += ' AND user_id = $2';
+      params.push(userId);
+    }
+
+    const result = await this.pool.query(query + ' RETURNING id', params);
+    await this.notifyRevoked(result);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to, if the token is current
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const result = await this.pool.query(`
+      UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [parsed.sessionId, this.hashSecret(parsed.secret)]);
+
+    await this.notifyRevoked(result);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   */
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const result = await this.pool.query(`
+      UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)
+      RETURNING id
+    `, [userId, exceptSessionId]);
+
+    await this.notifyRevoked(result);
+    return result.rowCount;
+  }
+}
+
+module.exports = { SessionManager };
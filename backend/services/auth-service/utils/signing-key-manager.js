@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Serializes rotation across auth-service replicas (pg_advisory_xact_lock)
+const ROTATION_LOCK_ID = 7301;
+
+/**
+ * SigningKeyManager keeps the RSA key pairs that sign access tokens in Postgres,
+ * with the private halves encrypted, rotates them on a schedule and publishes
+ * the public halves as a JWKS. A rotated key is published for publishSeconds
+ * before it starts signing, so services verifying against the JWKS already
+ * have it when the first token signed with it arrives.
+ */
+class SigningKeyManager {
+  constructor(pool, encryptionKey, logger, options = {}) {
+    this.pool = pool;
+    this.logger = logger;
+    this.encryptionKey = crypto.createHash('sha256').update(encryptionKey).digest();
+    this.rotationDays = parseInt(options.rotationDays || process.env.JWT_KEY_ROTATION_DAYS || '30');
+    // Retired keys keep verifying for this long; must exceed the longest token lifetime
+    this.retentionHours = parseInt(options.retentionHours || process.env.JWT_KEY_RETENTION_HOURS || '48');
+    this.refreshIntervalMs = 5 * 60 * 1000;
+    // Must exceed refreshIntervalMs, for other replicas to publish the key,
+    // plus the time verifiers wait between JWKS fetches
+    this.publishSeconds = parseInt(options.publishSeconds || process.env.JWT_KEY_PUBLISH_SECONDS || '600');
+    // Newest activation first
+    this.keys = new Map();
+    this.refreshedAt = 0;
+    this.timer = null;
+  }
+
+  encryptPrivateKey(pem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptPrivateKey(payload) {
+    const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Load the keys that are still valid; call once at startup
+   */
+  async init() {
+    await this.refresh();
+    if (!this.activeKey()) {
+      await this.rotate({ onlyIfDue: true });
+    }
+  }
+
+  /**
+   * Reload keys from the database, picking up rotations made by other replicas
+   */
+  async refresh() {
+    const result = await this.pool.query(`
+      SELECT kid, public_key, private_key_encrypted, created_at, activates_at, retired_at,
+        retired_at IS NULL OR retired_at > CURRENT_TIMESTAMP AS signing
+      FROM jwt_signing_keys
+      WHERE retired_at IS NULL OR retired_at > CURRENT_TIMESTAMP - ($1 || ' hours')::interval
+      ORDER BY activates_at DESC, created_at DESC
+    `, [this.retentionHours]);
+
+    const keys = new Map();
+
+    for (const row of result.rows) {
+      const key = {
+        kid: row.kid,
+        publicKey: crypto.createPublicKey(row.public_key),
+        privateKey: null,
+        createdAt: row.created_at,
+        activatesAt: new Date(row.activates_at || row.created_at),
+        retiredAt: row.retired_at && new Date(row.retired_at)
+      };
+
+      // The current key, and the next one while it is being published
+      if (row.signing) {
+        try {
+          key.privateKey = crypto.createPrivateKey(this.decryptPrivateKey(row.private_key_encrypted));
+        } catch (error) {
+          // Usually a changed JWT_KEY_ENCRYPTION_KEY; a new key is generated on the next rotation
+          this.logger.error('Cannot decrypt signing key', { kid: row.kid, error: error.message });
+        }
+      }
+
+      keys.set(row.kid, key);
+    }
+
+    this.keys = keys;
+    this.refreshedAt = Date.now();
+  }
+
+  /**
+   * The key that signs at a given time: the newest one this instance can
+   * sign with that has been published long enough and is not yet retired
+   */
+  activeKey(now = new Date()) {
+    for (const key of this.keys.values()) {
+      if (key.privateKey && key.activatesAt <= now && (!key.retiredAt || key.retiredAt > now)) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate a new signing key and publish it, retiring the current one once
+   * the new one has been published for publishSeconds. Without a current key
+   * this instance can sign with, the new one signs right away. With onlyIfDue
+   * the rotation is skipped when a usable key younger than rotationDays exists.
+   */
+  async rotate({ onlyIfDue = false } = {}) {
+    if (onlyIfDue && !(await this.isRotationDue(this.pool))) {
+      return null;
+    }
+
+    const { publicKey, privateKey } = await generateKeyPair('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    const kid = crypto.randomBytes(12).toString('base64url');
+    const delaySeconds = this.activeKey() ? this.publishSeconds : 0;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [ROTATION_LOCK_ID]);
+
+      // Another replica may have rotated while we waited for the lock
+      if (onlyIfDue && !(await this.isRotationDue(client))) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // The current key (and any key still waiting to sign) hands over when the new one activates
+      await client.query(`
+        UPDATE jwt_signing_keys SET retired_at = CURRENT_TIMESTAMP + make_interval(secs => $1)
+        WHERE retired_at IS NULL
+      `, [delaySeconds]);
+      await client.query(`
+        INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key_encrypted, activates_at)
+        VALUES ($1, 'RS256', $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))
+      `, [kid, publicKey, this.encryptPrivateKey(privateKey), delaySeconds]);
+      await client.query(`
+        DELETE FROM jwt_signing_keys
+        WHERE retired_at < CURRENT_TIMESTAMP - ($1 || ' hours')::interval
+      `, [this.retentionHours]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+      await this.refresh();
+    }
+
+    this.logger.info('JWT signing key rotated', { kid, activatesInSeconds: delaySeconds });
+    return kid;
+  }
+
+  /**
+   * Due when there is no key younger than rotationDays, signing or waiting
+   * to, that this instance can actually sign with
+   */
+  async isRotationDue(db) {
+    const result = await db.query(`
+      SELECT kid FROM jwt_signing_keys
+      WHERE retired_at IS NULL AND created_at > CURRENT_TIMESTAMP - ($1 || ' days')::interval
+      ORDER BY created_at DESC LIMIT 1
+    `, [this.rotationDays]);
+
+    if (result.rows.length === 0) return true;
+
+    const { kid } = result.rows[0];
+    if (!this.keys.has(kid)) {
+      await this.refresh();
+    }
+    return !(this.keys.get(kid) && this.keys.get(kid).privateKey);
+  }
+
+  /**
+   * Run refreshes and due rotations in the background
+   */
+  startSchedule() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      try {
+        await this.refresh();
+        await this.rotate({ onlyIfDue: true });
+      } catch (error) {
+        this.logger.error('Signing key maintenance failed:', error.message);
+      }
+    }, this.refreshIntervalMs);
+    this.timer.unref();
+  }
+
+  stopSchedule() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * The key new tokens are signed with, or null before init() has succeeded
+   */
+  getSigningKey() {
+    const key = this.activeKey();
+    return key ? { kid: key.kid, privateKey: key.privateKey } : null;
+  }
+
+  /**
+   * Public key for a kid. An unknown kid may have been created by another
+   * replica, so reload once if the keys are not brand new.
+   */
+  async getPublicKey(kid) {
+    if (!this.keys.has(kid) && Date.now() - this.refreshedAt > 10000) {
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    return key ? key.publicKey : null;
+  }
+
+  getJwks() {
+    return {
+      keys: [...this.keys.values()].map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: 'RS256',
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+module.exports = { SigningKeyManager };
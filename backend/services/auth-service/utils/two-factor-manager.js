@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TwoFactorManager handles TOTP (RFC 6238) enrollment, code checks and recovery codes
+ */
+class TwoFactorManager {
+  constructor(pool, encryptionKey, logger, options = {}) {
+    this.pool = pool;
+    this.logger = logger;
+    // Secrets are encrypted at rest with a key derived from the configured secret
+    this.encryptionKey = crypto.createHash('sha256').update(encryptionKey).digest();
+    this.issuer = options.issuer || process.env.TWO_FACTOR_ISSUER || 'Photo Albums';
+    this.period = 30;
+    this.digits = 6;
+    // Accept codes from one step either side to absorb clock drift
+    this.window = 1;
+    this.recoveryCodeCount = 10;
+  }
+
+  /**
+   * Encode bytes as unpadded base32, the format authenticator apps expect
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an unpadded base32 string
+   */
+  static base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Compute the code for a base32 secret at a given time step
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', TwoFactorManager.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  /**
+   * Check a code against a secret. Returns the matching time step, or null.
+   */
+  matchCode(secret, code) {
+    if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== this.digits) {
+      return null;
+    }
+
+    const now = this.currentStep();
+    for (let step = now - this.window; step <= now + this.window; step++) {
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Report whether a user has 2FA turned on or an enrollment waiting for confirmation
+   */
+  async getStatus(userId) {
+    const result = await this.pool.query(
+      'SELECT enabled_at FROM user_two_factor WHERE user_id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return { enabled: false, pending: false };
+    }
+
+    return {
+      enabled: result.rows[0].enabled_at !== null,
+      pending: result.rows[0].enabled_at === null,
+      enabledAt: result.rows[0].enabled_at
+    };
+  }
+
+  async isEnabled(userId) {
+    return (await this.getStatus(userId)).enabled;
+  }
+
+  /**
+   * Start (or restart) enrollment with a fresh secret. Returns null if 2FA is already on.
+   */
+  async beginEnrollment(userId, accountName) {
+    const secret = TwoFactorManager.base32Encode(crypto.randomBytes(20));
+
+    const result = await this.pool.query(`
+      INSERT INTO user_two_factor (user_id, secret_encrypted)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, created_at = CURRENT_TIMESTAMP
+      WHERE user_two_factor.enabled_at IS NULL
+    `, [userId, this.encryptSecret(secret)]);
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    const otpauthUrl = this.buildOtpauthUrl(secret, accountName);
+    return { secret, otpauthUrl };
+  }
+
+  /**
+   * Confirm a pending enrollment with a first code. Returns the recovery codes, or null.
+   */
+  async confirmEnrollment(userId, code) {
+    const result = await this.pool.query(
+      'SELECT secret_encrypted FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NULL',
+      [userId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const step = this.matchCode(this.decryptSecret(result.rows[0].secret_encrypted), code);
+    if (step === null) return null;
+
+    await this.pool.query(`
+      UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP, last_used_step = $2
+      WHERE user_id = $1 AND enabled_at IS NULL
+    `, [userId, step]);
+
+    this.logger.info('Two-factor authentication enabled', { userId });
+
+    return this.regenerateRecoveryCodes(userId);
+  }
+
+  /**
+   * Check a TOTP code for an enrolled user. Each time step can only be used once.
+   */
+  async verifyCode(userId, code) {
+    const result = await this.pool.query(
+      'SELECT secret_encrypted, last_used_step FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL',
+      [userId]
+    );
+
+    if (result.rows.length === 0) return false;
+
+    const step = this.matchCode(this.decryptSecret(result.rows[0].secret_encrypted), code);
+    if (step === null) return false;
+
+    // Guarded update so a code that was just used cannot be replayed
+    const update = await this.pool.query(`
+      UPDATE user_two_factor SET last_used_step = $2
+      WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+    `, [userId, step]);
+
+    return update.rowCount > 0;
+  }
+
+  /**
+   * Redeem a recovery code
+   */
+  async useRecoveryCode(userId, code) {
+    if (typeof code !== 'string') return false;
+
+    const result = await this.pool.query(`
+      UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    `, [userId, this.hashRecoveryCode(code)]);
+
+    if (result.rowCount > 0) {
+      this.logger.info('Recovery code used', { userId });
+      return true;
+    }
+
+    return false;
+  }
+
+  async countRecoveryCodes(userId) {
+    const result = await this.pool.query(
+      'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].remaining);
+  }
+
+  /**
+   * Replace all recovery codes of a user. The plain codes are only returned here.
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      for (const code of codes) {
+        await client.query(
+          'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, this.hashRecoveryCode(code)]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return codes;
+  }
+
+  /**
+   * Turn 2FA off and discard the secret and recovery codes
+   */
+  async disable(userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+      await client.query('COMMIT');
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { TwoFactorManager };
@@ -8,16 +8,49 @@ const { Pool } = require('pg');
 const Redis = require('redis');
 const winston = require('winston');
 const Joi = require('joi');
-const sharp = require('sharp');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const os = require('os');
 const path = require('path');
-const { Storage } = require('@google-cloud/storage');
 const { PubSub } = require('@google-cloud/pubsub');
 const { v4: uuidv4 } = require('uuid');
 const mime = require('mime-types');
 const promClient = require('prom-client');
 const promMiddleware = require('express-prometheus-middleware');
 const { SimpleTracingManager } = require('../lib/simple-tracing');
+const {
+  requireRole,
+  auditLogger,
+  requireScope,
+  requireSession,
+  INTERNAL_IDENTITY_HEADER,
+  verifyInternalIdentity,
+  signMediaUrl,
+  mediaStreamPath,
+  signMediaStreamUrl,
+  verifyMediaUrl,
+  createVerificationCache
+} = require('../lib/security');
+const {
+  UploadSessionManager,
+  LocalUploadStaging,
+  GcsUploadStaging,
+  ObjectUploadStaging
+} = require('../utils/upload-session-manager');
+const { createStorageBackend } = require('../utils/storage-backends');
+const { runUploadPipeline, StreamingStorage, ConcurrencyLimit } = require('../utils/upload-pipeline');
+const { createImageOptimizer } = require('../utils/image-optimizer');
+const { MediaBlobStore } = require('../utils/media-blob-store');
+const { StorageQuota, isQuotaError } = require('../utils/storage-quota');
+const { MediaTrash } = require('../utils/media-trash');
+const { hammingDistance, clusterByDistance } = require('../utils/perceptual-hash');
+const { EXIF_PROBE_BYTES } = require('../utils/image-metadata');
+const { STRIP_MODES, createMetadataStripper, carriesMetadata } = require('../utils/metadata-stripping');
+const { RENDITIONS, negotiateFormat, RenditionStore } = require('../utils/image-renditions');
+const { MediaProcessor } = require('../utils/media-processor');
+const { hlsContentType, strippedContainerFor } = require('../utils/video-processing');
+const { requestedRanges, multipartRanges } = require('../utils/byte-ranges');
+const { JobQueue } = require('../utils/job-queue');
 require('dotenv').config();
 
 const app = express();
@@ -44,10 +77,19 @@ const downloadCounter = new promClient.Counter({
   registers: [register]
 });
 
-const storageGauge = new promClient.Gauge({
+// Read from the per-user usage table when scraped, so it survives restarts
+// and agrees across replicas
+new promClient.Gauge({
   name: 'media_storage_bytes',
   help: 'Total storage used in bytes',
-  registers: [register]
+  registers: [register],
+  async collect() {
+    try {
+      this.set(await storageQuota.totalBytes());
+    } catch (error) {
+      logger.warn('Failed to read storage usage for metrics:', error.message);
+    }
+  }
 });
 
 // Logger configuration
@@ -71,6 +113,9 @@ const logger = winston.createLogger({
 // Initialize tracing manager after logger is defined
 const tracingManager = new SimpleTracingManager('media-service', logger);
 
+// Privileged actions (admin endpoints) are recorded separately
+const auditLog = auditLogger(logger);
+
 // Database connection
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
@@ -91,34 +136,100 @@ redis.on('error', (err) => {
 
 redis.connect();
 
-// Initialize storage based on environment
-let storage, bucket, pubsub;
+// Identities signed by the api-gateway are trusted only with this shared secret
+const INTERNAL_AUTH_SECRET = process.env.INTERNAL_AUTH_SECRET || null;
 
-if (process.env.USE_LOCAL_STORAGE !== 'true') {
-  // Google Cloud Storage
-  storage = new Storage({
-    projectId: process.env.GOOGLE_CLOUD_PROJECT,
-    keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
-  });
+// Signed media URLs, shared with task-service for album listings. Without a
+// secret none are issued and files are only served with a token.
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || null;
+if (!MEDIA_URL_SECRET) {
+  logger.warn('MEDIA_URL_SECRET is not set; media are served without signed URLs, only with a token');
+}
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS || '3600');
+
+// Batch uploads can attach their files to an album owned by task-service
+const TASK_SERVICE_URL = process.env.TASK_SERVICE_URL || 'http://localhost:3002';
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES || '50');
+const BATCH_UPLOAD_CONCURRENCY = parseInt(process.env.BATCH_UPLOAD_CONCURRENCY || '4');
+
+// Uploads being optimized at once, across requests. sharp holds each whole
+// upload in memory while it re-encodes it, so the rest wait their turn.
+const UPLOAD_OPTIMIZE_CONCURRENCY = parseInt(process.env.UPLOAD_OPTIMIZE_CONCURRENCY || '2');
+const optimizeLimit = new ConcurrencyLimit(UPLOAD_OPTIMIZE_CONCURRENCY);
+
+// Near-duplicate review clusters on request, so only the newest images are scanned
+const DUPLICATE_SCAN_LIMIT = parseInt(process.env.DUPLICATE_SCAN_LIMIT || '2000');
 
-  bucket = storage.bucket(process.env.GCS_BUCKET || 'taskmanager-media-circular-hash-459513-q5');
+// Direct calls (not through the gateway) cache auth-service verifications briefly
+const verificationCache = createVerificationCache(
+  () => (redis.isReady ? redis : null),
+  parseInt(process.env.AUTH_VERIFY_CACHE_SECONDS || '30')
+);
 
+// Media blobs live in the backend chosen by STORAGE_BACKEND (local, gcs or s3)
+const storageBackend = createStorageBackend();
+logger.info('Storage backend selected', { backend: storageBackend.name });
+
+let pubsub;
+
+if (storageBackend.name === 'gcs') {
   // Pub/Sub client (only for GCS mode)
   pubsub = new PubSub({
     projectId: process.env.GOOGLE_CLOUD_PROJECT,
     keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
   });
 } else {
-  // For local storage, we'll skip Pub/Sub events or use a mock
+  // Outside GCP, we'll skip Pub/Sub events or use a mock
   pubsub = {
     topic: () => ({
       publishMessage: async () => {
-        logger.info('Pub/Sub event skipped (local storage mode)');
+        logger.info('Pub/Sub event skipped (not using GCS)');
       }
     })
   };
 }
 
+// Resumable uploads stage chunks on local disk for local storage, as GCS
+// objects composed on completion, or as objects in any other backend
+const createUploadStaging = (backend) => {
+  switch (backend.name) {
+    case 'local':
+      return new LocalUploadStaging(
+        process.env.UPLOAD_STAGING_PATH || path.join(backend.root, '.staging'),
+        backend
+      );
+    case 'gcs':
+      return new GcsUploadStaging(backend);
+    default:
+      return new ObjectUploadStaging(backend);
+  }
+};
+
+const uploadSessions = new UploadSessionManager(pool, createUploadStaging(storageBackend), logger);
+uploadSessions.startSchedule();
+
+// Identical uploads share one stored blob
+const blobStore = new MediaBlobStore(pool, storageBackend, logger);
+
+// Per-user storage usage and plan limits
+const storageQuota = new StorageQuota(pool, logger);
+
+// Deleted media wait in the trash, and are purged after the retention window
+const mediaTrash = new MediaTrash(pool, {
+  deleteRecord: (db, mediaFile) => deleteMediaRecord(db, mediaFile),
+  deleteStored: (mediaFile, storageKey) => deleteStoredMedia(mediaFile, storageKey),
+  changed: (userId) => invalidateAlbumCache(userId)
+}, logger);
+mediaTrash.startSchedule();
+
+// Resized and re-encoded copies of images, stored next to the originals
+const renditions = new RenditionStore(storageBackend, logger);
+
+// Uploads are indexed and their renditions generated by the media worker
+// (src/worker.js), which takes jobs from this queue
+const mediaProcessor = new MediaProcessor(pool, storageBackend, renditions, logger);
+const jobQueue = new JobQueue(redis, logger);
+
 // Security middleware
 app.use(helmet());
 
@@ -137,7 +248,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Upload-Offset', 'Upload-Checksum'],
+  exposedHeaders: ['Upload-Offset', 'Location']
 }));
 
 // Add tracing middleware early
@@ -195,11 +307,25 @@ app.use((req, res, next) => {
   next();
 });
 
-// Multer configuration for file uploads with optimized settings
+// Multer configuration for file uploads. Files are streamed straight into
+// storage (optimized on the way when requested) rather than buffered.
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: new StreamingStorage({
+    open: (req, file) => openStorageWriteStream(req.user.id, file.mimetype, file.originalname),
+    // Only options sent before the file part can shape the optimization
+    transform: (req, file) => {
+      const { error, value } = uploadSchema.validate(req.body);
+      return !error && value.optimize
+        ? createImageOptimizer(file.mimetype, value)
+        : null;
+    },
+    remove: (file) => discardStoredUpload(file),
+    transformLimit: optimizeLimit,
+    // Kept so EXIF can be read even when optimization strips it
+    headBytes: EXIF_PROBE_BYTES
+  }),
   limits: {
-    fileSize: 50 * 1024 * 1024, // Reduced to 50MB for better memory management
+    fileSize: 50 * 1024 * 1024, // Larger files go through resumable uploads
     fieldSize: 50 * 1024 * 1024, // Ensure field size matches
     files: 1, // Limit to single file upload
     parts: 10 // Limit multipart parts
@@ -214,8 +340,48 @@ const upload = multer({
   }
 });
 
+// Batch uploads spool to disk so a large batch does not sit in memory
+const batchUpload = multer({
+  storage: multer.diskStorage({
+    destination: os.tmpdir(),
+    filename: (req, file, cb) => cb(null, `batch-${uuidv4()}`)
+  }),
+  limits: {
+    fileSize: 50 * 1024 * 1024,
+    fieldSize: 1024 * 1024,
+    files: BATCH_MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    // Remember the position so the manifest lines up with what the client sent
+    file.batchIndex = req.batchFileCount || 0;
+    req.batchFileCount = file.batchIndex + 1;
+
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      // Reported as a failed entry instead of rejecting the whole batch
+      req.rejectedFiles = [...(req.rejectedFiles || []), file];
+      cb(null, false);
+    }
+  }
+});
+
 // Authentication middleware with improved error handling
 const authenticateToken = async (req, res, next) => {
+  // Requests through the gateway carry an identity it has already verified
+  const identityHeader = req.headers[INTERNAL_IDENTITY_HEADER];
+  if (identityHeader) {
+    const identity = verifyInternalIdentity(identityHeader, INTERNAL_AUTH_SECRET);
+    if (!identity) {
+      logger.warn('Authentication failed: Invalid internal identity', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Invalid internal identity' });
+    }
+
+    const { iat, exp, ...user } = identity;
+    req.user = user;
+    return next();
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -229,6 +395,12 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
+    const cachedUser = await verificationCache.get(token);
+    if (cachedUser) {
+      req.user = cachedUser;
+      return next();
+    }
+
     // Verify token with auth service
     const authUrl = `${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/auth/verify`;
     logger.info('Making auth request to:', { authUrl });
@@ -240,6 +412,7 @@ const authenticateToken = async (req, res, next) => {
     
     logger.info('Auth response received:', { status: response.status, data: response.data });
     req.user = response.data.user;
+    await verificationCache.set(token, req.user);
     next();
   } catch (error) {
     logger.error('Token verification failed:', {
@@ -276,6 +449,75 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Routes that serve files also take a signed URL instead of a token. It gives
+// read access as the user it was issued to, whose access is checked as usual.
+// signedPathOf(req) is the path the signature has to cover.
+const acceptSignedUrl = (signedPathOf) => (req, res, next) => {
+  if (req.query.sig === undefined) {
+    return authenticateToken(req, res, next);
+  }
+
+  const signed = verifyMediaUrl(signedPathOf(req), req.query, MEDIA_URL_SECRET);
+  if (!signed) {
+    logger.warn('Authentication failed: Invalid or expired signed URL', { ip: req.ip, path: req.path });
+    return res.status(403).json({ error: 'Invalid or expired signed URL' });
+  }
+
+  req.user = { id: signed.userId, scopes: ['media:read'] };
+  req.signedUrlExpires = signed.expires;
+  next();
+};
+
+const authenticateTokenOrSignature = acceptSignedUrl(req => req.path);
+
+// One signature covers every playlist and segment of a video's stream
+const authenticateStreamTokenOrSignature = acceptSignedUrl(req => mediaStreamPath(req.params.id));
+
+// Seconds a signed URL used for this request has left, or 0 without one
+const signedUrlSecondsLeft = (req) => {
+  return req.signedUrlExpires ? Math.max(req.signedUrlExpires - Math.floor(Date.now() / 1000), 0) : 0;
+};
+
+// Signed URLs of a media file for userId: the original, for anything with a
+// thumbnail each image rendition, and for a transcoded video its HLS stream.
+// Null when signing is not configured.
+const signedUrlsFor = (mediaFile, userId) => {
+  if (!MEDIA_URL_SECRET) return null;
+
+  const sign = (path) => signMediaUrl(path, userId, MEDIA_URL_SECRET, { ttlSeconds: MEDIA_URL_TTL_SECONDS });
+  const download = sign(`/media/${mediaFile.id}/download`);
+
+  const signedUrls = { expiresAt: download.expiresAt, download: `/api${download.url}` };
+  if (hasThumbnail(mediaFile)) {
+    signedUrls.renditions = Object.fromEntries(Object.keys(RENDITIONS).map(name =>
+      [name, `/api${sign(`/media/${mediaFile.id}/renditions/${name}`).url}`]
+    ));
+  }
+  if (mediaFile.hls_playlist_key) {
+    const stream = signMediaStreamUrl(mediaFile.id, userId, MEDIA_URL_SECRET, { ttlSeconds: MEDIA_URL_TTL_SECONDS });
+    signedUrls.stream = `/api${stream.url}`;
+  }
+  return signedUrls;
+};
+
+/**
+ * For a signed URL, send the client straight to the storage backend's own
+ * signed URL when it has them (GCS, S3) so the bytes come from there. The
+ * redirect is cached while both are valid, so the storage URL and whatever
+ * the browser cached from it are reused. Returns false if not redirected.
+ */
+const redirectToStorage = async (req, res, key, options = {}) => {
+  const expiresInSeconds = signedUrlSecondsLeft(req);
+  if (!expiresInSeconds) return false;
+
+  const url = await storageBackend.getSignedUrl(key, { expiresInSeconds, ...options });
+  if (!url) return false;
+
+  res.setHeader('Cache-Control', `private, max-age=${expiresInSeconds}`);
+  res.redirect(302, url);
+  return true;
+};
+
 // Validation schemas
 const uploadSchema = Joi.object({
   optimize: Joi.boolean().default(true),
@@ -286,11 +528,55 @@ const uploadSchema = Joi.object({
   metadata: Joi.object().default({})
 });
 
+const batchUploadSchema = uploadSchema.keys({
+  albumId: Joi.number().integer().positive()
+});
+
+const downloadQuerySchema = Joi.object({
+  // Metadata to remove from images: none, location (GPS) or all
+  strip: Joi.string().valid(...STRIP_MODES)
+}).unknown(true);
+
+const duplicatesQuerySchema = Joi.object({
+  // Bits out of 64 two perceptual hashes may differ by and still count as duplicates
+  maxDistance: Joi.number().integer().min(0).max(20).default(6),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const resolveDuplicatesSchema = Joi.object({
+  groups: Joi.array().items(Joi.object({
+    keepId: Joi.number().integer().positive().required(),
+    deleteIds: Joi.array().items(Joi.number().integer().positive()).min(1).max(100).required()
+  })).min(1).max(500).required()
+});
+
+const mediaIdsSchema = Joi.object({
+  ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(500).unique().required()
+});
+
+const purgeTrashSchema = Joi.object({
+  ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(500).unique(),
+  // Without ids, all: true empties the whole trash
+  all: Joi.boolean().valid(true)
+}).xor('ids', 'all');
+
+const createUploadSessionSchema = Joi.object({
+  filename: Joi.string().trim().min(1).max(255).required(),
+  mimeType: Joi.string().pattern(/^(image|video)\/[\w.+-]+$/).required()
+    .messages({ 'string.pattern.base': 'Only image and video files are allowed' }),
+  sizeBytes: Joi.number().integer().min(1).max(uploadSessions.maxBytes).required(),
+  // Optional SHA-256 of the whole file, checked on completion
+  checksum: Joi.string().hex().length(64),
+  isPublic: Joi.boolean().default(false),
+  metadata: Joi.object().default({})
+});
+
 // Event publishing helper
 const publishEvent = async (eventType, data, correlationId = null) => {
   try {
     // Skip if Pub/Sub is not configured
-    if (!pubsub || process.env.USE_LOCAL_STORAGE === 'true') {
+    if (!pubsub || storageBackend.name !== 'gcs') {
       logger.info('Event skipped (Pub/Sub not configured):', { eventType });
       return;
     }
@@ -315,22 +601,275 @@ const publishEvent = async (eventType, data, correlationId = null) => {
   }
 };
 
-// Image optimization helper
-const optimizeImage = async (buffer, options = {}) => {
-  const { quality = 80, width, height } = options;
-  
-  let sharpInstance = sharp(buffer)
-    .jpeg({ quality, progressive: true })
-    .png({ compressionLevel: 9 });
-
-  if (width || height) {
-    sharpInstance = sharpInstance.resize(width, height, {
-      fit: sharp.fit.inside,
-      withoutEnlargement: true
-    });
+// Storage key for a new media file: media/<userId>/<uuid>.<ext>
+const newStorageKey = (userId, mimeType) => {
+  const filename = `${uuidv4()}.${mime.extension(mimeType) || 'bin'}`;
+  return { filename, storageKey: `media/${userId}/${filename}` };
+};
+
+// Open a write stream for a new file in the storage backend. Returns the
+// stream with the generated filename and storage key.
+const openStorageWriteStream = async (userId, mimeType, originalName) => {
+  const { filename, storageKey } = newStorageKey(userId, mimeType);
+  const stream = storageBackend.createWriteStream(storageKey, {
+    contentType: mimeType,
+    metadata: {
+      originalName,
+      uploadedBy: userId.toString(),
+      uploadedAt: new Date().toISOString()
+    }
+  });
+
+  return { stream, filename, storageKey };
+};
+
+// Delete what openStorageWriteStream wrote when the upload is not kept
+const discardStoredUpload = ({ storageKey }) => storageBackend.delete(storageKey);
+
+// Images have thumbnails, and videos once the worker has taken a poster frame
+const hasThumbnail = (mediaFile) =>
+  (mediaFile.mime_type.startsWith('image/') && !mediaProcessor.isTooLarge(mediaFile)) ||
+  (mediaFile.mime_type.startsWith('video/') && Boolean(mediaFile.poster_key));
+
+// What a video response adds: its size and length, and the HLS stream once transcoded
+const videoFields = (mediaFile) => {
+  if (!mediaFile.mime_type.startsWith('video/')) return {};
+
+  return {
+    durationSeconds: mediaFile.duration_seconds !== null && mediaFile.duration_seconds !== undefined
+      ? Number(mediaFile.duration_seconds)
+      : null,
+    width: mediaFile.width ?? null,
+    height: mediaFile.height ?? null,
+    streamUrl: mediaFile.hls_playlist_key ? `/api/media/${mediaFile.id}/hls/master.m3u8` : null
+  };
+};
+
+// Response shape for a newly uploaded media file
+const formatUploadedMedia = (mediaFile) => {
+  const responseMedia = {
+    id: mediaFile.id,
+    filename: mediaFile.filename,
+    originalName: mediaFile.original_name,
+    mimeType: mediaFile.mime_type,
+    sizeBytes: Number(mediaFile.size_bytes),
+    isPublic: mediaFile.is_public,
+    takenAt: mediaFile.exif?.takenAt || null,
+    status: mediaFile.processing_status,
+    createdAt: mediaFile.created_at,
+    downloadUrl: `/api/media/${mediaFile.id}/download`,
+    signedUrls: signedUrlsFor(mediaFile, mediaFile.user_id),
+    ...videoFields(mediaFile)
+  };
+
+  if (hasThumbnail(mediaFile)) {
+    responseMedia.thumbnailUrl = `/api/media/${mediaFile.id}/thumbnail`;
+  }
+
+  return responseMedia;
+};
+
+// Response shape for a media file in the trash
+const formatTrashedMedia = (mediaFile) => ({
+  ...formatUploadedMedia(mediaFile),
+  deletedAt: mediaFile.deleted_at,
+  purgesAt: mediaTrash.purgesAt(mediaFile)
+});
+
+// Positive integer media ids from route params, or null
+const parseMediaId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const readStoredFile = (storageKey) => mediaProcessor.readStoredFile(storageKey);
+
+// Hand a new upload to the worker. originalHead is the start of the file as
+// uploaded, for its EXIF. Without the queue an image is indexed here, as it
+// was before the worker existed, and renditions are made when first requested.
+// Transcoding is too slow to do inline, so a video is then only downloadable.
+const queueProcessing = async (mediaFile, originalHead = null) => {
+  if (mediaFile.processing_status !== 'processing') return;
+
+  // The same bytes uploaded before need no processing again
+  const reused = await mediaProcessor.reuseProcessed(mediaFile).catch(error => {
+    logger.warn('Failed to reuse processed media:', { mediaId: mediaFile.id, error: error.message });
+    return false;
+  });
+  if (reused) return;
+
+  const isVideo = mediaFile.mime_type.startsWith('video/');
+  let headKey = null;
+  try {
+    if (isVideo) {
+      await jobQueue.enqueue('video.process', { mediaId: mediaFile.id });
+      return;
+    }
+    if (originalHead) {
+      headKey = await mediaProcessor.saveHead(mediaFile.id, originalHead);
+    }
+    await jobQueue.enqueue('image.process', { mediaId: mediaFile.id, headKey });
+    return;
+  } catch (error) {
+    logger.warn(`Failed to queue media processing, ${isVideo ? 'skipping transcoding' : 'processing inline'}:`, { mediaId: mediaFile.id, error: error.message });
+    if (headKey) await mediaProcessor.discardHead(headKey);
+  }
+
+  if (!isVideo) {
+    await mediaProcessor.indexImage(mediaFile, originalHead);
+  }
+  try {
+    await mediaProcessor.setStatus(mediaFile.id, 'ready');
+    mediaFile.processing_status = 'ready';
+  } catch (error) {
+    logger.warn('Failed to update processing status:', { mediaId: mediaFile.id, error: error.message });
+  }
+};
+
+// Earlier media of the same user with identical content, if any
+const findDuplicateOf = async (mediaFile) => {
+  if (!mediaFile.content_sha256) return null;
+
+  const result = await pool.query(`
+    SELECT * FROM media
+    WHERE user_id = $1 AND content_sha256 = $2 AND id <> $3 AND deleted_at IS NULL
+    ORDER BY created_at ASC
+    LIMIT 1
+  `, [mediaFile.user_id, mediaFile.content_sha256, mediaFile.id]);
+
+  return result.rows.length > 0 ? formatUploadedMedia(result.rows[0]) : null;
+};
+
+// Register a file just written to storage and create its media record,
+// counting it against the user's storage quota. If the same bytes are already
+// stored, the new copy is dropped in favour of the existing blob; if the file
+// is over quota, it is dropped altogether.
+const createMediaRecord = async ({ userId, filename, originalName, mimeType, sizeBytes, sha256, storageKey, metadata, isPublic, originalHead }) => {
+  let blob, mediaFile;
+  try {
+    blob = await blobStore.adopt({ sha256, sizeBytes, storageKey });
+  } catch (dbError) {
+    await storageBackend.delete(storageKey).catch(() => {});
+    throw new Error('Database error: ' + dbError.message);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await storageQuota.reserve(client, userId, sizeBytes);
+
+    const result = await client.query(`
+      INSERT INTO media (
+        filename, original_name, mime_type, size_bytes, storage_backend, storage_key,
+        content_sha256, blob_id, user_id, metadata, is_public, processing_status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      filename,
+      originalName,
+      mimeType,
+      sizeBytes,
+      storageBackend.name,
+      blob.storageKey,
+      sha256,
+      blob.blobId,
+      userId,
+      JSON.stringify(metadata || {}),
+      isPublic,
+      // Images and videos are processed by the worker; anything else is ready as stored
+      mimeType.startsWith('image/') || mimeType.startsWith('video/') ? 'processing' : 'ready'
+    ]);
+
+    await client.query('COMMIT');
+    mediaFile = result.rows[0];
+  } catch (dbError) {
+    await client.query('ROLLBACK').catch(() => {});
+
+    if (isQuotaError(dbError)) {
+      logger.warn('Upload rejected over storage quota:', { userId, sizeBytes, reason: dbError.message });
+    } else {
+      logger.error('Database insertion failed:', {
+        error: dbError.message,
+        code: dbError.code,
+        detail: dbError.detail,
+        filename,
+        userId
+      });
+    }
+
+    // Give back the reference taken above so the blob is not leaked
+    try {
+      const orphanedKey = await blobStore.release(pool, blob.blobId);
+      if (orphanedKey) await storageBackend.delete(orphanedKey);
+    } catch (cleanupError) {
+      logger.warn('Failed to cleanup orphaned file:', {
+        storageKey: blob.storageKey,
+        error: cleanupError.message
+      });
+    }
+
+    throw isQuotaError(dbError) ? dbError : new Error('Database error: ' + dbError.message);
+  } finally {
+    client.release();
+  }
+
+  if (blob.shared) {
+    logger.info('Upload shares an existing blob', { blobId: blob.blobId, mediaId: mediaFile.id, userId });
+  }
+
+  await queueProcessing(mediaFile, originalHead);
+  return mediaFile;
+};
+
+// The task-service caches a user's album listings, media included, in the
+// shared Redis under keys starting with their id; drop them when media move
+// in or out of the trash so the albums do not show stale media
+const invalidateAlbumCache = async (userId) => {
+  try {
+    const keys = await redis.keys(`${userId}_*`);
+    if (keys.length > 0) {
+      await redis.del(keys);
+    }
+  } catch (error) {
+    logger.warn('Album cache invalidation failed:', error.message);
+  }
+};
+
+// Delete a media row inside the caller's transaction and release its stored
+// blob. Returns the storage key no other media shares any more, or null, for
+// deleteStoredMedia() once the transaction has committed; deleting it any
+// earlier would lose the file if the transaction rolled back. Rows from before
+// deduplication own their storage key outright.
+const deleteMediaRecord = async (db, mediaFile) => {
+  await db.query('DELETE FROM media WHERE id = $1', [mediaFile.id]);
+  await storageQuota.release(db, mediaFile.user_id, Number(mediaFile.size_bytes));
+
+  const storageKey = mediaFile.blob_id
+    ? await blobStore.release(db, mediaFile.blob_id)
+    : mediaFile.storage_key;
+
+  return storageKey || null;
+};
+
+// Delete a committed media deletion's file and renditions from storage. The
+// row is already gone, so a failure only leaves an orphaned object behind.
+const deleteStoredMedia = async (mediaFile, storageKey) => {
+  if (!storageKey) return;
+
+  try {
+    await storageBackend.delete(storageKey);
+  } catch (error) {
+    logger.error('Failed to delete stored media:', { mediaId: mediaFile.id, storageKey, error: error.message });
+    return;
   }
 
-  return await sharpInstance.toBuffer();
+  // Renditions are shared by content, and the same bytes may have been uploaded
+  // again since. Leftovers only waste space, so failing to delete them is not fatal.
+  const deleteRenditions = () => renditions.deleteAll(mediaFile);
+  await (mediaFile.content_sha256 ? blobStore.purgeDerived(mediaFile.content_sha256, deleteRenditions) : deleteRenditions())
+    .catch(error => {
+      logger.warn('Failed to delete renditions:', { mediaId: mediaFile.id, error: error.message });
+    });
 };
 
 // Routes
@@ -346,13 +885,61 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
+app.get('/metrics', async (req, res) => {
   res.set('Content-Type', register.contentType);
-  res.end(register.metrics());
+  res.end(await register.metrics());
 });
 
+// Answer an upload that does not fit the user's storage quota, with their usage
+const sendQuotaExceeded = async (res, userId) => {
+  const usage = await storageQuota.getUsage(userId).catch(() => null);
+  res.status(413).json({ error: 'Storage quota exceeded', usage });
+};
+
+// Turn uploads away before receiving them once the user's quota is used up.
+// Whether a given file fits is only known once it is stored.
+const requireStorageSpace = async (req, res, next) => {
+  try {
+    await storageQuota.check(req.user.id, 1);
+    next();
+  } catch (error) {
+    if (isQuotaError(error)) {
+      uploadCounter.labels('error', 'quota').inc();
+      return sendQuotaExceeded(res, req.user.id);
+    }
+    logger.error('Storage quota check failed:', { userId: req.user.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// The file is stored while multer receives it, so storage and optimization
+// errors surface here rather than in the route handler
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error || error instanceof multer.MulterError) {
+      return next(error);
+    }
+
+    // fileFilter rejections arrive here too
+    if (error.message === 'Only image and video files are allowed') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    uploadCounter.labels('error', 'unknown').inc();
+    logger.error('Upload stream failed:', {
+      message: error.message,
+      userId: req.user.id,
+      ip: req.ip
+    });
+    res.status(500).json({
+      error: 'Upload failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  });
+};
+
 // Upload media file with enhanced error handling
-app.post('/media/upload', authenticateToken, upload.single('file'), async (req, res) => {
+app.post('/media/upload', authenticateToken, requireScope('media:write'), requireStorageSpace, receiveFile, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -383,196 +970,43 @@ app.post('/media/upload', authenticateToken, upload.single('file'), async (req,
         userId: req.user.id,
         file: req.file.originalname
       });
+      await discardStoredUpload(req.file).catch(() => {});
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { optimize, quality, width, height, isPublic, metadata } = value;
-    
-    // Generate unique filename
-    const fileExtension = mime.extension(req.file.mimetype) || 'bin';
-    const filename = `${uuidv4()}.${fileExtension}`;
+    const { isPublic, metadata } = value;
+    const { filename, storageKey, sha256, originalBytes, sizeBytes, originalHead } = req.file;
     
     logger.info('Processing upload:', {
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
-      fileExtension,
       filename,
-      size: req.file.size,
+      originalBytes,
+      sizeBytes,
+      sha256,
       userId: req.user.id
     });
-    
-    // Optimize image if requested
-    let fileBuffer = req.file.buffer;
-    if (optimize && req.file.mimetype.startsWith('image/')) {
-      try {
-        fileBuffer = await optimizeImage(req.file.buffer, { quality, width, height });
-        logger.info('Image optimization completed:', { 
-          originalSize: req.file.size,
-          optimizedSize: fileBuffer.length,
-          reduction: ((req.file.size - fileBuffer.length) / req.file.size * 100).toFixed(2) + '%'
-        });
-      } catch (optimizeError) {
-        logger.warn('Image optimization failed, using original:', { 
-          error: optimizeError.message,
-          filename 
-        });
-        fileBuffer = req.file.buffer;
-      }
-    }
 
-    let filePath;
-    let storageUrl;
-
-    // Check if using local storage or GCS
-    if (process.env.USE_LOCAL_STORAGE === 'true') {
-      // Local storage
-      const uploadsDir = process.env.LOCAL_STORAGE_PATH || '/app/uploads';
-      const userDir = path.join(uploadsDir, req.user.id.toString());
-      
-      // Ensure directory exists
-      await fs.mkdir(userDir, { recursive: true });
-      
-      filePath = path.join(userDir, filename);
-      await fs.writeFile(filePath, fileBuffer);
-      
-      storageUrl = filePath;
-    } else {
-      // Google Cloud Storage - use streaming for better memory management
-      const gcsPath = `media/${req.user.id}/${filename}`;
-      const file = bucket.file(gcsPath);
-      
-      // Configure upload options with better error handling
-      const uploadOptions = {
-        metadata: {
-          contentType: req.file.mimetype,
-          metadata: {
-            originalName: req.file.originalname,
-            uploadedBy: req.user.id.toString(),
-            uploadedAt: new Date().toISOString()
-          }
-        },
-        // Always use resumable uploads for better reliability
-        resumable: true,
-        // Add validation to prevent data corruption
-        validation: 'crc32c'
-      };
-
-      const stream = file.createWriteStream(uploadOptions);
-
-      await new Promise((resolve, reject) => {
-        let uploadComplete = false;
-        
-        stream.on('error', (error) => {
-          if (!uploadComplete) {
-            logger.error('GCS upload stream error:', { 
-              error: error.message,
-              code: error.code,
-              filename,
-              gcsPath,
-              fileSize: fileBuffer.length
-            });
-            reject(new Error(`GCS upload failed: ${error.message}`));
-          }
-        });
-        
-        stream.on('finish', () => {
-          uploadComplete = true;
-          logger.info('GCS upload completed successfully', { 
-            filename, 
-            size: fileBuffer.length,
-            gcsPath 
-          });
-          resolve(null);
-        });
-        
-        // Write the buffer to the stream in chunks for large files
-        if (fileBuffer.length > 10 * 1024 * 1024) { // 10MB+
-          const chunkSize = 1024 * 1024; // 1MB chunks
-          let offset = 0;
-          
-          const writeChunk = () => {
-            if (offset >= fileBuffer.length) {
-              stream.end();
-              return;
-            }
-            
-            const chunk = fileBuffer.slice(offset, Math.min(offset + chunkSize, fileBuffer.length));
-            const canContinue = stream.write(chunk);
-            offset += chunk.length;
-            
-            if (canContinue) {
-              setImmediate(writeChunk);
-            } else {
-              stream.once('drain', writeChunk);
-            }
-          };
-          
-          writeChunk();
-        } else {
-          // For smaller files, write directly
-          stream.end(fileBuffer);
-        }
-      });
-      
-      storageUrl = gcsPath;
-    }
-
-    // Save metadata to database with error handling
-    let result;
-    try {
-      result = await pool.query(`
-        INSERT INTO media (
-          filename, original_name, mime_type, size_bytes, 
-          ${process.env.USE_LOCAL_STORAGE === 'true' ? 'local_path' : 'gcs_path'}, 
-          user_id, metadata, is_public
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING *
-      `, [
-        filename,
-        req.file.originalname,
-        req.file.mimetype,
-        fileBuffer.length,
-        storageUrl,
-        req.user.id,
-        JSON.stringify(metadata),
-        isPublic
-      ]);
-      
-      logger.info('Database record created:', { 
-        mediaId: result.rows[0].id,
-        filename,
-        userId: req.user.id
-      });
-    } catch (dbError) {
-      logger.error('Database insertion failed:', {
-        error: dbError.message,
-        code: dbError.code,
-        detail: dbError.detail,
-        filename,
-        userId: req.user.id
-      });
-      
-      // Try to clean up uploaded file if database fails
-      if (process.env.USE_LOCAL_STORAGE !== 'true' && storageUrl) {
-        try {
-          const file = bucket.file(storageUrl);
-          await file.delete();
-          logger.info('Cleaned up orphaned file after database error:', { storageUrl });
-        } catch (cleanupError) {
-          logger.warn('Failed to cleanup orphaned file:', { 
-            storageUrl, 
-            error: cleanupError.message 
-          });
-        }
-      }
-      
-      throw new Error('Database error: ' + dbError.message);
-    }
+    // Save metadata to database
+    const mediaFile = await createMediaRecord({
+      userId: req.user.id,
+      filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      sizeBytes,
+      sha256,
+      storageKey,
+      metadata,
+      isPublic,
+      originalHead
+    });
 
-    const mediaFile = result.rows[0];
+    logger.info('Database record created:', {
+      mediaId: mediaFile.id,
+      filename,
+      userId: req.user.id
+    });
 
-    // Update storage metrics
-    storageGauge.inc(fileBuffer.length);
     uploadCounter.labels('success', req.file.mimetype).inc();
 
     // Publish event
@@ -582,7 +1016,7 @@ app.post('/media/upload', authenticateToken, upload.single('file'), async (req,
       filename: mediaFile.filename,
       originalName: mediaFile.original_name,
       mimeType: mediaFile.mime_type,
-      sizeBytes: mediaFile.size_bytes
+      sizeBytes: Number(mediaFile.size_bytes)
     });
 
     logger.info('Media file uploaded successfully', {
@@ -592,26 +1026,10 @@ app.post('/media/upload', authenticateToken, upload.single('file'), async (req,
       duration: Date.now() - startTime
     });
 
-    // Prepare response object
-    const responseMedia = {
-      id: mediaFile.id,
-      filename: mediaFile.filename,
-      originalName: mediaFile.original_name,
-      mimeType: mediaFile.mime_type,
-      sizeBytes: mediaFile.size_bytes,
-      isPublic: mediaFile.is_public,
-      createdAt: mediaFile.created_at,
-      downloadUrl: `/api/media/${mediaFile.id}/download`
-    };
-
-    // Only include thumbnail URL for images
-    if (mediaFile.mime_type.startsWith('image/')) {
-      responseMedia.thumbnailUrl = `/api/media/${mediaFile.id}/thumbnail`;
-    }
-
     res.status(201).json({
       message: 'File uploaded successfully',
-      media: responseMedia
+      media: formatUploadedMedia(mediaFile),
+      duplicateOf: await findDuplicateOf(mediaFile)
     });
 
   } catch (error) {
@@ -631,6 +1049,10 @@ app.post('/media/upload', authenticateToken, upload.single('file'), async (req,
       userAgent: req.get('User-Agent')
     });
     
+    if (isQuotaError(error)) {
+      return sendQuotaExceeded(res, req.user.id);
+    }
+
     // Determine appropriate error response
     let statusCode = 500;
     let errorMessage = 'Upload failed';
@@ -638,9 +1060,6 @@ app.post('/media/upload', authenticateToken, upload.single('file'), async (req,
     if (error.message.includes('File too large')) {
       statusCode = 413;
       errorMessage = 'File too large - maximum size is 50MB';
-    } else if (error.message.includes('GCS upload failed')) {
-      statusCode = 502;
-      errorMessage = 'Storage service error - please try again';
     } else if (error.message.includes('Database error')) {
       statusCode = 500;
       errorMessage = 'Database error - please try again';
@@ -656,12 +1075,639 @@ app.post('/media/upload', authenticateToken, upload.single('file'), async (req,
   }
 });
 
-// Get media file metadata
-app.get('/media/:id', authenticateToken, async (req, res) => {
+// Run fn over items with at most `limit` calls in flight, keeping results in order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+};
+
+// Store one file of a batch and create its media record
+const storeBatchFile = async (file, userId, { optimize, quality, width, height, isPublic, metadata }) => {
+  const optimizer = optimize ? createImageOptimizer(file.mimetype, { quality, width, height }) : null;
+  const store = async () => {
+    const { stream, ...stored } = await openStorageWriteStream(userId, file.mimetype, file.originalname);
+    try {
+      return { stored, ...await runUploadPipeline(createReadStream(file.path), stream, optimizer, { headBytes: EXIF_PROBE_BYTES }) };
+    } catch (streamError) {
+      await discardStoredUpload(stored).catch(() => {});
+      throw streamError;
+    }
+  };
+
+  const { stored, sizeBytes, sha256, originalHead } = await (optimizer ? optimizeLimit.run(store) : store());
+
+  const mediaFile = await createMediaRecord({
+    userId,
+    filename: stored.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    sizeBytes,
+    sha256,
+    storageKey: stored.storageKey,
+    metadata,
+    isPublic,
+    originalHead
+  });
+
+  uploadCounter.labels('success', file.mimetype).inc();
+
+  await publishEvent('media.uploaded', {
+    mediaId: mediaFile.id,
+    userId,
+    filename: mediaFile.filename,
+    originalName: mediaFile.original_name,
+    mimeType: mediaFile.mime_type,
+    sizeBytes: Number(mediaFile.size_bytes)
+  });
+
+  return mediaFile;
+};
+
+// Upload many files at once. Responds with one manifest entry per file (in the
+// order they were sent) and, given an albumId, attaches the uploads to that album.
+app.post('/media/upload/batch', authenticateToken, requireScope('media:write'), requireStorageSpace, batchUpload.array('files', BATCH_MAX_FILES), async (req, res) => {
+  const startTime = Date.now();
+  const files = req.files || [];
+  const rejectedFiles = req.rejectedFiles || [];
+
+  try {
+    if (files.length === 0 && rejectedFiles.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { error, value } = batchUploadSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { albumId, ...options } = value;
+
+    if (albumId) {
+      const albumResult = await pool.query(
+        'SELECT id FROM albums WHERE id = $1 AND user_id = $2',
+        [albumId, req.user.id]
+      );
+
+      if (albumResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Album not found' });
+      }
+    }
+
+    const uploaded = await mapWithConcurrency(files, BATCH_UPLOAD_CONCURRENCY, async (file) => {
+      try {
+        const mediaFile = await storeBatchFile(file, req.user.id, options);
+        return {
+          index: file.batchIndex,
+          originalName: file.originalname,
+          status: 'uploaded',
+          media: formatUploadedMedia(mediaFile),
+          duplicateOf: await findDuplicateOf(mediaFile)
+        };
+      } catch (fileError) {
+        uploadCounter.labels('error', file.mimetype).inc();
+        logger.error('Batch file upload failed:', {
+          error: fileError.message,
+          userId: req.user.id,
+          originalName: file.originalname,
+          size: file.size
+        });
+        return {
+          index: file.batchIndex,
+          originalName: file.originalname,
+          status: 'failed',
+          error: isQuotaError(fileError)
+            ? 'Storage quota exceeded'
+            : fileError.message.includes('Database error')
+              ? 'Database error - please try again'
+              : 'Upload failed'
+        };
+      }
+    });
+
+    const results = [
+      ...uploaded,
+      ...rejectedFiles.map(file => ({
+        index: file.batchIndex,
+        originalName: file.originalname,
+        status: 'failed',
+        error: 'Only image and video files are allowed'
+      }))
+    ].sort((a, b) => a.index - b.index);
+
+    const mediaIds = results.filter(entry => entry.status === 'uploaded').map(entry => entry.media.id);
+    const failed = results.length - mediaIds.length;
+
+    let album;
+    if (albumId && mediaIds.length > 0) {
+      try {
+        // Forward the caller's credentials so task-service applies its own ownership checks
+        const response = await axios.post(
+          `${TASK_SERVICE_URL}/albums/${albumId}/media/batch`,
+          { mediaIds },
+          { headers: { authorization: req.headers.authorization }, timeout: 30000 }
+        );
+        album = { id: albumId, attached: response.data.attached.length };
+      } catch (attachError) {
+        logger.error('Failed to attach batch to album:', {
+          albumId,
+          userId: req.user.id,
+          status: attachError.response?.status,
+          error: attachError.message
+        });
+        album = { id: albumId, attached: 0, error: 'Files were uploaded but could not be added to the album' };
+      }
+    }
+
+    logger.info('Batch upload finished', {
+      userId: req.user.id,
+      uploaded: mediaIds.length,
+      failed,
+      albumId,
+      duration: Date.now() - startTime
+    });
+
+    // 207 tells the client to look at the individual results
+    res.status(failed === 0 && !album?.error ? 201 : 207).json({
+      results,
+      uploaded: mediaIds.length,
+      failed,
+      album
+    });
+  } catch (error) {
+    logger.error('Batch upload failed:', {
+      message: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      files: files.length
+    });
+    res.status(500).json({ error: 'Batch upload failed' });
+  } finally {
+    await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+  }
+});
+
+// Start a resumable upload. Chunks are then sent with PUT /media/uploads/:id
+// and an Upload-Offset header, and the file is finalized with .../complete.
+app.post('/media/uploads', authenticateToken, requireScope('media:write'), async (req, res) => {
+  try {
+    const { error, value } = createUploadSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    try {
+      await storageQuota.check(req.user.id, value.sizeBytes);
+    } catch (quotaError) {
+      if (!isQuotaError(quotaError)) throw quotaError;
+      return sendQuotaExceeded(res, req.user.id);
+    }
+
+    const session = await uploadSessions.create(req.user.id, {
+      originalName: value.filename,
+      mimeType: value.mimeType,
+      totalBytes: value.sizeBytes,
+      checksum: value.checksum,
+      metadata: value.metadata,
+      isPublic: value.isPublic
+    });
+
+    logger.info('Resumable upload started', {
+      uploadId: session.id,
+      userId: req.user.id,
+      mimeType: value.mimeType,
+      size: value.sizeBytes
+    });
+
+    res.location(`/api/media/uploads/${session.id}`);
+    res.status(201).json({ upload: uploadSessions.format(session) });
+  } catch (error) {
+    logger.error('Failed to start upload:', error.message);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// Load the caller's upload for the routes below, or send a 404
+const loadUploadSession = async (req, res, next) => {
+  try {
+    const session = UploadSessionManager.isUploadId(req.params.id)
+      && await uploadSessions.get(req.params.id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    logger.error('Failed to load upload:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Upload progress; clients resume from the returned offset
+app.get('/media/uploads/:id', authenticateToken, requireScope('media:write'), loadUploadSession, (req, res) => {
+  res.set('Upload-Offset', String(req.uploadSession.received_bytes));
+  res.json({ upload: uploadSessions.format(req.uploadSession) });
+});
+
+// Append a chunk. The body is the raw bytes; Upload-Checksum ("sha256 <base64>") is optional.
+app.put('/media/uploads/:id', authenticateToken, requireScope('media:write'), loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+
+  if (session.status !== 'pending') {
+    return res.status(409).json({ error: `Upload is ${session.status}` });
+  }
+
+  const offset = Number(req.get('Upload-Offset'));
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset header is required' });
+  }
+
+  let expectedChecksum = null;
+  const checksumHeader = req.get('Upload-Checksum');
+  if (checksumHeader) {
+    const [algorithm, digest] = checksumHeader.trim().split(/\s+/);
+    if (algorithm !== 'sha256' || !digest) {
+      return res.status(400).json({ error: 'Upload-Checksum must be "sha256 <base64 digest>"' });
+    }
+    expectedChecksum = digest;
+  }
+
+  try {
+    const result = await uploadSessions.writeChunk(session, offset, req, expectedChecksum);
+
+    if (result.error === 'offset_mismatch') {
+      res.set('Upload-Offset', String(result.offset));
+      return res.status(409).json({ error: 'Upload offset mismatch', offset: result.offset });
+    }
+    if (result.error === 'busy') {
+      return res.status(409).json({ error: 'Another chunk of this upload is in progress' });
+    }
+    if (result.error === 'too_large') {
+      return res.status(413).json({ error: `Chunks may not exceed ${uploadSessions.chunkBytes} bytes or the declared file size` });
+    }
+    if (result.error === 'checksum_mismatch') {
+      return res.status(400).json({ error: 'Checksum mismatch' });
+    }
+
+    res.set('Upload-Offset', String(result.offset));
+    res.json({ offset: result.offset });
+  } catch (error) {
+    // Usually the client dropped the connection; it resumes from the last offset
+    logger.warn('Upload chunk failed:', { uploadId: session.id, offset, error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to store chunk' });
+    }
+  }
+});
+
+// Finish an upload once every byte has arrived, creating the media row
+app.post('/media/uploads/:id/complete', authenticateToken, requireScope('media:write'), loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+
+  if (session.status === 'completed') {
+    return res.status(409).json({ error: 'Upload already completed', mediaId: session.media_id });
+  }
+
+  const { filename, storageKey } = newStorageKey(req.user.id, session.mime_type);
+
+  try {
+    const assembled = await uploadSessions.assemble(session, storageKey);
+
+    if (assembled.error === 'incomplete') {
+      return res.status(409).json({
+        error: 'Upload is not complete',
+        offset: Number(session.received_bytes),
+        sizeBytes: Number(session.total_bytes)
+      });
+    }
+    if (assembled.error) {
+      uploadCounter.labels('error', session.mime_type).inc();
+      return res.status(422).json({ error: 'Uploaded file failed verification; please upload it again' });
+    }
+
+    let mediaFile;
+    try {
+      mediaFile = await createMediaRecord({
+        userId: req.user.id,
+        filename,
+        originalName: session.original_name,
+        mimeType: session.mime_type,
+        sizeBytes: Number(session.total_bytes),
+        sha256: assembled.sha256,
+        storageKey,
+        metadata: session.metadata,
+        isPublic: session.is_public
+      });
+    } catch (dbError) {
+      // createMediaRecord already removed the assembled file
+      await uploadSessions.abort(session);
+      throw dbError;
+    }
+
+    await uploadSessions.markCompleted(session.id, mediaFile.id);
+
+    uploadCounter.labels('success', mediaFile.mime_type).inc();
+
+    await publishEvent('media.uploaded', {
+      mediaId: mediaFile.id,
+      userId: req.user.id,
+      filename: mediaFile.filename,
+      originalName: mediaFile.original_name,
+      mimeType: mediaFile.mime_type,
+      sizeBytes: Number(mediaFile.size_bytes)
+    });
+
+    logger.info('Resumable upload completed', {
+      uploadId: session.id,
+      mediaId: mediaFile.id,
+      userId: req.user.id,
+      sha256: assembled.sha256
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      media: formatUploadedMedia(mediaFile),
+      duplicateOf: await findDuplicateOf(mediaFile)
+    });
+  } catch (error) {
+    uploadCounter.labels('error', session.mime_type).inc();
+    if (isQuotaError(error)) {
+      return sendQuotaExceeded(res, req.user.id);
+    }
+    logger.error('Failed to complete upload:', { uploadId: session.id, error: error.message });
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+// Cancel an upload and discard its chunks
+app.delete('/media/uploads/:id', authenticateToken, requireScope('media:write'), loadUploadSession, async (req, res) => {
+  try {
+    if (req.uploadSession.status === 'completed') {
+      return res.status(409).json({ error: 'Upload already completed' });
+    }
+
+    await uploadSessions.abort(req.uploadSession);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    logger.error('Failed to cancel upload:', error.message);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+});
+
+// Storage used by the signed-in user and the limits of their plan
+app.get('/media/usage', authenticateToken, requireScope('media:read'), async (req, res) => {
+  try {
+    const usage = await storageQuota.getUsage(req.user.id);
+    res.json({ usage });
+  } catch (error) {
+    logger.error('Failed to load storage usage:', { userId: req.user.id, error: error.message });
+    res.status(500).json({ error: 'Failed to load storage usage' });
+  }
+});
+
+// Groups of near-identical images (burst shots, resized or re-saved copies),
+// found by comparing perceptual hashes, a page at a time, largest groups
+// first. Each group suggests the largest file as the one to keep.
+app.get('/media/duplicates', authenticateToken, requireScope('media:read'), async (req, res) => {
+  try {
+    const { error, value } = duplicatesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Only what clustering needs; whole rows are loaded for the page shown
+    const result = await pool.query(`
+      SELECT id, perceptual_hash, size_bytes, created_at FROM media
+      WHERE user_id = $1 AND perceptual_hash IS NOT NULL AND deleted_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [req.user.id, DUPLICATE_SCAN_LIMIT]);
+
+    const clusters = (await clusterByDistance(result.rows, value.maxDistance, file => file.perceptual_hash))
+      .map(files => [...files].sort((a, b) =>
+        Number(b.size_bytes) - Number(a.size_bytes) || new Date(a.created_at) - new Date(b.created_at)
+      ))
+      .sort((a, b) => b.length - a.length || b[0].id - a[0].id);
+
+    const totalPages = Math.ceil(clusters.length / value.limit);
+    const pageClusters = clusters.slice((value.page - 1) * value.limit, value.page * value.limit);
+
+    const rows = await pool.query('SELECT * FROM media WHERE id = ANY($1)', [pageClusters.flat().map(file => file.id)]);
+    const rowsById = new Map(rows.rows.map(row => [row.id, row]));
+
+    const groups = pageClusters.map(files => {
+      const keep = files[0];
+      return {
+        keepId: keep.id,
+        media: files
+          .filter(file => rowsById.has(file.id))
+          .map(file => ({
+            ...formatUploadedMedia(rowsById.get(file.id)),
+            distance: hammingDistance(keep.perceptual_hash, file.perceptual_hash)
+          }))
+      };
+    });
+
+    res.json({
+      groups,
+      maxDistance: value.maxDistance,
+      scanned: result.rows.length,
+      truncated: result.rows.length === DUPLICATE_SCAN_LIMIT,
+      pagination: {
+        currentPage: value.page,
+        totalPages,
+        totalItems: clusters.length,
+        hasNextPage: value.page < totalPages,
+        hasPreviousPage: value.page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Find duplicates failed:', error.message);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+// Keep one file of each duplicate group and move the rest to the trash
+app.post('/media/duplicates/resolve', authenticateToken, requireScope('media:write'), async (req, res) => {
+  const { error, value } = resolveDuplicatesSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const keepIds = value.groups.map(group => group.keepId);
+    const deleteIds = value.groups.flatMap(group => group.deleteIds);
+
+    if (deleteIds.some(id => keepIds.includes(id)) || new Set(deleteIds).size !== deleteIds.length) {
+      return res.status(400).json({ error: 'A file can only be kept or deleted once' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM media WHERE user_id = $1 AND id = ANY($2) AND deleted_at IS NULL',
+      [req.user.id, [...keepIds, ...deleteIds]]
+    );
+    const owned = new Map(result.rows.map(file => [file.id, file]));
+
+    // Never delete a group's files unless the one being kept is still there
+    if (keepIds.some(id => !owned.has(id))) {
+      return res.status(404).json({ error: 'Media file not found' });
+    }
+
+    // Duplicates go to the trash, so a wrong call can still be undone
+    const trashed = await mediaTrash.trash(req.user.id, deleteIds.filter(id => owned.has(id)));
+    const deleted = trashed.length;
+    const failed = deleteIds.filter(id => !trashed.some(file => file.id === id));
+
+    logger.info('Duplicates resolved', { userId: req.user.id, deleted, failed: failed.length });
+
+    res.status(failed.length > 0 ? 207 : 200).json({
+      message: failed.length > 0 ? 'Some duplicates could not be deleted' : 'Duplicates resolved',
+      deleted,
+      failed
+    });
+  } catch (error) {
+    logger.error('Resolve duplicates failed:', error.message);
+    res.status(500).json({ error: 'Failed to resolve duplicates' });
+  }
+});
+
+// Media in the trash, most recently deleted first, each with when it will be purged
+app.get('/media/trash', authenticateToken, requireScope('media:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const { media, total } = await mediaTrash.list(req.user.id, { limit, offset: (page - 1) * limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      media: media.map(formatTrashedMedia),
+      retentionDays: mediaTrash.retentionDays,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('List trash failed:', error.message);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// Move several media files to the trash at once
+app.post('/media/trash', authenticateToken, requireScope('media:write'), async (req, res) => {
+  const { error, value } = mediaIdsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const trashed = await mediaTrash.trash(req.user.id, value.ids);
+    const trashedIds = trashed.map(mediaFile => mediaFile.id);
+
+    if (trashedIds.length > 0) {
+      await publishEvent('media.trashed', { mediaIds: trashedIds, userId: req.user.id });
+    }
+
+    logger.info('Media moved to trash', { userId: req.user.id, count: trashedIds.length });
+
+    res.json({
+      message: 'Media moved to trash',
+      trashed: trashedIds,
+      skipped: value.ids.filter(id => !trashedIds.includes(id))
+    });
+  } catch (error) {
+    logger.error('Bulk trash failed:', error.message);
+    res.status(500).json({ error: 'Failed to move media to trash' });
+  }
+});
+
+// Take media out of the trash. Their album links were kept, so they show up
+// in their albums again too.
+app.post('/media/trash/restore', authenticateToken, requireScope('media:write'), async (req, res) => {
+  const { error, value } = mediaIdsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const restored = await mediaTrash.restore(req.user.id, value.ids);
+    const restoredIds = restored.map(mediaFile => mediaFile.id);
+
+    if (restoredIds.length > 0) {
+      await publishEvent('media.restored', { mediaIds: restoredIds, userId: req.user.id });
+    }
+
+    logger.info('Media restored from trash', { userId: req.user.id, count: restoredIds.length });
+
+    res.json({
+      message: 'Media restored',
+      restored: restoredIds,
+      skipped: value.ids.filter(id => !restoredIds.includes(id)),
+      media: restored.map(formatUploadedMedia)
+    });
+  } catch (error) {
+    logger.error('Bulk restore failed:', error.message);
+    res.status(500).json({ error: 'Failed to restore media' });
+  }
+});
+
+// Delete media in the trash for good, the given ids or with all: true the
+// whole trash, freeing their storage and quota. Signed-in sessions only.
+app.post('/media/trash/purge', authenticateToken, requireScope('media:write'), requireSession, async (req, res) => {
+  const { error, value } = purgeTrashSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    const { purged, failed } = await mediaTrash.purge(req.user.id, value.ids || null);
+
+    for (const mediaFile of purged) {
+      await publishEvent('media.deleted', {
+        mediaId: mediaFile.id,
+        userId: req.user.id,
+        filename: mediaFile.filename
+      });
+    }
+
+    logger.info('Trash purged', { userId: req.user.id, purged: purged.length, failed: failed.length });
+
+    if (failed.length > 0) {
+      return res.status(500).json({
+        error: 'Some media files could not be deleted',
+        purged: purged.length,
+        failed
+      });
+    }
+
+    res.json({ message: 'Trash purged', purged: purged.length });
+  } catch (error) {
+    logger.error('Trash purge failed:', error.message);
+    res.status(500).json({ error: 'Failed to purge trash' });
+  }
+});
+
+// Get media file metadata
+app.get('/media/:id', authenticateToken, requireScope('media:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT * FROM media 
-      WHERE id = $1 AND (user_id = $2 OR is_public = true)
+      WHERE id = $1 AND (user_id = $2 OR (is_public = true AND deleted_at IS NULL))
     `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
@@ -676,15 +1722,27 @@ app.get('/media/:id', authenticateToken, async (req, res) => {
       filename: mediaFile.filename,
       originalName: mediaFile.original_name,
       mimeType: mediaFile.mime_type,
-      sizeBytes: mediaFile.size_bytes,
+      sizeBytes: Number(mediaFile.size_bytes),
       isPublic: mediaFile.is_public,
       metadata: mediaFile.metadata,
+      takenAt: mediaFile.exif?.takenAt || null,
+      exif: mediaFile.exif || null,
+      status: mediaFile.processing_status,
       createdAt: mediaFile.created_at,
-      downloadUrl: `/api/media/${mediaFile.id}/download`
+      downloadUrl: `/api/media/${mediaFile.id}/download`,
+      signedUrls: signedUrlsFor(mediaFile, req.user.id),
+      ...videoFields(mediaFile),
+      // Only the owner sees a trashed file, until it is restored or purged
+      ...(mediaFile.deleted_at && { deletedAt: mediaFile.deleted_at })
     };
 
-    // Only include thumbnail URL for images
-    if (mediaFile.mime_type.startsWith('image/')) {
+    // Where a photo was taken is only for its owner
+    if (responseMedia.exif && mediaFile.user_id !== req.user.id) {
+      const { gps, ...exif } = responseMedia.exif;
+      responseMedia.exif = exif;
+    }
+
+    if (hasThumbnail(mediaFile)) {
       responseMedia.thumbnailUrl = `/api/media/${mediaFile.id}/thumbnail`;
     }
     
@@ -698,12 +1756,63 @@ app.get('/media/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Take one media file out of the trash
+app.post('/media/:id/restore', authenticateToken, requireScope('media:write'), async (req, res) => {
+  try {
+    const mediaId = parseMediaId(req.params.id);
+    const [mediaFile] = mediaId ? await mediaTrash.restore(req.user.id, [mediaId]) : [];
+
+    if (!mediaFile) {
+      return res.status(404).json({ error: 'Media file not found in trash' });
+    }
+
+    await publishEvent('media.restored', { mediaIds: [mediaFile.id], userId: req.user.id });
+
+    logger.info('Media file restored from trash', { mediaId: mediaFile.id, userId: req.user.id });
+
+    res.json({ message: 'Media file restored', media: formatUploadedMedia(mediaFile) });
+  } catch (error) {
+    logger.error('Restore media failed:', error.message);
+    res.status(500).json({ error: 'Failed to restore media file' });
+  }
+});
+
+// Processing status of an upload (processing, ready or failed), for the UI to poll
+app.get('/media/:id/status', authenticateToken, requireScope('media:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, processing_status, processing_error, processed_at FROM media
+      WHERE id = $1 AND user_id = $2
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Media file not found' });
+    }
+
+    const mediaFile = result.rows[0];
+    res.json({
+      id: mediaFile.id,
+      status: mediaFile.processing_status,
+      error: mediaFile.processing_error,
+      processedAt: mediaFile.processed_at
+    });
+  } catch (error) {
+    logger.error('Get media status failed:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve media status' });
+  }
+});
+
 // Download media file
-app.get('/media/:id/download', authenticateToken, async (req, res) => {
+app.get('/media/:id/download', authenticateTokenOrSignature, requireScope('media:read'), async (req, res) => {
   try {
+    const { error, value } = downloadQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
     const result = await pool.query(`
       SELECT * FROM media 
-      WHERE id = $1 AND (user_id = $2 OR is_public = true)
+      WHERE id = $1 AND deleted_at IS NULL AND (user_id = $2 OR is_public = true)
     `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
@@ -713,50 +1822,125 @@ app.get('/media/:id/download', authenticateToken, async (req, res) => {
 
     const mediaFile = result.rows[0];
 
-    // Set appropriate headers
-    res.setHeader('Content-Type', mediaFile.mime_type);
-    res.setHeader('Content-Disposition', `attachment; filename="${mediaFile.original_name}"`);
-    
-    if (process.env.USE_LOCAL_STORAGE === 'true') {
-      // Local storage
-      const filePath = mediaFile.local_path;
-      
-      try {
-        // Check if file exists
-        await fs.access(filePath);
-        
-        // Send file
-        res.sendFile(path.resolve(filePath));
-        downloadCounter.labels('success').inc();
-      } catch (error) {
-        downloadCounter.labels('not_found').inc();
-        return res.status(404).json({ error: 'File not found in storage' });
+    // Check if file exists in storage
+    const stored = mediaFile.storage_key && await storageBackend.head(mediaFile.storage_key);
+    if (!stored) {
+      downloadCounter.labels('not_found').inc();
+      return res.status(404).json({ error: 'File not found in storage' });
+    }
+
+    // Owners get what they ask for, or their privacy setting. Anyone else is
+    // looking at a public file and never gets its location.
+    let stripMode = value.strip;
+    if (mediaFile.user_id === req.user.id) {
+      if (!stripMode) {
+        const settings = await pool.query('SELECT media_metadata_privacy FROM users WHERE id = $1', [req.user.id]);
+        stripMode = settings.rows[0]?.media_metadata_privacy || 'none';
       }
+    } else if (!stripMode || stripMode === 'none') {
+      stripMode = 'location';
+    }
+    const stripper = createMetadataStripper(mediaFile.mime_type, stripMode);
+
+    // What cannot be stripped on the way out (videos, HEIC) is delivered from
+    // the copy the worker made without metadata, or not at all
+    let servedKey = mediaFile.storage_key;
+    let served = stored;
+    let contentType = mediaFile.mime_type;
+    const needsStrippedCopy = stripMode !== 'none' && !stripper && carriesMetadata(mediaFile.mime_type);
+    if (needsStrippedCopy) {
+      const copy = mediaFile.stripped_key && await storageBackend.head(mediaFile.stripped_key);
+      if (!copy) {
+        if (mediaFile.processing_status === 'processing') {
+          return res.status(409).json({ error: 'Media is still processing' });
+        }
+        downloadCounter.labels('refused').inc();
+        return mediaFile.user_id === req.user.id
+          ? res.status(422).json({ error: 'Metadata cannot be removed from this file; download it with strip=none' })
+          : res.status(403).json({ error: 'This file cannot be shared without its metadata' });
+      }
+      servedKey = mediaFile.stripped_key;
+      served = copy;
+      contentType = strippedContainerFor(mediaFile.mime_type).mimeType;
+    }
+
+    // Storage can only hand out the file as stored
+    if (!stripper && await redirectToStorage(req, res, servedKey, { filename: mediaFile.original_name })) {
+      downloadCounter.labels('redirected').inc();
+      return;
+    }
+
+    // Validators for caching. The content hash names the bytes exactly; a
+    // stripped copy is its own representation, and is the same every time.
+    const etag = mediaFile.content_sha256
+      ? `"${mediaFile.content_sha256}${stripper ? `-${stripMode}` : needsStrippedCopy ? '-stripped' : ''}"`
+      : (stripper ? null : served.etag);
+    const lastModified = served.updatedAt || mediaFile.created_at;
+
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+    // Browsers may keep the file but must check it is still theirs to see
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+    if (req.fresh) {
+      downloadCounter.labels('not_modified').inc();
+      return res.status(304).end();
+    }
+
+    // Stripping changes the bytes, so ranges and the size are only known without it
+    res.setHeader('Accept-Ranges', stripper ? 'none' : 'bytes');
+    const ranges = stripper ? null : requestedRanges(req, served.size, { etag, lastModified: new Date(lastModified) });
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${served.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${mediaFile.original_name}"`);
+
+    let body;
+    if (ranges && ranges.length > 1) {
+      const multipart = multipartRanges(storageBackend, servedKey, ranges, served.size, contentType);
+      res.status(206);
+      res.setHeader('Content-Type', multipart.contentType);
+      res.setHeader('Content-Length', multipart.length);
+      body = multipart.stream;
+    } else if (ranges) {
+      const [{ start, end }] = ranges;
+      res.status(206);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${served.size}`);
+      res.setHeader('Content-Length', end - start + 1);
+      body = storageBackend.createReadStream(servedKey, { start, end });
     } else {
-      // Google Cloud Storage
-      const file = bucket.file(mediaFile.gcs_path);
-      
-      // Check if file exists in storage
-      const [exists] = await file.exists();
-      if (!exists) {
-        downloadCounter.labels('not_found').inc();
-        return res.status(404).json({ error: 'File not found in storage' });
+      res.setHeader('Content-Type', contentType);
+      if (!stripper) {
+        res.setHeader('Content-Length', served.size);
       }
-      
-      // Stream file from GCS
-      const readStream = file.createReadStream();
-      readStream.pipe(res);
-      downloadCounter.labels('success').inc();
-
-      readStream.on('error', (error) => {
-        downloadCounter.labels('error').inc();
-        logger.error('Download stream error:', error.message);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Download failed' });
-        }
-      });
+
+      // Stream file from storage
+      const readStream = storageBackend.createReadStream(servedKey);
+      if (stripper) {
+        readStream.on('error', (error) => stripper.destroy(error));
+      }
+      body = stripper ? readStream.pipe(stripper) : readStream;
     }
 
+    body.pipe(res);
+    downloadCounter.labels(ranges ? 'partial' : 'success').inc();
+
+    body.on('error', (error) => {
+      downloadCounter.labels('error').inc();
+      logger.error('Download stream error:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Download failed' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
   } catch (error) {
     downloadCounter.labels('error').inc();
     logger.error('Download failed:', error.message);
@@ -764,14 +1948,16 @@ app.get('/media/:id/download', authenticateToken, async (req, res) => {
   }
 });
 
-// Generate thumbnail
-app.get('/media/:id/thumbnail', authenticateToken, async (req, res) => {
-  const { width = 150, height = 150 } = req.query;
-  
+// Serve a named rendition of an image, or of a video's poster frame, in the best format the client accepts
+const sendRendition = async (req, res, name) => {
   try {
+    if (!RENDITIONS[name]) {
+      return res.status(400).json({ error: `Unknown rendition, expected one of: ${Object.keys(RENDITIONS).join(', ')}` });
+    }
+
     const result = await pool.query(`
       SELECT * FROM media 
-      WHERE id = $1 AND (user_id = $2 OR is_public = true)
+      WHERE id = $1 AND deleted_at IS NULL AND (user_id = $2 OR is_public = true)
     `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
@@ -780,108 +1966,160 @@ app.get('/media/:id/thumbnail', authenticateToken, async (req, res) => {
 
     const mediaFile = result.rows[0];
     
-    // For non-image files, return a default placeholder or error
-    if (!mediaFile.mime_type.startsWith('image/')) {
-      // Return 404 for non-image thumbnails instead of 400
-      // This allows the frontend to handle it as "missing" rather than "bad request"
-      return res.status(404).json({ error: 'Thumbnail not available for this file type' });
+    // Return 404 rather than 400 for non-images so the frontend treats them as "missing".
+    // A video has no poster until the worker has processed it.
+    if (!hasThumbnail(mediaFile)) {
+      return res.status(404).json({ error: 'Renditions not available for this file' });
     }
 
-    const cacheKey = `thumbnail:${mediaFile.id}:${width}x${height}`;
-    
-    // Check cache first (with error handling)
+    const sourceKey = mediaFile.mime_type.startsWith('video/') ? mediaFile.poster_key : mediaFile.storage_key;
+    const format = negotiateFormat(req.headers.accept);
+    let rendition;
     try {
-      const cachedThumbnail = await redis.get(cacheKey);
-      if (cachedThumbnail) {
-        const thumbnailBuffer = Buffer.from(cachedThumbnail, 'base64');
-        res.setHeader('Content-Type', 'image/jpeg');
-        res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
-        return res.send(thumbnailBuffer);
-      }
-    } catch (redisError) {
-      logger.warn('Redis cache check failed for thumbnail:', redisError.message);
+      rendition = await renditions.get(mediaFile, name, format, () => readStoredFile(sourceKey));
+    } catch (renditionError) {
+      logger.error('Rendition generation failed:', {
+        error: renditionError.message,
+        backend: storageBackend.name,
+        key: sourceKey,
+        mediaId: mediaFile.id,
+        rendition: name,
+        format: format.name
+      });
+      return res.status(500).json({ error: 'Rendition generation failed' });
     }
 
-    // Generate thumbnail
-    let fileBuffer;
-    
-    if (process.env.USE_LOCAL_STORAGE === 'true') {
-      // Local storage - read from local file
-      const filePath = mediaFile.local_path;
-      if (!filePath) {
-        return res.status(404).json({ error: 'Local file path not found' });
-      }
-      
-      try {
-        fileBuffer = await fs.readFile(filePath);
-      } catch (error) {
-        logger.error('Local file read failed:', error.message);
-        return res.status(404).json({ error: 'File not found in local storage' });
-      }
-    } else {
-      // Google Cloud Storage
-      try {
-        const file = bucket.file(mediaFile.gcs_path);
-        [fileBuffer] = await file.download();
-      } catch (gcsError) {
-        logger.error('GCS file download failed:', {
-          error: gcsError.message,
-          code: gcsError.code,
-          bucket: process.env.GCS_BUCKET || 'taskmanager-media-circular-hash-459513-q5',
-          path: mediaFile.gcs_path,
-          mediaId: mediaFile.id,
-          fileName: mediaFile.filename,
-          timestamp: new Date().toISOString()
-        });
-        return res.status(404).json({ error: 'File not found in storage' });
-      }
+    res.setHeader('Vary', 'Accept');
+    if (await redirectToStorage(req, res, rendition.key)) {
+      return;
     }
-    
-    // Generate thumbnail using Sharp
-    let thumbnailBuffer;
-    try {
-      thumbnailBuffer = await sharp(fileBuffer)
-        .resize(parseInt(width), parseInt(height), {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .jpeg({ quality: 80 })
-        .toBuffer();
-    } catch (sharpError) {
-      logger.error('Sharp thumbnail generation failed:', sharpError.message);
-      return res.status(500).json({ error: 'Thumbnail generation failed: ' + sharpError.message });
-    }
-
-    // Cache thumbnail for 1 hour (with error handling)
-    try {
-      await redis.setEx(cacheKey, 3600, thumbnailBuffer.toString('base64'));
-    } catch (redisError) {
-      logger.warn('Redis cache set failed for thumbnail:', redisError.message);
+
+    // A signed URL names one rendition for everyone holding it, so shared
+    // caches (a CDN) may keep the response until the URL expires
+    const signedSecondsLeft = signedUrlSecondsLeft(req);
+    res.setHeader('Cache-Control', signedSecondsLeft
+      ? `public, max-age=${Math.min(signedSecondsLeft, 86400)}`
+      : 'private, max-age=86400'); // 24 hours
+    if (rendition.etag) {
+      res.setHeader('ETag', rendition.etag);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
     }
+    res.setHeader('Content-Type', rendition.mimeType);
+    res.setHeader('Content-Length', rendition.size);
 
-    res.setHeader('Content-Type', 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
-    res.send(thumbnailBuffer);
+    const readStream = storageBackend.createReadStream(rendition.key);
+    readStream.pipe(res);
 
+    readStream.on('error', (error) => {
+      logger.error('Rendition stream error:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to read rendition' });
+      } else {
+        res.destroy(error);
+      }
+    });
   } catch (error) {
-    logger.error('Thumbnail generation failed:', { 
+    logger.error('Rendition request failed:', { 
       message: error.message, 
-      stack: error.stack,
-      mediaId: req.params.id
+      mediaId: req.params.id,
+      rendition: name
+    });
+    res.status(500).json({ error: 'Failed to load rendition' });
+  }
+};
+
+// Get an image resized to a named rendition (thumb, small, medium or large)
+app.get('/media/:id/renditions/:name', authenticateTokenOrSignature, requireScope('media:read'), (req, res) => {
+  sendRendition(req, res, req.params.name);
+});
+
+// Get the thumbnail of an image or video, i.e. its thumb rendition
+app.get('/media/:id/thumbnail', authenticateTokenOrSignature, requireScope('media:read'), (req, res) => {
+  sendRendition(req, res, 'thumb');
+});
+
+// Add the query of a signed stream URL to every URI in a playlist, its lines
+// that are not tags or comments
+const signPlaylistUris = (playlist, query) => playlist
+  .split('\n')
+  .map(line => (line.trim() && !line.startsWith('#') ? `${line.trim()}?${query}` : line))
+  .join('\n');
+
+// Files of a video's HLS stream: master.m3u8, <rung>/index.m3u8 and <rung>/seg_NNNN.ts
+const HLS_FILE_PATTERN = /^(master\.m3u8|[a-z0-9]+\/(index\.m3u8|seg_\d{4,}\.ts))$/;
+
+// Stream a video over HLS. Playlists refer to each other and to segments by
+// relative path, so the player requests everything under this route. With a
+// signed stream URL, playlists are rewritten to pass its signature on.
+app.get('/media/:id/hls/*', authenticateStreamTokenOrSignature, requireScope('media:read'), async (req, res) => {
+  const file = req.params[0];
+  if (!HLS_FILE_PATTERN.test(file)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM media 
+      WHERE id = $1 AND deleted_at IS NULL AND (user_id = $2 OR is_public = true)
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Media file not found' });
+    }
+
+    const mediaFile = result.rows[0];
+    if (!mediaFile.hls_playlist_key) {
+      return res.status(404).json({ error: 'Stream not available for this file' });
+    }
+
+    const key = renditions.hlsPrefixFor(mediaFile) + file;
+    const stored = await storageBackend.head(key);
+    if (!stored) {
+      return res.status(404).json({ error: 'Stream file not found' });
+    }
+
+    res.setHeader('Content-Type', hlsContentType(file));
+    // A transcode never changes once written
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.signedUrlExpires && file.endsWith('.m3u8')) {
+      const { uid, exp, sig } = req.query;
+      const playlist = await mediaProcessor.readStoredFile(key);
+      return res.send(signPlaylistUris(playlist.toString('utf8'), new URLSearchParams({ uid, exp, sig }).toString()));
+    }
+
+    res.setHeader('Content-Length', stored.size);
+    const readStream = storageBackend.createReadStream(key);
+    readStream.pipe(res);
+
+    readStream.on('error', (error) => {
+      logger.error('Stream read error:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to read stream' });
+      } else {
+        res.destroy(error);
+      }
     });
-    res.status(500).json({ error: 'Thumbnail generation failed: ' + error.message });
+  } catch (error) {
+    logger.error('Stream request failed:', { message: error.message, mediaId: req.params.id, file });
+    res.status(500).json({ error: 'Failed to load stream' });
   }
 });
 
 // List media files
-app.get('/media', authenticateToken, async (req, res) => {
+app.get('/media', authenticateToken, requireScope('media:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, type, search } = req.query;
+    const { page = 1, limit = 20, type, search, sort, order } = req.query;
     const offset = (page - 1) * limit;
+    // taken_at sorts by capture date, falling back to the upload date without EXIF
+    const sortColumn = sort === 'taken_at' ? 'COALESCE(taken_at, created_at)' : 'created_at';
+    const sortOrder = order === 'asc' ? 'ASC' : 'DESC';
 
     let query = `
       SELECT * FROM media 
-      WHERE user_id = $1
+      WHERE user_id = $1 AND deleted_at IS NULL
     `;
     
     const params = [req.user.id];
@@ -899,14 +2137,14 @@ app.get('/media', authenticateToken, async (req, res) => {
       paramIndex++;
     }
 
-    query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    query += ` ORDER BY ${sortColumn} ${sortOrder}, id ${sortOrder} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
     params.push(limit, offset);
 
     const result = await pool.query(query, params);
 
     // Get total count
     let countQuery = `
-      SELECT COUNT(*) FROM media WHERE user_id = $1
+      SELECT COUNT(*) FROM media WHERE user_id = $1 AND deleted_at IS NULL
     `;
     const countParams = [req.user.id];
     let countParamIndex = 2;
@@ -931,12 +2169,16 @@ app.get('/media', authenticateToken, async (req, res) => {
       filename: file.filename,
       originalName: file.original_name,
       mimeType: file.mime_type,
-      sizeBytes: file.size_bytes,
+      sizeBytes: Number(file.size_bytes),
       isPublic: file.is_public,
       metadata: file.metadata,
+      takenAt: file.exif?.takenAt || null,
+      status: file.processing_status,
       createdAt: file.created_at,
       downloadUrl: `/api/media/${file.id}/download`,
-      thumbnailUrl: `/api/media/${file.id}/thumbnail`
+      ...(hasThumbnail(file) && { thumbnailUrl: `/api/media/${file.id}/thumbnail` }),
+      signedUrls: signedUrlsFor(file, req.user.id),
+      ...videoFields(file)
     }));
 
     res.json({
@@ -956,115 +2198,129 @@ app.get('/media', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete media file
-app.delete('/media/:id', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
-  
+// Move a media file to the trash. It is purged for good once the retention
+// window has passed, or sooner from the trash.
+app.delete('/media/:id', authenticateToken, requireScope('media:write'), async (req, res) => {
   try {
-    await client.query('BEGIN');
-
-    // Get media file info
-    const result = await client.query(`
-      SELECT * FROM media WHERE id = $1 AND user_id = $2
-    `, [req.params.id, req.user.id]);
+    const mediaId = parseMediaId(req.params.id);
+    const [mediaFile] = mediaId ? await mediaTrash.trash(req.user.id, [mediaId]) : [];
 
-    if (result.rows.length === 0) {
-      await client.query('ROLLBACK');
+    if (!mediaFile) {
       return res.status(404).json({ error: 'Media file not found' });
     }
 
-    const mediaFile = result.rows[0];
-
-    // Delete from Google Cloud Storage
-    const file = bucket.file(mediaFile.gcs_path);
-    await file.delete();
+    await publishEvent('media.trashed', {
+      mediaId: mediaFile.id,
+      userId: req.user.id,
+      filename: mediaFile.filename
+    });
 
-    // Delete from database
-    await client.query('DELETE FROM media WHERE id = $1', [req.params.id]);
+    logger.info('Media file moved to trash', {
+      mediaId: mediaFile.id,
+      filename: mediaFile.filename,
+      userId: req.user.id
+    });
 
-    await client.query('COMMIT');
+    res.json({
+      message: 'Media file moved to trash',
+      purgesAt: mediaTrash.purgesAt(mediaFile)
+    });
+  } catch (error) {
+    logger.error('Delete media failed:', error.message);
+    res.status(500).json({ error: 'Failed to delete media file' });
+  }
+});
 
-    // Update storage metrics
-    storageGauge.dec(mediaFile.size_bytes);
+// Move every media file of the signed-in user to the trash. With
+// permanent=true they are deleted for good instead, blobs first, which account
+// deletion uses so nothing is left behind in storage once the database rows
+// cascade away; that takes a signed-in session, so a leaked personal access
+// token cannot wipe an account.
+const sessionForPermanentDelete = (req, res, next) =>
+  req.query.permanent === 'true' ? requireSession(req, res, next) : next();
+
+app.delete('/media', authenticateToken, requireScope('media:write'), sessionForPermanentDelete, async (req, res) => {
+  if (req.query.confirm !== 'true') {
+    return res.status(400).json({ error: 'Deleting all media requires confirm=true' });
+  }
 
-    // Publish event (handle errors separately to not affect response)
-    try {
-      await publishEvent('media.deleted', {
-        mediaId: mediaFile.id,
-        userId: req.user.id,
-        filename: mediaFile.filename
-      });
-    } catch (eventError) {
-      logger.warn('Failed to publish delete event:', eventError.message);
-    }
+  try {
+    const trashed = await mediaTrash.trash(req.user.id);
 
-    // Clear thumbnail cache (handle errors separately to not affect response)
-    try {
-      const thumbnailKeys = await redis.keys(`thumbnail:${mediaFile.id}:*`);
-      if (thumbnailKeys.length > 0) {
-        await redis.del(...thumbnailKeys);
+    if (req.query.permanent !== 'true') {
+      const trashedIds = trashed.map(mediaFile => mediaFile.id);
+      if (trashedIds.length > 0) {
+        await publishEvent('media.trashed', { mediaIds: trashedIds, userId: req.user.id });
       }
-    } catch (cacheError) {
-      logger.warn('Failed to clear thumbnail cache:', cacheError.message);
+
+      logger.info('All media moved to trash', { userId: req.user.id, count: trashedIds.length });
+      return res.json({ message: 'All media files moved to trash', trashed: trashedIds.length });
     }
 
-    logger.info('Media file deleted successfully', {
-      mediaId: mediaFile.id,
-      filename: mediaFile.filename,
-      userId: req.user.id
-    });
+    // Everything is in the trash now, along with what was there already
+    const { purged, failed } = await mediaTrash.purge(req.user.id);
 
-    res.json({ message: 'Media file deleted successfully' });
+    logger.info('Media purged for user', { userId: req.user.id, deleted: purged.length, failed: failed.length });
 
+    if (failed.length > 0) {
+      return res.status(500).json({
+        error: 'Some media files could not be deleted',
+        deleted: purged.length,
+        failed
+      });
+    }
+
+    res.json({ message: 'All media files deleted', deleted: purged.length });
   } catch (error) {
-    await client.query('ROLLBACK');
-    logger.error('Delete media failed:', error.message);
-    res.status(500).json({ error: 'Failed to delete media file' });
-  } finally {
-    client.release();
+    logger.error('Media purge failed:', error.message);
+    res.status(500).json({ error: 'Failed to delete media files' });
   }
 });
 
-// Admin endpoint to fix GCS paths
-app.post('/admin/fix-gcs-paths', async (req, res) => {
+// Admin endpoint to repair storage keys that do not match media/<userId>/<filename>
+// (named for when GCS was the only backend)
+app.post('/admin/fix-gcs-paths', authenticateToken, requireRole('admin'), requireScope('media:write'), async (req, res) => {
+  auditLog.logPrivilegedAction(req, 'fix_gcs_paths');
   const client = await pool.connect();
   try {
-    // Get all media files
-    const result = await client.query('SELECT id, filename, gcs_path, user_id FROM media ORDER BY id');
+    // Get all media files kept in the active backend. Deduplicated files are
+    // stored under the key of whichever upload came first, so leave them be.
+    const result = await client.query(
+      'SELECT id, filename, storage_key, user_id FROM media WHERE storage_backend = $1 AND blob_id IS NULL ORDER BY id',
+      [storageBackend.name]
+    );
     const mediaFiles = result.rows;
     
     const fixes = [];
     
     for (const media of mediaFiles) {
-      const expectedPath = `media/${media.user_id}/${media.filename}`;
+      const expectedKey = `media/${media.user_id}/${media.filename}`;
       
-      // Check if file exists at the expected path
-      const expectedFile = bucket.file(expectedPath);
-      const [expectedExists] = await expectedFile.exists();
+      // Check if file exists at the expected key
+      const expectedExists = Boolean(await storageBackend.head(expectedKey));
       
-      if (expectedExists && media.gcs_path !== expectedPath) {
-        // Update the database with the correct path
+      if (expectedExists && media.storage_key !== expectedKey) {
+        // Update the database with the correct key
         await client.query(
-          'UPDATE media SET gcs_path = $1 WHERE id = $2',
-          [expectedPath, media.id]
+          'UPDATE media SET storage_key = $1 WHERE id = $2',
+          [expectedKey, media.id]
         );
         
         fixes.push({
           id: media.id,
           filename: media.filename,
-          oldPath: media.gcs_path,
-          newPath: expectedPath
+          oldPath: media.storage_key,
+          newPath: expectedKey
         });
       } else if (!expectedExists) {
-        // File doesn't exist at expected location, check current path
-        const currentFile = bucket.file(media.gcs_path);
-        const [currentExists] = await currentFile.exists();
+        // File doesn't exist at expected location, check current key
+        const currentExists = media.storage_key && Boolean(await storageBackend.head(media.storage_key));
         
         if (!currentExists) {
           fixes.push({
             id: media.id,
             filename: media.filename,
-            currentPath: media.gcs_path,
+            currentPath: media.storage_key,
             status: 'FILE_NOT_FOUND'
           });
         }
@@ -1072,7 +2328,7 @@ app.post('/admin/fix-gcs-paths', async (req, res) => {
     }
     
     res.json({
-      message: 'GCS path fix completed',
+      message: 'Storage key fix completed',
       totalFiles: mediaFiles.length,
       fixesApplied: fixes.filter(f => f.newPath).length,
       missingFiles: fixes.filter(f => f.status === 'FILE_NOT_FOUND').length,
@@ -1080,19 +2336,95 @@ app.post('/admin/fix-gcs-paths', async (req, res) => {
     });
     
   } catch (error) {
-    logger.error('Fix GCS paths failed:', error.message);
-    res.status(500).json({ error: 'Failed to fix GCS paths' });
+    logger.error('Fix storage keys failed:', error.message);
+    res.status(500).json({ error: 'Failed to fix storage keys' });
   } finally {
     client.release();
   }
 });
 
+// Queue images uploaded before near-duplicate detection existed for the
+// worker to hash (reading their EXIF on the way). Works through them in
+// batches by id: pass the returned nextAfterId back as afterId until it comes
+// back null.
+app.post('/admin/backfill-perceptual-hashes', authenticateToken, requireRole('admin'), requireScope('media:write'), async (req, res) => {
+  auditLog.logPrivilegedAction(req, 'backfill_perceptual_hashes');
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+  const afterId = parseInt(req.query.afterId) || 0;
+
+  try {
+    const result = await pool.query(`
+      SELECT id FROM media
+      WHERE perceptual_hash IS NULL AND mime_type LIKE 'image/%' AND id > $1
+      ORDER BY id
+      LIMIT $2
+    `, [afterId, limit]);
+
+    for (const mediaFile of result.rows) {
+      await jobQueue.enqueue('image.index', { mediaId: mediaFile.id });
+    }
+
+    res.json({
+      message: 'Perceptual hash backfill queued',
+      queued: result.rows.length,
+      nextAfterId: result.rows.length === limit ? result.rows[result.rows.length - 1].id : null
+    });
+  } catch (error) {
+    logger.error('Perceptual hash backfill failed:', error.message);
+    res.status(500).json({ error: 'Failed to backfill perceptual hashes' });
+  }
+});
+
+// Media job queue: how many jobs are in each state, and the latest dead-lettered ones
+app.get('/admin/jobs', authenticateToken, requireRole('admin'), requireScope('media:read'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  try {
+    res.json({
+      ...await jobQueue.stats(),
+      deadJobs: await jobQueue.listDead(limit)
+    });
+  } catch (error) {
+    logger.error('Job queue stats failed:', error.message);
+    res.status(500).json({ error: 'Failed to read job queue' });
+  }
+});
+
+// Retry dead-lettered jobs, oldest first
+app.post('/admin/jobs/dead/requeue', authenticateToken, requireRole('admin'), requireScope('media:write'), async (req, res) => {
+  auditLog.logPrivilegedAction(req, 'requeue_dead_jobs');
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  try {
+    const jobs = await jobQueue.requeueDead(limit);
+
+    // Uploads that failed are processing again
+    const mediaIds = jobs
+      .filter(job => job.type === 'image.process' || job.type === 'video.process')
+      .map(job => job.data.mediaId);
+    if (mediaIds.length > 0) {
+      await pool.query(`
+        UPDATE media SET processing_status = 'processing', processing_error = NULL
+        WHERE id = ANY($1) AND processing_status = 'failed'
+      `, [mediaIds]);
+    }
+
+    res.json({ message: 'Dead-lettered jobs requeued', requeued: jobs.length });
+  } catch (error) {
+    logger.error('Requeue dead jobs failed:', error.message);
+    res.status(500).json({ error: 'Failed to requeue jobs' });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large' });
     }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: `Too many files - at most ${BATCH_MAX_FILES} per batch` });
+    }
   }
   
   logger.error('Unhandled error:', error.message);
@@ -1113,6 +2445,8 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...');
+  uploadSessions.stopSchedule();
+  mediaTrash.stopSchedule();
   await pool.end();
   await redis.quit();
   process.exit(0);
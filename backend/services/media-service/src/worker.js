@@ -0,0 +1,224 @@
+const { Pool } = require('pg');
+const Redis = require('redis');
+const winston = require('winston');
+const { createStorageBackend } = require('../utils/storage-backends');
+const { RenditionStore } = require('../utils/image-renditions');
+const { ImageMetadataBackfill } = require('../utils/image-metadata');
+const { MediaProcessor } = require('../utils/media-processor');
+const { JobQueue } = require('../utils/job-queue');
+require('dotenv').config();
+
+/**
+ * Media worker: takes jobs queued by the media-service API and does the image
+ * and video work there (indexing, renditions, transcoding), so the API pods
+ * only move bytes. Run it with `npm run worker`, as many replicas as needed;
+ * videos need ffmpeg installed.
+ */
+
+// Logger configuration
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'media-worker' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ],
+});
+
+// Jobs run at once per worker process, each waiting on its own Redis connection
+const CONCURRENCY = parseInt(process.env.MEDIA_WORKER_CONCURRENCY || '1');
+
+// A failed job runs this many times in all, waiting MEDIA_JOB_RETRY_DELAY_SECONDS,
+// then twice that, and so on between attempts, before it is dead-lettered
+const MAX_ATTEMPTS = parseInt(process.env.MEDIA_JOB_MAX_ATTEMPTS || '3');
+const RETRY_DELAY_SECONDS = parseInt(process.env.MEDIA_JOB_RETRY_DELAY_SECONDS || '30');
+
+// Images uploaded before EXIF extraction are indexed in the background; 0 turns this off
+const IMAGE_BACKFILL_INTERVAL_MINUTES = parseInt(process.env.IMAGE_BACKFILL_INTERVAL_MINUTES || '10');
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'taskmanager',
+  user: process.env.DB_USER || 'taskuser',
+  password: process.env.DB_PASSWORD || 'taskpassword',
+  port: process.env.DB_PORT || 5432,
+});
+
+// Redis connection
+const redis = Redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+redis.on('error', (err) => {
+  logger.error('Redis connection error:', err);
+});
+
+const storageBackend = createStorageBackend();
+const renditions = new RenditionStore(storageBackend, logger);
+const processor = new MediaProcessor(pool, storageBackend, renditions, logger);
+
+// An upload whose processing ran out of attempts is marked failed
+const onDeadLetter = async (job, error) => {
+  if (job.type !== 'image.process' && job.type !== 'video.process') return;
+
+  await processor.setStatus(job.data.mediaId, 'failed', error.message);
+  if (job.data.headKey) {
+    await processor.discardHead(job.data.headKey);
+  }
+};
+
+const queue = new JobQueue(redis, logger, {
+  maxAttempts: MAX_ATTEMPTS,
+  retryDelayMs: RETRY_DELAY_SECONDS * 1000,
+  onDeadLetter
+});
+
+const loadMedia = async (mediaId) => {
+  const result = await pool.query('SELECT * FROM media WHERE id = $1', [mediaId]);
+  return result.rows[0] || null;
+};
+
+// What each job type does. Handlers throw to have the job retried.
+const handlers = {
+  // A new upload: index it, generate its renditions and mark it ready
+  'image.process': async ({ mediaId, headKey }) => {
+    const mediaFile = await loadMedia(mediaId);
+    if (!mediaFile) {
+      // Deleted before it was processed
+      if (headKey) await processor.discardHead(headKey);
+      return;
+    }
+    await processor.processImage(mediaFile, { headKey });
+  },
+
+  // A new video: probe it, take its poster frame and transcode it for streaming
+  'video.process': async ({ mediaId }) => {
+    const mediaFile = await loadMedia(mediaId);
+    if (mediaFile) {
+      await processor.processVideo(mediaFile);
+    }
+  },
+
+  // An older image that has never been indexed
+  'image.index': async ({ mediaId }) => {
+    const mediaFile = await loadMedia(mediaId);
+    if (mediaFile) {
+      await processor.indexImage(mediaFile);
+    }
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const startTime = Date.now();
+
+  // Renew the lease while the job runs so it is not handed to another worker
+  const heartbeat = setInterval(() => {
+    queue.extendLease(job).catch(error => {
+      logger.warn('Failed to extend job lease:', { jobId: job.id, error: error.message });
+    });
+  }, queue.leaseMs / 3);
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+    await handler(job.data);
+    await queue.complete(job);
+    logger.info('Job completed', { jobId: job.id, type: job.type, duration: Date.now() - startTime });
+  } catch (error) {
+    const { retrying, delayMs } = await queue.fail(job, error);
+    logger.error('Job failed:', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts + 1,
+      error: error.message,
+      ...(retrying ? { retryInMs: delayMs } : { deadLettered: true })
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+let running = true;
+
+// One consumer: wait for a job, run it, repeat until shutdown
+const consume = async (blockingClient) => {
+  while (running) {
+    try {
+      const job = await queue.reserve(blockingClient, 5);
+      if (job) {
+        await runJob(job);
+      }
+    } catch (error) {
+      if (!running) break;
+      logger.error('Job consumer error:', error.message);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+};
+
+// Retries that are due go back on the queue, and jobs of stopped workers are reclaimed
+const maintenance = setInterval(() => {
+  queue.promoteDelayed()
+    .then(() => queue.reclaimExpired())
+    .catch(error => logger.error('Job queue maintenance failed:', error.message));
+}, 15 * 1000);
+maintenance.unref();
+
+// Read EXIF of images uploaded before it was extracted
+const imageMetadataBackfill = new ImageMetadataBackfill(pool, (mediaFile) => processor.indexImage(mediaFile), logger, {
+  intervalMs: IMAGE_BACKFILL_INTERVAL_MINUTES * 60 * 1000
+});
+
+let consumers = [];
+const blockingClients = [];
+
+const start = async () => {
+  await redis.connect();
+
+  for (let i = 0; i < CONCURRENCY; i++) {
+    const client = redis.duplicate();
+    client.on('error', (err) => logger.error('Redis connection error:', err));
+    await client.connect();
+    blockingClients.push(client);
+  }
+
+  if (IMAGE_BACKFILL_INTERVAL_MINUTES > 0) {
+    imageMetadataBackfill.startSchedule();
+  }
+
+  consumers = blockingClients.map(client => consume(client));
+  logger.info('Media worker started', { concurrency: CONCURRENCY, backend: storageBackend.name });
+};
+
+// Graceful shutdown: finish the jobs in hand, then close connections
+const shutdown = async () => {
+  if (!running) return;
+  running = false;
+  logger.info('Shutting down gracefully...');
+
+  clearInterval(maintenance);
+  imageMetadataBackfill.stopSchedule();
+  await Promise.all(consumers);
+
+  await Promise.all(blockingClients.map(client => client.quit()));
+  await redis.quit();
+  await pool.end();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+start().catch(error => {
+  logger.error('Media worker failed to start:', error.message);
+  process.exit(1);
+});
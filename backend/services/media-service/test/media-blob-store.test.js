@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MediaBlobStore } = require('../utils/media-blob-store');
+
+const SHA256 = 'a'.repeat(64);
+
+// A pool whose single client records the statements run on it, in order, and
+// finds a blob with the content when stored is true
+const recordingPool = (events, { stored }) => ({
+  connect: async () => ({
+    query: async (sql) => {
+      events.push(sql.includes('pg_advisory_xact_lock') ? 'lock' : sql.trim().split(/\s+/)[0]);
+      if (sql.includes('FROM media_blobs')) return { rows: stored ? [{ '?column?': 1 }] : [] };
+      if (sql.includes('INSERT INTO media_blobs')) return { rows: [{ id: 1, storage_key: 'blobs/new', inserted: true }] };
+      return { rows: [] };
+    },
+    release: () => events.push('release')
+  })
+});
+
+const backend = { name: 'local', delete: async () => {} };
+const logger = { info() {}, warn() {}, error() {} };
+
+test('derived files are deleted under the content lock once no blob has the content', async () => {
+  const events = [];
+  const blobStore = new MediaBlobStore(recordingPool(events, { stored: false }), backend, logger);
+
+  assert.strictEqual(await blobStore.purgeDerived(SHA256, async () => events.push('deleteFiles')), true);
+  assert.deepStrictEqual(events, ['BEGIN', 'lock', 'SELECT', 'deleteFiles', 'COMMIT', 'release']);
+});
+
+test('derived files are kept when the same content was uploaded again', async () => {
+  const events = [];
+  const blobStore = new MediaBlobStore(recordingPool(events, { stored: true }), backend, logger);
+
+  assert.strictEqual(await blobStore.purgeDerived(SHA256, async () => events.push('deleteFiles')), false);
+  assert.ok(!events.includes('deleteFiles'));
+});
+
+test('adopting a blob takes the content lock first', async () => {
+  const events = [];
+  const blobStore = new MediaBlobStore(recordingPool(events, { stored: false }), backend, logger);
+
+  const blob = await blobStore.adopt({ sha256: SHA256, sizeBytes: 3, storageKey: 'blobs/new' });
+  assert.deepStrictEqual(blob, { blobId: 1, storageKey: 'blobs/new', shared: false });
+  assert.deepStrictEqual(events, ['BEGIN', 'lock', 'INSERT', 'COMMIT', 'release']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { MediaProcessor } = require('../utils/media-processor');
+
+const MB = 1024 * 1024;
+
+// A backend serving a file of the given size, counting the bytes read from it
+const sizedBackend = (totalBytes) => {
+  const backend = {
+    bytesRead: 0,
+    createReadStream: () => Readable.from((function* () {
+      for (let sent = 0; sent < totalBytes; sent += MB) {
+        backend.bytesRead += MB;
+        yield Buffer.alloc(MB);
+      }
+    })())
+  };
+  return backend;
+};
+
+const recordingPool = (queries) => ({
+  query: async (sql, params) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  }
+});
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test('a stored file is not read past the image size limit', async () => {
+  const backend = sizedBackend(64 * MB);
+  const processor = new MediaProcessor(recordingPool([]), backend, null, logger, { maxImageBytes: 4 * MB });
+
+  await assert.rejects(processor.readStoredFile('media/1/huge.jpg'), /too large to process/);
+  assert.ok(backend.bytesRead <= 5 * MB, `read ${backend.bytesRead} bytes`);
+});
+
+test('an image over the size limit is marked ready without being read or rendered', async () => {
+  const queries = [];
+  const backend = sizedBackend(64 * MB);
+  const renditions = { get: async () => assert.fail('rendered an oversized image') };
+  const processor = new MediaProcessor(recordingPool(queries), backend, renditions, logger, { maxImageBytes: 4 * MB });
+  const mediaFile = { id: 9, mime_type: 'image/png', size_bytes: String(64 * MB), storage_key: 'media/1/huge.png' };
+
+  await processor.processImage(mediaFile);
+
+  assert.strictEqual(backend.bytesRead, 0);
+  assert.strictEqual(mediaFile.processing_status, 'ready');
+  assert.ok(queries.some(({ sql }) => sql.includes('SET perceptual_hash')), 'the image was not indexed');
+});
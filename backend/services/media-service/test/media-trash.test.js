@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MediaTrash } = require('../utils/media-trash');
+
+const TRASHED = { id: 7, user_id: 1, storage_key: 'blobs/ab/abc' };
+
+// A pool whose single client records the statements run on it, in order
+const recordingPool = (events) => ({
+  connect: async () => ({
+    query: async (sql) => {
+      events.push(sql.trim().split(/\s+/)[0]);
+      return { rows: sql.includes('FOR UPDATE') ? [TRASHED] : [] };
+    },
+    release: () => events.push('release')
+  })
+});
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test('a purge deletes the stored file only after its transaction commits', async () => {
+  const events = [];
+  const trash = new MediaTrash(recordingPool(events), {
+    deleteRecord: async () => {
+      events.push('deleteRecord');
+      return TRASHED.storage_key;
+    },
+    deleteStored: async (mediaFile, storageKey) => events.push(`deleteStored ${storageKey}`)
+  }, logger);
+
+  assert.deepStrictEqual(await trash.purgeOne(TRASHED.id), TRASHED);
+  assert.deepStrictEqual(events, ['BEGIN', 'SELECT', 'deleteRecord', 'COMMIT', 'release', 'deleteStored blobs/ab/abc']);
+});
+
+test('a purge that rolls back leaves the stored file alone', async () => {
+  const events = [];
+  const trash = new MediaTrash(recordingPool(events), {
+    deleteRecord: async () => {
+      throw new Error('Database error: connection lost');
+    },
+    deleteStored: async () => events.push('deleteStored')
+  }, logger);
+
+  const { purged, failed } = await trash.purgeAll([TRASHED.id]);
+  assert.deepStrictEqual(purged, []);
+  assert.deepStrictEqual(failed, [TRASHED.id]);
+  assert.ok(events.includes('ROLLBACK'));
+  assert.ok(!events.includes('deleteStored'));
+});
+
+test('trashing and restoring report the change for the user, once', async () => {
+  const changed = [];
+  const pool = { query: async () => ({ rows: [TRASHED] }) };
+  const trash = new MediaTrash(pool, {
+    deleteRecord: async () => null,
+    deleteStored: async () => {},
+    changed: async (userId) => changed.push(userId)
+  }, logger);
+
+  await trash.trash(TRASHED.user_id, [TRASHED.id]);
+  await trash.restore(TRASHED.user_id, [TRASHED.id]);
+  assert.deepStrictEqual(changed, [TRASHED.user_id, TRASHED.user_id]);
+
+  pool.query = async () => ({ rows: [] });
+  await trash.restore(TRASHED.user_id, [TRASHED.id]);
+  assert.strictEqual(changed.length, 2);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { createMetadataStripper, carriesMetadata } = require('../utils/metadata-stripping');
+
+// EXIF of a photo taken in London, as a phone would write it
+const PHOTO_EXIF = {
+  IFD0: { Make: 'Acme', Model: 'Phone 1' },
+  IFD3: {
+    GPSLatitudeRef: 'N',
+    GPSLatitude: '51/1 30/1 26/1',
+    GPSLongitudeRef: 'W',
+    GPSLongitude: '0/1 7/1 39/1'
+  }
+};
+
+const photoFixture = (format) =>
+  sharp({ create: { width: 64, height: 48, channels: 3, background: '#3a6' } })[format]()
+    .withExif(PHOTO_EXIF)
+    .toBuffer();
+
+// Deliver a file through a stripper, as the download route does
+const deliver = async (file, stripper) => {
+  const chunks = [];
+  await pipeline(Readable.from([file]), stripper, async function* (source) {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks);
+};
+
+const exifOf = async (image) => {
+  const { exif } = await sharp(image).metadata();
+  return exif ? exifReader(exif) : null;
+};
+
+const hasGps = (exif) => Boolean(exif && exif.GPSInfo && Object.keys(exif.GPSInfo).length > 0);
+
+test('the fixture carries GPS EXIF', async () => {
+  assert.ok(hasGps(await exifOf(await photoFixture('jpeg'))));
+});
+
+test('location stripping removes GPS from a JPEG and keeps the rest of its EXIF', async () => {
+  const delivered = await deliver(await photoFixture('jpeg'), createMetadataStripper('image/jpeg', 'location'));
+
+  const exif = await exifOf(delivered);
+  assert.ok(!hasGps(exif), 'delivered JPEG still has GPS tags');
+  assert.strictEqual(exif.Image.Make, 'Acme');
+});
+
+test('stripping everything removes all EXIF', async () => {
+  for (const [format, mimeType] of [['jpeg', 'image/jpeg'], ['png', 'image/png'], ['webp', 'image/webp']]) {
+    const delivered = await deliver(await photoFixture(format), createMetadataStripper(mimeType, 'all'));
+    assert.strictEqual(await exifOf(delivered), null, `${mimeType} still has EXIF`);
+  }
+});
+
+test('location stripping removes GPS from formats that are re-encoded', async () => {
+  const delivered = await deliver(await photoFixture('webp'), createMetadataStripper('image/webp', 'location'));
+  assert.ok(!hasGps(await exifOf(delivered)), 'delivered WebP still has GPS tags');
+});
+
+test('files that cannot be stripped on delivery are flagged as carrying metadata', () => {
+  for (const mimeType of ['image/heic', 'video/mp4', 'video/quicktime']) {
+    assert.strictEqual(createMetadataStripper(mimeType, 'location'), null);
+    assert.strictEqual(carriesMetadata(mimeType), true, mimeType);
+  }
+
+  assert.strictEqual(carriesMetadata('image/gif'), false);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { hammingDistance, clusterByDistance } = require('../utils/perceptual-hash');
+
+// Flip a few random bits of a hash, as a re-saved or resized copy would
+const nearCopy = (hash, bits) => {
+  const words = [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)];
+  for (let i = 0; i < bits; i++) {
+    const bit = crypto.randomInt(64);
+    words[bit >> 5] ^= 1 << (31 - (bit & 31));
+  }
+  return words.map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+};
+
+// A library of unrelated photos with some bursts of near-identical ones among them
+const library = (photos, bursts) => {
+  const items = [];
+  for (let i = 0; i < photos; i++) {
+    items.push({ id: items.length, hash: crypto.randomBytes(8).toString('hex') });
+  }
+  for (let i = 0; i < bursts; i++) {
+    const original = items[crypto.randomInt(photos)].hash;
+    for (let shot = 0; shot < 3; shot++) {
+      items.push({ id: items.length, hash: nearCopy(original, crypto.randomInt(5)) });
+    }
+  }
+  return items;
+};
+
+// The groups comparing every pair finds, for reference
+const bruteForceGroups = (items, maxDistance) => {
+  const parent = items.map((item, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (hammingDistance(items[i].hash, items[j].hash) <= maxDistance) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+const normalize = (groups) =>
+  groups.map(group => group.map(item => item.id).sort((a, b) => a - b)).sort((a, b) => a[0] - b[0]);
+
+test('clustering finds the same groups as comparing every pair', async () => {
+  const items = library(1500, 40);
+
+  for (const maxDistance of [0, 3, 6, 10, 20]) {
+    assert.deepStrictEqual(
+      normalize(await clusterByDistance(items, maxDistance)),
+      normalize(bruteForceGroups(items, maxDistance)),
+      `groups differ at maxDistance ${maxDistance}`
+    );
+  }
+});
+
+test('clustering gives the event loop turns while it runs', async () => {
+  const items = library(2000, 50);
+  let turns = 0;
+  const timer = setInterval(() => turns++, 0);
+
+  await clusterByDistance(items, 20);
+  clearInterval(timer);
+
+  assert.ok(turns > 0, 'the event loop never got a turn');
+});
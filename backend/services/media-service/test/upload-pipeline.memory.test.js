@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const sharp = require('sharp');
+const { StreamingStorage, ConcurrencyLimit } = require('../utils/upload-pipeline');
+const { createImageOptimizer } = require('../utils/image-optimizer');
+
+const MB = 1024 * 1024;
+const UPLOAD_BYTES = 40 * MB;
+const PARALLEL_UPLOADS = 12;
+// Generous next to the 480MB going through: buffering even one whole upload would exceed it
+const MAX_RSS_GROWTH = 32 * MB;
+// sharp holds a whole photo and its decoded pixels while it optimizes it.
+// Two at a time take around 110MB here, all twelve at once around 200MB.
+const OPTIMIZE_CONCURRENCY = 2;
+const MAX_OPTIMIZED_RSS_GROWTH = 160 * MB;
+
+// A large upload generated on the fly, as multer hands it to a storage engine
+const generatedUpload = (totalBytes, chunkBytes = 64 * 1024) => {
+  const chunk = crypto.randomBytes(chunkBytes);
+  let sent = 0;
+  return new Readable({
+    read() {
+      if (sent >= totalBytes) return this.push(null);
+      const size = Math.min(chunkBytes, totalBytes - sent);
+      sent += size;
+      this.push(chunk.subarray(0, size));
+    }
+  });
+};
+
+// Storage that is slower than the client, so backpressure has to hold the upload back
+const slowSink = () => new Writable({
+  highWaterMark: 256 * 1024,
+  write(chunk, encoding, callback) {
+    setImmediate(callback);
+  }
+});
+
+// An upload of the given file, in the chunks a client would send it in
+const fileUpload = (file, chunkBytes = 64 * 1024) => Readable.from((function* () {
+  for (let sent = 0; sent < file.length; sent += chunkBytes) {
+    yield file.subarray(sent, sent + chunkBytes);
+  }
+})());
+
+// A 3000x2000 photo full of noise, so it compresses about as badly as a real one
+const photoFixture = () => sharp({
+  create: { width: 3000, height: 2000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+}).jpeg({ quality: 95 }).toBuffer();
+
+// Peak RSS growth while run() goes, above the RSS it starts from
+const measureGrowth = async (run) => {
+  if (global.gc) global.gc();
+
+  const baseline = process.memoryUsage().rss;
+  let peak = baseline;
+  const sampler = setInterval(() => {
+    peak = Math.max(peak, process.memoryUsage().rss);
+  }, 20);
+
+  try {
+    const result = await run();
+    peak = Math.max(peak, process.memoryUsage().rss);
+    return { result, growth: peak - baseline };
+  } finally {
+    clearInterval(sampler);
+  }
+};
+
+const handleFile = (storage, file) => new Promise((resolve, reject) => {
+  storage._handleFile({}, file, (error, info) => (error ? reject(error) : resolve(info)));
+});
+
+test('memory stays flat with many parallel 40MB uploads', async () => {
+  const storage = new StreamingStorage({
+    open: async () => ({ stream: slowSink(), storageKey: 'test' }),
+    remove: async () => {}
+  });
+
+  // Warm up so lazily allocated buffers are not counted against the pipeline
+  await handleFile(storage, { stream: generatedUpload(4 * MB) });
+
+  const { result: results, growth } = await measureGrowth(() => Promise.all(
+    Array.from({ length: PARALLEL_UPLOADS }, () => handleFile(storage, { stream: generatedUpload(UPLOAD_BYTES) }))
+  ));
+
+  for (const result of results) {
+    assert.strictEqual(result.sizeBytes, UPLOAD_BYTES);
+    assert.match(result.sha256, /^[0-9a-f]{64}$/);
+  }
+  assert.ok(
+    growth < MAX_RSS_GROWTH,
+    `RSS grew by ${(growth / MB).toFixed(1)}MB while streaming ${(PARALLEL_UPLOADS * UPLOAD_BYTES / MB)}MB`
+  );
+});
+
+test('memory stays bounded with many parallel uploads optimized by sharp', async () => {
+  const photo = await photoFixture();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const storage = new StreamingStorage({
+    open: async () => ({ stream: slowSink(), storageKey: 'test' }),
+    transform: (req, file) => {
+      const optimizer = createImageOptimizer(file.mimetype, { quality: 80 });
+      optimizer.once('pipe', () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+      });
+      optimizer.once('close', () => inFlight--);
+      return optimizer;
+    },
+    remove: async () => {},
+    transformLimit: new ConcurrencyLimit(OPTIMIZE_CONCURRENCY)
+  });
+
+  // Warm up sharp so its thread pool and caches are not counted against the pipeline
+  await handleFile(storage, { mimetype: 'image/jpeg', stream: fileUpload(photo) });
+
+  const { result: results, growth } = await measureGrowth(() => Promise.all(
+    Array.from({ length: PARALLEL_UPLOADS }, () => handleFile(storage, { mimetype: 'image/jpeg', stream: fileUpload(photo) }))
+  ));
+
+  for (const result of results) {
+    assert.strictEqual(result.originalBytes, photo.length);
+    assert.notStrictEqual(result.sha256, result.originalSha256, 'the upload was not re-encoded');
+  }
+  assert.ok(maxInFlight <= OPTIMIZE_CONCURRENCY, `${maxInFlight} uploads were optimized at once`);
+  assert.ok(
+    growth < MAX_OPTIMIZED_RSS_GROWTH,
+    `RSS grew by ${(growth / MB).toFixed(1)}MB while optimizing ${PARALLEL_UPLOADS} ${(photo.length / MB).toFixed(1)}MB photos`
+  );
+});
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// More ranges than this in one request are answered with the whole file
+const MAX_RANGES = 16;
+
+/**
+ * Whether a Range header still applies. With If-Range the client only wants
+ * the ranges if the file is unchanged: the header names its current strong
+ * ETag, or a date no earlier than its last modification.
+ */
+const rangeApplies = (req, { etag, lastModified }) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return Boolean(etag) && !etag.startsWith('W/') && ifRange === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  // HTTP dates have whole seconds
+  return Boolean(lastModified) && !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+};
+
+/**
+ * The byte ranges to serve for a request, from its Range and If-Range
+ * headers: null to send the whole file, an array of { start, end }
+ * (inclusive, overlapping ranges combined) for a partial response, or -1
+ * when no range fits inside the file. Malformed headers are ignored, as
+ * HTTP allows.
+ */
+const requestedRanges = (req, size, validators = {}) => {
+  if (!req.headers.range || !rangeApplies(req, validators)) return null;
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return -1;
+  if (ranges === -2 || ranges.type !== 'bytes' || ranges.length > MAX_RANGES) return null;
+
+  return ranges.map(({ start, end }) => ({ start, end }));
+};
+
+/**
+ * A multipart/byteranges body for several ranges of a stored file. Returns
+ * { contentType, length, stream }; the parts are read from storage one
+ * after another as the stream is consumed.
+ */
+const multipartRanges = (backend, key, ranges, size, contentType) => {
+  const boundary = crypto.randomBytes(16).toString('hex');
+
+  const parts = ranges.map((range, index) => ({
+    ...range,
+    head: Buffer.from(
+      `${index > 0 ? '\r\n' : ''}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+    )
+  }));
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const length = parts.reduce((total, part) => total + part.head.length + part.end - part.start + 1, tail.length);
+
+  async function* body() {
+    for (const part of parts) {
+      yield part.head;
+      yield* backend.createReadStream(key, { start: part.start, end: part.end });
+    }
+    yield tail;
+  }
+
+  return {
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    length,
+    stream: Readable.from(body())
+  };
+};
+
+module.exports = { requestedRanges, multipartRanges };
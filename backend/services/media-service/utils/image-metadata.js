@@ -0,0 +1,127 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// EXIF sits in the first few segments of a file, so this much of the start is enough to read it
+const EXIF_PROBE_BYTES = 512 * 1024;
+
+const ORIENTATIONS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Camera clocks have no time zone: keep the wall-clock time, e.g. 2019-07-14T18:30:00
+const formatWallClock = (date) =>
+  date instanceof Date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 19) : null;
+
+const toDegrees = (parts, ref) => {
+  if (!Array.isArray(parts) || parts.length !== 3 || parts.some(part => !Number.isFinite(part))) {
+    return null;
+  }
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return Number(((ref === 'S' || ref === 'W') ? -degrees : degrees).toFixed(6));
+};
+
+const cleanString = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.replace(/\0/g, '').trim();
+  return trimmed || null;
+};
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+/**
+ * Summarise the EXIF of an image: capture time, camera, lens, exposure,
+ * orientation and GPS position. Takes the image (or just its start, see
+ * EXIF_PROBE_BYTES) and returns {} when it has no readable EXIF.
+ */
+const readImageMetadata = async (input) => {
+  const { exif } = await sharp(input).metadata();
+  if (!exif) return {};
+
+  let tags;
+  try {
+    tags = exifReader(exif);
+  } catch (error) {
+    return {};
+  }
+
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+  const gps = tags.GPSInfo || {};
+
+  const latitude = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+  const altitude = finiteOrNull(gps.GPSAltitude);
+
+  const summary = {
+    takenAt: formatWallClock(photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime),
+    // Offset from UTC of takenAt (e.g. +02:00), when the camera recorded one
+    timeZoneOffset: cleanString(photo.OffsetTimeOriginal),
+    make: cleanString(image.Make),
+    model: cleanString(image.Model),
+    lens: cleanString(photo.LensModel),
+    exposureTime: finiteOrNull(photo.ExposureTime),
+    fNumber: finiteOrNull(photo.FNumber),
+    iso: finiteOrNull(Array.isArray(photo.ISOSpeedRatings) ? photo.ISOSpeedRatings[0] : photo.ISOSpeedRatings),
+    focalLength: finiteOrNull(photo.FocalLength),
+    orientation: ORIENTATIONS.includes(image.Orientation) ? image.Orientation : null,
+    gps: latitude !== null && longitude !== null
+      ? { latitude, longitude, altitude: altitude !== null && gps.GPSAltitudeRef === 1 ? -altitude : altitude }
+      : null
+  };
+
+  return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== null));
+};
+
+/**
+ * Works through images that have never had their metadata read (uploaded
+ * before EXIF extraction, or whose extraction failed) a batch at a time.
+ * indexImage(mediaFile) does the work for one row and records the result.
+ */
+class ImageMetadataBackfill {
+  constructor(pool, indexImage, logger, options = {}) {
+    this.pool = pool;
+    this.indexImage = indexImage;
+    this.logger = logger;
+    this.batchSize = options.batchSize || 100;
+    this.intervalMs = options.intervalMs || 10 * 60 * 1000;
+    // Rows are visited in id order; failures are retried on the next pass
+    this.afterId = 0;
+    this.timer = null;
+  }
+
+  async runBatch() {
+    const result = await this.pool.query(`
+      SELECT * FROM media
+      WHERE exif IS NULL AND mime_type LIKE 'image/%' AND id > $1
+      ORDER BY id
+      LIMIT $2
+    `, [this.afterId, this.batchSize]);
+
+    for (const mediaFile of result.rows) {
+      await this.indexImage(mediaFile);
+    }
+
+    this.afterId = result.rows.length === this.batchSize ? result.rows[result.rows.length - 1].id : 0;
+
+    if (result.rows.length > 0) {
+      this.logger.info('Image metadata backfilled', { count: result.rows.length });
+    }
+    return result.rows.length;
+  }
+
+  startSchedule() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runBatch().catch(error => {
+        this.logger.error('Image metadata backfill failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stopSchedule() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { EXIF_PROBE_BYTES, readImageMetadata, ImageMetadataBackfill };
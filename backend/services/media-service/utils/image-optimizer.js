@@ -0,0 +1,30 @@
+const sharp = require('sharp');
+
+// Formats sharp can re-encode as a stream; anything else is stored untouched
+const OPTIMIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/gif', 'image/avif'];
+
+/**
+ * Image optimization transform for the upload pipeline, or null when the
+ * file should pass through as is. sharp only starts decoding once it has the
+ * whole input, so each one holds an upload in memory while it runs.
+ */
+const createImageOptimizer = (mimeType, options = {}) => {
+  if (!OPTIMIZABLE_TYPES.includes(mimeType)) return null;
+
+  const { quality = 80, width, height } = options;
+
+  let sharpInstance = sharp()
+    .jpeg({ quality, progressive: true })
+    .png({ compressionLevel: 9 });
+
+  if (width || height) {
+    sharpInstance = sharpInstance.resize(width, height, {
+      fit: sharp.fit.inside,
+      withoutEnlargement: true
+    });
+  }
+
+  return sharpInstance;
+};
+
+module.exports = { OPTIMIZABLE_TYPES, createImageOptimizer };
@@ -0,0 +1,126 @@
+const { Readable } = require('stream');
+const sharp = require('sharp');
+
+/**
+ * Named sizes images are delivered in. Renditions fit inside width x height
+ * and are never larger than the original; thumb is a square crop for grids.
+ */
+const RENDITIONS = {
+  thumb: { width: 256, height: 256, fit: 'cover' },
+  small: { width: 640, height: 640, fit: 'inside' },
+  medium: { width: 1280, height: 1280, fit: 'inside' },
+  large: { width: 2048, height: 2048, fit: 'inside' }
+};
+
+// Output formats, most preferred first. JPEG is the fallback every client takes.
+const FORMATS = [
+  { name: 'avif', extension: 'avif', mimeType: 'image/avif', options: { quality: 50, effort: 2 } },
+  { name: 'webp', extension: 'webp', mimeType: 'image/webp', options: { quality: 80 } },
+  { name: 'jpeg', extension: 'jpg', mimeType: 'image/jpeg', options: { quality: 82, mozjpeg: true } }
+];
+
+/**
+ * The best format a client accepts, from its Accept header. Only formats it
+ * names explicitly count, since wildcards like image/* are also sent by
+ * clients that cannot decode AVIF or WebP.
+ */
+const negotiateFormat = (accept = '') => {
+  const accepted = new Map();
+  for (const part of accept.split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    accepted.set(type.trim(), q ? parseFloat(q.slice(2)) : 1);
+  }
+
+  return FORMATS.find(format => accepted.get(format.mimeType) > 0) || FORMATS[FORMATS.length - 1];
+};
+
+/**
+ * Renditions of stored images, generated on first request and kept in the
+ * storage backend next to the originals. They are keyed by content hash, so
+ * media sharing a blob share its renditions too. A video's poster frame and
+ * HLS stream live under the same prefix, and its renditions are of the poster.
+ */
+class RenditionStore {
+  constructor(backend, logger) {
+    this.backend = backend;
+    this.logger = logger;
+    // Renditions being generated, so concurrent requests wait for one encode
+    this.pending = new Map();
+  }
+
+  prefixFor(mediaFile) {
+    // Media from before deduplication have no content hash
+    return `renditions/${mediaFile.content_sha256 || `media-${mediaFile.id}`}/`;
+  }
+
+  keyFor(mediaFile, name, format) {
+    return `${this.prefixFor(mediaFile)}${name}.${format.extension}`;
+  }
+
+  // A video's poster frame, the source of its renditions
+  posterKeyFor(mediaFile) {
+    return `${this.prefixFor(mediaFile)}poster.jpg`;
+  }
+
+  // A copy of a video without its metadata, delivered wherever it has to be stripped
+  strippedKeyFor(mediaFile, extension) {
+    return `${this.prefixFor(mediaFile)}stripped.${extension}`;
+  }
+
+  // Where a video's HLS playlists and segments are kept
+  hlsPrefixFor(mediaFile) {
+    return `${this.prefixFor(mediaFile)}hls/`;
+  }
+
+  /**
+   * Find or generate a rendition. readSource() returns the original image as
+   * a buffer and is only called when the rendition has to be generated.
+   * Returns { key, size, etag, mimeType }.
+   */
+  async get(mediaFile, name, format, readSource) {
+    const key = this.keyFor(mediaFile, name, format);
+
+    const stored = await this.backend.head(key);
+    if (stored) {
+      return { key, size: stored.size, etag: stored.etag, mimeType: format.mimeType };
+    }
+
+    if (!this.pending.has(key)) {
+      const generation = this.generate(key, name, format, readSource)
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, generation);
+    }
+    return this.pending.get(key);
+  }
+
+  async generate(key, name, format, readSource) {
+    const { width, height, fit } = RENDITIONS[name];
+    const source = await readSource();
+
+    const output = await sharp(source)
+      .rotate()
+      .resize(width, height, {
+        fit,
+        withoutEnlargement: true,
+        ...(fit === 'cover' && { position: sharp.strategy.entropy })
+      })
+      .toFormat(format.name, format.options)
+      .toBuffer();
+
+    await this.backend.put(key, Readable.from([output]), { contentType: format.mimeType });
+    this.logger.info('Rendition generated', { key, size: output.length });
+
+    return { key, size: output.length, etag: null, mimeType: format.mimeType };
+  }
+
+  // Delete every rendition of a media file, poster and stream included, once its original is gone
+  async deleteAll(mediaFile) {
+    const objects = await this.backend.list(this.prefixFor(mediaFile));
+    for (const object of objects) {
+      await this.backend.delete(object.key);
+    }
+  }
+}
+
+module.exports = { RENDITIONS, FORMATS, negotiateFormat, RenditionStore };
@@ -0,0 +1,184 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * A reliable job queue in Redis. Jobs wait in a pending list and are moved
+ * atomically to an active list while a worker holds them, so a crashed worker
+ * loses nothing: its lease expires and the job is retried. Failed jobs are
+ * retried with exponential backoff from a delayed set, and after the last
+ * attempt they are moved to a dead-letter list for inspection.
+ *
+ * Keys, under the queue name:
+ *   <name>:pending   list of jobs ready to run (pushed left, taken right)
+ *   <name>:active    list of jobs held by workers
+ *   <name>:lease:<id> expires when the worker holding a job stops renewing it
+ *   <name>:delayed   sorted set of jobs waiting to be retried, by due time
+ *   <name>:dead      list of jobs that ran out of attempts, newest first
+ */
+class JobQueue {
+  constructor(redis, logger, options = {}) {
+    this.redis = redis;
+    this.logger = logger;
+    this.name = options.name || 'media-jobs';
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelayMs = options.retryDelayMs || 30 * 1000;
+    this.leaseMs = options.leaseMs || 60 * 1000;
+    this.deadLetterLimit = options.deadLetterLimit || 1000;
+    // Called with a job and its last error once it is dead-lettered
+    this.onDeadLetter = options.onDeadLetter || null;
+    // Active jobs seen without a lease on the last sweep; see reclaimExpired
+    this.unleased = new Set();
+  }
+
+  key(suffix) {
+    return `${this.name}:${suffix}`;
+  }
+
+  async enqueue(type, data) {
+    // Commands are queued rather than failed while Redis reconnects, so check first
+    if (!this.redis.isReady) {
+      throw new Error('Job queue unavailable');
+    }
+
+    const job = { id: uuidv4(), type, data, attempts: 0, enqueuedAt: new Date().toISOString() };
+    await this.redis.lPush(this.key('pending'), JSON.stringify(job));
+    return job;
+  }
+
+  /**
+   * Wait up to timeoutSeconds for a job and take it. Blocks the connection,
+   * so pass a client of its own (redis.duplicate()). Returns null on timeout.
+   */
+  async reserve(blockingClient, timeoutSeconds = 5) {
+    const raw = await blockingClient.blMove(this.key('pending'), this.key('active'), 'RIGHT', 'LEFT', timeoutSeconds);
+    if (!raw) return null;
+
+    let job;
+    try {
+      job = JSON.parse(raw);
+    } catch (error) {
+      this.logger.error('Dropping unreadable job:', { raw });
+      await this.redis.lRem(this.key('active'), 1, raw);
+      return null;
+    }
+
+    job.raw = raw;
+    await this.extendLease(job);
+    return job;
+  }
+
+  // Keep holding a job; call more often than leaseMs while it runs
+  async extendLease(job) {
+    await this.redis.set(this.key(`lease:${job.id}`), '1', { PX: this.leaseMs });
+  }
+
+  async complete(job) {
+    await this.redis.lRem(this.key('active'), 1, job.raw);
+    await this.redis.del(this.key(`lease:${job.id}`));
+  }
+
+  /**
+   * Record a failed attempt. Returns { retrying: true, delayMs } when the job
+   * will run again, or { retrying: false } once it has been dead-lettered.
+   */
+  async fail(job, error) {
+    await this.redis.lRem(this.key('active'), 1, job.raw);
+    await this.redis.del(this.key(`lease:${job.id}`));
+
+    const { raw, ...stored } = job;
+    const attempts = stored.attempts + 1;
+    const failed = { ...stored, attempts, lastError: error.message, failedAt: new Date().toISOString() };
+
+    if (attempts < this.maxAttempts) {
+      const delayMs = this.retryDelayMs * 2 ** (attempts - 1);
+      await this.redis.zAdd(this.key('delayed'), { score: Date.now() + delayMs, value: JSON.stringify(failed) });
+      return { retrying: true, delayMs };
+    }
+
+    await this.redis.lPush(this.key('dead'), JSON.stringify(failed));
+    await this.redis.lTrim(this.key('dead'), 0, this.deadLetterLimit - 1);
+
+    if (this.onDeadLetter) {
+      await Promise.resolve(this.onDeadLetter(failed, error)).catch(callbackError => {
+        this.logger.error('Dead-letter handler failed:', { jobId: job.id, error: callbackError.message });
+      });
+    }
+    return { retrying: false };
+  }
+
+  // Move retries that are due back onto the pending list
+  async promoteDelayed() {
+    const due = await this.redis.zRangeByScore(this.key('delayed'), 0, Date.now(), { LIMIT: { offset: 0, count: 100 } });
+
+    let promoted = 0;
+    for (const raw of due) {
+      // Only the worker that removes the entry promotes it
+      if (await this.redis.zRem(this.key('delayed'), raw)) {
+        await this.redis.lPush(this.key('pending'), raw);
+        promoted++;
+      }
+    }
+    return promoted;
+  }
+
+  /**
+   * Fail active jobs whose worker stopped renewing the lease. A job is taken
+   * a moment before its lease is set, so it has to be seen without one on
+   * two sweeps in a row.
+   */
+  async reclaimExpired() {
+    const active = await this.redis.lRange(this.key('active'), 0, -1);
+    const unleased = new Set();
+
+    for (const raw of active) {
+      let job;
+      try {
+        job = JSON.parse(raw);
+      } catch (error) {
+        await this.redis.lRem(this.key('active'), 1, raw);
+        continue;
+      }
+      if (await this.redis.exists(this.key(`lease:${job.id}`))) continue;
+
+      if (this.unleased.has(raw)) {
+        this.logger.warn('Reclaiming job from a stopped worker:', { jobId: job.id, type: job.type });
+        await this.fail({ ...job, raw }, new Error('Worker stopped before finishing the job'));
+      } else {
+        unleased.add(raw);
+      }
+    }
+
+    this.unleased = unleased;
+  }
+
+  async stats() {
+    const [pending, active, delayed, dead] = await Promise.all([
+      this.redis.lLen(this.key('pending')),
+      this.redis.lLen(this.key('active')),
+      this.redis.zCard(this.key('delayed')),
+      this.redis.lLen(this.key('dead'))
+    ]);
+    return { pending, active, delayed, dead };
+  }
+
+  // Dead-lettered jobs, newest first
+  async listDead(limit = 50) {
+    const raws = await this.redis.lRange(this.key('dead'), 0, limit - 1);
+    return raws.map(raw => JSON.parse(raw));
+  }
+
+  // Give dead-lettered jobs, oldest first, a fresh set of attempts. Returns the jobs.
+  async requeueDead(limit = 100) {
+    const requeued = [];
+    while (requeued.length < limit) {
+      const raw = await this.redis.rPop(this.key('dead'));
+      if (!raw) break;
+
+      const { lastError, failedAt, ...job } = JSON.parse(raw);
+      await this.redis.lPush(this.key('pending'), JSON.stringify({ ...job, attempts: 0 }));
+      requeued.push(job);
+    }
+    return requeued;
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,115 @@
+// Namespace of the per-content advisory locks (pg_advisory_xact_lock), the
+// second key being a hash of the SHA-256
+const CONTENT_LOCK_ID = 7302;
+
+/**
+ * MediaBlobStore deduplicates stored files by content: media rows whose bytes
+ * have the same SHA-256 share one object in the storage backend, and that
+ * object is deleted when the last row referencing it goes away. Renditions
+ * and other derived files are shared the same way, keyed by the SHA-256, so
+ * adopting a blob and purging its derived files hold a lock on the content.
+ */
+class MediaBlobStore {
+  constructor(pool, backend, logger) {
+    this.pool = pool;
+    this.backend = backend;
+    this.logger = logger;
+  }
+
+  /**
+   * Register a freshly written object. When an identical blob is already
+   * stored, the new object is deleted and the existing one is shared instead.
+   * Returns { blobId, storageKey, shared }.
+   */
+  async adopt({ sha256, sizeBytes, storageKey }) {
+    const client = await this.pool.connect();
+    let blob;
+
+    try {
+      await client.query('BEGIN');
+      // Waits out a purge of this content's derived files that is under way
+      await this.lockContent(client, sha256);
+
+      // xmax is 0 only for a freshly inserted row, not for one the conflict updated
+      const result = await client.query(`
+        INSERT INTO media_blobs (sha256, storage_backend, storage_key, size_bytes)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (storage_backend, sha256) DO UPDATE SET ref_count = media_blobs.ref_count + 1
+        RETURNING id, storage_key, (xmax = 0) AS inserted
+      `, [sha256, this.backend.name, storageKey, sizeBytes]);
+
+      await client.query('COMMIT');
+      blob = result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!blob.inserted) {
+      await this.backend.delete(storageKey).catch(error => {
+        this.logger.warn('Failed to delete duplicate upload:', { storageKey, error: error.message });
+      });
+    }
+
+    return { blobId: blob.id, storageKey: blob.storage_key, shared: !blob.inserted };
+  }
+
+  /**
+   * Drop one reference to a blob, inside the caller's transaction if db is a
+   * client. Returns the storage key to delete once that commits, or null
+   * while other media rows still use the blob.
+   */
+  async release(db, blobId) {
+    await db.query('UPDATE media_blobs SET ref_count = ref_count - 1 WHERE id = $1', [blobId]);
+    const result = await db.query(
+      'DELETE FROM media_blobs WHERE id = $1 AND ref_count <= 0 RETURNING storage_key',
+      [blobId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].storage_key : null;
+  }
+
+  /**
+   * Delete the files derived from some content, by calling deleteFiles(),
+   * once no blob with that content is stored any more. This runs after the
+   * release() that dropped the last reference has committed, so it checks
+   * again under the content lock: an upload of the same bytes may have been
+   * adopted in between, and adopt() waits for the lock while the files go.
+   * Returns whether the files were deleted.
+   */
+  async purgeDerived(sha256, deleteFiles) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await this.lockContent(client, sha256);
+
+      const stored = await client.query(
+        'SELECT 1 FROM media_blobs WHERE storage_backend = $1 AND sha256 = $2',
+        [this.backend.name, sha256]
+      );
+      if (stored.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await deleteFiles();
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Hold the lock on some content until the client's transaction ends
+  async lockContent(client, sha256) {
+    await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [CONTENT_LOCK_ID, sha256]);
+  }
+}
+
+module.exports = { MediaBlobStore };
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { perceptualHash } = require('./perceptual-hash');
+const { readImageMetadata } = require('./image-metadata');
+const { RENDITIONS, FORMATS } = require('./image-renditions');
+const { probeVideo, extractPosterFrame, stripVideoMetadata, transcodeHls, hlsContentType } = require('./video-processing');
+
+/**
+ * The work done on an upload after it is stored: indexing images (perceptual
+ * hash and EXIF) and generating their renditions, and transcoding videos for
+ * streaming. Runs in the media worker, or inline in the API when the job
+ * queue is unavailable. Progress is kept in media.processing_status:
+ * processing, then ready or failed.
+ */
+class MediaProcessor {
+  constructor(pool, backend, renditions, logger, options = {}) {
+    this.pool = pool;
+    this.backend = backend;
+    this.renditions = renditions;
+    this.logger = logger;
+    // Larger images are stored and downloadable but never read into memory
+    this.maxImageBytes = options.maxImageBytes || parseInt(process.env.IMAGE_PROCESSING_MAX_BYTES || String(200 * 1024 * 1024));
+  }
+
+  // Whether an image is too large to index or render
+  isTooLarge(mediaFile) {
+    return Number(mediaFile.size_bytes) > this.maxImageBytes;
+  }
+
+  /**
+   * Read a whole stored file into memory, for images that sharp has to decode
+   * anyway. Throws instead once it grows past maxImageBytes, so a file whose
+   * recorded size is wrong cannot exhaust memory either.
+   */
+  async readStoredFile(storageKey) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of this.backend.createReadStream(storageKey)) {
+      size += chunk.length;
+      if (size > this.maxImageBytes) {
+        throw new Error(`File too large to process: over ${this.maxImageBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Where the start of an upload as received is kept until the worker has
+   * read its EXIF; the optimized copy in storage may have lost it
+   */
+  headKeyFor(mediaId) {
+    return `processing/${mediaId}.head`;
+  }
+
+  async saveHead(mediaId, head) {
+    const key = this.headKeyFor(mediaId);
+    await this.backend.put(key, Readable.from([head]), { contentType: 'application/octet-stream' });
+    return key;
+  }
+
+  async setStatus(mediaId, status, error = null) {
+    await this.pool.query(
+      'UPDATE media SET processing_status = $1, processing_error = $2, processed_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [status, error, mediaId]
+    );
+  }
+
+  /**
+   * Mark media ready with what processing found for another row sharing its
+   * blob, if one is ready already. Their renditions, poster, stripped copy
+   * and HLS stream are shared under one prefix, so processing again would
+   * only rewrite files that row is serving. Returns whether it did.
+   */
+  async reuseProcessed(mediaFile) {
+    if (!mediaFile.blob_id) return false;
+
+    const result = await this.pool.query(`
+      UPDATE media SET perceptual_hash = done.perceptual_hash, exif = done.exif, taken_at = done.taken_at,
+        width = done.width, height = done.height, duration_seconds = done.duration_seconds,
+        poster_key = done.poster_key, hls_playlist_key = done.hls_playlist_key, stripped_key = done.stripped_key,
+        processing_status = 'ready', processing_error = NULL, processed_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT * FROM media
+        WHERE blob_id = $1 AND id <> $2 AND processing_status = 'ready'
+        ORDER BY processed_at DESC NULLS LAST
+        LIMIT 1
+      ) AS done
+      WHERE media.id = $2
+      RETURNING media.*
+    `, [mediaFile.blob_id, mediaFile.id]);
+
+    if (result.rows.length === 0) return false;
+
+    Object.assign(mediaFile, result.rows[0]);
+    this.logger.info('Media reuses processed content', { mediaId: mediaFile.id });
+    return true;
+  }
+
+  /**
+   * Index a stored image: its perceptual hash, for near-duplicate detection,
+   * and its EXIF, for the capture-date timeline. originalHead is the start of
+   * the file as uploaded, which still has its EXIF when the stored copy was
+   * optimized. Unreadable images are only logged, since retrying will not help.
+   * An image too large to read is indexed from its original head alone.
+   */
+  async indexImage(mediaFile, originalHead = null, stored = null) {
+    if (!mediaFile.mime_type.startsWith('image/')) return;
+
+    if (!stored && !this.isTooLarge(mediaFile)) {
+      try {
+        stored = await this.readStoredFile(mediaFile.storage_key);
+      } catch (error) {
+        this.logger.warn('Failed to read image for indexing:', { mediaId: mediaFile.id, error: error.message });
+        return;
+      }
+    }
+
+    let hash = mediaFile.perceptual_hash || null;
+    if (stored) {
+      try {
+        hash = await perceptualHash(stored);
+      } catch (error) {
+        this.logger.warn('Failed to compute perceptual hash:', { mediaId: mediaFile.id, error: error.message });
+      }
+    }
+
+    // An unreadable image is recorded as having no EXIF so it is not retried
+    let exif = {};
+    for (const input of [originalHead, stored].filter(Boolean)) {
+      try {
+        exif = await readImageMetadata(input);
+        break;
+      } catch (error) {
+        this.logger.warn('Failed to read image metadata:', { mediaId: mediaFile.id, error: error.message });
+      }
+    }
+
+    try {
+      await this.pool.query(
+        'UPDATE media SET perceptual_hash = $1, exif = $2, taken_at = $3 WHERE id = $4',
+        [hash, JSON.stringify(exif), exif.takenAt || null, mediaFile.id]
+      );
+      Object.assign(mediaFile, { perceptual_hash: hash, exif, taken_at: exif.takenAt || null });
+    } catch (error) {
+      this.logger.warn('Failed to save image index:', { mediaId: mediaFile.id, error: error.message });
+    }
+  }
+
+  // Generate every rendition of an image up front, so none is encoded on request
+  async generateRenditions(mediaFile, stored) {
+    for (const name of Object.keys(RENDITIONS)) {
+      for (const format of FORMATS) {
+        await this.renditions.get(mediaFile, name, format, async () => stored);
+      }
+    }
+  }
+
+  /**
+   * Process a newly stored image and mark it ready, unless the same content
+   * already was. Takes the original head as a buffer, or the storage key it
+   * was saved under (deleted once done). Images over maxImageBytes get no
+   * renditions and are delivered as stored. Throws if the image could not be
+   * processed, leaving it processing.
+   */
+  async processImage(mediaFile, { head = null, headKey = null } = {}) {
+    if (await this.reuseProcessed(mediaFile)) {
+      if (headKey) await this.discardHead(headKey);
+      return;
+    }
+
+    if (!head && headKey) {
+      head = await this.readStoredFile(headKey).catch(error => {
+        this.logger.warn('Failed to read original upload head:', { mediaId: mediaFile.id, error: error.message });
+        return null;
+      });
+    }
+
+    if (this.isTooLarge(mediaFile)) {
+      this.logger.warn('Image too large to process, skipping renditions:', {
+        mediaId: mediaFile.id,
+        sizeBytes: Number(mediaFile.size_bytes),
+        maxImageBytes: this.maxImageBytes
+      });
+      await this.indexImage(mediaFile, head);
+    } else {
+      const stored = await this.readStoredFile(mediaFile.storage_key);
+      await this.indexImage(mediaFile, head, stored);
+      await this.generateRenditions(mediaFile, stored);
+    }
+
+    await this.setStatus(mediaFile.id, 'ready');
+    mediaFile.processing_status = 'ready';
+
+    if (headKey) {
+      await this.discardHead(headKey);
+    }
+  }
+
+  /**
+   * Process a newly stored video and mark it ready, unless the same content
+   * already was: read its duration and resolution, take a poster frame for
+   * its thumbnail, remux a copy without its metadata and transcode it to an
+   * HLS ladder. ffmpeg needs a file, so the video is copied to a temporary
+   * directory first. Throws if any step fails, leaving it processing.
+   */
+  async processVideo(mediaFile) {
+    if (await this.reuseProcessed(mediaFile)) return;
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `media-${mediaFile.id}-`));
+
+    try {
+      const inputPath = path.join(workDir, 'source');
+      await pipeline(this.backend.createReadStream(mediaFile.storage_key), fs.createWriteStream(inputPath));
+
+      const info = await probeVideo(inputPath);
+
+      const posterPath = path.join(workDir, 'poster.jpg');
+      await extractPosterFrame(inputPath, posterPath, info.durationSeconds);
+      const posterKey = this.renditions.posterKeyFor(mediaFile);
+      await this.backend.put(posterKey, fs.createReadStream(posterPath), { contentType: 'image/jpeg' });
+
+      const strippedPath = path.join(workDir, 'stripped');
+      const container = await stripVideoMetadata(inputPath, strippedPath, mediaFile.mime_type);
+      const strippedKey = this.renditions.strippedKeyFor(mediaFile, container.extension);
+      await this.backend.put(strippedKey, fs.createReadStream(strippedPath), { contentType: container.mimeType });
+
+      const hlsDir = path.join(workDir, 'hls');
+      const rungs = await transcodeHls(inputPath, hlsDir, info);
+      const hlsPrefix = this.renditions.hlsPrefixFor(mediaFile);
+      for (const file of await this.listFiles(hlsDir)) {
+        await this.backend.put(hlsPrefix + file, fs.createReadStream(path.join(hlsDir, file)), {
+          contentType: hlsContentType(file)
+        });
+      }
+
+      await this.pool.query(`
+        UPDATE media SET duration_seconds = $1, width = $2, height = $3, poster_key = $4, hls_playlist_key = $5,
+          stripped_key = $6
+        WHERE id = $7
+      `, [info.durationSeconds, info.width, info.height, posterKey, `${hlsPrefix}master.m3u8`, strippedKey, mediaFile.id]);
+
+      this.logger.info('Video processed', {
+        mediaId: mediaFile.id,
+        durationSeconds: info.durationSeconds,
+        resolution: `${info.width}x${info.height}`,
+        rungs: rungs.map(rung => rung.name)
+      });
+
+      await this.setStatus(mediaFile.id, 'ready');
+      mediaFile.processing_status = 'ready';
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(error => {
+        this.logger.warn('Failed to remove video work directory:', { workDir, error: error.message });
+      });
+    }
+  }
+
+  // Paths of the files under a directory, relative to it and with forward slashes
+  async listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(dir, relative));
+      } else {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+
+  async discardHead(headKey) {
+    await this.backend.delete(headKey).catch(error => {
+      this.logger.warn('Failed to delete original upload head:', { headKey, error: error.message });
+    });
+  }
+}
+
+module.exports = { MediaProcessor };
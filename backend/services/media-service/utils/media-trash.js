@@ -0,0 +1,184 @@
+/**
+ * MediaTrash soft-deletes media. Trashed media keep their row, stored blob
+ * and album links, hidden from listings, albums, downloads, renditions and
+ * streams, even for their owner, so restoring one brings it back as it was. They are purged for good, freeing their storage
+ * and quota, once the retention window has passed or on request.
+ */
+class MediaTrash {
+  /**
+   * deleteRecord(db, mediaFile) removes a media row inside the transaction of
+   * the client it is given, returning the storage key it freed (or null);
+   * deleteStored(mediaFile, storageKey) deletes that from storage once the
+   * transaction has committed. changed(userId), if given, is called once a
+   * user's media have gone into or come out of the trash.
+   */
+  constructor(pool, { deleteRecord, deleteStored, changed = async () => {} }, logger, options = {}) {
+    this.pool = pool;
+    this.deleteRecord = deleteRecord;
+    this.deleteStored = deleteStored;
+    this.changed = changed;
+    this.logger = logger;
+    this.retentionDays = options.retentionDays || parseInt(process.env.MEDIA_TRASH_RETENTION_DAYS || '30');
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+  }
+
+  // When a trashed media file will be purged
+  purgesAt(mediaFile) {
+    return new Date(new Date(mediaFile.deleted_at).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Move a user's media to the trash, the given ids or (without ids) all of
+   * them. Returns the rows trashed; ids that are not the user's, or already
+   * in the trash, are left out.
+   */
+  async trash(userId, ids = null) {
+    const result = await this.pool.query(`
+      UPDATE media SET deleted_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND deleted_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2))
+      RETURNING *
+    `, [userId, ids]);
+
+    if (result.rows.length > 0) await this.changed(userId);
+    return result.rows;
+  }
+
+  // Take media out of the trash. Returns the rows restored.
+  async restore(userId, ids) {
+    const result = await this.pool.query(`
+      UPDATE media SET deleted_at = NULL
+      WHERE user_id = $1 AND id = ANY($2) AND deleted_at IS NOT NULL
+      RETURNING *
+    `, [userId, ids]);
+
+    if (result.rows.length > 0) await this.changed(userId);
+    return result.rows;
+  }
+
+  // A page of a user's trash, most recently deleted first
+  async list(userId, { limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT *, COUNT(*) OVER() AS total_count FROM media
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+
+    return {
+      media: result.rows,
+      total: result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Purge one trashed media file, locking its row so a concurrent restore or
+   * purge cannot interleave. Its storage is deleted after the commit. Returns
+   * the row purged, or null if it was no longer in the trash.
+   */
+  async purgeOne(mediaId) {
+    const client = await this.pool.connect();
+    let mediaFile, storageKey;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'SELECT * FROM media WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE SKIP LOCKED',
+        [mediaId]
+      );
+
+      mediaFile = result.rows[0];
+      if (mediaFile) {
+        storageKey = await this.deleteRecord(client, mediaFile);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!mediaFile) return null;
+
+    await this.deleteStored(mediaFile, storageKey);
+    return mediaFile;
+  }
+
+  /**
+   * Purge a user's trashed media, the given ids or (without ids) the whole
+   * trash. Returns { purged, failed } with the rows purged and the ids that
+   * could not be.
+   */
+  async purge(userId, ids = null) {
+    const result = await this.pool.query(`
+      SELECT id FROM media
+      WHERE user_id = $1 AND deleted_at IS NOT NULL AND ($2::int[] IS NULL OR id = ANY($2))
+      ORDER BY id
+    `, [userId, ids]);
+
+    return this.purgeAll(result.rows.map(row => row.id));
+  }
+
+  async purgeAll(mediaIds) {
+    const purged = [];
+    const failed = [];
+
+    for (const mediaId of mediaIds) {
+      try {
+        const mediaFile = await this.purgeOne(mediaId);
+        if (mediaFile) purged.push(mediaFile);
+      } catch (error) {
+        this.logger.error('Failed to purge trashed media:', { mediaId, error: error.message });
+        failed.push(mediaId);
+      }
+    }
+
+    return { purged, failed };
+  }
+
+  /**
+   * Purge media that have been in the trash longer than the retention window
+   */
+  async purgeExpired() {
+    let count = 0;
+    let failedCount = 0;
+
+    // In batches, until a batch comes up short or nothing in it could be purged
+    for (;;) {
+      const result = await this.pool.query(`
+        SELECT id FROM media
+        WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT 100
+      `, [this.retentionDays]);
+
+      const { purged, failed } = await this.purgeAll(result.rows.map(row => row.id));
+      count += purged.length;
+      failedCount += failed.length;
+
+      if (result.rows.length < 100 || purged.length === 0) break;
+    }
+
+    if (count > 0 || failedCount > 0) {
+      this.logger.info('Expired trash purged', { count, failed: failedCount });
+    }
+    return count;
+  }
+
+  startSchedule() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        this.logger.error('Trash purge failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stopSchedule() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { MediaTrash };
@@ -0,0 +1,216 @@
+const { Transform } = require('stream');
+const sharp = require('sharp');
+
+// How much metadata to remove from an image as it is delivered
+const STRIP_MODES = ['none', 'location', 'all'];
+
+// Formats sharp can re-encode without their metadata
+const REENCODABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/avif'];
+
+// Formats with nowhere to keep EXIF, XMP or a capture location
+const METADATA_FREE_TYPES = ['image/gif', 'image/bmp'];
+
+// Byte size of each TIFF field type, indexed by type id
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8, 4];
+
+const GPS_IFD_POINTER = 0x8825;
+
+// JPEG headers larger than this are not real photos
+const MAX_JPEG_HEADER_BYTES = 16 * 1024 * 1024;
+
+const XMP_SIGNATURES = ['http://ns.adobe.com/xap/1.0/\0', 'http://ns.adobe.com/xmp/extension/\0'];
+
+/**
+ * Blank out the GPS IFD of a TIFF-structured EXIF block in place: its
+ * entries, the values they point at, and its entry count. The GPS pointer in
+ * IFD0 is left pointing at an empty directory. Throws on malformed EXIF.
+ */
+const scrubGpsFromExif = (tiff) => {
+  const byteOrder = tiff.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    throw new Error('Invalid EXIF byte order');
+  }
+
+  const little = byteOrder === 'II';
+  const check = (offset, length) => {
+    if (offset < 0 || offset + length > tiff.length) {
+      throw new Error('EXIF offset out of range');
+    }
+    return offset;
+  };
+  const u16 = (offset) => (little ? tiff.readUInt16LE(check(offset, 2)) : tiff.readUInt16BE(check(offset, 2)));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(check(offset, 4)) : tiff.readUInt32BE(check(offset, 4)));
+
+  const ifd0 = u32(4);
+  const ifd0Entries = u16(ifd0);
+  let gpsIfd = null;
+
+  for (let i = 0; i < ifd0Entries; i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (u16(entry) === GPS_IFD_POINTER) {
+      gpsIfd = u32(entry + 8);
+      break;
+    }
+  }
+  if (gpsIfd === null) return false;
+
+  const gpsEntries = u16(gpsIfd);
+  for (let i = 0; i < gpsEntries; i++) {
+    const entry = gpsIfd + 2 + i * 12;
+    const size = (TIFF_TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+    // Values over four bytes (coordinates are rationals) live outside the entry
+    if (size > 4) {
+      const valueOffset = check(u32(entry + 8), size);
+      tiff.fill(0, valueOffset, valueOffset + size);
+    }
+  }
+
+  check(gpsIfd, 2 + gpsEntries * 12);
+  tiff.fill(0, gpsIfd, gpsIfd + 2 + gpsEntries * 12);
+  return true;
+};
+
+/**
+ * Offset of the start-of-scan marker in a JPEG, i.e. where the metadata
+ * segments end, or -1 if the buffer does not reach it yet
+ */
+const findJpegScanStart = (buffer) => {
+  if (buffer.length < 2) return -1;
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    throw new Error('Not a JPEG file');
+  }
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Invalid JPEG segment');
+    }
+    const marker = buffer[offset + 1];
+    // Fill bytes
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xda) return offset;
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return -1;
+};
+
+/**
+ * Remove location from the metadata segments of a JPEG (everything before
+ * the scan): the EXIF GPS directory is blanked and XMP, which can repeat the
+ * coordinates, is dropped. Other metadata and the image data are untouched.
+ */
+const stripJpegHeaderLocation = (header) => {
+  const segments = [header.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < header.length) {
+    if (header[offset + 1] === 0xff) {
+      offset++;
+      continue;
+    }
+    const end = Math.min(offset + 2 + header.readUInt16BE(offset + 2), header.length);
+    const segment = Buffer.from(header.subarray(offset, end));
+    const isApp1 = segment[1] === 0xe1;
+
+    if (isApp1 && segment.toString('binary', 4, 10) === 'Exif\0\0') {
+      scrubGpsFromExif(segment.subarray(10));
+      segments.push(segment);
+    } else if (!(isApp1 && XMP_SIGNATURES.some(signature => segment.toString('binary', 4, 4 + signature.length) === signature))) {
+      segments.push(segment);
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(segments);
+};
+
+/**
+ * Stream transform that holds back a JPEG's metadata segments, strips the
+ * location from them and then passes the image data through unchanged
+ */
+class JpegLocationStripper extends Transform {
+  constructor() {
+    super();
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.headerDone = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.headerDone) {
+      return callback(null, chunk);
+    }
+
+    this.pending.push(chunk);
+    this.pendingBytes += chunk.length;
+
+    try {
+      const buffered = Buffer.concat(this.pending);
+      const scanStart = findJpegScanStart(buffered);
+
+      if (scanStart === -1) {
+        this.pending = [buffered];
+        if (this.pendingBytes > MAX_JPEG_HEADER_BYTES) {
+          throw new Error('JPEG metadata too large');
+        }
+        return callback();
+      }
+
+      this.headerDone = true;
+      this.pending = [];
+      this.push(stripJpegHeaderLocation(buffered.subarray(0, scanStart)));
+      callback(null, buffered.subarray(scanStart));
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    // A JPEG without image data: whatever arrived is all header
+    if (!this.headerDone && this.pendingBytes > 0) {
+      try {
+        this.push(stripJpegHeaderLocation(Buffer.concat(this.pending)));
+      } catch (error) {
+        return callback(error);
+      }
+    }
+    callback();
+  }
+}
+
+/**
+ * Transform that removes metadata from an image on its way to the client, or
+ * null when nothing needs doing. JPEGs lose just their location losslessly;
+ * otherwise the image is re-encoded by sharp, which keeps no metadata (the
+ * EXIF orientation is applied to the pixels first so the image still shows
+ * the right way up).
+ */
+const createMetadataStripper = (mimeType, mode) => {
+  if (mode === 'none' || !mimeType.startsWith('image/')) return null;
+
+  if (mode === 'location' && mimeType === 'image/jpeg') {
+    return new JpegLocationStripper();
+  }
+
+  return REENCODABLE_TYPES.includes(mimeType) ? sharp().rotate() : null;
+};
+
+/**
+ * Whether a file of this type may carry metadata. Those that do and have no
+ * stripper above (videos, HEIC) must not be delivered as stored where
+ * metadata has to be stripped.
+ */
+const carriesMetadata = (mimeType) => !METADATA_FREE_TYPES.includes(mimeType);
+
+module.exports = {
+  STRIP_MODES,
+  scrubGpsFromExif,
+  stripJpegHeaderLocation,
+  JpegLocationStripper,
+  createMetadataStripper,
+  carriesMetadata
+};
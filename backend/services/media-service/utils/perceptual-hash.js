@@ -0,0 +1,140 @@
+const sharp = require('sharp');
+
+/**
+ * 64-bit difference hash (dHash) of an image as 16 hex characters. The image
+ * is shrunk to 9x8 greyscale and each bit records whether a pixel is brighter
+ * than its right-hand neighbour, so resized, recompressed and slightly
+ * different shots of the same scene land a few bits apart.
+ */
+const perceptualHash = async (input) => {
+  const pixels = await sharp(input)
+    .rotate()
+    .resize(9, 8, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer();
+
+  const words = [0, 0];
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const bit = row * 8 + col;
+      if (pixels[row * 9 + col] > pixels[row * 9 + col + 1]) {
+        words[bit >> 5] |= 1 << (31 - (bit & 31));
+      }
+    }
+  }
+
+  return words.map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+};
+
+const popcount32 = (value) => {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Number of differing bits between two hashes from perceptualHash
+const hammingDistance = (a, b) =>
+  popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+  popcount32(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+
+// The two 32-bit halves of a hash from perceptualHash
+const hashWords = (hash) => [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)];
+
+// Items clustered between yields to the event loop
+const CLUSTER_YIELD_EVERY = 250;
+
+/**
+ * BK-tree of hashes under Hamming distance. Each child hangs off its parent
+ * by their distance, so by the triangle inequality a search within
+ * maxDistance of a query only has to descend into the children whose edge is
+ * within maxDistance of the query's own distance to the parent. For the small
+ * distances near-duplicates are looked for at, that skips most of the tree.
+ */
+class HashTree {
+  constructor() {
+    this.root = null;
+  }
+
+  add(words, index) {
+    const node = { words, index, children: new Map() };
+    if (!this.root) {
+      this.root = node;
+      return;
+    }
+
+    let parent = this.root;
+    for (;;) {
+      const distance = popcount32(parent.words[0] ^ words[0]) + popcount32(parent.words[1] ^ words[1]);
+      const child = parent.children.get(distance);
+      if (!child) {
+        parent.children.set(distance, node);
+        return;
+      }
+      parent = child;
+    }
+  }
+
+  // Indexes of the hashes added within maxDistance bits of words
+  search(words, maxDistance) {
+    const found = [];
+    const pending = this.root ? [this.root] : [];
+
+    while (pending.length > 0) {
+      const node = pending.pop();
+      const distance = popcount32(node.words[0] ^ words[0]) + popcount32(node.words[1] ^ words[1]);
+      if (distance <= maxDistance) {
+        found.push(node.index);
+      }
+      for (const [edge, child] of node.children) {
+        if (Math.abs(edge - distance) <= maxDistance) {
+          pending.push(child);
+        }
+      }
+    }
+
+    return found;
+  }
+}
+
+/**
+ * Group items whose hashes are within maxDistance bits of each other. Groups
+ * are transitive (a burst where each shot is close to the next ends up in one
+ * group) and only groups of two or more are returned. Each item is looked up
+ * in a BK-tree of those before it rather than compared with all of them, and
+ * the event loop gets a turn every CLUSTER_YIELD_EVERY items.
+ */
+const clusterByDistance = async (items, maxDistance, getHash = item => item.hash) => {
+  const parent = items.map((item, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const tree = new HashTree();
+  for (let i = 0; i < items.length; i++) {
+    const words = hashWords(getHash(items[i]));
+    for (const j of tree.search(words, maxDistance)) {
+      parent[find(i)] = find(j);
+    }
+    tree.add(words, i);
+
+    if (i % CLUSTER_YIELD_EVERY === CLUSTER_YIELD_EVERY - 1) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+module.exports = { perceptualHash, hammingDistance, clusterByDistance };
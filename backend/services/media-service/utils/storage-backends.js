@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Storage } = require('@google-cloud/storage');
+
+/**
+ * Where media blobs live. Every backend stores objects under string keys like
+ * media/<userId>/<filename> and implements:
+ *
+ *   createWriteStream(key, { contentType, metadata }) → Writable, finishes once stored
+ *   put(key, source, options)                         → stream source into key
+ *   createReadStream(key, { start, end })             → Readable, optionally a byte range
+ *   head(key)        → { size, contentType, etag, updatedAt } or null if missing
+ *   delete(key)      → no error if already gone
+ *   list(prefix)     → [{ key, size }]
+ *   getSignedUrl(key, { expiresInSeconds, filename }) → direct URL, or null if unsupported
+ */
+class StorageBackend {
+  async put(key, source, options = {}) {
+    await pipeline(source, this.createWriteStream(key, options));
+  }
+}
+
+/**
+ * Files under a root directory, for development and single-host installs
+ */
+class LocalStorageBackend extends StorageBackend {
+  constructor(root) {
+    super();
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  pathFor(key) {
+    const filePath = path.resolve(this.root, key);
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  createWriteStream(key) {
+    const filePath = this.pathFor(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    return fs.createWriteStream(filePath);
+  }
+
+  createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.pathFor(key), { start, end });
+  }
+
+  async head(key) {
+    try {
+      const stats = await fs.promises.stat(this.pathFor(key));
+      return {
+        size: stats.size,
+        contentType: null,
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        updatedAt: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async list(prefix) {
+    const directory = this.pathFor(path.dirname(prefix + 'x'));
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      const key = path.relative(this.root, path.join(directory, entry.name)).split(path.sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+
+      if (entry.isDirectory()) {
+        objects.push(...await this.list(key + '/'));
+      } else {
+        objects.push({ key, size: (await fs.promises.stat(path.join(directory, entry.name))).size });
+      }
+    }
+    return objects;
+  }
+
+  // Files are only reachable through the service itself
+  async getSignedUrl() {
+    return null;
+  }
+}
+
+/**
+ * Google Cloud Storage bucket
+ */
+class GcsStorageBackend extends StorageBackend {
+  constructor(bucket) {
+    super();
+    this.name = 'gcs';
+    this.bucket = bucket;
+  }
+
+  createWriteStream(key, { contentType, metadata } = {}) {
+    return this.bucket.file(key).createWriteStream({
+      metadata: { contentType, metadata },
+      // Always use resumable uploads for better reliability
+      resumable: true,
+      // Add validation to prevent data corruption
+      validation: 'crc32c'
+    });
+  }
+
+  createReadStream(key, { start, end } = {}) {
+    return this.bucket.file(key).createReadStream({ start, end });
+  }
+
+  async head(key) {
+    try {
+      const [metadata] = await this.bucket.file(key).getMetadata();
+      return {
+        size: Number(metadata.size),
+        contentType: metadata.contentType || null,
+        etag: metadata.etag ? `"${metadata.etag}"` : null,
+        updatedAt: new Date(metadata.updated)
+      };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+
+  async list(prefix) {
+    const [files] = await this.bucket.getFiles({ prefix });
+    return files.map(file => ({ key: file.name, size: Number(file.metadata.size) }));
+  }
+
+  async getSignedUrl(key, { expiresInSeconds = 900, filename } = {}) {
+    const [url] = await this.bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + expiresInSeconds * 1000,
+      ...(filename && { responseDisposition: `attachment; filename="${filename}"` })
+    });
+    return url;
+  }
+}
+
+/**
+ * Any S3-compatible object store: AWS S3, MinIO, Ceph, R2. Set endpoint and
+ * forcePathStyle for self-hosted servers.
+ */
+class S3StorageBackend extends StorageBackend {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    super();
+    // Loaded on demand so GCS and local installs do not need the AWS SDK
+    this.s3 = require('@aws-sdk/client-s3');
+    this.Upload = require('@aws-sdk/lib-storage').Upload;
+    this.presign = require('@aws-sdk/s3-request-presigner').getSignedUrl;
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new this.s3.S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle: Boolean(forcePathStyle),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  createWriteStream(key, { contentType, metadata } = {}) {
+    const body = new PassThrough();
+    // Multipart upload fed from the stream, so large files never sit in memory
+    const upload = new this.Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        // S3 metadata travels as HTTP headers, which must be ASCII
+        Metadata: metadata && Object.fromEntries(
+          Object.entries(metadata).map(([name, value]) => [name, encodeURIComponent(value)])
+        )
+      }
+    });
+    const done = upload.done();
+
+    const writable = new Writable({
+      write(chunk, encoding, callback) {
+        body.write(chunk, encoding) ? callback() : body.once('drain', callback);
+      },
+      final(callback) {
+        body.end();
+        done.then(() => callback(), callback);
+      },
+      destroy(error, callback) {
+        if (error) {
+          upload.abort().catch(() => {});
+          body.destroy();
+        }
+        callback(error);
+      }
+    });
+
+    done.catch(error => writable.destroy(error));
+    return writable;
+  }
+
+  createReadStream(key, { start, end } = {}) {
+    const stream = new PassThrough();
+    const range = start !== undefined || end !== undefined
+      ? `bytes=${start || 0}-${end !== undefined ? end : ''}`
+      : undefined;
+
+    this.client.send(new this.s3.GetObjectCommand({ Bucket: this.bucket, Key: key, Range: range }))
+      .then(response => pipeline(response.Body, stream))
+      .catch(error => stream.destroy(error));
+
+    return stream;
+  }
+
+  async head(key) {
+    try {
+      const response = await this.client.send(new this.s3.HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        size: Number(response.ContentLength),
+        contentType: response.ContentType || null,
+        etag: response.ETag || null,
+        updatedAt: response.LastModified
+      };
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // DeleteObject succeeds for keys that do not exist
+  async delete(key) {
+    await this.client.send(new this.s3.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new this.s3.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      (response.Contents || []).forEach(object => {
+        objects.push({ key: object.Key, size: Number(object.Size) });
+      });
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async getSignedUrl(key, { expiresInSeconds = 900, filename } = {}) {
+    return await this.presign(this.client, new this.s3.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(filename && { ResponseContentDisposition: `attachment; filename="${filename}"` })
+    }), { expiresIn: expiresInSeconds });
+  }
+}
+
+/**
+ * Pick the backend from STORAGE_BACKEND (local, gcs or s3). Without it,
+ * USE_LOCAL_STORAGE=true still selects local storage and anything else GCS.
+ */
+const createStorageBackend = (env = process.env) => {
+  const type = env.STORAGE_BACKEND || (env.USE_LOCAL_STORAGE === 'true' ? 'local' : 'gcs');
+
+  switch (type) {
+    case 'local':
+      return new LocalStorageBackend(env.LOCAL_STORAGE_PATH || '/app/uploads');
+    case 'gcs': {
+      const storage = new Storage({
+        projectId: env.GOOGLE_CLOUD_PROJECT,
+        keyFilename: env.GOOGLE_APPLICATION_CREDENTIALS
+      });
+      return new GcsStorageBackend(storage.bucket(env.GCS_BUCKET || 'taskmanager-media-circular-hash-459513-q5'));
+    }
+    case 's3':
+      if (!env.S3_BUCKET) {
+        throw new Error('S3_BUCKET is required when STORAGE_BACKEND=s3');
+      }
+      return new S3StorageBackend({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${type}`);
+  }
+};
+
+module.exports = {
+  StorageBackend,
+  LocalStorageBackend,
+  GcsStorageBackend,
+  S3StorageBackend,
+  createStorageBackend
+};
@@ -0,0 +1,115 @@
+/**
+ * StorageQuota accounts for what each user's media take up and enforces the
+ * limits of their storage plan. Usage is kept in media_storage_usage and
+ * changed in the same transaction as the media row it is for, so it never
+ * drifts from the media table.
+ */
+class StorageQuota {
+  constructor(pool, logger) {
+    this.pool = pool;
+    this.logger = logger;
+  }
+
+  /**
+   * A user's usage and limits: { plan, bytesUsed, fileCount, quotaBytes,
+   * maxFiles }. A per-user storage_quota_bytes overrides the plan's quota;
+   * a null maxFiles means any number of files.
+   */
+  async getUsage(userId, db = this.pool) {
+    const result = await db.query(`
+      SELECT u.storage_plan,
+        COALESCE(u.storage_quota_bytes, p.quota_bytes) AS quota_bytes,
+        p.max_files,
+        COALESCE(s.bytes_used, 0) AS bytes_used,
+        COALESCE(s.file_count, 0) AS file_count
+      FROM users u
+      JOIN storage_plans p ON p.name = u.storage_plan
+      LEFT JOIN media_storage_usage s ON s.user_id = u.id
+      WHERE u.id = $1
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    const row = result.rows[0];
+    return {
+      plan: row.storage_plan,
+      bytesUsed: Number(row.bytes_used),
+      fileCount: row.file_count,
+      quotaBytes: Number(row.quota_bytes),
+      maxFiles: row.max_files
+    };
+  }
+
+  // Why a file of sizeBytes would not fit, or null if it would
+  exceeded(usage, sizeBytes) {
+    if (usage.maxFiles !== null && usage.fileCount + 1 > usage.maxFiles) {
+      return `file limit of ${usage.maxFiles} reached`;
+    }
+    if (usage.bytesUsed + sizeBytes > usage.quotaBytes) {
+      return `${usage.quotaBytes - usage.bytesUsed} of ${usage.quotaBytes} bytes left`;
+    }
+    return null;
+  }
+
+  /**
+   * Check, before receiving a file, that one of sizeBytes would fit. Uploads
+   * running meanwhile are not counted, so reserve() has the final say.
+   */
+  async check(userId, sizeBytes) {
+    const usage = await this.getUsage(userId);
+    const reason = this.exceeded(usage, sizeBytes);
+    if (reason) {
+      throw new Error('Storage quota exceeded: ' + reason);
+    }
+    return usage;
+  }
+
+  /**
+   * Count a new file against a user's quota inside the caller's transaction,
+   * throwing if it does not fit. The usage row stays locked until the
+   * transaction ends, so concurrent uploads cannot both take the last space.
+   */
+  async reserve(client, userId, sizeBytes) {
+    await client.query(
+      'INSERT INTO media_storage_usage (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+      [userId]
+    );
+    await client.query('SELECT 1 FROM media_storage_usage WHERE user_id = $1 FOR UPDATE', [userId]);
+
+    const usage = await this.getUsage(userId, client);
+    const reason = this.exceeded(usage, sizeBytes);
+    if (reason) {
+      throw new Error('Storage quota exceeded: ' + reason);
+    }
+
+    await client.query(`
+      UPDATE media_storage_usage
+      SET bytes_used = bytes_used + $2, file_count = file_count + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+    `, [userId, sizeBytes]);
+  }
+
+  // Give back a deleted file's space, inside the caller's transaction
+  async release(db, userId, sizeBytes) {
+    await db.query(`
+      UPDATE media_storage_usage
+      SET bytes_used = GREATEST(bytes_used - $2, 0),
+        file_count = GREATEST(file_count - 1, 0),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+    `, [userId, sizeBytes]);
+  }
+
+  // Bytes stored across all users
+  async totalBytes() {
+    const result = await this.pool.query('SELECT COALESCE(SUM(bytes_used), 0) AS total FROM media_storage_usage');
+    return Number(result.rows[0].total);
+  }
+}
+
+// Quota errors thrown above, as opposed to database failures
+const isQuotaError = (error) => error.message.startsWith('Storage quota exceeded');
+
+module.exports = { StorageQuota, isQuotaError };
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Pass-through that counts the bytes flowing through it, optionally hashes
+ * them and keeps a copy of the first headBytes of them
+ */
+class ByteCounter extends Transform {
+  constructor(hashAlgorithm = null, { headBytes = 0 } = {}) {
+    super();
+    this.bytes = 0;
+    this.hash = hashAlgorithm ? crypto.createHash(hashAlgorithm) : null;
+    this.headBytes = headBytes;
+    this.headChunks = [];
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.bytes < this.headBytes) {
+      this.headChunks.push(chunk.subarray(0, this.headBytes - this.bytes));
+    }
+    this.bytes += chunk.length;
+    if (this.hash) this.hash.update(chunk);
+    callback(null, chunk);
+  }
+
+  digest() {
+    return this.hash ? this.hash.digest('hex') : null;
+  }
+
+  get head() {
+    return this.headBytes > 0 ? Buffer.concat(this.headChunks) : null;
+  }
+}
+
+/**
+ * Stream an upload into storage: source → hash/size counter → optional
+ * transform (e.g. sharp) → hash/size counter → destination. Nothing is
+ * buffered beyond the streams' own high-water marks, so memory stays flat
+ * whatever the file size. Returns the SHA-256 and size of what was written,
+ * and of the original bytes when a transform changed them. With headBytes,
+ * originalHead holds the start of the original, e.g. for reading its EXIF
+ * after the transform has stripped it.
+ */
+const runUploadPipeline = async (source, destination, transform = null, { headBytes = 0 } = {}) => {
+  const input = new ByteCounter('sha256', { headBytes });
+  const output = new ByteCounter('sha256');
+
+  await pipeline(...[source, input, transform, output, destination].filter(Boolean));
+
+  return {
+    sha256: output.digest(),
+    sizeBytes: output.bytes,
+    originalSha256: input.digest(),
+    originalBytes: input.bytes,
+    originalHead: input.head
+  };
+};
+
+/**
+ * Runs at most `limit` tasks at once; the others wait their turn, in order
+ */
+class ConcurrencyLimit {
+  constructor(limit) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      // A finishing task hands its place straight to the next one waiting
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) next(); else this.active--;
+    }
+  }
+}
+
+/**
+ * multer storage engine that runs each file through runUploadPipeline as it
+ * arrives instead of collecting it in memory or a temp file.
+ *
+ *   open(req, file)      → { stream, ...info }  write stream plus details kept on req.file
+ *   transform(req, file) → Transform | null     applied between the counters
+ *   remove(file)         → Promise              deletes what open() wrote
+ *
+ * headBytes is passed on to runUploadPipeline. With a transformLimit (a
+ * ConcurrencyLimit), files that are transformed wait for their turn before
+ * any of them is read, which holds the client back meanwhile.
+ */
+class StreamingStorage {
+  constructor({ open, transform = () => null, remove, headBytes = 0, transformLimit = null }) {
+    this.open = open;
+    this.transform = transform;
+    this.remove = remove;
+    this.headBytes = headBytes;
+    this.transformLimit = transformLimit;
+  }
+
+  _handleFile(req, file, callback) {
+    const transform = this.transform(req, file);
+    const store = async () => {
+      const { stream, ...info } = await this.open(req, file);
+
+      try {
+        const result = await runUploadPipeline(file.stream, stream, transform, {
+          headBytes: this.headBytes
+        });
+        return { ...info, ...result, size: result.sizeBytes };
+      } catch (error) {
+        await this.remove(info).catch(() => {});
+        throw error;
+      }
+    };
+
+    (transform && this.transformLimit ? this.transformLimit.run(store) : store())
+      .then(info => callback(null, info), callback);
+  }
+
+  _removeFile(req, file, callback) {
+    this.remove(file).then(() => callback(null), callback);
+  }
+}
+
+module.exports = { ByteCounter, runUploadPipeline, ConcurrencyLimit, StreamingStorage };
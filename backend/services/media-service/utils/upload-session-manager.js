@@ -0,0 +1,535 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ignoreMissing = (error) => {
+  if (error.code !== 'ENOENT') throw error;
+};
+
+/**
+ * Stages chunks by appending them to one file per upload. Use a persistent
+ * volume so uploads survive restarts. Finished files are moved into the
+ * local storage backend.
+ */
+class LocalUploadStaging {
+  constructor(directory, backend) {
+    this.directory = directory;
+    this.backend = backend;
+  }
+
+  pathFor(uploadId) {
+    return path.join(this.directory, `${uploadId}.part`);
+  }
+
+  location(uploadId) {
+    return this.pathFor(uploadId);
+  }
+
+  async prepare(uploadId) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.pathFor(uploadId), '');
+  }
+
+  createChunkStream(uploadId, offset) {
+    return fs.createWriteStream(this.pathFor(uploadId), { flags: 'r+', start: offset });
+  }
+
+  /**
+   * Drop everything from offset on, i.e. a partial or rejected chunk
+   */
+  async discardFrom(uploadId, offset) {
+    await fs.promises.truncate(this.pathFor(uploadId), offset);
+  }
+
+  /**
+   * How much of the recorded offset is really on disk; the volume may have
+   * been emptied. Bytes past it belong to an unconfirmed chunk and are
+   * overwritten by the next one.
+   */
+  async usableBytes(uploadId, recordedBytes) {
+    try {
+      return Math.min((await fs.promises.stat(this.pathFor(uploadId))).size, recordedBytes);
+    } catch (error) {
+      ignoreMissing(error);
+      await this.prepare(uploadId);
+      return 0;
+    }
+  }
+
+  async assemble(uploadId, key) {
+    const destination = this.backend.pathFor(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    try {
+      await fs.promises.rename(this.pathFor(uploadId), destination);
+    } catch (error) {
+      // Staging and storage may be different volumes
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(this.pathFor(uploadId), destination);
+      await fs.promises.unlink(this.pathFor(uploadId));
+    }
+  }
+
+  createReadStream(key) {
+    return this.backend.createReadStream(key);
+  }
+
+  async removeAssembled(key) {
+    await this.backend.delete(key);
+  }
+
+  async remove(uploadId) {
+    await fs.promises.unlink(this.pathFor(uploadId)).catch(ignoreMissing);
+  }
+}
+
+/**
+ * Stages each chunk as its own GCS object, named by offset, and composes them
+ * into the final object on completion. Works across replicas and restarts.
+ */
+class GcsUploadStaging {
+  constructor(backend, prefix = 'uploads') {
+    this.backend = backend;
+    this.bucket = backend.bucket;
+    this.prefix = prefix;
+  }
+
+  chunkPrefix(uploadId) {
+    return `${this.prefix}/${uploadId}/`;
+  }
+
+  location(uploadId) {
+    return this.chunkPrefix(uploadId);
+  }
+
+  async prepare() {}
+
+  createChunkStream(uploadId, offset) {
+    const name = this.chunkPrefix(uploadId) + String(offset).padStart(16, '0');
+    return this.bucket.file(name).createWriteStream({ resumable: false, validation: 'crc32c' });
+  }
+
+  async listChunks(uploadId) {
+    const [files] = await this.bucket.getFiles({ prefix: this.chunkPrefix(uploadId) });
+    return files
+      .map(file => ({
+        file,
+        offset: parseInt(path.basename(file.name), 10),
+        size: Number(file.metadata.size)
+      }))
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Chunks forming an unbroken run from the start of the file
+   */
+  async contiguousChunks(uploadId) {
+    const run = [];
+    let bytes = 0;
+    for (const chunk of await this.listChunks(uploadId)) {
+      if (chunk.offset === bytes) {
+        run.push(chunk);
+        bytes += chunk.size;
+      }
+    }
+    return { run, bytes };
+  }
+
+  async discardFrom(uploadId, offset) {
+    const chunks = await this.listChunks(uploadId);
+    await Promise.all(chunks
+      .filter(chunk => chunk.offset >= offset)
+      .map(chunk => chunk.file.delete({ ignoreNotFound: true })));
+  }
+
+  // Chunk objects are durable, and assembly checks the final size anyway
+  async usableBytes(uploadId, recordedBytes) {
+    return recordedBytes;
+  }
+
+  async assemble(uploadId, key, contentType) {
+    const { run } = await this.contiguousChunks(uploadId);
+    const target = this.bucket.file(key);
+
+    // A compose request takes at most 32 sources, so fold the chunks in batches
+    let index = 0;
+    let composed = false;
+    while (index < run.length) {
+      const sources = composed ? [target] : [];
+      while (sources.length < 32 && index < run.length) {
+        sources.push(run[index++].file);
+      }
+      await this.bucket.combine(sources, target);
+      composed = true;
+    }
+
+    await target.setMetadata({ contentType });
+    await this.remove(uploadId);
+  }
+
+  createReadStream(key) {
+    return this.backend.createReadStream(key);
+  }
+
+  async removeAssembled(key) {
+    await this.backend.delete(key);
+  }
+
+  async remove(uploadId) {
+    await this.bucket.deleteFiles({ prefix: this.chunkPrefix(uploadId) });
+  }
+}
+
+/**
+ * Stages chunks as objects in any storage backend (e.g. S3) and concatenates
+ * them into the final object on completion by streaming them through.
+ */
+class ObjectUploadStaging {
+  constructor(backend, prefix = 'uploads') {
+    this.backend = backend;
+    this.prefix = prefix;
+  }
+
+  chunkPrefix(uploadId) {
+    return `${this.prefix}/${uploadId}/`;
+  }
+
+  location(uploadId) {
+    return this.chunkPrefix(uploadId);
+  }
+
+  async prepare() {}
+
+  createChunkStream(uploadId, offset) {
+    return this.backend.createWriteStream(this.chunkPrefix(uploadId) + String(offset).padStart(16, '0'));
+  }
+
+  async listChunks(uploadId) {
+    const objects = await this.backend.list(this.chunkPrefix(uploadId));
+    return objects
+      .map(object => ({ key: object.key, offset: parseInt(path.basename(object.key), 10), size: object.size }))
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  async discardFrom(uploadId, offset) {
+    const chunks = await this.listChunks(uploadId);
+    await Promise.all(chunks
+      .filter(chunk => chunk.offset >= offset)
+      .map(chunk => this.backend.delete(chunk.key)));
+  }
+
+  // Chunk objects are durable, and assembly checks the final size anyway
+  async usableBytes(uploadId, recordedBytes) {
+    return recordedBytes;
+  }
+
+  async assemble(uploadId, key, contentType) {
+    const backend = this.backend;
+    const run = [];
+    let bytes = 0;
+    for (const chunk of await this.listChunks(uploadId)) {
+      if (chunk.offset === bytes) {
+        run.push(chunk);
+        bytes += chunk.size;
+      }
+    }
+
+    await pipeline(async function* () {
+      for (const chunk of run) {
+        yield* backend.createReadStream(chunk.key);
+      }
+    }, backend.createWriteStream(key, { contentType }));
+
+    await this.remove(uploadId);
+  }
+
+  createReadStream(key) {
+    return this.backend.createReadStream(key);
+  }
+
+  async removeAssembled(key) {
+    await this.backend.delete(key);
+  }
+
+  async remove(uploadId) {
+    const chunks = await this.listChunks(uploadId);
+    await Promise.all(chunks.map(chunk => this.backend.delete(chunk.key)));
+  }
+}
+
+/**
+ * UploadSessionManager tracks resumable uploads in the upload_sessions table.
+ * received_bytes is the source of truth: it only advances after a chunk has
+ * been fully staged and its checksum verified.
+ */
+class UploadSessionManager {
+  constructor(pool, staging, logger, options = {}) {
+    this.pool = pool;
+    this.staging = staging;
+    this.logger = logger;
+    this.chunkBytes = options.chunkBytes || parseInt(process.env.UPLOAD_CHUNK_BYTES || String(8 * 1024 * 1024));
+    this.maxBytes = options.maxBytes || parseInt(process.env.MAX_UPLOAD_BYTES || String(10 * 1024 * 1024 * 1024));
+    this.ttlHours = options.ttlHours || parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24');
+    // Uploads with a chunk being written by this instance
+    this.activeUploads = new Set();
+    this.timer = null;
+  }
+
+  static isUploadId(value) {
+    return UPLOAD_ID_PATTERN.test(value);
+  }
+
+  async create(userId, { originalName, mimeType, totalBytes, checksum, metadata, isPublic }) {
+    const id = uuidv4();
+    await this.staging.prepare(id);
+
+    const result = await this.pool.query(`
+      INSERT INTO upload_sessions (
+        id, user_id, original_name, mime_type, total_bytes, checksum_sha256,
+        staging_path, metadata, is_public, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+        CURRENT_TIMESTAMP + ($10 || ' hours')::interval)
+      RETURNING *
+    `, [
+      id, userId, originalName, mimeType, totalBytes, checksum || null,
+      this.staging.location(id),
+      JSON.stringify(metadata || {}), isPublic, this.ttlHours
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * A user's upload, with its offset checked against what is actually staged
+   */
+  async get(uploadId, userId) {
+    const result = await this.pool.query(
+      'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2',
+      [uploadId, userId]
+    );
+
+    const session = result.rows[0];
+    if (!session || session.status !== 'pending' || this.activeUploads.has(uploadId)) {
+      return session || null;
+    }
+
+    return await this.reconcile(session);
+  }
+
+  /**
+   * Rewind the offset if staged bytes were lost since they were confirmed
+   */
+  async reconcile(session) {
+    const received = Number(session.received_bytes);
+    const offset = await this.staging.usableBytes(session.id, received);
+
+    if (offset === received) {
+      return session;
+    }
+
+    this.logger.warn('Upload staging lost data, rewinding', { uploadId: session.id, received, offset });
+    const updated = await this.pool.query(`
+      UPDATE upload_sessions SET received_bytes = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [session.id, offset]);
+
+    return updated.rows[0];
+  }
+
+  /**
+   * Stage one chunk at offset. Returns { offset } with the new offset, or
+   * { error } with 'busy', 'offset_mismatch', 'too_large' or 'checksum_mismatch'.
+   */
+  async writeChunk(session, offset, source, expectedChecksum = null) {
+    const received = Number(session.received_bytes);
+
+    if (this.activeUploads.has(session.id)) {
+      return { error: 'busy' };
+    }
+    if (offset !== received) {
+      return { error: 'offset_mismatch', offset: received };
+    }
+
+    this.activeUploads.add(session.id);
+    try {
+      const limit = Math.min(this.chunkBytes, Number(session.total_bytes) - offset);
+      const hash = crypto.createHash('sha256');
+      let chunkBytes = 0;
+      let tooLarge = false;
+
+      const meter = new Transform({
+        transform(data, encoding, callback) {
+          chunkBytes += data.length;
+          if (chunkBytes > limit) {
+            tooLarge = true;
+            return callback(new Error('Chunk exceeds the allowed size'));
+          }
+          hash.update(data);
+          callback(null, data);
+        }
+      });
+
+      try {
+        await pipeline(source, meter, this.staging.createChunkStream(session.id, offset));
+      } catch (error) {
+        // Partial chunks are dropped; the client resends from the last offset
+        await this.staging.discardFrom(session.id, offset);
+        if (tooLarge) return { error: 'too_large' };
+        throw error;
+      }
+
+      if (expectedChecksum && hash.digest('base64') !== expectedChecksum) {
+        await this.staging.discardFrom(session.id, offset);
+        return { error: 'checksum_mismatch' };
+      }
+
+      const result = await this.pool.query(`
+        UPDATE upload_sessions SET received_bytes = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND received_bytes = $2 AND status = 'pending'
+        RETURNING received_bytes
+      `, [session.id, offset, offset + chunkBytes]);
+
+      if (result.rows.length === 0) {
+        return { error: 'offset_mismatch', offset: received };
+      }
+
+      return { offset: Number(result.rows[0].received_bytes) };
+    } finally {
+      this.activeUploads.delete(session.id);
+    }
+  }
+
+  /**
+   * Move a fully received upload to its storage key and verify it.
+   * Returns { sha256 } or { error } with 'incomplete', 'size_mismatch' or
+   * 'checksum_mismatch'; the upload is aborted on the last two.
+   */
+  async assemble(session, key) {
+    const claimed = await this.pool.query(`
+      UPDATE upload_sessions SET status = 'completing', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending' AND received_bytes = total_bytes
+      RETURNING id
+    `, [session.id]);
+
+    if (claimed.rows.length === 0) {
+      return { error: 'incomplete' };
+    }
+
+    try {
+      await this.staging.assemble(session.id, key, session.mime_type);
+
+      const hash = crypto.createHash('sha256');
+      let sizeBytes = 0;
+      for await (const data of this.staging.createReadStream(key)) {
+        hash.update(data);
+        sizeBytes += data.length;
+      }
+      const sha256 = hash.digest('hex');
+
+      if (sizeBytes !== Number(session.total_bytes)) {
+        this.logger.error('Assembled upload has the wrong size', {
+          uploadId: session.id,
+          expected: Number(session.total_bytes),
+          actual: sizeBytes
+        });
+        await this.fail(session, key);
+        return { error: 'size_mismatch' };
+      }
+
+      if (session.checksum_sha256 && sha256 !== session.checksum_sha256.toLowerCase()) {
+        await this.fail(session, key);
+        return { error: 'checksum_mismatch' };
+      }
+
+      return { sha256 };
+    } catch (error) {
+      await this.fail(session, key);
+      throw error;
+    }
+  }
+
+  async markCompleted(uploadId, mediaId) {
+    await this.pool.query(`
+      UPDATE upload_sessions SET status = 'completed', media_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [uploadId, mediaId]);
+  }
+
+  /**
+   * Give up on an upload whose completion failed part-way
+   */
+  async fail(session, key) {
+    await this.staging.removeAssembled(key).catch(error => {
+      this.logger.warn('Failed to remove assembled upload:', { key, error: error.message });
+    });
+    await this.abort(session);
+  }
+
+  async abort(session) {
+    await this.pool.query(`
+      UPDATE upload_sessions SET status = 'aborted', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status <> 'completed'
+    `, [session.id]);
+    await this.staging.remove(session.id);
+  }
+
+  /**
+   * Abort expired uploads and free their staged chunks
+   */
+  async cleanupExpired() {
+    const result = await this.pool.query(`
+      SELECT * FROM upload_sessions
+      WHERE status IN ('pending', 'completing') AND expires_at < CURRENT_TIMESTAMP
+      LIMIT 100
+    `);
+
+    for (const session of result.rows) {
+      try {
+        await this.abort(session);
+      } catch (error) {
+        this.logger.warn('Failed to clean up expired upload:', { uploadId: session.id, error: error.message });
+      }
+    }
+
+    if (result.rows.length > 0) {
+      this.logger.info('Expired uploads cleaned up', { count: result.rows.length });
+    }
+  }
+
+  startSchedule() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.cleanupExpired().catch(error => {
+        this.logger.error('Upload cleanup failed:', error.message);
+      });
+    }, 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stopSchedule() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  format(session) {
+    return {
+      uploadId: session.id,
+      originalName: session.original_name,
+      mimeType: session.mime_type,
+      sizeBytes: Number(session.total_bytes),
+      offset: Number(session.received_bytes),
+      chunkSize: this.chunkBytes,
+      status: session.status,
+      mediaId: session.media_id,
+      expiresAt: session.expires_at
+    };
+  }
+}
+
+module.exports = { UploadSessionManager, LocalUploadStaging, GcsUploadStaging, ObjectUploadStaging };
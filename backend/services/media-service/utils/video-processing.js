@@ -0,0 +1,236 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const path = require('path');
+
+// The ffmpeg binaries on PATH, unless pointed elsewhere
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+/**
+ * HLS rungs a video is transcoded to, largest first, by the length of its
+ * short side. A video gets the rungs no larger than itself, and always the
+ * smallest so every video streams.
+ */
+const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+// Length of an HLS segment, in seconds; keyframes are forced to line up with it
+const HLS_SEGMENT_SECONDS = 6;
+
+/**
+ * Run an ffmpeg binary and collect its output. Rejects with the end of
+ * stderr when it exits non-zero, and kills it after timeoutMs.
+ */
+const run = (command, args, { timeoutMs = 30 * 60 * 1000 } = {}) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  const stdout = [];
+  let stderr = '';
+
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+  child.stdout.on('data', (chunk) => stdout.push(chunk));
+  child.stderr.on('data', (chunk) => {
+    // Only the end says what went wrong, and ffmpeg is chatty
+    stderr = (stderr + chunk).slice(-4000);
+  });
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error.code === 'ENOENT' ? new Error(`${command} not found; install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH`) : error);
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(timer);
+    if (code === 0) {
+      resolve(Buffer.concat(stdout).toString());
+    } else {
+      reject(new Error(`${path.basename(command)} ${signal ? `killed by ${signal}` : `exited with code ${code}`}: ${stderr.trim().split('\n').pop()}`));
+    }
+  });
+});
+
+// "30000/1001" to 29.97
+const parseRate = (rate) => {
+  const [numerator, denominator] = String(rate || '').split('/').map(Number);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+/**
+ * Read a video's duration and display resolution. Phones record portrait
+ * video as landscape with a rotation, so width and height are swapped then.
+ * Returns { durationSeconds, width, height, codec, frameRate, hasAudio }.
+ */
+const probeVideo = async (inputPath) => {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    inputPath
+  ], { timeoutMs: 60 * 1000 });
+
+  const probe = JSON.parse(output);
+  const streams = probe.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  if (!video) {
+    throw new Error('No video stream found');
+  }
+
+  const rotation = Number(
+    video.tags?.rotate ??
+    (video.side_data_list || []).find(data => data.rotation !== undefined)?.rotation ??
+    0
+  );
+  const rotated = Math.abs(rotation) % 180 === 90;
+
+  const duration = parseFloat(probe.format?.duration ?? video.duration);
+
+  return {
+    durationSeconds: isNaN(duration) ? null : duration,
+    width: rotated ? video.height : video.width,
+    height: rotated ? video.width : video.height,
+    codec: video.codec_name || null,
+    frameRate: parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate),
+    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+  };
+};
+
+/**
+ * Grab one frame as a JPEG, a little way in so it is not a black fade-in.
+ * Short videos use their first frame.
+ */
+const extractPosterFrame = async (inputPath, outputPath, durationSeconds = null) => {
+  const atSeconds = durationSeconds ? Math.min(durationSeconds / 10, 3) : 0;
+
+  await run(FFMPEG_PATH, [
+    '-y',
+    '-ss', atSeconds.toFixed(3),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-q:v', '2',
+    outputPath
+  ], { timeoutMs: 2 * 60 * 1000 });
+
+  return outputPath;
+};
+
+// Containers a metadata-free copy is remuxed into, by upload type; Matroska takes anything else
+const STRIPPED_CONTAINERS = {
+  'video/mp4': { extension: 'mp4', mimeType: 'video/mp4' },
+  'video/quicktime': { extension: 'mov', mimeType: 'video/quicktime' },
+  'video/x-m4v': { extension: 'm4v', mimeType: 'video/x-m4v' },
+  'video/3gpp': { extension: '3gp', mimeType: 'video/3gpp' },
+  'video/webm': { extension: 'webm', mimeType: 'video/webm' }
+};
+const MATROSKA = { extension: 'mkv', mimeType: 'video/x-matroska' };
+
+const strippedContainerFor = (mimeType) => STRIPPED_CONTAINERS[mimeType] || MATROSKA;
+
+/**
+ * Copy a video without its metadata (capture location, device, dates and
+ * chapters), remuxing the streams untouched into the container for its type.
+ * Returns the container written.
+ */
+const stripVideoMetadata = async (inputPath, outputPath, mimeType) => {
+  const container = strippedContainerFor(mimeType);
+  const isMov = ['mp4', 'mov', 'm4v', '3gp'].includes(container.extension);
+
+  await run(FFMPEG_PATH, [
+    '-y',
+    '-i', inputPath,
+    '-map', '0',
+    '-map_metadata', '-1',
+    '-map_chapters', '-1',
+    '-c', 'copy',
+    // Index first, so the copy can be played as it downloads
+    ...(isMov ? ['-movflags', '+faststart'] : []),
+    '-f', container.extension === 'mkv' ? 'matroska' : container.extension === 'm4v' ? 'ipod' : container.extension,
+    outputPath
+  ], { timeoutMs: 10 * 60 * 1000 });
+
+  return container;
+};
+
+// The rungs of HLS_LADDER a video with the given short side is transcoded to
+const ladderFor = (shortSide) => {
+  const rungs = HLS_LADDER.filter(rung => shortSide && rung.height <= shortSide);
+  return rungs.length > 0 ? rungs : [HLS_LADDER[HLS_LADDER.length - 1]];
+};
+
+/**
+ * Transcode a video into an HLS rendition ladder under outputDir:
+ * master.m3u8 pointing at <rung>/index.m3u8, each with its segments
+ * <rung>/seg_0000.ts onwards. Rungs are encoded one at a time to keep memory
+ * flat. Returns the rungs produced.
+ */
+const transcodeHls = async (inputPath, outputDir, { width, height, hasAudio = true } = {}) => {
+  // Portrait video is scaled by its width, so a 1080p rung is 1080 pixels wide
+  const portrait = width && height && height > width;
+  const rungs = ladderFor(portrait ? width : height);
+
+  for (const rung of rungs) {
+    const rungDir = path.join(outputDir, rung.name);
+    await fs.mkdir(rungDir, { recursive: true });
+
+    await run(FFMPEG_PATH, [
+      '-y',
+      '-i', inputPath,
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      // The stream is public for public videos, so it carries no location or device tags
+      '-map_metadata', '-1',
+      '-vf', portrait ? `scale=${rung.height}:-2` : `scale=-2:${rung.height}`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-pix_fmt', 'yuv420p',
+      '-b:v', `${rung.videoBitrate}k`,
+      '-maxrate', `${Math.round(rung.videoBitrate * 1.07)}k`,
+      '-bufsize', `${rung.videoBitrate * 2}k`,
+      // Regular keyframes, never on scene cuts, and one at each segment boundary
+      '-g', '48',
+      '-keyint_min', '48',
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+      '-c:a', 'aac',
+      '-b:a', `${rung.audioBitrate}k`,
+      '-ac', '2',
+      '-f', 'hls',
+      '-hls_time', String(HLS_SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(rungDir, 'seg_%04d.ts'),
+      path.join(rungDir, 'index.m3u8')
+    ]);
+  }
+
+  // The long side follows the source aspect ratio, rounded to even like scale=-2
+  const aspect = width && height ? Math.max(width, height) / Math.min(width, height) : 16 / 9;
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rung of rungs) {
+    const longSide = Math.round((rung.height * aspect) / 2) * 2;
+    const resolution = portrait ? `${rung.height}x${longSide}` : `${longSide}x${rung.height}`;
+    const bandwidth = (rung.videoBitrate + (hasAudio ? rung.audioBitrate : 0)) * 1000;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${resolution}`);
+    lines.push(`${rung.name}/index.m3u8`);
+  }
+  await fs.writeFile(path.join(outputDir, 'master.m3u8'), lines.join('\n') + '\n');
+
+  return rungs;
+};
+
+// Content type of a file in an HLS output tree
+const hlsContentType = (file) => (file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t');
+
+module.exports = {
+  HLS_LADDER,
+  probeVideo,
+  extractPosterFrame,
+  strippedContainerFor,
+  stripVideoMetadata,
+  transcodeHls,
+  hlsContentType
+};
@@ -189,6 +189,18 @@ class EventProcessor {
       case 'task.media_detached':
         await this.handleTaskMediaDetached(data, correlationId);
         break;
+
+      case 'auth.password_reset_requested':
+        await this.handlePasswordResetRequested(data, correlationId);
+        break;
+
+      case 'auth.email_verification_requested':
+        await this.handleEmailVerificationRequested(data, correlationId);
+        break;
+
+      case 'auth.account_locked':
+        await this.handleAccountLocked(data, correlationId);
+        break;
         
       default:
         this.logger.warn('Unknown event type received:', { eventType, correlationId });
@@ -336,6 +348,79 @@ class EventProcessor {
 
     await this.notificationManager.sendNotification(notification);
   }
+
+  /**
+   * Handle password reset requested event.
+   * Account emails skip preferences and history since they carry a one-time link.
+   */
+  async handlePasswordResetRequested(data, correlationId) {
+    const { userId, firstName, actionUrl, expiresAt } = data;
+
+    const notification = {
+      id: uuidv4(),
+      userId,
+      type: 'auth.password_reset_requested',
+      subject: 'Reset your password',
+      content: `Hi ${firstName || 'there'}, we received a request to reset your password. ` +
+        'If this was not you, you can ignore this email.',
+      actionUrl,
+      actionLabel: 'Reset password',
+      metadata: {
+        linkExpiresAt: expiresAt,
+        correlationId
+      }
+    };
+
+    await this.notificationManager.sendEmailNotification(notification);
+  }
+
+  /**
+   * Handle email verification requested event
+   */
+  async handleEmailVerificationRequested(data, correlationId) {
+    const { userId, firstName, actionUrl, expiresAt } = data;
+
+    const notification = {
+      id: uuidv4(),
+      userId,
+      type: 'auth.email_verification_requested',
+      subject: 'Confirm your email address',
+      content: `Hi ${firstName || 'there'}, please confirm your email address to finish setting up your account.`,
+      actionUrl,
+      actionLabel: 'Confirm email',
+      metadata: {
+        linkExpiresAt: expiresAt,
+        correlationId
+      }
+    };
+
+    await this.notificationManager.sendEmailNotification(notification);
+  }
+
+  /**
+   * Handle account locked event
+   */
+  async handleAccountLocked(data, correlationId) {
+    const { userId, firstName, actionUrl, expiresAt, lockedMinutes } = data;
+
+    const notification = {
+      id: uuidv4(),
+      userId,
+      type: 'auth.account_locked',
+      subject: 'Sign-in to your account was locked',
+      content: `Hi ${firstName || 'there'}, after several failed sign-in attempts we locked your account ` +
+        `for ${lockedMinutes} minutes. If this was you, unlock it now with the link below. ` +
+        'If it was not, consider resetting your password.',
+      actionUrl,
+      actionLabel: 'Unlock account',
+      metadata: {
+        linkExpiresAt: expiresAt,
+        correlationId
+      }
+    };
+
+    await this.notificationManager.sendEmailNotification(notification);
+  }
 }
 
 module.exports = { EventProcessor };
@@ -132,7 +132,9 @@ class NotificationManager {
         to: userEmail,
         subject: notification.subject,
         html: this.generateEmailHTML(notification),
-        text: notification.content
+        text: notification.actionUrl
+          ? `${notification.content}\n\n${notification.actionUrl}`
+          : notification.content
       };
 
       await this.emailTransporter.sendMail(mailOptions);
@@ -179,6 +181,7 @@ class NotificationManager {
           .header { border-bottom: 2px solid #007bff; padding-bottom: 20px; margin-bottom: 30px; }
           .title { color: #007bff; font-size: 24px; margin: 0; }
           .content { line-height: 1.6; color: #333; }
+          .action { display: inline-block; margin-top: 20px; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 4px; }
           .metadata { background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin-top: 20px; font-size: 14px; }
           .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6; font-size: 12px; color: #6c757d; }
         </style>
@@ -191,6 +194,7 @@ class NotificationManager {
           <div class="content">
             <h2>${notification.subject}</h2>
             <p>${notification.content}</p>
+            ${notification.actionUrl ? `<a class="action" href="${notification.actionUrl}">${notification.actionLabel || 'Open'}</a>` : ''}
             ${this.generateMetadataHTML(notification.metadata)}
           </div>
           <div class="footer">
@@ -7,14 +7,21 @@ const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 
 /**
- * Enhanced JWT Management with rotation support
+ * Enhanced JWT Management with rotation support.
+ *
+ * With a signingKeyProvider (returns { kid, privateKey } or null) tokens are
+ * signed with RS256 and carry a kid; publicKeyResolver(kid) returns the
+ * matching public key, possibly asynchronously. Tokens without a kid are
+ * still checked against the shared secrets so existing sessions survive.
  */
 class JWTManager {
-  constructor() {
+  constructor(options = {}) {
     this.currentSecret = process.env.JWT_SECRET || this.generateSecret();
     this.previousSecret = process.env.JWT_PREVIOUS_SECRET || null;
     this.rotationInterval = process.env.JWT_ROTATION_INTERVAL || '7d'; // 7 days
     this.expiresIn = process.env.JWT_EXPIRES_IN || '24h';
+    this.signingKeyProvider = options.signingKeyProvider || null;
+    this.publicKeyResolver = options.publicKeyResolver || null;
   }
 
   generateSecret() {
@@ -24,21 +31,49 @@ class JWTManager {
   /**
    * Generate JWT token with current secret
    */
-  generateToken(payload) {
+  generateToken(payload, options = {}) {
+    const signingKey = this.signingKeyProvider && this.signingKeyProvider();
+    if (signingKey) {
+      return jwt.sign(payload, signingKey.privateKey, {
+        algorithm: 'RS256',
+        keyid: signingKey.kid,
+        expiresIn: options.expiresIn || this.expiresIn,
+        issuer: 'task-manager',
+        audience: 'task-manager-users'
+      });
+    }
+
     return jwt.sign(payload, this.currentSecret, {
-      expiresIn: this.expiresIn,
+      expiresIn: options.expiresIn || this.expiresIn,
       issuer: 'task-manager',
       audience: 'task-manager-users'
     });
   }
 
   /**
-   * Verify JWT token, trying current secret first, then previous
+   * Verify JWT token by its kid, or for older tokens the current secret first, then previous
    */
-  verifyToken(token) {
+  async verifyToken(token) {
+    const decodedHeader = jwt.decode(token, { complete: true });
+    const kid = decodedHeader && decodedHeader.header.kid;
+
+    if (kid) {
+      const publicKey = this.publicKeyResolver ? await this.publicKeyResolver(kid) : null;
+      if (!publicKey) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+      }
+
+      return jwt.verify(token, publicKey, {
+        algorithms: ['RS256'],
+        issuer: 'task-manager',
+        audience: 'task-manager-users'
+      });
+    }
+
     try {
       // Try current secret first
       return jwt.verify(token, this.currentSecret, {
+        algorithms: ['HS256'],
         issuer: 'task-manager',
         audience: 'task-manager-users'
       });
@@ -47,6 +82,7 @@ class JWTManager {
         try {
           // Fallback to previous secret for graceful rotation
           const decoded = jwt.verify(token, this.previousSecret, {
+            algorithms: ['HS256'],
             issuer: 'task-manager',
             audience: 'task-manager-users'
           });
@@ -62,7 +98,8 @@ class JWTManager {
   }
 
   /**
-   * Rotate JWT secret
+   * Rotate JWT secret. Only applies to HS256 tokens; signing keys used with a
+   * signingKeyProvider are rotated by their owner.
    */
   rotateSecret() {
     this.previousSecret = this.currentSecret;
@@ -75,10 +112,60 @@ class JWTManager {
   }
 }
 
+/**
+ * Resolve token signing keys from a JWKS endpoint. Keys are cached; an unknown
+ * kid triggers a refetch, at most once every minRefetchSeconds.
+ */
+const createJwksResolver = (jwksUrl, options = {}) => {
+  const cacheSeconds = options.cacheSeconds || 300;
+  const minRefetchSeconds = options.minRefetchSeconds || 30;
+  const logger = options.logger || console;
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  let pending = null;
+
+  const fetchKeys = async () => {
+    attemptedAt = Date.now();
+    const response = await fetch(jwksUrl, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with ${response.status}`);
+    }
+
+    const { keys: jwks = [] } = await response.json();
+    const next = new Map();
+    for (const jwk of jwks) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+      next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+
+    keys = next;
+    fetchedAt = Date.now();
+  };
+
+  return async (kid) => {
+    const stale = Date.now() - fetchedAt > cacheSeconds * 1000;
+    const throttled = Date.now() - attemptedAt < minRefetchSeconds * 1000;
+
+    if ((stale || !keys.has(kid)) && (!throttled || pending)) {
+      // Share one request between concurrent callers
+      pending = pending || fetchKeys().finally(() => { pending = null; });
+      try {
+        await pending;
+      } catch (error) {
+        logger.warn('Failed to refresh JWKS:', error.message);
+        if (!keys.has(kid)) throw error;
+      }
+    }
+
+    return keys.get(kid) || null;
+  };
+};
+
 /**
  * Enhanced rate limiting configurations
  */
-const createRateLimiter = (windowMs, max, message, skipSuccessfulRequests = false) => {
+const createRateLimiter = (windowMs, max, message, skipSuccessfulRequests = false, keyGenerator = null) => {
   return rateLimit({
     windowMs,
     max,
@@ -86,6 +173,7 @@ const createRateLimiter = (windowMs, max, message, skipSuccessfulRequests = fals
     standardHeaders: true,
     legacyHeaders: false,
     skipSuccessfulRequests,
+    ...(keyGenerator && { keyGenerator }),
     handler: (req, res) => {
       res.status(429).json({
         error: message,
@@ -111,6 +199,18 @@ const rateLimiters = {
     'Too many authentication attempts, please try again later.'
   ),
 
+  // Per-account login limiting, so rotating IPs does not help against one account
+  loginPerEmail: createRateLimiter(
+    15 * 60 * 1000, // 15 minutes
+    20, // requests
+    'Too many sign-in attempts for this account, please try again later.',
+    true,
+    (req) => {
+      const email = req.body && typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+      return email ? `email:${email}` : `ip:${req.ip}`;
+    }
+  ),
+
   // File upload rate limiting
   upload: createRateLimiter(
     60 * 1000, // 1 minute
@@ -123,9 +223,97 @@ const rateLimiters = {
     60 * 60 * 1000, // 1 hour
     3, // requests
     'Too many password reset attempts, please try again later.'
+  ),
+
+  // Verification email resend rate limiting
+  emailVerification: createRateLimiter(
+    60 * 60 * 1000, // 1 hour
+    5, // requests
+    'Too many verification emails requested, please try again later.'
+  ),
+
+  // Two-factor code entry rate limiting
+  twoFactor: createRateLimiter(
+    15 * 60 * 1000, // 15 minutes
+    10, // requests
+    'Too many two-factor attempts, please try again later.',
+    true
   )
 };
 
+/**
+ * Roles a user can hold, lowest privilege first
+ */
+const ROLES = ['user', 'admin'];
+
+/**
+ * Role check for routes behind an authentication middleware. Reads the role
+ * from req.user (verified by auth-service) or req.auth (decoded JWT).
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    const principal = req.user || req.auth;
+
+    if (!principal) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!roles.includes(principal.role || 'user')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+};
+
+// Scopes a personal access token can be limited to. Login sessions carry no
+// scopes and are not restricted by requireScope.
+const TOKEN_SCOPES = ['media:read', 'media:write', 'albums:read', 'albums:write'];
+const PERSONAL_TOKEN_PREFIX = 'pat_';
+
+const isPersonalAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(PERSONAL_TOKEN_PREFIX);
+};
+
+/**
+ * Scope check for routes behind an authentication middleware
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    const principal = req.user || req.auth;
+
+    if (!principal) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (Array.isArray(principal.scopes) && !principal.scopes.includes(scope)) {
+      return res.status(403).json({ error: 'Insufficient scope', requiredScope: scope });
+    }
+
+    next();
+  };
+};
+
+/**
+ * For routes a personal access token or a signed URL must never reach, only
+ * a signed-in session or an internal caller acting for one. Personal access
+ * tokens and signed URLs carry scopes and interactive session JWTs do not,
+ * which is how this guard tells them apart.
+ */
+const requireSession = (req, res, next) => {
+  const principal = req.user || req.auth;
+
+  if (!principal) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (Array.isArray(principal.scopes)) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+  }
+
+  next();
+};
+
 /**
  * Security headers middleware
  */
@@ -152,7 +340,19 @@ const securityHeaders = helmet({
 });
 
 /**
- * Authentication middleware with JWT rotation support
+ * Convert a duration like '15m', '24h' or '3600' into seconds
+ */
+const durationToSeconds = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * multipliers[match[2]];
+};
+
+/**
+ * Authentication middleware with JWT rotation support. redisClient may be a
+ * function returning the current client, for clients that connect later.
  */
 const createAuthMiddleware = (jwtManager, redisClient = null) => {
   return async (req, res, next) => {
@@ -165,7 +365,7 @@ const createAuthMiddleware = (jwtManager, redisClient = null) => {
       }
 
       // Verify token
-      const decoded = jwtManager.verifyToken(token);
+      const decoded = await jwtManager.verifyToken(token);
 
       // Check if token should be rotated
       if (decoded._shouldRotate) {
@@ -173,17 +373,30 @@ const createAuthMiddleware = (jwtManager, redisClient = null) => {
           userId: decoded.userId,
           email: decoded.email,
           firstName: decoded.firstName,
-          lastName: decoded.lastName
+          lastName: decoded.lastName,
+          role: decoded.role,
+          sid: decoded.sid
+        }, {
+          // The re-issued token must not outlive the one it replaces
+          expiresIn: Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1)
         });
         
         res.set('X-New-Token', newToken);
       }
 
-      // Check token blacklist in Redis (if available)
-      if (redisClient) {
-        const isBlacklisted = await redisClient.get(`blacklist:${token}`);
-        if (isBlacklisted) {
-          return res.status(401).json({ error: 'Token has been revoked' });
+      // Check the token and its session against the blacklist in Redis (if available)
+      const client = typeof redisClient === 'function' ? redisClient() : redisClient;
+      if (client) {
+        const keys = [`blacklist:${token}`];
+        if (decoded.sid) keys.push(`blacklist:session:${decoded.sid}`);
+
+        try {
+          const hits = await client.mGet(keys);
+          if (hits.some(Boolean)) {
+            return res.status(401).json({ error: 'Token has been revoked' });
+          }
+        } catch (redisError) {
+          console.warn('Token blacklist check failed, allowing request:', redisError.message);
         }
       }
 
@@ -319,13 +532,157 @@ const hashPassword = async (password) => {
 const blacklistToken = async (redisClient, token, expiresIn = '24h') => {
   if (!redisClient) return;
   
-  const expiry = expiresIn.endsWith('h') 
-    ? parseInt(expiresIn) * 3600 
-    : parseInt(expiresIn);
+  const expiry = durationToSeconds(expiresIn) || 24 * 3600;
     
   await redisClient.setEx(`blacklist:${token}`, expiry, 'true');
 };
 
+/**
+ * Blacklist every access token of the given sessions until they expire
+ */
+const blacklistSessions = async (redisClient, sessionIds, expiresIn = '15m') => {
+  if (!redisClient || sessionIds.length === 0) return;
+
+  const expiry = durationToSeconds(expiresIn) || 15 * 60;
+
+  await Promise.all(sessionIds.map(sessionId =>
+    redisClient.setEx(`blacklist:session:${sessionId}`, expiry, 'true')
+  ));
+};
+
+/**
+ * Signed identity the API gateway forwards after verifying a JWT, so
+ * downstream services do not have to call auth-service on every request.
+ * Format: base64url(JSON claims) + '.' + hex HMAC-SHA256 of that string.
+ */
+const INTERNAL_IDENTITY_HEADER = 'x-internal-identity';
+
+const signInternalIdentity = (identity, secret, ttlSeconds = 60) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({ ...identity, iat: now, exp: now + ttlSeconds }))
+    .toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  return `${payload}.${signature}`;
+};
+
+/**
+ * Returns the identity claims, or null if the header is missing, forged or expired
+ */
+const verifyInternalIdentity = (value, secret) => {
+  if (!secret || typeof value !== 'string') return null;
+
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !/^[0-9a-f]{64}$/.test(signature)) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) return null;
+
+  try {
+    const identity = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!identity.exp || identity.exp < Math.floor(Date.now() / 1000)) return null;
+    return identity;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Signed media URLs: links to a media-service path (e.g. /media/12/download)
+ * that work without an Authorization header until they expire, so browsers
+ * and CDNs fetch and cache them like any other image. The signature covers
+ * the path, the user the URL was issued to (whose access is still checked
+ * when it is used) and the expiry, which is rounded up to windowSeconds so
+ * URLs issued within one window are identical and cached copies are reused.
+ */
+const mediaUrlSignature = (path, userId, expires, secret) => {
+  return crypto.createHmac('sha256', secret).update(`${path}\n${userId}\n${expires}`).digest('base64url');
+};
+
+/**
+ * Returns { url, expiresAt }: the path with uid, exp and sig query parameters
+ */
+const signMediaUrl = (path, userId, secret, { ttlSeconds = 3600, windowSeconds = 900 } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Math.ceil((now + ttlSeconds) / windowSeconds) * windowSeconds;
+  const signature = mediaUrlSignature(path, userId, expires, secret);
+
+  return {
+    url: `${path}?uid=${userId}&exp=${expires}&sig=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Where a video's HLS playlists and segments are served from
+const mediaStreamPath = (mediaId) => `/media/${mediaId}/hls/`;
+
+/**
+ * A signed URL of a video's HLS master playlist. The signature covers the
+ * whole stream path, so it can be passed on to every playlist and segment
+ * the master leads to, for players that cannot add a token (native HLS).
+ * Returns { url, expiresAt } like signMediaUrl.
+ */
+const signMediaStreamUrl = (mediaId, userId, secret, options = {}) => {
+  const path = mediaStreamPath(mediaId);
+  const { url, expiresAt } = signMediaUrl(path, userId, secret, options);
+  return { url: `${path}master.m3u8${url.slice(path.length)}`, expiresAt };
+};
+
+/**
+ * Returns { userId, expires } for a URL signed for this path, or null if the
+ * signature is missing, forged or expired
+ */
+const verifyMediaUrl = (path, query, secret) => {
+  if (!secret) return null;
+
+  const { uid, exp, sig } = query;
+  if (typeof sig !== 'string' || !/^\d+$/.test(uid) || !/^\d+$/.test(exp)) return null;
+  if (Number(exp) < Math.floor(Date.now() / 1000)) return null;
+
+  const expected = Buffer.from(mediaUrlSignature(path, uid, exp, secret));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return { userId: Number(uid), expires: Number(exp) };
+};
+
+/**
+ * Short-lived Redis cache of successful token verifications, for services
+ * that are called directly instead of through the gateway
+ */
+const createVerificationCache = (getRedisClient, ttlSeconds = 30) => {
+  const keyFor = (token) => `auth:verified:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+  return {
+    async get(token) {
+      const client = getRedisClient();
+      if (!client || ttlSeconds <= 0) return null;
+      try {
+        const cached = await client.get(keyFor(token));
+        return cached ? JSON.parse(cached) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async set(token, user) {
+      const client = getRedisClient();
+      if (!client || ttlSeconds <= 0) return;
+
+      // Never cache past the token's own expiry
+      const decoded = jwt.decode(token);
+      const remaining = decoded && decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : ttlSeconds;
+      const expiry = Math.min(ttlSeconds, remaining);
+      if (expiry <= 0) return;
+
+      try {
+        await client.setEx(keyFor(token), expiry, JSON.stringify(user));
+      } catch (error) {
+        // Caching is best effort
+      }
+    }
+  };
+};
+
 /**
  * Security audit logging
  */
@@ -349,9 +706,21 @@ const auditLogger = (logger) => {
       });
     },
 
+    logTwoFactorEvent: (req, event, userId, details = {}) => {
+      logger.warn('Security event', {
+        event: `two_factor_${event}`,
+        userId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        ...details,
+        timestamp: new Date().toISOString()
+      });
+    },
+
     logPrivilegedAction: (req, action, target = null) => {
+      const principal = req.user || req.auth;
       logger.info('Privileged action', {
-        userId: req.user?.userId,
+        userId: principal?.userId || principal?.id,
         ip: req.ip,
         action,
         target,
@@ -363,12 +732,30 @@ const auditLogger = (logger) => {
 
 module.exports = {
   JWTManager,
+  createJwksResolver,
   rateLimiters,
   securityHeaders,
   createAuthMiddleware,
+  ROLES,
+  requireRole,
+  TOKEN_SCOPES,
+  PERSONAL_TOKEN_PREFIX,
+  isPersonalAccessToken,
+  requireScope,
+  requireSession,
   sanitizers,
   validatePasswordStrength,
   hashPassword,
+  durationToSeconds,
   blacklistToken,
+  blacklistSessions,
+  INTERNAL_IDENTITY_HEADER,
+  signInternalIdentity,
+  verifyInternalIdentity,
+  signMediaUrl,
+  mediaStreamPath,
+  signMediaStreamUrl,
+  verifyMediaUrl,
+  createVerificationCache,
   auditLogger
 };
@@ -13,6 +13,15 @@ const { v4: uuidv4 } = require('uuid');
 const promClient = require('prom-client');
 const promMiddleware = require('express-prometheus-middleware');
 const { SimpleTracingManager } = require('../lib/simple-tracing');
+const {
+  requireScope,
+  requireSession,
+  INTERNAL_IDENTITY_HEADER,
+  verifyInternalIdentity,
+  signMediaUrl,
+  signMediaStreamUrl,
+  createVerificationCache
+} = require('../lib/security');
 require('dotenv').config();
 
 const app = express();
@@ -89,6 +98,24 @@ redis.on('connect', () => {
 // Connect to Redis
 redis.connect().catch(logger.error);
 
+// Identities signed by the api-gateway are trusted only with this shared secret
+const INTERNAL_AUTH_SECRET = process.env.INTERNAL_AUTH_SECRET || null;
+
+// Album media carry signed URLs that media-service accepts without a token,
+// signed with the secret it verifies them with
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || null;
+if (!MEDIA_URL_SECRET) {
+  logger.warn('MEDIA_URL_SECRET is not set; media are served without signed URLs, only with a token');
+}
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS || '3600');
+const MEDIA_RENDITIONS = ['thumb', 'small', 'medium', 'large'];
+
+// Direct calls (not through the gateway) cache auth-service verifications briefly
+const verificationCache = createVerificationCache(
+  () => (redis.isReady ? redis : null),
+  parseInt(process.env.AUTH_VERIFY_CACHE_SECONDS || '30')
+);
+
 // Test database connection
 pool.connect((err, client, release) => {
   if (err) {
@@ -164,6 +191,10 @@ const attachMediaSchema = Joi.object({
   mediaId: Joi.number().integer().positive().required()
 });
 
+const attachMediaBatchSchema = Joi.object({
+  mediaIds: Joi.array().items(Joi.number().integer().positive()).min(1).max(500).unique().required()
+});
+
 // Helper functions
 
 // Event publishing helper
@@ -209,6 +240,28 @@ const getMediaFiles = async (mediaIds, userId, token) => {
   }
 };
 
+// Signed URLs of an album's media item for userId, the same as media-service
+// lists: the original, for images and transcoded videos each rendition, and
+// for transcoded videos their HLS stream
+const signedMediaUrls = (media, userId) => {
+  if (!MEDIA_URL_SECRET) return null;
+
+  const sign = (path) => signMediaUrl(path, userId, MEDIA_URL_SECRET, { ttlSeconds: MEDIA_URL_TTL_SECONDS });
+  const download = sign(`/media/${media.id}/download`);
+
+  const signedUrls = { expiresAt: download.expiresAt, download: `/api${download.url}` };
+  if (media.mimeType.startsWith('image/') || media.streamUrl) {
+    signedUrls.renditions = Object.fromEntries(MEDIA_RENDITIONS.map(name =>
+      [name, `/api${sign(`/media/${media.id}/renditions/${name}`).url}`]
+    ));
+  }
+  if (media.streamUrl) {
+    const stream = signMediaStreamUrl(media.id, userId, MEDIA_URL_SECRET, { ttlSeconds: MEDIA_URL_TTL_SECONDS });
+    signedUrls.stream = `/api${stream.url}`;
+  }
+  return signedUrls;
+};
+
 // Get album with media
 const getAlbumWithMedia = async (albumId, userId, token = null) => {
   const albumResult = await pool.query(
@@ -227,7 +280,7 @@ const getAlbumWithMedia = async (albumId, userId, token = null) => {
     SELECT m.*
     FROM media m
     JOIN album_media am ON m.id = am.media_id
-    WHERE am.album_id = $1
+    WHERE am.album_id = $1 AND m.deleted_at IS NULL
     ORDER BY am.created_at
   `, [albumId]);
   
@@ -236,11 +289,13 @@ const getAlbumWithMedia = async (albumId, userId, token = null) => {
     filename: media.filename,
     originalName: media.original_name,
     mimeType: media.mime_type,
-    fileSize: media.size_bytes,
+    fileSize: Number(media.size_bytes),
     createdAt: media.created_at,
     thumbnailUrl: `/api/media/${media.id}/thumbnail`,
-    downloadUrl: `/api/media/${media.id}/download`
-  }));
+    downloadUrl: `/api/media/${media.id}/download`,
+    // Set once the media worker has transcoded a video for streaming
+    streamUrl: media.hls_playlist_key ? `/api/media/${media.id}/hls/master.m3u8` : null
+  })).map(media => ({ ...media, signedUrls: signedMediaUrls(media, userId) }));
   
   return album;
 };
@@ -315,6 +370,20 @@ const invalidateUserCache = async (userId) => {
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
+    // Requests through the gateway carry an identity it has already verified
+    const identityHeader = req.headers[INTERNAL_IDENTITY_HEADER];
+    if (identityHeader) {
+      const identity = verifyInternalIdentity(identityHeader, INTERNAL_AUTH_SECRET);
+      if (!identity) {
+        logger.warn('Rejected invalid internal identity', { ip: req.ip, path: req.path });
+        return res.status(401).json({ error: 'Invalid internal identity' });
+      }
+
+      const { iat, exp, ...user } = identity;
+      req.user = user;
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -323,7 +392,11 @@ const authenticate = async (req, res, next) => {
     }
 
     logger.debug('Authenticating request with token');
-    const user = await verifyTokenWithAuthService(token);
+    let user = await verificationCache.get(token);
+    if (!user) {
+      user = await verifyTokenWithAuthService(token);
+      await verificationCache.set(token, user);
+    }
     req.user = user;
     next();
   } catch (error) {
@@ -389,7 +462,7 @@ app.get('/ready', async (req, res) => {
 });
 
 // Get all albums for the authenticated user
-app.get('/albums', authenticate, async (req, res) => {
+app.get('/albums', authenticate, requireScope('albums:read'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'get_albums' });
   
   try {
@@ -418,14 +491,16 @@ app.get('/albums', authenticate, async (req, res) => {
                    'mimeType', m.mime_type,
                    'fileSize', m.size_bytes,
                    'thumbnailUrl', '/api/media/' || m.id || '/thumbnail',
-                   'downloadUrl', '/api/media/' || m.id || '/download'
+                   'downloadUrl', '/api/media/' || m.id || '/download',
+                   'streamUrl', CASE WHEN m.hls_playlist_key IS NOT NULL THEN '/api/media/' || m.id || '/hls/master.m3u8' END
                  ) ORDER BY am.created_at
                ) FILTER (WHERE m.id IS NOT NULL),
                '[]'::json
              ) as media
       FROM albums a
       LEFT JOIN album_media am ON a.id = am.album_id
-      LEFT JOIN media m ON am.media_id = m.id
+      -- Trashed media keep their links but are hidden until restored
+      LEFT JOIN media m ON am.media_id = m.id AND m.deleted_at IS NULL
       WHERE a.user_id = $1
     `;
     
@@ -484,8 +559,14 @@ app.get('/albums', authenticate, async (req, res) => {
     const countResult = await pool.query(countQuery, countParams);
     const totalAlbums = parseInt(countResult.rows[0].count);
     
+    // Signed URLs outlive the cache entry, so they are cached with it
+    const albums = result.rows.map(album => ({
+      ...album,
+      media: album.media.map(media => ({ ...media, signedUrls: signedMediaUrls(media, req.user.id) }))
+    }));
+
     const response = {
-      albums: result.rows,
+      albums,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -511,7 +592,7 @@ app.get('/albums', authenticate, async (req, res) => {
 });
 
 // Get specific album
-app.get('/albums/:id', authenticate, async (req, res) => {
+app.get('/albums/:id', authenticate, requireScope('albums:read'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'get_album' });
   
   try {
@@ -541,7 +622,7 @@ app.get('/albums/:id', authenticate, async (req, res) => {
 });
 
 // Create new album
-app.post('/albums', authenticate, async (req, res) => {
+app.post('/albums', authenticate, requireScope('albums:write'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'create_album' });
   const client = await pool.connect();
   
@@ -574,7 +655,7 @@ app.post('/albums', authenticate, async (req, res) => {
     if (mediaIds && mediaIds.length > 0) {
       // Verify media files belong to the user
       const mediaResult = await client.query(
-        'SELECT id FROM media WHERE id = ANY($1) AND user_id = $2',
+        'SELECT id FROM media WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL',
         [mediaIds, req.user.id]
       );
       
@@ -630,7 +711,7 @@ app.post('/albums', authenticate, async (req, res) => {
 });
 
 // Attach media to album
-app.post('/albums/:id/media', authenticate, async (req, res) => {
+app.post('/albums/:id/media', authenticate, requireScope('albums:write'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'attach_media' });
   const client = await pool.connect();
   
@@ -664,7 +745,7 @@ app.post('/albums/:id/media', authenticate, async (req, res) => {
     
     // Verify media belongs to user
     const mediaResult = await client.query(
-      'SELECT id FROM media WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM media WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [mediaId, req.user.id]
     );
     
@@ -717,8 +798,82 @@ app.post('/albums/:id/media', authenticate, async (req, res) => {
   }
 });
 
+// Attach several media files to an album in one request
+app.post('/albums/:id/media/batch', authenticate, requireScope('albums:write'), async (req, res) => {
+  const timer = albumDuration.startTimer({ operation: 'attach_media_batch' });
+  const client = await pool.connect();
+  
+  try {
+    const albumId = req.params.id;
+    const { error, value } = attachMediaBatchSchema.validate(req.body);
+    
+    if (error) {
+      timer();
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+    
+    const { mediaIds } = value;
+    
+    await client.query('BEGIN');
+    
+    // Verify album belongs to user
+    const albumResult = await client.query(
+      'SELECT id FROM albums WHERE id = $1 AND user_id = $2',
+      [albumId, req.user.id]
+    );
+    
+    if (albumResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      timer();
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    
+    // Only the user's own media is attached; existing links are left alone
+    const insertResult = await client.query(
+      `INSERT INTO album_media (album_id, media_id)
+       SELECT $1, id FROM media WHERE id = ANY($2) AND user_id = $3 AND deleted_at IS NULL
+       ON CONFLICT (album_id, media_id) DO NOTHING
+       RETURNING media_id`,
+      [albumId, mediaIds, req.user.id]
+    );
+    
+    await client.query('COMMIT');
+    
+    const attached = insertResult.rows.map(row => row.media_id);
+    const skipped = mediaIds.filter(id => !attached.includes(id));
+    
+    if (attached.length > 0) {
+      await invalidateUserCache(req.user.id);
+      
+      await publishEvent('album.media_attached', {
+        albumId: parseInt(albumId),
+        mediaIds: attached,
+        userId: req.user.id
+      });
+    }
+    
+    timer();
+    res.json({
+      message: `${attached.length} media file(s) attached to album`,
+      attached,
+      skipped
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    timer();
+    logger.error('Failed to attach media to album:', error);
+    res.status(500).json({ error: 'Failed to attach media to album' });
+  } finally {
+    client.release();
+  }
+});
+
 // Remove media from album
-app.delete('/albums/:id/media/:mediaId', authenticate, async (req, res) => {
+app.delete('/albums/:id/media/:mediaId', authenticate, requireScope('albums:write'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'detach_media' });
   const client = await pool.connect();
   
@@ -777,7 +932,7 @@ app.delete('/albums/:id/media/:mediaId', authenticate, async (req, res) => {
 });
 
 // Get album media
-app.get('/albums/:id/media', authenticate, async (req, res) => {
+app.get('/albums/:id/media', authenticate, requireScope('albums:read'), async (req, res) => {
   try {
     const albumId = req.params.id;
     
@@ -796,7 +951,7 @@ app.get('/albums/:id/media', authenticate, async (req, res) => {
       SELECT m.*
       FROM media m
       JOIN album_media am ON m.id = am.media_id
-      WHERE am.album_id = $1
+      WHERE am.album_id = $1 AND m.deleted_at IS NULL
       ORDER BY am.created_at
     `, [albumId]);
     
@@ -805,11 +960,12 @@ app.get('/albums/:id/media', authenticate, async (req, res) => {
       filename: media.filename,
       originalName: media.original_name,
       mimeType: media.mime_type,
-      fileSize: media.size_bytes,
+      fileSize: Number(media.size_bytes),
       createdAt: media.created_at,
       thumbnailUrl: `/api/media/${media.id}/thumbnail`,
-      downloadUrl: `/api/media/${media.id}/download`
-    }));
+      downloadUrl: `/api/media/${media.id}/download`,
+      streamUrl: media.hls_playlist_key ? `/api/media/${media.id}/hls/master.m3u8` : null
+    })).map(item => ({ ...item, signedUrls: signedMediaUrls(item, req.user.id) }));
     
     res.json({
       success: true,
@@ -822,7 +978,7 @@ app.get('/albums/:id/media', authenticate, async (req, res) => {
   }
 });
 // Update album
-app.put('/albums/:id', authenticate, async (req, res) => {
+app.put('/albums/:id', authenticate, requireScope('albums:write'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'update_album' });
   const client = await pool.connect();
   
@@ -872,9 +1028,11 @@ app.put('/albums/:id', authenticate, async (req, res) => {
     
     // Handle media updates if mediaIds provided
     if (mediaIds && mediaIds.length >= 0) {
-      // Remove all existing media attachments
+      // Remove all existing media attachments, except those of trashed media,
+      // which the client cannot see and which come back if restored
       await client.query(
-        'DELETE FROM album_media WHERE album_id = $1',
+        `DELETE FROM album_media WHERE album_id = $1
+         AND media_id NOT IN (SELECT id FROM media WHERE deleted_at IS NOT NULL)`,
         [albumId]
       );
       
@@ -883,7 +1041,7 @@ app.put('/albums/:id', authenticate, async (req, res) => {
         for (const mediaId of mediaIds) {
           // Verify media exists and belongs to user
           const mediaCheck = await client.query(
-            'SELECT id FROM media WHERE id = $1 AND user_id = $2',
+            'SELECT id FROM media WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
             [mediaId, req.user.id]
           );
           
@@ -944,7 +1102,7 @@ app.put('/albums/:id', authenticate, async (req, res) => {
 });
 
 // Delete album
-app.delete('/albums/:id', authenticate, async (req, res) => {
+app.delete('/albums/:id', authenticate, requireScope('albums:write'), async (req, res) => {
   const timer = albumDuration.startTimer({ operation: 'delete_album' });
   const client = await pool.connect();
   
@@ -1006,8 +1164,44 @@ app.delete('/albums/:id', authenticate, async (req, res) => {
   }
 });
 
+// Delete all albums of the signed-in user (used by account deletion). Takes a
+// signed-in session, so a leaked personal access token cannot wipe an account.
+app.delete('/albums', authenticate, requireScope('albums:write'), requireSession, async (req, res) => {
+  const timer = albumDuration.startTimer({ operation: 'delete_all_albums' });
+
+  if (req.query.confirm !== 'true') {
+    timer();
+    return res.status(400).json({ error: 'Deleting all albums requires confirm=true' });
+  }
+
+  try {
+    // Cascade handles album_media
+    const result = await pool.query(
+      'DELETE FROM albums WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    await invalidateUserCache(req.user.id);
+
+    albumCounter.labels('delete_all_albums', 'success').inc();
+    timer();
+    logger.info('All albums deleted', { userId: req.user.id, count: result.rowCount });
+
+    res.json({
+      success: true,
+      message: 'All albums deleted successfully',
+      deleted: result.rowCount
+    });
+  } catch (error) {
+    albumCounter.labels('delete_all_albums', 'error').inc();
+    timer();
+    logger.error('Failed to delete all albums:', error);
+    res.status(500).json({ error: 'Failed to delete albums' });
+  }
+});
+
 // Get album statistics
-app.get('/albums/stats/summary', authenticate, async (req, res) => {
+app.get('/albums/stats/summary', authenticate, requireScope('albums:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
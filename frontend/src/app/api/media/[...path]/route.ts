@@ -1,5 +1,29 @@
 import { NextRequest, NextResponse } from 'next/server';
 
+// Request headers for byte ranges and revalidation, passed on to the media service
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+
+// Response headers that describe the file and how it may be cached, passed back to the browser
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'content-disposition',
+  'accept-ranges',
+  'etag',
+  'last-modified',
+  'cache-control',
+  'vary',
+];
+
+const forwardHeaders = (from: Headers, names: string[], to: Headers = new Headers()) => {
+  for (const name of names) {
+    const value = from.get(name);
+    if (value) to.set(name, value);
+  }
+  return to;
+};
+
 export async function GET(
   request: NextRequest,
   { params }: { params: { path: string[] } }
@@ -7,8 +31,10 @@ export async function GET(
   try {
     // Get the authorization header
     const authorization = request.headers.get('authorization');
+    const url = new URL(request.url);
     
-    if (!authorization) {
+    // Signed media URLs are their own authorization
+    if (!authorization && !url.searchParams.has('sig')) {
       return NextResponse.json({ error: 'Authorization header required' }, { status: 401 });
     }
 
@@ -17,7 +43,6 @@ export async function GET(
     const mediaServiceUrl = `http://media-service.task-manager.svc.cluster.local:80/media${path ? `/${path}` : ''}`;
     
     // Add query parameters if any
-    const url = new URL(request.url);
     const searchParams = url.searchParams.toString();
     const finalUrl = searchParams ? `${mediaServiceUrl}?${searchParams}` : mediaServiceUrl;
     
@@ -28,26 +53,52 @@ export async function GET(
     try {
       const response = await fetch(finalUrl, {
         method: 'GET',
-        headers: {
-          'Authorization': authorization,
-        },
+        headers: forwardHeaders(request.headers, ['authorization', ...FORWARDED_REQUEST_HEADERS], new Headers({
+          // Renditions are served as AVIF or WebP to clients that accept them
+          'Accept': request.headers.get('accept') || '*/*',
+        })),
+        // The browser does its own caching with the validators passed back
+        cache: 'no-store',
+        // Signed URLs may redirect to the storage bucket; the browser follows that itself
+        redirect: 'manual',
         signal: controller.signal,
       });
 
       clearTimeout(timeoutId);
 
+      if (response.status === 301 || response.status === 302) {
+        return new NextResponse(null, {
+          status: response.status,
+          headers: forwardHeaders(response.headers, ['location', 'cache-control', 'vary'])
+        });
+      }
+
+      // The browser's cached copy is still current
+      if (response.status === 304) {
+        return new NextResponse(null, {
+          status: 304,
+          headers: forwardHeaders(response.headers, ['etag', 'last-modified', 'cache-control', 'vary'])
+        });
+      }
+
       if (!response.ok) {
         const errorData = await response.text();
-        return new NextResponse(errorData, { status: response.status });
+        return new NextResponse(errorData, {
+          status: response.status,
+          // 416 says how large the file is
+          headers: forwardHeaders(response.headers, ['content-type', 'content-range'])
+        });
       }
 
-      // For image/video content, stream the response
+      // Stream file content: images, videos and HLS playlists and segments,
+      // whole or as the byte ranges asked for
       const contentType = response.headers.get('content-type');
       
-      if (contentType && (contentType.startsWith('image/') || contentType.startsWith('video/'))) {
-        const headers = new Headers();
-        headers.set('Content-Type', contentType);
-        headers.set('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
+      if (contentType && !contentType.startsWith('application/json')) {
+        const headers = forwardHeaders(response.headers, FORWARDED_RESPONSE_HEADERS);
+        if (!headers.has('cache-control')) {
+          headers.set('Cache-Control', 'private, max-age=86400'); // Cache for 1 day
+        }
         
         return new NextResponse(response.body, {
           status: response.status,
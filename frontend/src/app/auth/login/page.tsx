@@ -1,9 +1,12 @@
 'use client';
 
-import { useState } from 'react';
+import { Suspense, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '../../../hooks/useAuth';
+import { TwoFactorChallenge } from '../../../types';
+import { SocialSignIn } from '../../../components/SocialSignIn';
+import { TwoFactorForm } from '../../../components/TwoFactorForm';
 
 export default function LoginPage() {
   const [formData, setFormData] = useState({
@@ -11,6 +14,7 @@ export default function LoginPage() {
     password: ''
   });
   const [loading, setLoading] = useState(false);
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
   const { login } = useAuth();
   const router = useRouter();
 
@@ -19,7 +23,11 @@ export default function LoginPage() {
     setLoading(true);
 
     try {
-      await login(formData);
+      const twoFactorChallenge = await login(formData);
+      if (twoFactorChallenge) {
+        setChallenge(twoFactorChallenge);
+        return;
+      }
       router.push('/dashboard');
     } catch (error) {
       console.error('Login failed:', error);
@@ -35,6 +43,16 @@ export default function LoginPage() {
     });
   };
 
+  if (challenge) {
+    return (
+      <TwoFactorForm
+        challenge={challenge}
+        onVerified={() => router.push('/dashboard')}
+        onCancel={() => setChallenge(null)}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -85,6 +103,12 @@ export default function LoginPage() {
             </div>
           </div>
 
+          <div className="flex items-center justify-end">
+            <Link href="/auth/forgot-password" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -95,6 +119,10 @@ export default function LoginPage() {
             </button>
           </div>
         </form>
+
+        <Suspense fallback={null}>
+          <SocialSignIn />
+        </Suspense>
       </div>
     </div>
   );
@@ -0,0 +1,78 @@
+'use client';
+
+import { Suspense, useEffect, useRef, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '../../../../hooks/useAuth';
+import { TwoFactorChallenge } from '../../../../types';
+import { TwoFactorForm } from '../../../../components/TwoFactorForm';
+
+function CompleteOidcLogin() {
+  const searchParams = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [error, setError] = useState(code ? '' : 'This sign-in link is incomplete.');
+  const { completeOidcLogin } = useAuth();
+  const router = useRouter();
+  // Codes are single use, so guard against the effect running twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!code || submitted.current) return;
+    submitted.current = true;
+
+    completeOidcLogin(code)
+      .then(twoFactorChallenge => {
+        if (twoFactorChallenge) {
+          setChallenge(twoFactorChallenge);
+          return;
+        }
+        router.replace('/dashboard');
+      })
+      .catch((error: any) => {
+        setError(error.response?.data?.error || 'Sign-in failed');
+      });
+  }, [code]);
+
+  if (challenge) {
+    return (
+      <TwoFactorForm
+        challenge={challenge}
+        onVerified={() => router.replace('/dashboard')}
+        onCancel={() => router.replace('/auth/login')}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Signing you in
+        </h2>
+        {error ? (
+          <div className="rounded-md bg-red-50 p-4">
+            <div className="text-sm text-red-700">
+              {error}{' '}
+              <Link href="/auth/login" className="font-medium underline">
+                Back to sign in
+              </Link>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function CompleteOidcLoginPage() {
+  return (
+    <Suspense fallback={null}>
+      <CompleteOidcLogin />
+    </Suspense>
+  );
+}
@@ -1,7 +1,6 @@
 'use client';
 
 import { useState } from 'react';
-import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { authApi } from '../../../lib/auth';
 
@@ -15,7 +14,7 @@ export default function RegisterPage() {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const router = useRouter();
+  const [registeredEmail, setRegisteredEmail] = useState('');
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -29,14 +28,14 @@ export default function RegisterPage() {
     }
 
     try {
-      const response = await authApi.register({
+      await authApi.register({
         firstName: formData.firstName,
         lastName: formData.lastName,
         email: formData.email,
         password: formData.password
       });
-      
-      router.push('/auth/login');
+
+      setRegisteredEmail(formData.email);
     } catch (error: any) {
       setError(error.response?.data?.error || error.response?.data?.message || 'Registration failed');
     } finally {
@@ -51,6 +50,30 @@ export default function RegisterPage() {
     });
   };
 
+  if (registeredEmail) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Check your inbox
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              We sent a verification link to <span className="font-medium text-gray-900">{registeredEmail}</span>.
+              Follow it to confirm your email address.
+            </p>
+          </div>
+          <Link
+            href="/auth/login"
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            Continue to sign in
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -0,0 +1,82 @@
+'use client';
+
+import { Suspense, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { authApi } from '../../../lib/auth';
+
+type UnlockStatus = 'unlocking' | 'unlocked' | 'failed';
+
+function UnlockAccountStatus() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<UnlockStatus>(token ? 'unlocking' : 'failed');
+  const [error, setError] = useState(token ? '' : 'This unlock link is incomplete.');
+  // Tokens are single use, so guard against the effect running twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    authApi.unlockAccount(token)
+      .then(() => setStatus('unlocked'))
+      .catch((error: any) => {
+        setError(error.response?.data?.error || 'Could not unlock your account');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  if (status === 'unlocking') {
+    return (
+      <div className="flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (status === 'unlocked') {
+    return (
+      <div className="space-y-6">
+        <div className="rounded-md bg-green-50 p-4">
+          <div className="text-sm text-green-700">Your account has been unlocked.</div>
+        </div>
+        <Link
+          href="/auth/login"
+          className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Continue to sign in
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-md bg-red-50 p-4">
+      <div className="text-sm text-red-700">
+        {error} You can also{' '}
+        <Link href="/auth/forgot-password" className="font-medium underline">
+          reset your password
+        </Link>
+        , which lifts the lock as well.
+      </div>
+    </div>
+  );
+}
+
+export default function UnlockAccountPage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Unlock your account
+          </h2>
+        </div>
+        <Suspense fallback={null}>
+          <UnlockAccountStatus />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
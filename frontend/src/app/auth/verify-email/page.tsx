@@ -0,0 +1,78 @@
+'use client';
+
+import { Suspense, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { authApi } from '../../../lib/auth';
+
+type VerifyStatus = 'verifying' | 'verified' | 'failed';
+
+function VerifyEmailStatus() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<VerifyStatus>(token ? 'verifying' : 'failed');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single use, so guard against the effect running twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    authApi.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((error: any) => {
+        setError(error.response?.data?.error || 'Could not verify your email address');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  if (status === 'verifying') {
+    return (
+      <div className="flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (status === 'verified') {
+    return (
+      <div className="space-y-6">
+        <div className="rounded-md bg-green-50 p-4">
+          <div className="text-sm text-green-700">Your email address has been verified.</div>
+        </div>
+        <Link
+          href="/dashboard"
+          className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Continue
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-md bg-red-50 p-4">
+      <div className="text-sm text-red-700">
+        {error} Sign in to request a new verification email.
+      </div>
+    </div>
+  );
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Verify your email
+          </h2>
+        </div>
+        <Suspense fallback={null}>
+          <VerifyEmailStatus />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
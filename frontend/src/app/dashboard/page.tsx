@@ -7,7 +7,7 @@ import { AlbumForm } from '../../components/AlbumForm';
 import { AlbumCard } from '../../components/AlbumCard';
 import { MediaManager } from '../../components/MediaManager';
 import { PhotosTab } from '../../components/PhotosTab';
-import { Plus, Search, Filter, Grid, List, Upload, LogOut, Album as AlbumIcon, Image } from 'lucide-react';
+import { Plus, Search, Filter, Grid, List, Upload, LogOut, Settings, Album as AlbumIcon, Image } from 'lucide-react';
 import api from '../../lib/auth';
 import { albumApi } from '../../lib/albums';
 import toast from 'react-hot-toast';
@@ -226,6 +226,13 @@ export default function DashboardPage() {
                   New Album
                 </button>
               )}
+              <button
+                onClick={() => router.push('/settings')}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Settings className="h-4 w-4 mr-2" />
+                Settings
+              </button>
               <button
                 onClick={logout}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50"
@@ -0,0 +1,676 @@
+'use client';
+
+import React, { Suspense, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../hooks/useAuth';
+import { authApi, oidcErrorMessage } from '../../lib/auth';
+import { CreatedPersonalAccessToken, IdentitiesResponse, MediaMetadataPrivacy, PersonalAccessToken, TokenScope } from '../../types';
+
+const inputClassName =
+  'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const PRIVACY_OPTIONS: { value: MediaMetadataPrivacy; label: string }[] = [
+  { value: 'none', label: 'Keep all metadata' },
+  { value: 'location', label: 'Remove location' },
+  { value: 'all', label: 'Remove all metadata' },
+];
+
+const errorMessage = (error: any, fallback: string) => {
+  const data = error.response?.data;
+  return data?.details?.join(', ') || data?.error || fallback;
+};
+
+// Identity providers linked to the account. Reads the ?linked / ?oidcError
+// result of a link round-trip, so it renders inside a Suspense boundary.
+function LinkedAccounts() {
+  const searchParams = useSearchParams();
+  const router = useRouter();
+  const [data, setData] = useState<IdentitiesResponse | null>(null);
+  const [busyProvider, setBusyProvider] = useState<string | null>(null);
+
+  const loadIdentities = () =>
+    authApi.getIdentities()
+      .then(setData)
+      .catch(error => console.error('Failed to load linked accounts:', error));
+
+  useEffect(() => {
+    loadIdentities();
+  }, []);
+
+  useEffect(() => {
+    const linked = searchParams.get('linked');
+    const oidcError = searchParams.get('oidcError');
+    if (!linked && !oidcError) return;
+
+    if (linked) {
+      toast.success('Account linked');
+    } else if (oidcError) {
+      toast.error(oidcErrorMessage(oidcError));
+    }
+    router.replace('/settings');
+  }, [searchParams]);
+
+  const handleLink = async (providerId: string) => {
+    setBusyProvider(providerId);
+    try {
+      const { authorizationUrl } = await authApi.linkOidcProvider(providerId);
+      window.location.assign(authorizationUrl);
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to link account'));
+      setBusyProvider(null);
+    }
+  };
+
+  const handleUnlink = async (providerId: string) => {
+    setBusyProvider(providerId);
+    try {
+      const response = await authApi.unlinkIdentity(providerId);
+      toast.success(response.message);
+      await loadIdentities();
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to unlink account'));
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  if (!data || (data.providers.length === 0 && data.identities.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Linked accounts</h2>
+        <p className="text-sm text-gray-500">Sign in with another provider instead of your password.</p>
+      </div>
+      <ul className="divide-y divide-gray-200">
+        {data.providers.map(provider => {
+          const identity = data.identities.find(i => i.provider === provider.id);
+          return (
+            <li key={provider.id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{provider.name}</p>
+                <p className="text-xs text-gray-500">
+                  {identity ? identity.email || 'Linked' : 'Not linked'}
+                </p>
+              </div>
+              {identity ? (
+                <button
+                  type="button"
+                  onClick={() => handleUnlink(provider.id)}
+                  disabled={busyProvider === provider.id}
+                  className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                >
+                  Unlink
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => handleLink(provider.id)}
+                  disabled={busyProvider === provider.id}
+                  className="px-3 py-1.5 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                >
+                  Link
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {!data.hasPassword && (
+        <p className="text-xs text-gray-500">
+          Your account has no password yet. Use{' '}
+          <Link href="/auth/forgot-password" className="text-blue-600 hover:underline">password reset</Link>
+          {' '}to set one before unlinking your last provider.
+        </p>
+      )}
+    </div>
+  );
+}
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+// Personal access tokens for scripts and CI jobs
+function ApiTokens() {
+  const [tokens, setTokens] = useState<PersonalAccessToken[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<TokenScope[]>([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<TokenScope[]>([]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState<CreatedPersonalAccessToken | null>(null);
+
+  const loadTokens = () =>
+    authApi.getPersonalTokens()
+      .then(response => {
+        setTokens(response.tokens);
+        setAvailableScopes(response.availableScopes);
+      })
+      .catch(error => console.error('Failed to load API tokens:', error));
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope: TokenScope) => {
+    setScopes(current =>
+      current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]
+    );
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (scopes.length === 0) {
+      toast.error('Select at least one scope');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const token = await authApi.createPersonalToken({ name: name.trim(), scopes, expiresInDays });
+      setCreated(token);
+      setName('');
+      setScopes([]);
+      await loadTokens();
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to create token'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token: PersonalAccessToken) => {
+    if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await authApi.revokePersonalToken(token.id);
+      toast.success('Token revoked');
+      if (created?.id === token.id) setCreated(null);
+      await loadTokens();
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to revoke token'));
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!created) return;
+    try {
+      await navigator.clipboard.writeText(created.token);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Copy failed; select the token and copy it manually');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">API tokens</h2>
+        <p className="text-sm text-gray-500">
+          Use these instead of your password in scripts and CI jobs, as a Bearer token.
+        </p>
+      </div>
+
+      {created && (
+        <div className="rounded-lg bg-green-50 border border-green-200 p-4 space-y-2">
+          <p className="text-sm text-green-800">
+            Copy <span className="font-medium">{created.name}</span> now. It will not be shown again.
+          </p>
+          <div className="flex gap-2">
+            <input
+              readOnly
+              value={created.token}
+              onFocus={(e) => e.target.select()}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="px-3 py-1.5 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50"
+            >
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {tokens.map(token => (
+            <li key={token.id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {token.name} <span className="font-mono text-xs text-gray-500">{token.tokenPrefix}…</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {token.scopes.join(', ')} · Expires {formatDate(token.expiresAt)} · Last used {formatDate(token.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(token)}
+                className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="tokenName" className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              id="tokenName"
+              type="text"
+              required
+              maxLength={100}
+              placeholder="e.g. CI uploads"
+              className={inputClassName}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="tokenExpiry" className="block text-sm font-medium text-gray-700">Expires after</label>
+            <select
+              id="tokenExpiry"
+              className={inputClassName}
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            >
+              <option value={7}>7 days</option>
+              <option value={30}>30 days</option>
+              <option value={90}>90 days</option>
+              <option value={365}>1 year</option>
+            </select>
+          </div>
+        </div>
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700">Scopes</legend>
+          <div className="mt-2 flex flex-wrap gap-4">
+            {availableScopes.map(scope => (
+              <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="font-mono">{scope}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={creating}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : 'Create token'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default function SettingsPage() {
+  const { user, isAuthenticated, loading, updateProfile, deleteAccount } = useAuth();
+  const router = useRouter();
+
+  const [profile, setProfile] = useState({ firstName: '', lastName: '', email: '', currentPassword: '' });
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  const [deletion, setDeletion] = useState({ password: '', code: '', confirmText: '' });
+  const [deleting, setDeleting] = useState(false);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [metadataPrivacy, setMetadataPrivacy] = useState<MediaMetadataPrivacy>('none');
+  const [savingPrivacy, setSavingPrivacy] = useState(false);
+
+  useEffect(() => {
+    if (!loading && !isAuthenticated) {
+      router.replace('/auth/login');
+    }
+  }, [loading, isAuthenticated]);
+
+  // The saved user may predate 2FA being turned on, so ask the server
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    authApi.getProfile()
+      .then(response => {
+        setTwoFactorEnabled(!!response.user.twoFactorEnabled);
+        setMetadataPrivacy(response.user.mediaMetadataPrivacy || 'none');
+      })
+      .catch(error => console.error('Failed to load profile:', error));
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    if (user) {
+      setProfile(p => ({ ...p, firstName: user.firstName, lastName: user.lastName, email: user.email }));
+    }
+  }, [user]);
+
+  const emailChanged = !!user && profile.email.trim().toLowerCase() !== user.email;
+
+  const handleProfileSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSavingProfile(true);
+
+    try {
+      await updateProfile({
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        ...(emailChanged && { email: profile.email, currentPassword: profile.currentPassword }),
+      });
+      setProfile(p => ({ ...p, currentPassword: '' }));
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to update profile'));
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handlePrivacyChange = async (value: MediaMetadataPrivacy) => {
+    const previous = metadataPrivacy;
+    setMetadataPrivacy(value);
+    setSavingPrivacy(true);
+
+    try {
+      await updateProfile({ mediaMetadataPrivacy: value });
+    } catch (error: any) {
+      setMetadataPrivacy(previous);
+      toast.error(errorMessage(error, 'Failed to update photo privacy'));
+    } finally {
+      setSavingPrivacy(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setChangingPassword(true);
+    try {
+      const response = await authApi.changePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      toast.success(response.message);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to change password'));
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const handleDeleteSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setDeleting(true);
+
+    try {
+      await deleteAccount({
+        password: deletion.password,
+        ...(deletion.code && { code: deletion.code }),
+      });
+      router.replace('/auth/register');
+    } catch (error: any) {
+      toast.error(errorMessage(error, 'Failed to delete account'));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center h-16 space-x-4">
+            <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+              <ArrowLeft className="h-5 w-5" />
+            </Link>
+            <h1 className="text-2xl font-bold text-gray-900">Account Settings</h1>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Profile */}
+        <form onSubmit={handleProfileSubmit} className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Profile</h2>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="firstName" className="block text-sm font-medium text-gray-700">First Name</label>
+              <input
+                id="firstName"
+                required
+                className={inputClassName}
+                value={profile.firstName}
+                onChange={(e) => setProfile({ ...profile, firstName: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor="lastName" className="block text-sm font-medium text-gray-700">Last Name</label>
+              <input
+                id="lastName"
+                required
+                className={inputClassName}
+                value={profile.lastName}
+                onChange={(e) => setProfile({ ...profile, lastName: e.target.value })}
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email Address</label>
+            <input
+              id="email"
+              type="email"
+              required
+              className={inputClassName}
+              value={profile.email}
+              onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+            />
+            {user.emailVerified === false && !emailChanged && (
+              <p className="mt-1 text-xs text-amber-600">This address has not been verified yet.</p>
+            )}
+          </div>
+          {emailChanged && (
+            <div>
+              <label htmlFor="profilePassword" className="block text-sm font-medium text-gray-700">
+                Current Password
+              </label>
+              <input
+                id="profilePassword"
+                type="password"
+                autoComplete="current-password"
+                required
+                className={inputClassName}
+                value={profile.currentPassword}
+                onChange={(e) => setProfile({ ...profile, currentPassword: e.target.value })}
+              />
+              <p className="mt-1 text-xs text-gray-500">We will send a confirmation link to the new address.</p>
+            </div>
+          )}
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={savingProfile}
+              className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {savingProfile ? 'Saving...' : 'Save changes'}
+            </button>
+          </div>
+        </form>
+
+        {/* Password */}
+        <form onSubmit={handlePasswordSubmit} className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Password</h2>
+            <p className="text-sm text-gray-500">Changing your password signs out your other devices.</p>
+          </div>
+          <div>
+            <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700">Current Password</label>
+            <input
+              id="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              required
+              className={inputClassName}
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700">New Password</label>
+              <input
+                id="newPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className={inputClassName}
+                value={passwords.newPassword}
+                onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">Confirm Password</label>
+              <input
+                id="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className={inputClassName}
+                value={passwords.confirmPassword}
+                onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={changingPassword}
+              className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {changingPassword ? 'Updating...' : 'Change password'}
+            </button>
+          </div>
+        </form>
+
+        {/* Photo privacy */}
+        <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Photo privacy</h2>
+            <p className="text-sm text-gray-500">
+              What to remove from your photos when you download them. Others downloading your public photos never get their location.
+            </p>
+          </div>
+          <div>
+            <label htmlFor="metadataPrivacy" className="block text-sm font-medium text-gray-700">When downloading</label>
+            <select
+              id="metadataPrivacy"
+              className={inputClassName}
+              value={metadataPrivacy}
+              disabled={savingPrivacy}
+              onChange={(e) => handlePrivacyChange(e.target.value as MediaMetadataPrivacy)}
+            >
+              {PRIVACY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Linked accounts */}
+        <Suspense fallback={null}>
+          <LinkedAccounts />
+        </Suspense>
+
+        {/* API tokens */}
+        <ApiTokens />
+
+        {/* Delete account */}
+        <form onSubmit={handleDeleteSubmit} className="bg-white rounded-lg border border-red-200 p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-red-700">Delete account</h2>
+            <p className="text-sm text-gray-500">
+              This permanently deletes your albums, photos and videos. It cannot be undone.
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700">Password</label>
+              <input
+                id="deletePassword"
+                type="password"
+                autoComplete="current-password"
+                required
+                className={inputClassName}
+                value={deletion.password}
+                onChange={(e) => setDeletion({ ...deletion, password: e.target.value })}
+              />
+            </div>
+            {twoFactorEnabled && (
+              <div>
+                <label htmlFor="deleteCode" className="block text-sm font-medium text-gray-700">Authentication Code</label>
+                <input
+                  id="deleteCode"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  required
+                  className={inputClassName}
+                  value={deletion.code}
+                  onChange={(e) => setDeletion({ ...deletion, code: e.target.value.trim() })}
+                />
+              </div>
+            )}
+          </div>
+          <div>
+            <label htmlFor="confirmText" className="block text-sm font-medium text-gray-700">
+              Type DELETE to confirm
+            </label>
+            <input
+              id="confirmText"
+              required
+              className={inputClassName}
+              value={deletion.confirmText}
+              onChange={(e) => setDeletion({ ...deletion, confirmText: e.target.value })}
+            />
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={deleting || deletion.confirmText !== 'DELETE'}
+              className="px-4 py-2 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {deleting ? 'Deleting...' : 'Delete my account'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
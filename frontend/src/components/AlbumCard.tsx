@@ -5,6 +5,7 @@ import { Album } from '../types';
 import { format, formatDistanceToNow } from 'date-fns';
 import { MediaCarousel } from './MediaCarousel';
 import { AuthenticatedImage } from './AuthenticatedImage';
+import { mediaRenditionUrl } from '../lib/images';
 
 interface AlbumCardProps {
   album: Album;
@@ -120,7 +121,7 @@ export const AlbumCard: React.FC<AlbumCardProps> = ({
       <div className="aspect-video bg-gradient-to-br from-blue-50 to-indigo-100 rounded-t-lg overflow-hidden relative">
         {firstImage ? (
           <AuthenticatedImage
-            src={firstImage.thumbnailUrl || `/api/media/${firstImage.id}/thumbnail`}
+            src={mediaRenditionUrl(firstImage, 'thumb')}
             alt={album.title}
             className="w-full h-full object-cover"
             fill
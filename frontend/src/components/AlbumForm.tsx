@@ -4,6 +4,7 @@ import React, { useState, useEffect } from 'react';
 import { z } from 'zod';
 import { Album, CreateAlbumData, UpdateAlbumData, MediaFile } from '../types';
 import { albumApi } from '../lib/albums';
+import { mediaRenditionUrl } from '../lib/images';
 import { MediaManager } from './MediaManager';
 import { AuthenticatedImage } from './AuthenticatedImage';
 
@@ -263,7 +264,7 @@ export const AlbumForm: React.FC<AlbumFormProps> = ({
                   <div className="aspect-square rounded-lg overflow-hidden bg-gray-100 border border-gray-200">
                     {media.mimeType.startsWith('image/') ? (
                       <AuthenticatedImage
-                        src={media.thumbnailUrl || `/api/media/${media.id}/thumbnail`}
+                        src={mediaRenditionUrl(media, 'thumb')}
                         alt={media.originalName}
                         className="w-full h-full object-cover"
                         fill
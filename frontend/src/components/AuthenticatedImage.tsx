@@ -3,9 +3,20 @@
 import React, { useState, useEffect } from 'react';
 import Image from 'next/image';
 import api from '../lib/auth';
+import {
+  ensureDecodable,
+  imageAcceptHeader,
+  isSignedUrl,
+  pickSrcSetCandidate,
+  unsignedSrcSet,
+  unsignedUrl
+} from '../lib/images';
 
 interface AuthenticatedImageProps {
   src: string;
+  // Sizes of the image to choose from, as in <img srcset>; src is used without one
+  srcSet?: string;
+  sizes?: string;
   alt: string;
   fill?: boolean;
   className?: string;
@@ -16,8 +27,15 @@ interface AuthenticatedImageProps {
   style?: React.CSSProperties;
 }
 
+/**
+ * An image from the media service. Signed URLs are rendered as a plain <img>,
+ * which the browser loads lazily and caches; anything else, or a signed URL
+ * that has expired, is fetched with the token and shown from a blob.
+ */
 export const AuthenticatedImage: React.FC<AuthenticatedImageProps> = ({
   src,
+  srcSet,
+  sizes,
   alt,
   fill,
   className,
@@ -30,21 +48,39 @@ export const AuthenticatedImage: React.FC<AuthenticatedImageProps> = ({
   const [imageUrl, setImageUrl] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
+  // A signed URL the browser could not load, usually because it has expired
+  const [failedSignedUrl, setFailedSignedUrl] = useState<string | null>(null);
+
+  const signed = isSignedUrl(src) && failedSignedUrl !== src;
 
   useEffect(() => {
+    if (signed) return;
+
     const fetchImage = async () => {
       try {
         setLoading(true);
         setError(false);
         
+        // The request carries the token, so the size is picked here rather than by the browser
+        const url = unsignedUrl((srcSet && pickSrcSetCandidate(unsignedSrcSet(srcSet), sizes)) || src);
+
         // Fetch the image with authentication
-        const response = await api.get(src, {
-          responseType: 'blob',
-          timeout: 60000 // 60 second timeout for images/thumbnails
-        });
+        const fetchBlob = async (): Promise<Blob> => {
+          const response = await api.get(url, {
+            responseType: 'blob',
+            headers: { Accept: imageAcceptHeader() },
+            timeout: 60000 // 60 second timeout for images/thumbnails
+          });
+          return response.data;
+        };
+
+        // Ask again, for an older format, if the browser cannot decode the one it got
+        let blob = await fetchBlob();
+        if (!(await ensureDecodable(blob))) {
+          blob = await fetchBlob();
+        }
         
         // Create object URL from blob
-        const blob = response.data;
         const objectUrl = URL.createObjectURL(blob);
         setImageUrl(objectUrl);
         
@@ -69,7 +105,7 @@ export const AuthenticatedImage: React.FC<AuthenticatedImageProps> = ({
       }
     };
 
-    if (src) {
+    if (src || srcSet) {
       fetchImage();
     }
 
@@ -79,7 +115,26 @@ export const AuthenticatedImage: React.FC<AuthenticatedImageProps> = ({
         URL.revokeObjectURL(imageUrl);
       }
     };
-  }, [src]);
+  }, [src, srcSet, sizes, signed]);
+
+  if (signed) {
+    return (
+      <img
+        src={src}
+        srcSet={srcSet}
+        sizes={sizes}
+        alt={alt}
+        loading="lazy"
+        decoding="async"
+        className={className}
+        style={fill ? { position: 'absolute', inset: 0, width: '100%', height: '100%', ...style } : style}
+        width={fill ? undefined : width}
+        height={fill ? undefined : height}
+        onLoad={onLoad}
+        onError={() => setFailedSignedUrl(src)}
+      />
+    );
+  }
 
   if (loading) {
     return (
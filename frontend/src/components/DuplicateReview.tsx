@@ -0,0 +1,238 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Check, Copy, Trash2, X } from 'lucide-react';
+import { MediaPreview } from './FileUpload';
+import api from '../lib/auth';
+import { DuplicateGroup, DuplicatesResponse } from '../types';
+
+interface DuplicateReviewProps {
+  // Called with the ids of the media that were moved to the trash
+  onResolved?: (deletedIds: number[]) => void;
+  onClose?: () => void;
+  className?: string;
+}
+
+// How many of the 64 perceptual-hash bits may differ
+const SENSITIVITY_OPTIONS = [
+  { label: 'Nearly identical', maxDistance: 3 },
+  { label: 'Similar', maxDistance: 6 },
+  { label: 'Loosely similar', maxDistance: 10 }
+];
+
+const PAGE_SIZE = 20;
+
+const formatFileSize = (bytes: number) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+export const DuplicateReview: React.FC<DuplicateReviewProps> = ({
+  onResolved,
+  onClose,
+  className = ''
+}) => {
+  const [groups, setGroups] = useState<DuplicateGroup[]>([]);
+  // The file to keep in each group, keyed by the group's suggested keepId
+  const [keepIds, setKeepIds] = useState<Record<number, number>>({});
+  const [maxDistance, setMaxDistance] = useState(6);
+  const [truncated, setTruncated] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [resolving, setResolving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchDuplicates = useCallback(async (pageToLoad: number) => {
+    try {
+      setLoading(true);
+      const response = await api.get<DuplicatesResponse>('/api/media/duplicates', {
+        params: { maxDistance, page: pageToLoad, limit: PAGE_SIZE }
+      });
+      const loaded = response.data.groups;
+      const loadedKeepIds = Object.fromEntries(loaded.map(group => [group.keepId, group.keepId]));
+      setGroups(prev => (pageToLoad === 1 ? loaded : [...prev, ...loaded]));
+      setKeepIds(prev => (pageToLoad === 1 ? loadedKeepIds : { ...prev, ...loadedKeepIds }));
+      setTruncated(response.data.truncated);
+      setHasMore(response.data.pagination.hasNextPage);
+      setTotal(response.data.pagination.totalItems);
+      setPage(pageToLoad);
+      setError(null);
+    } catch (err: any) {
+      console.error('Failed to fetch duplicates:', err);
+      setError(err.response?.data?.error || 'Failed to find duplicates');
+      setGroups([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [maxDistance]);
+
+  useEffect(() => {
+    fetchDuplicates(1);
+  }, [fetchDuplicates]);
+
+  const resolve = async (toResolve: DuplicateGroup[]) => {
+    const payload = toResolve.map(group => {
+      const keepId = keepIds[group.keepId];
+      return { keepId, deleteIds: group.media.filter(item => item.id !== keepId).map(item => item.id) };
+    });
+    const deleteCount = payload.reduce((total, group) => total + group.deleteIds.length, 0);
+
+    if (!confirm(`Move ${deleteCount} duplicate file(s) to the trash? They can be restored from there until they are purged.`)) {
+      return;
+    }
+
+    try {
+      setResolving(true);
+      const response = await api.post('/api/media/duplicates/resolve', { groups: payload });
+      const failed: number[] = response.data.failed || [];
+      const deletedIds = payload.flatMap(group => group.deleteIds).filter(id => !failed.includes(id));
+
+      // Groups with a failed deletion stay on screen so they can be retried
+      const resolvedKeys = toResolve
+        .filter((group, index) => !payload[index].deleteIds.some(id => failed.includes(id)))
+        .map(group => group.keepId);
+      setGroups(prev => prev.filter(group => !resolvedKeys.includes(group.keepId)));
+      setTotal(prev => Math.max(prev - resolvedKeys.length, 0));
+      setError(failed.length > 0 ? `${failed.length} file(s) could not be deleted` : null);
+      onResolved?.(deletedIds);
+      // Later pages moved up to fill the resolved groups' places
+      if (hasMore) {
+        fetchDuplicates(1);
+      }
+    } catch (err: any) {
+      console.error('Failed to resolve duplicates:', err);
+      setError(err.response?.data?.error || 'Failed to delete duplicates');
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Review duplicates</h3>
+          <p className="text-sm text-gray-500">
+            {loading && groups.length === 0
+              ? 'Looking for similar photos...'
+              : `${total} ${total === 1 ? 'group' : 'groups'} of similar photos`}
+            {truncated && ' • only your most recent photos were checked'}
+          </p>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <select
+            value={maxDistance}
+            onChange={(e) => setMaxDistance(Number(e.target.value))}
+            disabled={loading || resolving}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {SENSITIVITY_OPTIONS.map(option => (
+              <option key={option.maxDistance} value={option.maxDistance}>{option.label}</option>
+            ))}
+          </select>
+
+          {groups.length > 1 && (
+            <button
+              onClick={() => resolve(groups)}
+              disabled={loading || resolving}
+              className="inline-flex items-center px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              {hasMore ? 'Keep best in groups shown' : 'Keep best in all groups'}
+            </button>
+          )}
+
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              title="Close"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      {loading && groups.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="text-center py-12">
+          <Copy className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-gray-500">No similar photos found</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groups.map(group => {
+            const keepId = keepIds[group.keepId];
+
+            return (
+              <div key={group.keepId} className="border border-gray-200 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-sm text-gray-700">
+                    {group.media.length} similar photos • click one to keep it instead
+                  </p>
+                  <button
+                    onClick={() => resolve([group])}
+                    disabled={resolving}
+                    className="inline-flex items-center px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    Keep selected, delete {group.media.length - 1}
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+                  {group.media.map(item => (
+                    <div key={item.id} className="relative">
+                      <MediaPreview
+                        media={item}
+                        onClick={() => setKeepIds(prev => ({ ...prev, [group.keepId]: item.id }))}
+                        className={`cursor-pointer transition-all ${
+                          item.id === keepId ? 'ring-2 ring-green-500 ring-offset-2' : 'opacity-60 hover:opacity-100'
+                        }`}
+                      />
+                      {item.id === keepId && (
+                        <div className="absolute top-2 right-2 w-6 h-6 bg-green-600 rounded-full flex items-center justify-center">
+                          <Check className="h-3 w-3 text-white" />
+                        </div>
+                      )}
+                      <p className="mt-1 text-xs text-gray-500">
+                        {formatFileSize(item.sizeBytes)}
+                        {item.id === group.keepId && ' • largest'}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+
+          {hasMore && (
+            <div className="flex justify-center">
+              <button
+                onClick={() => fetchDuplicates(page + 1)}
+                disabled={loading}
+                className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
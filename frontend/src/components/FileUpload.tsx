@@ -3,9 +3,11 @@
 import React, { useState, useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
 import Image from 'next/image';
-import { Upload, X, AlertCircle } from 'lucide-react';
+import { Upload, X, AlertCircle, CheckCircle, RotateCcw, Copy } from 'lucide-react';
 import api from '../lib/auth';
+import { canUploadInBatch, groupIntoBatches, uploadBatch, uploadResumable, waitForProcessing } from '../lib/uploads';
 import { AuthenticatedImage } from './AuthenticatedImage';
+import { MediaProcessingStatus, SignedMediaUrls } from '../types';
 
 interface MediaFile {
   id: number;
@@ -15,84 +17,203 @@ interface MediaFile {
   sizeBytes: number;
   thumbnailPath?: string;
   thumbnailUrl?: string;
+  status?: MediaProcessingStatus;
+  signedUrls?: SignedMediaUrls | null;
   createdAt: string;
 }
 
+const formatFileSize = (bytes: number) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// 'duplicate' uploads are stored but wait for the user to keep them or use the existing copy
+type UploadStatus = 'queued' | 'uploading' | 'done' | 'failed' | 'duplicate';
+
+interface UploadItem {
+  id: string;
+  file: File;
+  status: UploadStatus;
+  progress: number;
+  error?: string;
+  // Files rejected before upload (wrong type, too big) fail the same way on retry
+  retryable: boolean;
+  media?: MediaFile;
+  duplicateOf?: MediaFile;
+  // Background processing of the stored file (thumbnails, metadata)
+  processing?: MediaProcessingStatus;
+}
+
 interface FileUploadProps {
   onUploadSuccess: (file: MediaFile) => void;
   onUploadError: (error: string) => void;
+  // Called once every file of a drop (or retry) has finished, successfully or not.
+  // Duplicates are counted as uploaded and also reported separately.
+  onQueueComplete?: (summary: { uploaded: number; failed: number; duplicates: number }) => void;
+  // Called when the user drops a new upload in favour of identical media already in the library
+  onUseExisting?: (file: MediaFile) => void;
+  useExistingLabel?: string;
   maxFileSize?: number;
   acceptedFileTypes?: string[];
   className?: string;
 }
 
+const errorMessage = (error: any) =>
+  error.response?.data?.error || (error instanceof Error ? error.message : 'Upload failed');
+
 export const FileUpload: React.FC<FileUploadProps> = ({
   onUploadSuccess,
   onUploadError,
-  maxFileSize = 500 * 1024 * 1024, // 500MB
+  onQueueComplete,
+  onUseExisting,
+  useExistingLabel = 'Use existing',
+  maxFileSize = 10 * 1024 * 1024 * 1024, // 10GB, matching MAX_UPLOAD_BYTES
   acceptedFileTypes = [
     'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff',
     'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/flv', 'video/webm', 'video/mkv'
   ],
   className = ''
 }) => {
+  const [items, setItems] = useState<UploadItem[]>([]);
   const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
 
-  const onDrop = useCallback(async (acceptedFiles: File[]) => {
-    if (acceptedFiles.length === 0) return;
+  const updateItems = (ids: string[], patch: Partial<UploadItem>) => {
+    setItems(prev => prev.map(item => (ids.includes(item.id) ? { ...item, ...patch } : item)));
+  };
+
+  // Small images go up in batch requests, everything else in resumable chunks
+  const processQueue = useCallback(async (queue: UploadItem[]) => {
+    setUploading(true);
+    let uploaded = 0;
+    let failed = 0;
+    let duplicates = 0;
+
+    const finishItem = (item: UploadItem, media: MediaFile, duplicateOf?: MediaFile | null) => {
+      uploaded++;
+      if (media.status === 'processing') {
+        updateItems([item.id], { processing: 'processing' });
+        waitForProcessing(media.id)
+          .then(processing => updateItems([item.id], { processing }))
+          .catch(error => console.error('Failed to check processing status:', error));
+      }
+      if (duplicateOf) {
+        duplicates++;
+        updateItems([item.id], { status: 'duplicate', progress: 100, media, duplicateOf });
+      } else {
+        updateItems([item.id], { status: 'done', progress: 100 });
+        onUploadSuccess(media);
+      }
+    };
+
+    for (const batch of groupIntoBatches(queue.filter(item => canUploadInBatch(item.file)))) {
+      const ids = batch.map(item => item.id);
+      updateItems(ids, { status: 'uploading', progress: 0, error: undefined });
+
+      try {
+        const response = await uploadBatch(
+          batch.map(item => item.file),
+          {},
+          progress => updateItems(ids, { progress })
+        );
 
-    const file = acceptedFiles[0];
-    
-    // Validate file size
-    if (file.size > maxFileSize) {
-      onUploadError(`File size exceeds ${Math.round(maxFileSize / (1024 * 1024))}MB limit`);
-      return;
+        response.results.forEach(result => {
+          const item = batch[result.index];
+          if (result.status === 'uploaded' && result.media) {
+            finishItem(item, result.media, result.duplicateOf);
+          } else {
+            failed++;
+            updateItems([item.id], { status: 'failed', progress: 0, error: result.error || 'Upload failed' });
+          }
+        });
+      } catch (error: any) {
+        console.error('Batch upload error:', error);
+        failed += batch.length;
+        updateItems(ids, { status: 'failed', progress: 0, error: errorMessage(error) });
+      }
     }
 
-    // Validate file type
-    if (!acceptedFileTypes.includes(file.type)) {
-      onUploadError(`File type ${file.type} is not supported`);
-      return;
+    for (const item of queue.filter(queued => !canUploadInBatch(queued.file))) {
+      updateItems([item.id], { status: 'uploading', progress: 0, error: undefined });
+
+      try {
+        // Chunked and resumable: dropped connections are retried, and picking
+        // the same file again continues an upload that was cut off
+        const { media, duplicateOf } = await uploadResumable(item.file, progress => updateItems([item.id], { progress }));
+        finishItem(item, media, duplicateOf);
+      } catch (error: any) {
+        console.error('Upload error:', error);
+        failed++;
+        updateItems([item.id], { status: 'failed', progress: 0, error: errorMessage(error) });
+      }
     }
 
-    setUploading(true);
-    setUploadProgress(0);
+    setUploading(false);
+    if (failed > 0) {
+      onUploadError(`${failed} of ${uploaded + failed} files failed to upload`);
+    }
+    onQueueComplete?.({ uploaded, failed, duplicates });
+  }, [onUploadSuccess, onUploadError, onQueueComplete]);
 
+  const keepBoth = (item: UploadItem) => {
+    updateItems([item.id], { status: 'done' });
+    if (item.media) onUploadSuccess(item.media);
+  };
+
+  // The new copy is deleted, skipping the trash; storage is shared, so this
+  // only removes the extra library entry
+  const useExisting = async (item: UploadItem) => {
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      const response = await api.post('/api/media/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        },
-        timeout: 600000, // 10 minutes for large files
-        onUploadProgress: (progressEvent: any) => {
-          if (progressEvent.total) {
-            const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            setUploadProgress(progress);
-          }
-        }
-      });
-
-      const result = response.data;
-      onUploadSuccess(result.media);
-      setUploadProgress(100);
-      
-      // Reset progress after a short delay
-      setTimeout(() => {
-        setUploadProgress(0);
-        setUploading(false);
-      }, 1000);
-      
-    } catch (error) {
-      console.error('Upload error:', error);
-      onUploadError(error instanceof Error ? error.message : 'Upload failed');
-      setUploading(false);
-      setUploadProgress(0);
+      if (item.media) {
+        await api.delete(`/api/media/${item.media.id}`);
+        await api.post('/api/media/trash/purge', { ids: [item.media.id] });
+      }
+      updateItems([item.id], { status: 'done' });
+      if (item.duplicateOf) onUseExisting?.(item.duplicateOf);
+    } catch (error: any) {
+      console.error('Failed to remove duplicate upload:', error);
+      onUploadError(errorMessage(error));
     }
-  }, [maxFileSize, acceptedFileTypes, onUploadSuccess, onUploadError]);
+  };
+
+  const onDrop = useCallback((acceptedFiles: File[]) => {
+    if (acceptedFiles.length === 0) return;
+
+    const dropped = acceptedFiles.map((file): UploadItem => {
+      const item: UploadItem = {
+        id: `${file.name}:${file.size}:${file.lastModified}:${Math.random().toString(36).slice(2)}`,
+        file,
+        status: 'queued',
+        progress: 0,
+        retryable: true
+      };
+
+      if (file.size > maxFileSize) {
+        return { ...item, status: 'failed', retryable: false, error: `File size exceeds ${formatFileSize(maxFileSize)} limit` };
+      }
+      if (!acceptedFileTypes.includes(file.type)) {
+        return { ...item, status: 'failed', retryable: false, error: `File type ${file.type || 'unknown'} is not supported` };
+      }
+      return item;
+    });
+
+    setItems(prev => [...prev.filter(item => item.status !== 'done'), ...dropped]);
+
+    const queue = dropped.filter(item => item.status === 'queued');
+    if (queue.length > 0) {
+      processQueue(queue);
+    } else {
+      onUploadError('None of the selected files can be uploaded');
+    }
+  }, [maxFileSize, acceptedFileTypes, processQueue, onUploadError]);
+
+  const retryFailed = () => {
+    const queue = items.filter(item => item.status === 'failed' && item.retryable);
+    updateItems(queue.map(item => item.id), { status: 'queued', progress: 0, error: undefined });
+    processQueue(queue);
+  };
 
   const { getRootProps, getInputProps, isDragActive, isDragReject } = useDropzone({
     onDrop,
@@ -111,59 +232,141 @@ export const FileUpload: React.FC<FileUploadProps> = ({
       'video/webm': ['.webm'],
       'video/mkv': ['.mkv']
     },
-    maxFiles: 1,
-    maxSize: maxFileSize,
+    multiple: true,
     disabled: uploading
   });
 
+  const retryableCount = items.filter(item => item.status === 'failed' && item.retryable).length;
+  const doneCount = items.filter(item => item.status === 'done').length;
+
   return (
-    <div
-      {...getRootProps()}
-      className={`
-        relative border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors
-        ${isDragActive && !isDragReject ? 'border-blue-400 bg-blue-50' : ''}
-        ${isDragReject ? 'border-red-400 bg-red-50' : ''}
-        ${!isDragActive ? 'border-gray-300 hover:border-gray-400' : ''}
-        ${uploading ? 'pointer-events-none opacity-50' : ''}
-        ${className}
-      `}
-    >
-      <input {...getInputProps()} />
-      
-      {uploading ? (
-        <div className="space-y-4">
-          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
-          <div className="w-full bg-gray-200 rounded-full h-2">
-            <div 
-              className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${uploadProgress}%` }}
-            ></div>
-          </div>
-          <p className="text-sm text-gray-600">Uploading... {Math.round(uploadProgress)}%</p>
-        </div>
-      ) : (
+    <div className={`space-y-4 ${className}`}>
+      <div
+        {...getRootProps()}
+        className={`
+          relative border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors
+          ${isDragActive && !isDragReject ? 'border-blue-400 bg-blue-50' : ''}
+          ${isDragReject ? 'border-red-400 bg-red-50' : ''}
+          ${!isDragActive ? 'border-gray-300 hover:border-gray-400' : ''}
+          ${uploading ? 'pointer-events-none opacity-50' : ''}
+        `}
+      >
+        <input {...getInputProps()} />
+
         <div className="space-y-4">
-          <Upload className="mx-auto h-12 w-12 text-gray-400" />
+          {uploading ? (
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          ) : (
+            <Upload className="mx-auto h-12 w-12 text-gray-400" />
+          )}
           <div>
             <p className="text-lg font-medium text-gray-900">
-              {isDragActive ? 'Drop the file here' : 'Drag & drop an image here'}
+              {uploading
+                ? `Uploading ${doneCount} of ${items.length}...`
+                : isDragActive ? 'Drop the files here' : 'Drag & drop images or videos here'}
             </p>
             <p className="text-sm text-gray-500 mt-1">
               or <span className="text-blue-600 font-medium">browse files</span>
             </p>
             <p className="text-xs text-gray-400 mt-2">
-              Supports: Images (JPEG, PNG, GIF, WebP, BMP, TIFF) & Videos (MP4, AVI, MOV, WMV, WebM, MKV) - Max {Math.round(maxFileSize / (1024 * 1024))}MB
+              Supports: Images (JPEG, PNG, GIF, WebP, BMP, TIFF) & Videos (MP4, AVI, MOV, WMV, WebM, MKV) - Max {formatFileSize(maxFileSize)} per file
             </p>
           </div>
         </div>
-      )}
-      
-      {isDragReject && (
-        <div className="absolute inset-0 flex items-center justify-center bg-red-50 rounded-lg">
-          <div className="text-center">
-            <AlertCircle className="mx-auto h-8 w-8 text-red-600" />
-            <p className="text-sm text-red-600 mt-2">File type not supported</p>
+
+        {isDragReject && (
+          <div className="absolute inset-0 flex items-center justify-center bg-red-50 rounded-lg">
+            <div className="text-center">
+              <AlertCircle className="mx-auto h-8 w-8 text-red-600" />
+              <p className="text-sm text-red-600 mt-2">File type not supported</p>
+            </div>
           </div>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <div className="space-y-2">
+          <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+            {items.map(item => (
+              <li key={item.id} className="flex items-center gap-3 px-3 py-2">
+                {item.status === 'done' ? (
+                  <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0" />
+                ) : item.status === 'duplicate' ? (
+                  <Copy className="h-4 w-4 text-amber-600 flex-shrink-0" />
+                ) : item.status === 'failed' ? (
+                  <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0" />
+                ) : (
+                  <Upload className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                )}
+                <div className="min-w-0 flex-1">
+                  <div className="flex justify-between text-sm">
+                    <span className="truncate text-gray-900">{item.file.name}</span>
+                    <span className="ml-2 flex-shrink-0 text-gray-500">{formatFileSize(item.file.size)}</span>
+                  </div>
+                  {item.status === 'failed' ? (
+                    <p className="text-xs text-red-600">{item.error}</p>
+                  ) : item.status === 'duplicate' ? (
+                    <div className="flex flex-wrap items-center gap-2 mt-1">
+                      <p className="text-xs text-amber-700">
+                        Already in your library as {item.duplicateOf?.originalName}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => useExisting(item)}
+                        className="text-xs font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        {useExistingLabel}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => keepBoth(item)}
+                        className="text-xs text-gray-600 hover:text-gray-800"
+                      >
+                        Keep both
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+                        <div
+                          className={`h-1.5 rounded-full transition-all duration-300 ${item.status === 'done' ? 'bg-green-600' : 'bg-blue-600'}`}
+                          style={{ width: `${item.progress}%` }}
+                        ></div>
+                      </div>
+                      {item.status === 'done' && item.processing === 'processing' && (
+                        <p className="text-xs text-gray-500 mt-1">Processing...</p>
+                      )}
+                      {item.status === 'done' && item.processing === 'failed' && (
+                        <p className="text-xs text-red-600 mt-1">Processing failed; the original is still available</p>
+                      )}
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {!uploading && (
+            <div className="flex justify-end gap-2">
+              {retryableCount > 0 && (
+                <button
+                  type="button"
+                  onClick={retryFailed}
+                  className="inline-flex items-center px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  <RotateCcw className="h-4 w-4 mr-1" />
+                  Retry failed ({retryableCount})
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setItems([])}
+                className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Clear
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -191,21 +394,14 @@ export const MediaPreview: React.FC<MediaPreviewProps> = ({
   const isVideo = media.mimeType?.startsWith('video/');
   const isImage = media.mimeType?.startsWith('image/');
 
-  // For videos, don't try to load thumbnail, for images use thumbnail if available
-  const imageUrl = isImage && media.thumbnailUrl 
-    ? media.thumbnailUrl
+  // For videos, don't try to load thumbnail, for images use thumbnail if available (signed, when given)
+  const thumbnailUrl = media.signedUrls?.renditions?.thumb || media.thumbnailUrl;
+  const imageUrl = isImage && thumbnailUrl 
+    ? thumbnailUrl
     : isImage 
     ? `/api/media/${media.id}/download`
     : null;
 
-  const formatFileSize = (bytes: number) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  };
-
   return (
     <div className={`relative group ${className}`}>
       <div 
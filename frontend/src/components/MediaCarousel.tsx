@@ -3,8 +3,11 @@
 import React, { useState, useRef } from 'react';
 import Image from 'next/image';
 import { ChevronLeft, ChevronRight, X, Download, Eye, Play } from 'lucide-react';
-import api from '../lib/auth';
+import type Hls from 'hls.js';
+import api, { refreshAccessToken, tokenStorage } from '../lib/auth';
 import { AuthenticatedImage } from './AuthenticatedImage';
+import { isSignedUrl, mediaRenditionUrl, RenditionName } from '../lib/images';
+import { SignedMediaUrls } from '../types';
 
 interface MediaFile {
   id: number;
@@ -14,9 +17,16 @@ interface MediaFile {
   sizeBytes: number;
   thumbnailPath?: string;
   thumbnailUrl?: string;
+  // HLS master playlist of a transcoded video
+  streamUrl?: string | null;
+  signedUrls?: SignedMediaUrls | null;
   createdAt: string;
 }
 
+// A video only has a poster frame once it has been transcoded, whatever thumbnailUrl says
+const videoPosterUrl = (media: MediaFile, name: RenditionName) =>
+  media.streamUrl ? mediaRenditionUrl(media, name) : undefined;
+
 interface MediaCarouselProps {
   media: MediaFile[];
   initialIndex?: number;
@@ -24,59 +34,164 @@ interface MediaCarouselProps {
   className?: string;
 }
 
-// Helper component for authenticated video
+// Helper component for authenticated video. Transcoded videos stream over HLS,
+// through hls.js with the token added to every playlist and segment request,
+// or natively (Safari on iOS has no Media Source Extensions) from the signed
+// stream URL. Anything else downloads the whole file first.
 const AuthenticatedVideo: React.FC<{
   src: string;
+  streamUrl?: string | null;
+  signedStreamUrl?: string;
+  posterUrl?: string;
   className?: string;
   controls?: boolean;
-  poster?: string;
-}> = ({ src, className, controls = true, poster }) => {
-  const [videoUrl, setVideoUrl] = useState<string | null>(null);
+}> = ({ src, streamUrl, signedStreamUrl, posterUrl, className, controls = true }) => {
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const [poster, setPoster] = useState<string | undefined>(undefined);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
 
   React.useEffect(() => {
-    const fetchVideo = async () => {
-      try {
-        setLoading(true);
-        setError(false);
-        
-        const response = await api.get(src, {
-          responseType: 'blob',
-          timeout: 30000 // 30 second timeout for videos
-        });
-        
-        const blob = response.data;
-        const objectUrl = URL.createObjectURL(blob);
-        setVideoUrl(objectUrl);
-      } catch (err) {
-        console.error('Failed to load authenticated video:', err);
-        setError(true);
-      } finally {
-        setLoading(false);
+    const video = videoRef.current;
+    if (!video) return;
+
+    let cancelled = false;
+    let hls: Hls | null = null;
+    let objectUrl: string | null = null;
+
+    const download = async () => {
+      const response = await api.get(src, {
+        responseType: 'blob',
+        timeout: 30000 // 30 second timeout for videos
+      });
+      if (cancelled) return;
+
+      objectUrl = URL.createObjectURL(response.data);
+      video.src = objectUrl;
+      setLoading(false);
+    };
+
+    const fail = (err: unknown) => {
+      if (cancelled) return;
+      console.error('Failed to load authenticated video:', err);
+      setError(true);
+      setLoading(false);
+    };
+
+    // Native HLS cannot send a token, so it needs the signed URL.
+    // Returns false when this browser cannot play it.
+    const streamNatively = () => {
+      if (!signedStreamUrl || !video.canPlayType('application/vnd.apple.mpegurl')) return false;
+
+      const onLoaded = () => {
+        video.removeEventListener('error', onError);
+        if (!cancelled) setLoading(false);
+      };
+      const onError = () => {
+        video.removeEventListener('loadedmetadata', onLoaded);
+        if (cancelled) return;
+        console.error('Native video stream failed, downloading instead');
+        video.removeAttribute('src');
+        download().catch(fail);
+      };
+      video.addEventListener('loadedmetadata', onLoaded, { once: true });
+      video.addEventListener('error', onError, { once: true });
+
+      video.src = signedStreamUrl;
+      return true;
+    };
+
+    // Returns false when this browser cannot play HLS through hls.js or natively
+    const stream = async (url: string) => {
+      const { default: HlsPlayer } = await import('hls.js');
+      if (cancelled) return false;
+      if (!HlsPlayer.isSupported()) return streamNatively();
+
+      hls = new HlsPlayer({
+        xhrSetup: (xhr) => {
+          const token = tokenStorage.getToken();
+          if (token) {
+            xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+          }
+        },
+      });
+
+      // The access token can expire during a long video; refresh it once per failure
+      let refreshing = false;
+      hls.on(HlsPlayer.Events.FRAG_LOADED, () => {
+        refreshing = false;
+      });
+      hls.on(HlsPlayer.Events.MANIFEST_PARSED, () => {
+        if (!cancelled) setLoading(false);
+      });
+      hls.on(HlsPlayer.Events.ERROR, (_event, data) => {
+        if (!data.fatal || cancelled) return;
+
+        if (data.type === HlsPlayer.ErrorTypes.NETWORK_ERROR && data.response?.code === 401 && !refreshing) {
+          refreshing = true;
+          refreshAccessToken()
+            .then(() => hls?.startLoad())
+            .catch(fail);
+          return;
+        }
+
+        console.error('Video stream failed, downloading instead:', data.details);
+        hls?.destroy();
+        hls = null;
+        download().catch(fail);
+      });
+
+      hls.loadSource(url);
+      hls.attachMedia(video);
+      return true;
+    };
+
+    setLoading(true);
+    setError(false);
+
+    (async () => {
+      if (streamUrl && await stream(streamUrl)) return;
+      if (!cancelled) await download();
+    })().catch(fail);
+
+    return () => {
+      cancelled = true;
+      hls?.destroy();
+      video.removeAttribute('src');
+      video.load();
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
       }
     };
+  }, [src, streamUrl, signedStreamUrl]);
 
-    if (src) {
-      fetchVideo();
+  // The poster frame needs the token too, unless its URL is signed
+  React.useEffect(() => {
+    if (!posterUrl || isSignedUrl(posterUrl)) {
+      setPoster(posterUrl);
+      return;
     }
 
+    let cancelled = false;
+    let objectUrl: string | null = null;
+
+    api.get(posterUrl, { responseType: 'blob' })
+      .then(response => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setPoster(objectUrl);
+      })
+      .catch(err => console.error('Failed to load video poster:', err));
+
     return () => {
-      if (videoUrl) {
-        URL.revokeObjectURL(videoUrl);
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
       }
     };
-  }, [src]);
+  }, [posterUrl]);
 
-  if (loading) {
-    return (
-      <div className={`flex items-center justify-center bg-gray-100 ${className}`}>
-        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-600"></div>
-      </div>
-    );
-  }
-
-  if (error || !videoUrl) {
+  if (error) {
     return (
       <div className={`flex items-center justify-center bg-gray-100 text-gray-400 ${className}`}>
         <div className="text-center">
@@ -88,15 +203,22 @@ const AuthenticatedVideo: React.FC<{
   }
 
   return (
-    <video 
-      src={videoUrl} 
-      className={className}
-      controls={controls}
-      poster={poster}
-      preload="metadata"
-    >
-      Your browser does not support the video tag.
-    </video>
+    <>
+      <video 
+        ref={videoRef}
+        className={className}
+        controls={controls}
+        poster={poster}
+        preload="metadata"
+      >
+        Your browser does not support the video tag.
+      </video>
+      {loading && !poster && (
+        <div className="absolute inset-0 flex items-center justify-center bg-gray-100">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-600"></div>
+        </div>
+      )}
+    </>
   );
 };
 
@@ -110,11 +232,22 @@ const MediaPreview: React.FC<{
   const isVideo = media.mimeType.startsWith('video/');
   
   if (isVideo) {
+    const posterUrl = videoPosterUrl(media, 'thumb');
     return (
       <div className={`relative ${className}`}>
-        <div className="w-full h-full bg-gray-800 flex items-center justify-center">
-          <Play className="h-4 w-4 text-white" />
-        </div>
+        {posterUrl ? (
+          <AuthenticatedImage
+            src={posterUrl}
+            alt={media.originalName}
+            width={width}
+            height={height}
+            className="w-full h-full object-cover"
+          />
+        ) : (
+          <div className="w-full h-full bg-gray-800 flex items-center justify-center">
+            <Play className="h-4 w-4 text-white" />
+          </div>
+        )}
         <span className="absolute bottom-0 right-0 bg-black/70 text-white text-xs px-1 rounded-tl">
           🎬
         </span>
@@ -122,9 +255,10 @@ const MediaPreview: React.FC<{
     );
   }
 
-  // For images, try thumbnail first, fall back to full image
-  const imageUrl = media.thumbnailUrl 
-    ? media.thumbnailUrl 
+  // For images, try thumbnail first (signed, when given), fall back to full image
+  const thumbnailUrl = media.signedUrls?.renditions?.thumb || media.thumbnailUrl;
+  const imageUrl = thumbnailUrl 
+    ? thumbnailUrl 
     : `/api/media/${media.id}/download`;
 
   return (
@@ -159,6 +293,8 @@ export const MediaCarousel: React.FC<MediaCarouselProps> = ({
   const currentMedia = media[currentIndex];
   const isCurrentVideo = currentMedia.mimeType.startsWith('video/');
   const mediaUrl = `/api/media/${currentMedia.id}/download`;
+  // Images load from their signed URL when the listing gave one, so the browser caches them
+  const imageUrl = currentMedia.signedUrls?.download || mediaUrl;
 
   const goToPrevious = () => {
     setCurrentIndex((prev) => (prev === 0 ? media.length - 1 : prev - 1));
@@ -248,12 +384,15 @@ export const MediaCarousel: React.FC<MediaCarouselProps> = ({
           {isCurrentVideo ? (
             <AuthenticatedVideo
               src={mediaUrl}
+              streamUrl={currentMedia.streamUrl}
+              signedStreamUrl={currentMedia.signedUrls?.stream}
+              posterUrl={videoPosterUrl(currentMedia, 'large')}
               className="max-w-full max-h-full"
               controls
             />
           ) : (
             <AuthenticatedImage
-              src={mediaUrl}
+              src={imageUrl}
               alt={currentMedia.originalName}
               fill
               className="object-contain"
@@ -346,12 +485,15 @@ export const MediaCarousel: React.FC<MediaCarouselProps> = ({
         {isCurrentVideo ? (
           <AuthenticatedVideo
             src={mediaUrl}
+            streamUrl={currentMedia.streamUrl}
+            signedStreamUrl={currentMedia.signedUrls?.stream}
+            posterUrl={videoPosterUrl(currentMedia, 'large')}
             className="w-full h-full object-contain"
             controls
           />
         ) : (
           <AuthenticatedImage
-            src={mediaUrl}
+            src={imageUrl}
             alt={currentMedia.originalName}
             fill
             className="object-contain"
@@ -3,8 +3,11 @@
 import React, { useState, useEffect } from 'react';
 import { FileUpload, MediaPreview } from './FileUpload';
 import { MediaCarousel } from './MediaCarousel';
-import { Search, Grid, List, Filter, Upload, Trash2, Eye } from 'lucide-react';
+import { DuplicateReview } from './DuplicateReview';
+import { TrashBin } from './TrashBin';
+import { Search, Grid, List, Filter, Upload, Trash, Trash2, Eye, Copy } from 'lucide-react';
 import api from '../lib/auth';
+import type { MediaFile as LibraryMediaFile, MediaUsage, MediaUsageResponse } from '../types';
 
 interface MediaFile {
   id: number;
@@ -43,6 +46,9 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
   const [showCarousel, setShowCarousel] = useState(false);
   const [carouselIndex, setCarouselIndex] = useState(0);
   const [showUploadArea, setShowUploadArea] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [usage, setUsage] = useState<MediaUsage | null>(null);
 
     // Fetch media files
   const fetchMedia = async () => {
@@ -62,8 +68,19 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
     }
   };
 
+  // Storage used against the plan's quota; the bar is hidden if this fails
+  const fetchUsage = async () => {
+    try {
+      const response = await api.get<MediaUsageResponse>('/api/media/usage');
+      setUsage(response.data.usage);
+    } catch (error) {
+      console.error('Failed to fetch storage usage:', error);
+    }
+  };
+
   useEffect(() => {
     fetchMedia();
+    fetchUsage();
   }, []);
 
   // Filter and sort media
@@ -125,7 +142,23 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
   // Handle media upload
   const handleUploadSuccess = (newMedia: MediaFile) => {
     setMedia(prev => [newMedia, ...prev]);
-    setShowUploadArea(false);
+    fetchUsage();
+  };
+
+  // Keep the upload area open while there are failed files left to retry
+  // or duplicates waiting for a decision
+  const handleUploadQueueComplete = ({ failed, duplicates }: { uploaded: number; failed: number; duplicates: number }) => {
+    fetchUsage();
+    if (failed === 0 && duplicates === 0) {
+      setShowUploadArea(false);
+    }
+  };
+
+  // An upload matched media already in the library: select that instead
+  const handleUseExisting = (existing: MediaFile) => {
+    if (!selectedMedia.some(item => item.id === existing.id)) {
+      handleMediaSelect(existing);
+    }
   };
 
   const handleUploadError = (error: string) => {
@@ -134,7 +167,7 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
 
   // Handle media deletion
   const handleDeleteMedia = async (mediaItem: MediaFile) => {
-    if (!confirm(`Are you sure you want to delete "${mediaItem.originalName}"? This action cannot be undone.`)) {
+    if (!confirm(`Move "${mediaItem.originalName}" to the trash? You can restore it from there until it is deleted for good.`)) {
       return;
     }
 
@@ -145,6 +178,7 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
       setMedia(prev => prev.filter(item => item.id !== mediaItem.id));
       setSelectedMedia(prev => prev.filter(item => item.id !== mediaItem.id));
       setError(null);
+      fetchUsage();
     } catch (err: any) {
       console.error('Delete error:', err);
       setError(err.response?.data?.error || err.message || 'Failed to delete media');
@@ -158,19 +192,15 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
     if (selectedMedia.length === 0) return;
 
     const fileNames = selectedMedia.map(item => item.originalName).join(', ');
-    if (!confirm(`Are you sure you want to delete ${selectedMedia.length} file(s)? (${fileNames})\n\nThis action cannot be undone.`)) {
+    if (!confirm(`Move ${selectedMedia.length} file(s) to the trash? (${fileNames})\n\nYou can restore them from there until they are deleted for good.`)) {
       return;
     }
 
     try {
       setLoading(true);
-      const deletePromises = selectedMedia.map(item => 
-        api.delete(`/api/media/${item.id}`)
-      );
-      
-      await Promise.all(deletePromises);
-      
-      const deletedIds = selectedMedia.map(item => item.id);
+      const response = await api.post('/api/media/trash', { ids: selectedMedia.map(item => item.id) });
+
+      const deletedIds: number[] = response.data.trashed || [];
       setMedia(prev => prev.filter(item => !deletedIds.includes(item.id)));
       setSelectedMedia([]);
       setError(null);
@@ -181,9 +211,26 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
       fetchMedia();
     } finally {
       setLoading(false);
+      fetchUsage();
     }
   };
 
+  // Drop media deleted from the duplicate review
+  const handleDuplicatesResolved = (deletedIds: number[]) => {
+    setMedia(prev => prev.filter(item => !deletedIds.includes(item.id)));
+    fetchUsage();
+    const remaining = selectedMedia.filter(item => !deletedIds.includes(item.id));
+    if (remaining.length !== selectedMedia.length) {
+      setSelectedMedia(remaining);
+      onSelectMedia?.(remaining);
+    }
+  };
+
+  // Files taken out of the trash are back in the library
+  const handleRestored = (restored: LibraryMediaFile[]) => {
+    setMedia(prev => [...restored, ...prev.filter(item => !restored.some(file => file.id === item.id))]);
+  };
+
   // Handle view media
   const handleViewMedia = (mediaItem: MediaFile) => {
     const index = filteredMedia.findIndex(item => item.id === mediaItem.id);
@@ -194,11 +241,16 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
   const formatFileSize = (bytes: number) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  const usedFraction = usage && usage.quotaBytes > 0 ? Math.min(usage.bytesUsed / usage.quotaBytes, 1) : usage ? 1 : 0;
+  const quotaFull = usage !== null && (
+    usage.bytesUsed >= usage.quotaBytes || (usage.maxFiles !== null && usage.fileCount >= usage.maxFiles)
+  );
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -226,6 +278,31 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
               {filteredMedia.length} {filteredMedia.length === 1 ? 'file' : 'files'}
               {selectedMedia.length > 0 && ` • ${selectedMedia.length} selected`}
             </p>
+            {usage && (
+              <div className="mt-2 w-64 max-w-full">
+                <div
+                  className="h-2 bg-gray-200 rounded-full overflow-hidden"
+                  role="progressbar"
+                  aria-label="Storage used"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={Math.round(usedFraction * 100)}
+                >
+                  <div
+                    className={`h-full rounded-full ${
+                      usedFraction >= 0.9 || quotaFull ? 'bg-red-500' : usedFraction >= 0.75 ? 'bg-yellow-500' : 'bg-blue-600'
+                    }`}
+                    style={{ width: `${usedFraction * 100}%` }}
+                  />
+                </div>
+                <p className={`mt-1 text-xs ${quotaFull ? 'text-red-600' : 'text-gray-500'}`}>
+                  {formatFileSize(usage.bytesUsed)} of {formatFileSize(usage.quotaBytes)} used
+                  {usage.maxFiles !== null && ` • ${usage.fileCount} of ${usage.maxFiles} files`}
+                  {` • ${usage.plan.charAt(0).toUpperCase()}${usage.plan.slice(1)} plan`}
+                  {quotaFull && ' • Storage full'}
+                </p>
+              </div>
+            )}
           </div>
           
           <div className="flex items-center space-x-2">
@@ -240,6 +317,34 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
               </button>
             )}
             
+            <button
+              onClick={() => {
+                setShowTrash(prev => !prev);
+                setShowDuplicates(false);
+              }}
+              disabled={loading}
+              className={`inline-flex items-center px-4 py-2 border rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                showTrash ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <Trash className="h-4 w-4 mr-2" />
+              Trash
+            </button>
+
+            <button
+              onClick={() => {
+                setShowDuplicates(prev => !prev);
+                setShowTrash(false);
+              }}
+              disabled={loading}
+              className={`inline-flex items-center px-4 py-2 border rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                showDuplicates ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <Copy className="h-4 w-4 mr-2" />
+              Review duplicates
+            </button>
+
             {showUpload && (
               <button
                 onClick={() => setShowUploadArea(true)}
@@ -340,6 +445,9 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
           <FileUpload
             onUploadSuccess={handleUploadSuccess}
             onUploadError={handleUploadError}
+            onQueueComplete={handleUploadQueueComplete}
+            onUseExisting={handleUseExisting}
+            useExistingLabel={multiSelect ? 'Add existing to album' : 'Use existing'}
           />
           <div className="mt-2 flex justify-end">
             <button
@@ -367,7 +475,18 @@ export const MediaManager: React.FC<MediaManagerProps> = ({
 
       {/* Media grid/list */}
       <div className="p-4">
-        {filteredMedia.length === 0 ? (
+        {showDuplicates ? (
+          <DuplicateReview
+            onResolved={handleDuplicatesResolved}
+            onClose={() => setShowDuplicates(false)}
+          />
+        ) : showTrash ? (
+          <TrashBin
+            onRestored={handleRestored}
+            onPurged={fetchUsage}
+            onClose={() => setShowTrash(false)}
+          />
+        ) : filteredMedia.length === 0 ? (
           <div className="text-center py-12">
             <Upload className="mx-auto h-12 w-12 text-gray-400" />
             <p className="mt-2 text-gray-500">No media files found</p>
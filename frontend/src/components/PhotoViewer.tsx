@@ -3,6 +3,7 @@
 import React, { useState, useEffect } from 'react';
 import { MediaFile } from '../types';
 import { AuthenticatedImage } from './AuthenticatedImage';
+import { mediaRenditionUrl, mediaSrcSet } from '../lib/images';
 
 interface PhotoViewerProps {
   photos: MediaFile[];
@@ -117,7 +118,9 @@ export const PhotoViewer: React.FC<PhotoViewerProps> = ({
       {/* Main Image */}
       <div className="relative max-w-full max-h-full flex items-center justify-center p-16">
         <AuthenticatedImage
-          src={`/api/media/${currentPhoto.id}`}
+          src={mediaRenditionUrl(currentPhoto, 'large')}
+          srcSet={mediaSrcSet(currentPhoto, ['medium', 'large'])}
+          sizes="100vw"
           alt={currentPhoto.originalName}
           className="max-w-full max-h-full object-contain"
         />
@@ -151,8 +154,8 @@ export const PhotoViewer: React.FC<PhotoViewerProps> = ({
         <div className="text-white max-w-4xl mx-auto">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
             <div>
-              <p className="opacity-75">Upload Date</p>
-              <p>{formatDate(currentPhoto.createdAt)}</p>
+              <p className="opacity-75">{currentPhoto.takenAt ? 'Date Taken' : 'Upload Date'}</p>
+              <p>{formatDate(currentPhoto.takenAt || currentPhoto.createdAt)}</p>
             </div>
             <div>
               <p className="opacity-75">File Size</p>
@@ -178,7 +181,7 @@ export const PhotoViewer: React.FC<PhotoViewerProps> = ({
                   }`}
                 >
                   <AuthenticatedImage
-                    src={photo.thumbnailUrl || `/api/media/${photo.id}/thumbnail`}
+                    src={mediaRenditionUrl(photo, 'thumb')}
                     alt={photo.originalName}
                     className="w-full h-full object-cover"
                   />
@@ -4,6 +4,14 @@ import React, { useState, useEffect } from 'react';
 import { MediaFile } from '../types';
 import { AuthenticatedImage } from './AuthenticatedImage';
 import api from '../lib/auth';
+import { mediaRenditionUrl, mediaSrcSet } from '../lib/images';
+
+// Width of a grid cell at each breakpoint of the grid's columns
+const GRID_IMAGE_SIZES =
+  '(min-width: 1536px) 13vw, (min-width: 1280px) 17vw, (min-width: 1024px) 20vw, (min-width: 768px) 25vw, (min-width: 640px) 34vw, 50vw';
+
+// When a photo was taken according to its EXIF, or when it was uploaded if it has none
+const capturedAt = (photo: MediaFile) => new Date(photo.takenAt || photo.createdAt);
 
 interface PhotosGridProps {
   className?: string;
@@ -30,7 +38,7 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
       const response = await api.get('/api/media', {
         params: {
           type: 'image',
-          sort: 'created_at',
+          sort: 'taken_at',
           order: 'desc',
           limit: 1000 // Get lots of photos for the grid
         }
@@ -55,12 +63,12 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
     const grouped: Record<string, { photos: MediaFile[], displayDate: string, relativeDate: string, sortDate: Date }> = {};
     
     photos.forEach(photo => {
-      // Parse the date from the createdAt timestamp
-      const date = new Date(photo.createdAt);
+      // Group by capture date, so old photos uploaded today land on the day they were taken
+      const date = capturedAt(photo);
       
       // Validate that the date is valid
       if (isNaN(date.getTime())) {
-        console.warn('Invalid date for photo:', photo.originalName, photo.createdAt);
+        console.warn('Invalid date for photo:', photo.originalName, photo.takenAt || photo.createdAt);
         return; // Skip this photo if date is invalid
       }
       
@@ -119,7 +127,7 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
     
     // Sort photos within each day by time (most recent first)
     Object.values(grouped).forEach(group => {
-      group.photos.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+      group.photos.sort((a, b) => capturedAt(b).getTime() - capturedAt(a).getTime());
     });
     
     return grouped;
@@ -130,12 +138,12 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
     const grouped: Record<string, { photos: MediaFile[], displayDate: string, count: number }> = {};
     
     photos.forEach(photo => {
-      // Parse the date from the createdAt timestamp
-      const date = new Date(photo.createdAt);
+      // Group by capture date, so old photos uploaded today land on the day they were taken
+      const date = capturedAt(photo);
       
       // Validate that the date is valid
       if (isNaN(date.getTime())) {
-        console.warn('Invalid date for photo:', photo.originalName, photo.createdAt);
+        console.warn('Invalid date for photo:', photo.originalName, photo.takenAt || photo.createdAt);
         return; // Skip this photo if date is invalid
       }
       
@@ -168,31 +176,6 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
   const sortedDateKeys = Object.keys(groupedPhotos).sort((a, b) => b.localeCompare(a)); // Newest first
   const sortedMonthKeys = Object.keys(groupedByMonth).sort((a, b) => b.localeCompare(a)); // Newest first
 
-  // Enhanced debug logging to help troubleshoot date grouping
-  console.log('=== PhotosGrid Debug Information ===');
-  console.log('Total photos loaded:', photos.length);
-  console.log('Number of date groups:', Object.keys(groupedPhotos).length);
-  console.log('Date groups created:', sortedDateKeys);
-  
-  if (photos.length > 0) {
-    console.log('Sample photo dates:');
-    photos.slice(0, 5).forEach((photo, index) => {
-      const date = new Date(photo.createdAt);
-      const dateKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-      console.log(`  ${index + 1}. ${photo.originalName}`);
-      console.log(`     Raw date: ${photo.createdAt}`);
-      console.log(`     Parsed: ${date.toString()}`);
-      console.log(`     Date key: ${dateKey}`);
-      console.log(`     Group exists: ${!!groupedPhotos[dateKey]}`);
-    });
-  }
-  
-  // Show detailed grouping
-  sortedDateKeys.slice(0, 3).forEach(dateKey => {
-    const group = groupedPhotos[dateKey];
-    console.log(`Group ${dateKey}: ${group.photos.length} photos - "${group.displayDate}" (${group.relativeDate})`);
-  });
-
   if (loading) {
     return (
       <div className={`${className} flex items-center justify-center py-12`}>
@@ -380,7 +363,9 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
                         onClick={() => onPhotoClick?.(photo, photos)}
                       >
                         <AuthenticatedImage
-                          src={photo.thumbnailUrl || `/api/media/${photo.id}/thumbnail`}
+                          src={mediaRenditionUrl(photo, 'thumb')}
+                          srcSet={mediaSrcSet(photo, ['thumb', 'small'])}
+                          sizes={GRID_IMAGE_SIZES}
                           alt={photo.originalName}
                           className="w-full h-full object-cover transition-transform group-hover:scale-105"
                         />
@@ -422,7 +407,9 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
                       onClick={() => onPhotoClick?.(photo, photos)}
                     >
                       <AuthenticatedImage
-                        src={photo.thumbnailUrl || `/api/media/${photo.id}/thumbnail`}
+                        src={mediaRenditionUrl(photo, 'thumb')}
+                        srcSet={mediaSrcSet(photo, ['thumb', 'small'])}
+                        sizes={GRID_IMAGE_SIZES}
                         alt={photo.originalName}
                         className="w-full h-full object-cover transition-transform group-hover:scale-105"
                       />
@@ -468,7 +455,9 @@ export const PhotosGrid: React.FC<PhotosGridProps> = ({
                       onClick={() => onPhotoClick?.(photo, photos)}
                     >
                       <AuthenticatedImage
-                        src={photo.thumbnailUrl || `/api/media/${photo.id}/thumbnail`}
+                        src={mediaRenditionUrl(photo, 'thumb')}
+                        srcSet={mediaSrcSet(photo, ['thumb', 'small'])}
+                        sizes={GRID_IMAGE_SIZES}
                         alt={photo.originalName}
                         className="w-full h-full object-cover transition-transform group-hover:scale-105"
                       />
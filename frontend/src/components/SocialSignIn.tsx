@@ -0,0 +1,57 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { authApi, oidcErrorMessage } from '../lib/auth';
+import { OidcProvider } from '../types';
+
+// Sign-in buttons for the configured identity providers, plus any error the
+// auth service redirected back with. Needs a Suspense boundary (search params).
+export function SocialSignIn() {
+  const searchParams = useSearchParams();
+  const oidcError = searchParams.get('oidcError');
+  const [providers, setProviders] = useState<OidcProvider[]>([]);
+
+  useEffect(() => {
+    authApi.getOidcProviders()
+      .then(response => setProviders(response.providers))
+      .catch(error => console.error('Failed to load sign-in providers:', error));
+  }, []);
+
+  if (providers.length === 0 && !oidcError) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-4">
+      {oidcError && (
+        <div className="rounded-md bg-red-50 p-4">
+          <div className="text-sm text-red-700">{oidcErrorMessage(oidcError)}</div>
+        </div>
+      )}
+      {providers.length > 0 && (
+        <>
+          <div className="relative">
+            <div className="absolute inset-0 flex items-center">
+              <div className="w-full border-t border-gray-300" />
+            </div>
+            <div className="relative flex justify-center text-sm">
+              <span className="px-2 bg-gray-50 text-gray-500">Or continue with</span>
+            </div>
+          </div>
+          <div className="space-y-2">
+            {providers.map(provider => (
+              <a
+                key={provider.id}
+                href={authApi.getOidcAuthorizeUrl(provider.id)}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                {provider.name}
+              </a>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw, Trash2, X } from 'lucide-react';
+import { MediaPreview } from './FileUpload';
+import api from '../lib/auth';
+import { MediaFile, TrashedMediaFile, TrashResponse } from '../types';
+
+interface TrashBinProps {
+  // Called with the media taken out of the trash
+  onRestored?: (media: MediaFile[]) => void;
+  // Called after files were purged for good, freeing their storage
+  onPurged?: (purgedIds: number[]) => void;
+  onClose?: () => void;
+  className?: string;
+}
+
+const PAGE_SIZE = 60;
+
+const daysLeft = (purgesAt: string) =>
+  Math.max(Math.ceil((new Date(purgesAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000)), 0);
+
+export const TrashBin: React.FC<TrashBinProps> = ({
+  onRestored,
+  onPurged,
+  onClose,
+  className = ''
+}) => {
+  const [media, setMedia] = useState<TrashedMediaFile[]>([]);
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchTrash = useCallback(async (pageToLoad: number) => {
+    try {
+      setLoading(true);
+      const response = await api.get<TrashResponse>('/api/media/trash', { params: { page: pageToLoad, limit: PAGE_SIZE } });
+      setMedia(prev => (pageToLoad === 1 ? response.data.media : [...prev, ...response.data.media]));
+      setRetentionDays(response.data.retentionDays);
+      setHasMore(response.data.pagination.hasNextPage);
+      setTotal(response.data.pagination.totalItems);
+      setPage(pageToLoad);
+      setError(null);
+    } catch (err: any) {
+      console.error('Failed to fetch trash:', err);
+      setError(err.response?.data?.error || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash(1);
+  }, [fetchTrash]);
+
+  const dropFromList = (ids: number[]) => {
+    setMedia(prev => prev.filter(item => !ids.includes(item.id)));
+    setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+    setTotal(prev => Math.max(prev - ids.length, 0));
+  };
+
+  const toggleSelected = (id: number) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
+  };
+
+  const restore = async (ids: number[]) => {
+    try {
+      setWorking(true);
+      const response = await api.post('/api/media/trash/restore', { ids });
+      const restored: MediaFile[] = response.data.media || [];
+      dropFromList(restored.map(item => item.id));
+      setError(null);
+      onRestored?.(restored);
+    } catch (err: any) {
+      console.error('Failed to restore media:', err);
+      setError(err.response?.data?.error || 'Failed to restore media');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // ids null empties the whole trash
+  const purge = async (ids: number[] | null) => {
+    const count = ids ? ids.length : total;
+    if (!confirm(`Permanently delete ${count} file(s)? This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      await api.post('/api/media/trash/purge', ids ? { ids } : { all: true });
+      const purgedIds = ids || media.map(item => item.id);
+      dropFromList(purgedIds);
+      setError(null);
+      onPurged?.(purgedIds);
+      if (!ids) {
+        setTotal(0);
+        setHasMore(false);
+      }
+    } catch (err: any) {
+      console.error('Failed to purge trash:', err);
+      setError(err.response?.data?.error || 'Failed to delete files');
+      // Some files may have gone; show what is left
+      fetchTrash(1);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Trash</h3>
+          <p className="text-sm text-gray-500">
+            {total} {total === 1 ? 'file' : 'files'}
+            {retentionDays !== null && ` • deleted files are removed for good after ${retentionDays} days`}
+            {selectedIds.length > 0 && ` • ${selectedIds.length} selected`}
+          </p>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {selectedIds.length > 0 && (
+            <>
+              <button
+                onClick={() => restore(selectedIds)}
+                disabled={working}
+                className="inline-flex items-center px-4 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Restore ({selectedIds.length})
+              </button>
+              <button
+                onClick={() => purge(selectedIds)}
+                disabled={working}
+                className="inline-flex items-center px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Trash2 className="h-4 w-4 mr-2" />
+                Delete forever ({selectedIds.length})
+              </button>
+            </>
+          )}
+
+          {total > 0 && (
+            <button
+              onClick={() => purge(null)}
+              disabled={loading || working}
+              className="inline-flex items-center px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Empty trash
+            </button>
+          )}
+
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              title="Close"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      {loading && media.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : media.length === 0 ? (
+        <div className="text-center py-12">
+          <Trash2 className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-gray-500">Trash is empty</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+            {media.map(item => (
+              <div key={item.id} className="relative group">
+                <MediaPreview
+                  media={item}
+                  onClick={() => toggleSelected(item.id)}
+                  className={`cursor-pointer transition-all ${
+                    selectedIds.includes(item.id) ? 'ring-2 ring-blue-500 ring-offset-2' : 'opacity-75 hover:opacity-100'
+                  }`}
+                />
+
+                <div className="absolute top-2 left-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      restore([item.id]);
+                    }}
+                    disabled={working}
+                    className="p-1.5 bg-white/90 hover:bg-white rounded-full shadow-lg text-gray-700 hover:text-gray-900 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    title="Restore"
+                  >
+                    <RotateCcw className="h-3 w-3" />
+                  </button>
+                </div>
+
+                {selectedIds.includes(item.id) && (
+                  <div className="absolute top-2 right-2 w-6 h-6 bg-blue-600 rounded-full flex items-center justify-center">
+                    <div className="w-2 h-2 bg-white rounded-full"></div>
+                  </div>
+                )}
+
+                <p className="mt-1 text-xs text-gray-500 truncate" title={item.originalName}>
+                  {daysLeft(item.purgesAt)} {daysLeft(item.purgesAt) === 1 ? 'day' : 'days'} left
+                </p>
+              </div>
+            ))}
+          </div>
+
+          {hasMore && (
+            <div className="flex justify-center">
+              <button
+                onClick={() => fetchTrash(page + 1)}
+                disabled={loading}
+                className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,109 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { TwoFactorChallenge } from '../types';
+
+interface TwoFactorFormProps {
+  challenge: TwoFactorChallenge;
+  onVerified: () => void;
+  // Called when the challenge can no longer be used, or the user backs out
+  onCancel: () => void;
+}
+
+export function TwoFactorForm({ challenge, onVerified, onCancel }: TwoFactorFormProps) {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const { completeTwoFactorLogin } = useAuth();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await completeTwoFactorLogin(
+        useRecoveryCode
+          ? { challengeToken: challenge.challengeToken, recoveryCode: code }
+          : { challengeToken: challenge.challengeToken, code }
+      );
+      onVerified();
+    } catch (error: any) {
+      console.error('Two-factor verification failed:', error);
+      setCode('');
+      // An expired or exhausted challenge means starting over
+      if (error.response?.status === 401 && !error.response?.data?.remainingAttempts) {
+        onCancel();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Two-factor authentication
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </div>
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="code" className="sr-only">
+              {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+            </label>
+            <input
+              id="code"
+              name="code"
+              type="text"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              required
+              autoFocus
+              className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+            />
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+              }}
+              className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            <button
+              type="button"
+              onClick={onCancel}
+              className="text-sm font-medium text-gray-600 hover:text-gray-500"
+            >
+              Back to sign in
+            </button>
+          </div>
+
+          <div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 export { FileUpload, MediaPreview } from './FileUpload';
 export { MediaCarousel } from './MediaCarousel';
 export { MediaManager } from './MediaManager';
+export { DuplicateReview } from './DuplicateReview';
 export { AuthenticatedImage } from './AuthenticatedImage';
 
 // Album Components (formerly task components)
@@ -2,16 +2,29 @@
 
 import { createContext, useContext, useState, useEffect } from 'react';
 import Cookies from 'js-cookie';
-import { User, LoginData, RegisterData } from '../types';
-import { authApi } from '../lib/auth';
+import {
+  AuthResponse,
+  User,
+  LoginData,
+  RegisterData,
+  TwoFactorChallenge,
+  TwoFactorLoginData,
+  UpdateProfileData,
+  DeleteAccountData,
+} from '../types';
+import { authApi, onTokenRefreshed, tokenStorage } from '../lib/auth';
 import toast from 'react-hot-toast';
 
 interface AuthContextType {
   user: User | null;
   token: string | null;
-  login: (data: LoginData) => Promise<void>;
+  login: (data: LoginData) => Promise<TwoFactorChallenge | null>;
+  completeTwoFactorLogin: (data: TwoFactorLoginData) => Promise<void>;
+  completeOidcLogin: (code: string) => Promise<TwoFactorChallenge | null>;
   register: (data: RegisterData) => Promise<void>;
   logout: () => void;
+  updateProfile: (data: UpdateProfileData) => Promise<void>;
+  deleteAccount: (data: DeleteAccountData) => Promise<void>;
   loading: boolean;
   isAuthenticated: boolean;
 }
@@ -41,8 +54,7 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         } catch (error) {
           // Token is invalid, clear everything
           console.warn('Error parsing saved credentials, clearing:', error);
-          Cookies.remove('token');
-          Cookies.remove('user');
+          tokenStorage.clear();
           setToken(null);
           setUser(null);
         }
@@ -55,6 +67,18 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     initAuth();
   }, []);
 
+  // Keep state in sync when the API client renews the access token
+  useEffect(() => onTokenRefreshed(setToken), []);
+
+  const startSession = (response: AuthResponse) => {
+    setToken(response.token);
+    setUser(response.user);
+
+    // Save to cookies
+    tokenStorage.save(response.token, response.refreshToken, response.user);
+  };
+
+  // Resolves with the 2FA challenge when the account needs a second step
   const login = async (data: LoginData) => {
     try {
       setLoading(true);
@@ -62,16 +86,16 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       
       const response = await authApi.login(data);
       console.log('Login response received:', response.message);
+
+      if ('twoFactorRequired' in response) {
+        return response;
+      }
       
-      setToken(response.token);
-      setUser(response.user);
-      
-      // Save to cookies
-      Cookies.set('token', response.token, { expires: 1 }); // 1 day
-      Cookies.set('user', JSON.stringify(response.user), { expires: 1 });
+      startSession(response);
       
       toast.success('Login successful!');
       console.log('Login state updated successfully');
+      return null;
     } catch (error: any) {
       console.error('Login error:', error);
       const message = error.response?.data?.error || error.message || 'Login failed';
@@ -82,17 +106,52 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     }
   };
 
+  const completeTwoFactorLogin = async (data: TwoFactorLoginData) => {
+    try {
+      setLoading(true);
+      const response = await authApi.loginWithTwoFactor(data);
+
+      startSession(response);
+
+      toast.success('Login successful!');
+    } catch (error: any) {
+      const message = error.response?.data?.error || 'Verification failed';
+      toast.error(message);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Redeems the one-time code from the provider callback; may still need 2FA
+  const completeOidcLogin = async (code: string) => {
+    try {
+      setLoading(true);
+      const response = await authApi.exchangeOidcCode(code);
+
+      if ('twoFactorRequired' in response) {
+        return response;
+      }
+
+      startSession(response);
+
+      toast.success('Login successful!');
+      return null;
+    } catch (error: any) {
+      const message = error.response?.data?.error || 'Sign-in failed';
+      toast.error(message);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const register = async (data: RegisterData) => {
     try {
       setLoading(true);
       const response = await authApi.register(data);
       
-      setToken(response.token);
-      setUser(response.user);
-      
-      // Save to cookies
-      Cookies.set('token', response.token, { expires: 1 });
-      Cookies.set('user', JSON.stringify(response.user), { expires: 1 });
+      startSession(response);
       
       toast.success('Registration successful!');
     } catch (error: any) {
@@ -116,19 +175,42 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       console.log('Clearing local authentication state...');
       setToken(null);
       setUser(null);
-      Cookies.remove('token');
-      Cookies.remove('user');
+      tokenStorage.clear();
       toast.success('Logged out successfully');
       console.log('Local state cleared successfully');
     }
   };
 
+  const updateProfile = async (data: UpdateProfileData) => {
+    const response = await authApi.updateProfile(data);
+
+    // The server re-issues the access token since it carries the name and email
+    setToken(response.token);
+    setUser(response.user);
+    tokenStorage.save(response.token, tokenStorage.getRefreshToken() || '', response.user);
+
+    toast.success(response.message);
+  };
+
+  const deleteAccount = async (data: DeleteAccountData) => {
+    await authApi.deleteAccount(data);
+
+    setToken(null);
+    setUser(null);
+    tokenStorage.clear();
+    toast.success('Your account has been deleted');
+  };
+
   const value = {
     user,
     token,
     login,
+    completeTwoFactorLogin,
+    completeOidcLogin,
     register,
     logout,
+    updateProfile,
+    deleteAccount,
     loading,
     isAuthenticated: !!user && !!token,
   };
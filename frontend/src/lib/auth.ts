@@ -1,9 +1,31 @@
-import axios from 'axios';
+import axios, { InternalAxiosRequestConfig } from 'axios';
 import Cookies from 'js-cookie';
-import { AuthResponse, LoginData, RegisterData, User } from '../types';
+import {
+  AuthResponse,
+  ChangePasswordData,
+  CreatedPersonalAccessToken,
+  DeleteAccountData,
+  IdentitiesResponse,
+  LoginData,
+  LoginResponse,
+  OidcProvider,
+  PersonalAccessToken,
+  RegisterData,
+  RefreshResponse,
+  Session,
+  TokenScope,
+  TwoFactorLoginData,
+  TwoFactorSetupResponse,
+  TwoFactorStatus,
+  UpdateProfileData,
+  User,
+} from '../types';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || '';
 
+// Cookies live as long as the refresh token so a stale access token can still be renewed
+const SESSION_COOKIE_DAYS = 30;
+
 // Create axios instance
 const api = axios.create({
   baseURL: `${API_BASE_URL}`,  // Use same origin for API requests
@@ -14,10 +36,81 @@ const api = axios.create({
   },
 });
 
+export const tokenStorage = {
+  getToken: () => Cookies.get('token'),
+
+  getRefreshToken: () => Cookies.get('refreshToken'),
+
+  save(token: string, refreshToken: string, user?: User) {
+    Cookies.set('token', token, { expires: SESSION_COOKIE_DAYS });
+    Cookies.set('refreshToken', refreshToken, { expires: SESSION_COOKIE_DAYS });
+    if (user) {
+      Cookies.set('user', JSON.stringify(user), { expires: SESSION_COOKIE_DAYS });
+    }
+  },
+
+  clear() {
+    Cookies.remove('token');
+    Cookies.remove('refreshToken');
+    Cookies.remove('user');
+  },
+};
+
+// Listeners notified whenever the access token is renewed in the background
+const tokenListeners = new Set<(token: string) => void>();
+
+export const onTokenRefreshed = (listener: (token: string) => void) => {
+  tokenListeners.add(listener);
+  return () => {
+    tokenListeners.delete(listener);
+  };
+};
+
+// Single in-flight refresh shared by every request that hit a 401 at the same time
+let refreshPromise: Promise<string> | null = null;
+
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const refreshToken = tokenStorage.getRefreshToken();
+
+    refreshPromise = (async () => {
+      if (!refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      try {
+        // Plain axios so a failing refresh does not re-enter the interceptors
+        const response = await axios.post<RefreshResponse>(
+          `${API_BASE_URL}/api/auth/refresh`,
+          { refreshToken },
+          { withCredentials: true }
+        );
+
+        tokenStorage.save(response.data.token, response.data.refreshToken);
+        tokenListeners.forEach(listener => listener(response.data.token));
+        return response.data.token;
+      } catch (error) {
+        // Another tab may have rotated the refresh token first; use its result
+        const latestRefreshToken = tokenStorage.getRefreshToken();
+        const latestToken = tokenStorage.getToken();
+        if (latestRefreshToken && latestRefreshToken !== refreshToken && latestToken) {
+          tokenListeners.forEach(listener => listener(latestToken));
+          return latestToken;
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = Cookies.get('token');
+    const token = tokenStorage.getToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -28,17 +121,55 @@ api.interceptors.request.use(
   }
 );
 
+// Endpoints whose 401 means bad credentials rather than an expired access token
+const CREDENTIAL_ENDPOINTS = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/password/',
+  '/api/auth/email/verify',
+  '/api/auth/unlock',
+  '/api/auth/oidc/exchange',
+];
+
+// Reasons the auth service sends back in ?oidcError= after a provider round-trip
+const OIDC_ERROR_MESSAGES: Record<string, string> = {
+  access_denied: 'Sign-in was cancelled at the provider.',
+  invalid_state: 'That sign-in attempt expired. Please try again.',
+  email_required: 'The provider did not share an email address.',
+  account_exists: 'An account with this email already exists. Sign in with your password and link the provider from Account Settings.',
+  identity_in_use: 'That provider account is already linked to a different user.',
+  provider_unavailable: 'The sign-in provider is unavailable right now.',
+};
+
+export const oidcErrorMessage = (code: string) =>
+  OIDC_ERROR_MESSAGES[code] || 'Signing in with the provider failed. Please try again.';
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - only redirect if we're not already on login page
+  async (error) => {
+    const originalRequest = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    const isCredentialRequest = CREDENTIAL_ENDPOINTS.some(path => originalRequest?.url?.includes(path));
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retried && !isCredentialRequest) {
+      // Access token expired - renew it once and replay the request
+      originalRequest._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.log('Token refresh failed:', refreshError);
+      }
+    }
+
+    if (error.response?.status === 401 && !isCredentialRequest) {
+      // Session is gone - only redirect if we're not already on login page
       const currentPath = typeof window !== 'undefined' ? window.location.pathname : '';
       if (currentPath !== '/auth/login' && currentPath !== '/auth/register') {
         console.log('401 error detected, clearing auth and redirecting to login');
-        Cookies.remove('token');
-        Cookies.remove('user');
+        tokenStorage.clear();
         if (typeof window !== 'undefined') {
           window.location.href = '/auth/login';
         }
@@ -54,18 +185,25 @@ export const authApi = {
     return response.data;
   },
 
-  async login(data: LoginData): Promise<AuthResponse> {
+  async login(data: LoginData): Promise<LoginResponse> {
     const response = await api.post('/api/auth/login', data);
     return response.data;
   },
 
+  async loginWithTwoFactor(data: TwoFactorLoginData): Promise<AuthResponse> {
+    const response = await api.post('/api/auth/login/2fa', data);
+    return response.data;
+  },
+
   async verify(): Promise<{ valid: boolean; user: User }> {
     const response = await api.post('/api/auth/verify');
     return response.data;
   },
 
   async logout(): Promise<{ message: string }> {
-    const response = await api.post('/api/auth/logout');
+    const response = await api.post('/api/auth/logout', {
+      refreshToken: tokenStorage.getRefreshToken(),
+    });
     return response.data;
   },
 
@@ -73,6 +211,130 @@ export const authApi = {
     const response = await api.get('/api/auth/profile');
     return response.data;
   },
+
+  async updateProfile(data: UpdateProfileData): Promise<{ message: string; token: string; user: User }> {
+    const response = await api.patch('/api/auth/profile', data);
+    return response.data;
+  },
+
+  async changePassword(data: ChangePasswordData): Promise<{ message: string; revokedSessions: number }> {
+    const response = await api.post('/api/auth/password/change', data);
+    return response.data;
+  },
+
+  async deleteAccount(data: DeleteAccountData): Promise<{ message: string }> {
+    const response = await api.delete('/api/auth/account', { data });
+    return response.data;
+  },
+
+  async forgotPassword(email: string): Promise<{ message: string }> {
+    const response = await api.post('/api/auth/password/forgot', { email });
+    return response.data;
+  },
+
+  async resetPassword(token: string, password: string): Promise<{ message: string }> {
+    const response = await api.post('/api/auth/password/reset', { token, password });
+    return response.data;
+  },
+
+  async verifyEmail(token: string): Promise<{ message: string }> {
+    const response = await api.post('/api/auth/email/verify', { token });
+    return response.data;
+  },
+
+  async resendVerification(): Promise<{ message: string }> {
+    const response = await api.post('/api/auth/email/verify/resend');
+    return response.data;
+  },
+
+  async unlockAccount(token: string): Promise<{ message: string }> {
+    const response = await api.post('/api/auth/unlock', { token });
+    return response.data;
+  },
+
+  async getTwoFactorStatus(): Promise<TwoFactorStatus> {
+    const response = await api.get('/api/auth/2fa');
+    return response.data;
+  },
+
+  async setupTwoFactor(password: string): Promise<TwoFactorSetupResponse> {
+    const response = await api.post('/api/auth/2fa/setup', { password });
+    return response.data;
+  },
+
+  async confirmTwoFactor(code: string): Promise<{ message: string; recoveryCodes: string[] }> {
+    const response = await api.post('/api/auth/2fa/confirm', { code });
+    return response.data;
+  },
+
+  async regenerateRecoveryCodes(code: string): Promise<{ recoveryCodes: string[] }> {
+    const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  async disableTwoFactor(data: { password: string; code?: string; recoveryCode?: string }): Promise<{ message: string }> {
+    const response = await api.post('/api/auth/2fa/disable', data);
+    return response.data;
+  },
+
+  async getOidcProviders(): Promise<{ providers: OidcProvider[] }> {
+    const response = await api.get('/api/auth/oidc/providers');
+    return response.data;
+  },
+
+  // Full-page navigation target; the auth service redirects on to the provider
+  getOidcAuthorizeUrl(providerId: string): string {
+    return `${API_BASE_URL}/api/auth/oidc/${encodeURIComponent(providerId)}/authorize`;
+  },
+
+  async exchangeOidcCode(code: string): Promise<LoginResponse> {
+    const response = await api.post('/api/auth/oidc/exchange', { code });
+    return response.data;
+  },
+
+  async linkOidcProvider(providerId: string): Promise<{ authorizationUrl: string }> {
+    const response = await api.post(`/api/auth/oidc/${encodeURIComponent(providerId)}/link`);
+    return response.data;
+  },
+
+  async getIdentities(): Promise<IdentitiesResponse> {
+    const response = await api.get('/api/auth/identities');
+    return response.data;
+  },
+
+  async unlinkIdentity(providerId: string): Promise<{ message: string }> {
+    const response = await api.delete(`/api/auth/identities/${encodeURIComponent(providerId)}`);
+    return response.data;
+  },
+
+  async getSessions(): Promise<{ sessions: Session[] }> {
+    const response = await api.get('/api/auth/sessions');
+    return response.data;
+  },
+
+  async revokeSession(id: string): Promise<{ message: string }> {
+    const response = await api.delete(`/api/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  async getPersonalTokens(): Promise<{ tokens: PersonalAccessToken[]; availableScopes: TokenScope[] }> {
+    const response = await api.get('/api/auth/tokens');
+    return response.data;
+  },
+
+  async createPersonalToken(data: {
+    name: string;
+    scopes: TokenScope[];
+    expiresInDays: number;
+  }): Promise<CreatedPersonalAccessToken> {
+    const response = await api.post('/api/auth/tokens', data);
+    return response.data;
+  },
+
+  async revokePersonalToken(id: number): Promise<{ message: string }> {
+    const response = await api.delete(`/api/auth/tokens/${id}`);
+    return response.data;
+  },
 };
 
 export default api;
@@ -0,0 +1,109 @@
+import { SignedMediaUrls } from '../types';
+
+// Widths of the image renditions the media service serves
+export const RENDITION_WIDTHS = {
+  thumb: 256,
+  small: 640,
+  medium: 1280,
+  large: 2048,
+} as const;
+
+export type RenditionName = keyof typeof RENDITION_WIDTHS;
+
+export const renditionUrl = (mediaId: number, name: RenditionName) =>
+  `/api/media/${mediaId}/renditions/${name}`;
+
+// srcset listing the given renditions of an image, smallest first
+export const renditionSrcSet = (
+  mediaId: number,
+  names: RenditionName[] = ['thumb', 'small', 'medium', 'large']
+) => names.map(name => `${renditionUrl(mediaId, name)} ${RENDITION_WIDTHS[name]}w`).join(', ');
+
+// Enough of a media file to find its renditions
+type RenditionSource = { id: number; signedUrls?: SignedMediaUrls | null };
+
+/**
+ * URL of a rendition of a media file. The signed URL from a listing loads
+ * without a token, so the browser can fetch, cache and lazy-load it itself.
+ */
+export const mediaRenditionUrl = (media: RenditionSource, name: RenditionName) =>
+  media.signedUrls?.renditions?.[name] || renditionUrl(media.id, name);
+
+// srcset of a media file's renditions, signed when the listing gave signed URLs
+export const mediaSrcSet = (
+  media: RenditionSource,
+  names: RenditionName[] = ['thumb', 'small', 'medium', 'large']
+) => names.map(name => `${mediaRenditionUrl(media, name)} ${RENDITION_WIDTHS[name]}w`).join(', ');
+
+export const isSignedUrl = (url: string) => /[?&]sig=/.test(url);
+
+// The same URL without its signature (uid, exp and sig are its only query parameters), to load with the token instead
+export const unsignedUrl = (url: string) => (isSignedUrl(url) ? url.split('?')[0] : url);
+
+export const unsignedSrcSet = (srcSet: string) =>
+  srcSet
+    .split(',')
+    .map(part => part.trim().split(/\s+/))
+    .map(([url, descriptor]) => [unsignedUrl(url), descriptor].filter(Boolean).join(' '))
+    .join(', ');
+
+// Width in CSS pixels of a sizes length: px, vw or a bare number
+const parseLength = (length: string) => {
+  const value = parseFloat(length);
+  if (isNaN(value)) return null;
+  return length.trim().endsWith('vw') ? (value / 100) * window.innerWidth : value;
+};
+
+// Evaluate a sizes attribute the way the browser does; without one the slot is the viewport width
+const slotWidth = (sizes?: string) => {
+  for (const entry of (sizes || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\(.*\))\s+(\S+)$/);
+    if (!match) return parseLength(entry) ?? window.innerWidth;
+    if (window.matchMedia(match[1]).matches) return parseLength(match[2]) ?? window.innerWidth;
+  }
+  return window.innerWidth;
+};
+
+/**
+ * Pick the URL from a srcset with width descriptors ("a.jpg 640w, b.jpg
+ * 1280w") that a browser would load for the given sizes: the smallest image
+ * that still fills the slot at the screen's pixel density.
+ */
+export const pickSrcSetCandidate = (srcSet: string, sizes?: string) => {
+  const candidates = srcSet
+    .split(',')
+    .map(part => part.trim().split(/\s+/))
+    .map(([url, descriptor]) => ({ url, width: parseInt(descriptor, 10) || 0 }))
+    .filter(candidate => candidate.url)
+    .sort((a, b) => a.width - b.width);
+
+  if (candidates.length === 0) return null;
+
+  const needed = slotWidth(sizes) * (window.devicePixelRatio || 1);
+  return (candidates.find(candidate => candidate.width >= needed) || candidates[candidates.length - 1]).url;
+};
+
+// Modern formats asked for until the browser turns out not to decode one
+const preferredImageTypes = ['image/avif', 'image/webp'];
+
+// Accept header for image requests, so the media service picks the best format
+export const imageAcceptHeader = () => [...preferredImageTypes, 'image/*;q=0.8'].join(',');
+
+/**
+ * Check the browser can decode an image before showing it. A format that
+ * fails is not asked for again, and false tells the caller to fetch again.
+ */
+export const ensureDecodable = async (blob: Blob) => {
+  if (!preferredImageTypes.includes(blob.type) || typeof createImageBitmap === 'undefined') {
+    return true;
+  }
+
+  try {
+    (await createImageBitmap(blob)).close();
+    return true;
+  } catch {
+    const index = preferredImageTypes.indexOf(blob.type);
+    if (index !== -1) preferredImageTypes.splice(index, 1);
+    return false;
+  }
+};
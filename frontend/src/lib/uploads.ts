@@ -0,0 +1,205 @@
+import api from './auth';
+import { BatchUploadResponse, MediaProcessingStatus, MediaStatusResponse, UploadResponse, UploadSession } from '../types';
+
+const SAVED_UPLOADS_KEY = 'resumableUploads';
+const MAX_CONSECUTIVE_FAILURES = 8;
+
+// Unfinished uploads by file identity, so picking the same file again resumes it
+const fileKey = (file: File) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const loadSavedUploads = (): Record<string, string> => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_UPLOADS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const saveUploadId = (file: File, uploadId: string | null) => {
+  const saved = loadSavedUploads();
+  if (uploadId) {
+    saved[fileKey(file)] = uploadId;
+  } else {
+    delete saved[fileKey(file)];
+  }
+  localStorage.setItem(SAVED_UPLOADS_KEY, JSON.stringify(saved));
+};
+
+// crypto.subtle only exists in secure contexts; chunks are sent unchecked elsewhere
+const sha256Base64 = async (data: Blob): Promise<string | null> => {
+  if (typeof window === 'undefined' || !window.crypto?.subtle) return null;
+  const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', await data.arrayBuffer()));
+  let binary = '';
+  digest.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+// Back off after a failure, and hold off entirely while the browser is offline
+const waitBeforeRetry = (failures: number) => {
+  if (!navigator.onLine) {
+    return new Promise<void>(resolve => window.addEventListener('online', () => resolve(), { once: true }));
+  }
+  return new Promise<void>(resolve => setTimeout(resolve, Math.min(1000 * 2 ** failures, 30000)));
+};
+
+const isRetryable = (error: any) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 409 || status === 429
+    || (status === 400 && error.response.data?.error === 'Checksum mismatch');
+};
+
+async function startOrResume(file: File): Promise<UploadSession> {
+  const savedId = loadSavedUploads()[fileKey(file)];
+  if (savedId) {
+    try {
+      const response = await api.get(`/api/media/uploads/${savedId}`);
+      if (response.data.upload.status === 'pending') {
+        return response.data.upload;
+      }
+    } catch (error: any) {
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+
+  const response = await api.post('/api/media/uploads', {
+    filename: file.name,
+    mimeType: file.type,
+    sizeBytes: file.size
+  });
+  saveUploadId(file, response.data.upload.uploadId);
+  return response.data.upload;
+}
+
+/**
+ * Upload a file in chunks. Interrupted chunks are retried from the last
+ * offset the server confirmed, and an upload abandoned part-way (closed tab,
+ * lost connection) resumes when the same file is picked again.
+ */
+export async function uploadResumable(
+  file: File,
+  onProgress?: (percent: number) => void
+): Promise<UploadResponse> {
+  const upload = await startOrResume(file);
+  const reportProgress = (bytes: number) => onProgress?.(Math.round((bytes * 100) / file.size));
+  let offset = upload.offset;
+  let failures = 0;
+
+  reportProgress(offset);
+
+  while (true) {
+    try {
+      if (offset < file.size) {
+        const chunk = file.slice(offset, offset + upload.chunkSize);
+        const checksum = await sha256Base64(chunk);
+        const response = await api.put(`/api/media/uploads/${upload.uploadId}`, chunk, {
+          headers: {
+            'Content-Type': 'application/offset+octet-stream',
+            'Upload-Offset': String(offset),
+            ...(checksum && { 'Upload-Checksum': `sha256 ${checksum}` })
+          },
+          timeout: 300000,
+          onUploadProgress: (progressEvent: any) => reportProgress(offset + progressEvent.loaded)
+        });
+        offset = response.data.offset;
+      } else {
+        const response = await api.post(`/api/media/uploads/${upload.uploadId}/complete`, {}, {
+          timeout: 600000
+        });
+        saveUploadId(file, null);
+        return { media: response.data.media, duplicateOf: response.data.duplicateOf ?? null };
+      }
+      failures = 0;
+    } catch (error: any) {
+      if (error.response?.status === 422) {
+        saveUploadId(file, null);
+      }
+      if (!isRetryable(error) || ++failures > MAX_CONSECUTIVE_FAILURES) {
+        throw error;
+      }
+
+      // The server tells us where to continue when our offset is stale
+      const serverOffset = error.response?.data?.offset;
+      if (error.response?.status === 409 && typeof serverOffset === 'number') {
+        offset = serverOffset;
+      } else {
+        await waitBeforeRetry(failures);
+      }
+    }
+    reportProgress(offset);
+  }
+}
+
+// Small images travel together in batch requests; anything else is uploaded in chunks
+export const BATCH_FILE_LIMIT = 20 * 1024 * 1024;
+const BATCH_MAX_FILES = 20;
+const BATCH_MAX_BYTES = 40 * 1024 * 1024;
+
+export const canUploadInBatch = (file: File) =>
+  file.type.startsWith('image/') && file.size <= BATCH_FILE_LIMIT;
+
+/**
+ * Split files into groups that each fit in one batch request
+ */
+export function groupIntoBatches<T extends { file: File }>(items: T[]): T[][] {
+  const batches: T[][] = [];
+  let current: T[] = [];
+  let currentBytes = 0;
+
+  items.forEach(item => {
+    if (current.length > 0 &&
+        (current.length >= BATCH_MAX_FILES || currentBytes + item.file.size > BATCH_MAX_BYTES)) {
+      batches.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(item);
+    currentBytes += item.file.size;
+  });
+
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Upload several files in one request. The response has one result per file,
+ * in the order given; a 207 status means some of them failed.
+ */
+export async function uploadBatch(
+  files: File[],
+  options: { albumId?: number } = {},
+  onProgress?: (percent: number) => void
+): Promise<BatchUploadResponse> {
+  const formData = new FormData();
+  if (options.albumId) {
+    formData.append('albumId', String(options.albumId));
+  }
+  files.forEach(file => formData.append('files', file));
+
+  const response = await api.post('/api/media/upload/batch', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    },
+    timeout: 600000,
+    onUploadProgress: (progressEvent: any) => {
+      if (progressEvent.total) {
+        onProgress?.(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+      }
+    }
+  });
+  return response.data;
+}
+
+// Poll an upload until the media worker has processed it; still 'processing' after timeoutMs
+export async function waitForProcessing(
+  mediaId: number,
+  { intervalMs = 2000, timeoutMs = 5 * 60 * 1000 } = {}
+): Promise<MediaProcessingStatus> {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await api.get<MediaStatusResponse>(`/api/media/${mediaId}/status`);
+    if (response.data.status !== 'processing') return response.data.status;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  return 'processing';
+}
@@ -6,10 +6,10 @@ export function middleware(request: NextRequest) {
   const { pathname } = request.nextUrl;
 
   // Define public routes that don't require authentication
-  const publicRoutes = ['/auth/login', '/auth/register'];
+  const publicRoutes = ['/auth/login', '/auth/register', '/auth/forgot-password'];
   
   // Define protected routes that require authentication
-  const protectedRoutes = ['/dashboard', '/tasks'];
+  const protectedRoutes = ['/dashboard', '/tasks', '/settings'];
 
   // Redirect /tasks to /dashboard to maintain single entry point
   if (pathname === '/tasks') {
@@ -3,10 +3,30 @@ export interface User {
   email: string;
   firstName: string;
   lastName: string;
+  emailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  mediaMetadataPrivacy?: MediaMetadataPrivacy;
+  role?: 'user' | 'admin';
   createdAt: string;
   updatedAt?: string;
 }
 
+// Metadata stripped from a user's images when they download them
+export type MediaMetadataPrivacy = 'none' | 'location' | 'all';
+
+// Uploads are processing until the media worker has indexed them and generated their renditions
+export type MediaProcessingStatus = 'processing' | 'ready' | 'failed';
+
+// Links to a media file that load without a token until expiresAt
+export interface SignedMediaUrls {
+  expiresAt: string;
+  download: string;
+  // Images, and videos once they have a poster frame
+  renditions?: Record<'thumb' | 'small' | 'medium' | 'large', string>;
+  // HLS master playlist of a transcoded video, for players that cannot send a token
+  stream?: string;
+}
+
 export interface MediaFile {
   id: number;
   filename: string;
@@ -15,9 +35,121 @@ export interface MediaFile {
   sizeBytes: number;
   thumbnailPath?: string;
   thumbnailUrl?: string;
+  // Capture time from EXIF, as the camera's local time without a zone (e.g. 2019-07-14T18:30:00)
+  takenAt?: string | null;
+  status?: MediaProcessingStatus;
+  // Videos only, once the media worker has processed them
+  durationSeconds?: number | null;
+  width?: number | null;
+  height?: number | null;
+  // HLS master playlist; null until the video has been transcoded
+  streamUrl?: string | null;
+  // Null when the server does not sign media URLs
+  signedUrls?: SignedMediaUrls | null;
   createdAt: string;
 }
 
+export interface UploadSession {
+  uploadId: string;
+  originalName: string;
+  mimeType: string;
+  sizeBytes: number;
+  offset: number;
+  chunkSize: number;
+  status: 'pending' | 'completing' | 'completed' | 'aborted';
+  mediaId: number | null;
+  expiresAt: string;
+}
+
+export interface MediaStatusResponse {
+  id: number;
+  status: MediaProcessingStatus;
+  error: string | null;
+  processedAt: string | null;
+}
+
+export interface UploadResponse {
+  media: MediaFile;
+  // Media already in the library with identical content
+  duplicateOf: MediaFile | null;
+}
+
+export interface BatchUploadResult {
+  index: number;
+  originalName: string;
+  status: 'uploaded' | 'failed';
+  media?: MediaFile;
+  duplicateOf?: MediaFile | null;
+  error?: string;
+}
+
+export interface BatchUploadResponse {
+  results: BatchUploadResult[];
+  uploaded: number;
+  failed: number;
+  album?: {
+    id: number;
+    attached: number;
+    error?: string;
+  };
+}
+
+export interface DuplicateGroup {
+  // The suggested file to keep (the largest)
+  keepId: number;
+  // Most to least preferred; distance is how many hash bits differ from keepId's
+  media: (MediaFile & { distance: number })[];
+}
+
+export interface DuplicatesResponse {
+  groups: DuplicateGroup[];
+  maxDistance: number;
+  scanned: number;
+  // Only the most recent images were compared
+  truncated: boolean;
+  // Of the groups, largest first
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalItems: number;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  };
+}
+
+// A media file in the trash, purged for good at purgesAt unless restored
+export interface TrashedMediaFile extends MediaFile {
+  deletedAt: string;
+  purgesAt: string;
+}
+
+export interface TrashResponse {
+  media: TrashedMediaFile[];
+  // Days a file stays in the trash before it is purged
+  retentionDays: number;
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalItems: number;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  };
+}
+
+// Storage the signed-in user's media take up, against their plan's limits
+export interface MediaUsage {
+  plan: string;
+  bytesUsed: number;
+  fileCount: number;
+  quotaBytes: number;
+  // null when the plan allows any number of files
+  maxFiles: number | null;
+}
+
+export interface MediaUsageResponse {
+  usage: MediaUsage;
+}
+
 export interface Album {
   id: number;
   title: string;
@@ -78,9 +210,91 @@ export type TaskStats = AlbumStats;
 export interface AuthResponse {
   message: string;
   token: string;
+  refreshToken: string;
+  expiresIn: string;
   user: User;
 }
 
+export interface TwoFactorChallenge {
+  message: string;
+  twoFactorRequired: true;
+  challengeToken: string;
+  challengeExpiresAt: string;
+}
+
+export type LoginResponse = AuthResponse | TwoFactorChallenge;
+
+export interface TwoFactorLoginData {
+  challengeToken: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
+export interface OidcProvider {
+  id: string;
+  name: string;
+}
+
+export interface LinkedIdentity {
+  provider: string;
+  email: string | null;
+  createdAt: string;
+  lastLoginAt: string | null;
+}
+
+export interface IdentitiesResponse {
+  identities: LinkedIdentity[];
+  providers: OidcProvider[];
+  hasPassword: boolean;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  pending: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorSetupResponse {
+  message: string;
+  secret: string;
+  otpauthUrl: string;
+  qrPayload: string;
+}
+
+export interface RefreshResponse {
+  token: string;
+  refreshToken: string;
+  expiresIn: string;
+}
+
+export interface Session {
+  id: string;
+  userAgent?: string;
+  ipAddress?: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export type TokenScope = 'media:read' | 'media:write' | 'albums:read' | 'albums:write';
+
+export interface PersonalAccessToken {
+  id: number;
+  name: string;
+  tokenPrefix: string;
+  scopes: TokenScope[];
+  createdAt: string;
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+}
+
+export interface CreatedPersonalAccessToken extends PersonalAccessToken {
+  // Only returned once, when the token is created
+  token: string;
+}
+
 export interface LoginData {
   email: string;
   password: string;
@@ -93,6 +307,25 @@ export interface RegisterData {
   lastName: string;
 }
 
+export interface UpdateProfileData {
+  firstName?: string;
+  lastName?: string;
+  email?: string;
+  currentPassword?: string;
+  mediaMetadataPrivacy?: MediaMetadataPrivacy;
+}
+
+export interface ChangePasswordData {
+  currentPassword: string;
+  newPassword: string;
+}
+
+export interface DeleteAccountData {
+  password: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
 export interface ApiError {
   error: string;
   details?: string[];